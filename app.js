@@ -7,29 +7,7 @@ require('dotenv').config();
 // Core dependencies
 const path = require('path');
 const fs = require('fs');
-const cron = require('cron');
-const winston = require('winston');
-
-// Create logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({
-      filename: path.join(__dirname, 'logs', 'error.log'),
-      level: 'error'
-    }),
-    new winston.transports.File({
-      filename: path.join(__dirname, 'logs', 'combined.log')
-    })
-  ]
-});
+const logger = require('./src/utils/logger');
 
 // Check required directories
 const directories = [
@@ -46,165 +24,162 @@ directories.forEach(dir => {
 });
 
 // Import services
-const PostGeneratorService = require('./src/services/PostGeneratorService');
-const WordPressService = require('./src/services/WordPressService');
-const TravelPlannerService = require('./src/services/TravelPlannerService');
+const CatchUpService = require('./src/services/CatchUpService');
+const AdminApiService = require('./src/services/AdminApiService');
+const JourneyService = require('./src/services/JourneyService');
+const MigrationService = require('./src/services/MigrationService');
+const DoctorService = require('./src/services/DoctorService');
+const SettingsService = require('./src/services/SettingsService');
+const PostScheduleService = require('./src/services/PostScheduleService');
 const { createTravelPost } = require('./travel-post-generator');
-const { moveToNextLocation } = require('./move_to_next_location');
 
-// Function to check if Giovanni should move to next location
-async function checkLocationStatus() {
-  logger.info('Checking if Giovanni needs to move to next location');
-  
-  const sqlite3 = require('sqlite3').verbose();
-  const { open } = require('sqlite');
+// Name of the post/travel task currently running (only one runs at a time)
+let activeTask = null;
+
+// Run a task unless another one is running (returns null if busy)
+function runExclusive(name, task) {
+  if (activeTask) {
+    logger.warn(`Cannot start ${name}: ${activeTask} is already running`);
+    return null;
+  }
   
-  const db = await open({
-    filename: process.env.DB_PATH || path.join(__dirname, 'database', 'giovanni.db'),
-    driver: sqlite3.Database
+  activeTask = name;
+  return task().finally(() => {
+    activeTask = null;
   });
-  
+}
+
+// Publish the scheduled posts that were missed while the app was offline
+async function catchUpMissedPosts() {
   try {
-    // Get current location
-    const currentLocation = await db.get('SELECT * FROM locations WHERE is_current = 1');
-    if (!currentLocation) {
-      logger.error('No current location found');
-      return false;
+    const maxCatchUpDays = await CatchUpService.getMaxCatchUpDays();
+    if (maxCatchUpDays === 0) {
+      logger.info('Catch-up publishing is disabled (max_catchup_days = 0)');
+      return 0;
     }
     
-    // Check if duration completed OR no more unvisited attractions
-    const shouldMove = currentLocation.current_day >= currentLocation.planned_duration;
-    
-    // Also check if all attractions visited (no more content to generate)
-    const unvisitedAttractions = await db.get(`
-      SELECT COUNT(*) as count 
-      FROM points_of_interest poi
-      LEFT JOIN visits v ON poi.id = v.poi_id
-      WHERE poi.location_id = ? AND poi.type = 'attraction' AND v.poi_id IS NULL
-    `, [currentLocation.id]);
-    
-    const noMoreAttractions = unvisitedAttractions.count === 0;
-    
-    // Get settings from environment
-    const minDays = parseInt(process.env.MIN_DAYS_PER_LOCATION) || 7;
-    const maxDays = parseInt(process.env.MAX_DAYS_PER_LOCATION) || 21;
-    
-    // Check if we should move based on various conditions
-    const reachedMinDuration = currentLocation.current_day >= currentLocation.planned_duration;
-    const reachedMaxDuration = currentLocation.current_day >= maxDays;
-    const noContentAndMinTime = noMoreAttractions && currentLocation.current_day >= minDays;
-    
-    if (reachedMinDuration || reachedMaxDuration || noContentAndMinTime) {
-      const reason = reachedMaxDuration ? 'max duration' : 
-                   reachedMinDuration ? 'planned duration' : 
-                   'no attractions left';
-      logger.info(`Giovanni should move (${reason}): day ${currentLocation.current_day}/${currentLocation.planned_duration}, attractions=${unvisitedAttractions.count}`);
-      return true;
+    let published = 0;
+    
+    // Missed runs are looked up again after every post, so a cron tick
+    // that was skipped during catch-up is backfilled as well
+    while (published < maxCatchUpDays) {
+      // The schedule is read again because a backfilled move can change the timezone
+      const schedule = await PostScheduleService.getSchedule();
+      const missedRun = await CatchUpService.getNextMissedRun(schedule.cronTime, schedule.timezone, maxCatchUpDays - published);
+      if (!missedRun) break;
+      
+      if (published === 0) {
+        logger.info(`Found ${missedRun.missedCount} missed post(s), backfilling up to ${maxCatchUpDays}`);
+      }
+      if (missedRun.skippedCount > 0) {
+        logger.warn(`Skipping ${missedRun.skippedCount} older missed post(s) beyond the catch-up limit`);
+      }
+      
+      const success = await JourneyService.generateDailyPost({ publishDate: missedRun.publishDate });
+      if (!success) {
+        logger.error(`Catch-up stopped: post for ${missedRun.publishDate.toISOString()} failed`);
+        break;
+      }
+      published++;
     }
     
-    return false;
+    if (published > 0) {
+      logger.info(`Catch-up completed: ${published} missed post(s) published`);
+    }
+    return published;
   } catch (error) {
-    logger.error(`Error checking location status: ${error.message}`);
-    return false;
-  } finally {
-    await db.close();
+    logger.error(`Error during catch-up publishing: ${error.message}`);
+    return 0;
   }
 }
 
-// Function to handle automatic travel
-async function handleAutomaticTravel() {
+// Report inconsistencies in the journey data (repairs are left to "node cli.js doctor --fix")
+async function checkDatabase() {
   try {
-    logger.info('Starting automatic travel process');
-    
-    // 1. Move to next location
-    const moveSuccess = await moveToNextLocation();
-    if (!moveSuccess) {
-      logger.error('Failed to move to next location');
-      return false;
+    const report = await DoctorService.run({ fix: false });
+    report.results
+      .filter(result => result.issues.length > 0)
+      .forEach(result => result.issues.forEach(issue => logger.warn(`Database check (${result.name}): ${issue.message}`)));
+    if (report.issues > 0) {
+      logger.warn(`Database check found ${report.issues} issue(s); run "node cli.js doctor --fix" to repair the fixable ones`);
     }
-    
-    // 2. Generate travel post
-    const travelPostSuccess = await createTravelPost();
-    if (!travelPostSuccess) {
-      logger.error('Failed to generate travel post');
-      return false;
-    }
-    
-    logger.info('Automatic travel completed successfully');
-    return true;
   } catch (error) {
-    logger.error(`Error during automatic travel: ${error.message}`);
-    return false;
+    logger.error(`Error checking the database: ${error.message}`);
   }
 }
 
-// Function to create post
-async function generateDailyPost() {
-  logger.info('Starting daily post generation');
-  
+// Start the admin HTTP API (only when ADMIN_API_TOKEN is set)
+async function startAdminApi() {
   try {
-    // First check if Giovanni needs to travel
-    const shouldTravel = await checkLocationStatus();
-    
-    if (shouldTravel) {
-      logger.info('Giovanni needs to travel to next location');
-      return await handleAutomaticTravel();
-    }
-    
-    // Normal daily post generation
-    const wpConnection = await WordPressService.initialize();
-    if (!wpConnection) {
-      logger.error('Failed to connect to WordPress. Aborting post generation.');
-      return false;
-    }
-    
-    // Generate and publish post
-    const result = await PostGeneratorService.generateAndPublishPost();
-    if (result.success) {
-      logger.info(`Post successfully published: ${result.postUrl}`);
-      return true;
-    } else {
-      logger.error(`Failed to publish post: ${result.error}`);
-      return false;
-    }
+    await AdminApiService.start({
+      getActiveTask: () => activeTask,
+      getSchedule: () => PostScheduleService.getSchedule(),
+      generatePost: () => runExclusive('daily post', () => JourneyService.generateDailyPost()),
+      generateTravelPost: () => runExclusive('travel post', () => createTravelPost()),
+      move: () => runExclusive('move', () => JourneyService.handleAutomaticTravel())
+    });
   } catch (error) {
-    logger.error(`Unhandled error during post generation: ${error.message}`);
-    return false;
+    logger.error(`Failed to start admin API: ${error.message}`);
   }
 }
 
-// Task scheduler
-function setupCronJobs() {
-  // Schedule from config or default
-  const postGenerationSchedule = process.env.POST_GENERATION_CRON || '0 8 * * *'; // Default at 8:00 AM every day
-  
-  // Create post generation task
-  const postGenerationJob = new cron.CronJob(
-    postGenerationSchedule,
-    generateDailyPost,
-    null, // onComplete
-    true, // start
-    'Europe/Moscow' // timezone (replace with yours)
-  );
-  
-  logger.info(`Post generation job scheduled: ${postGenerationSchedule}`);
-  
-  // Start job
-  postGenerationJob.start();
-}
-
 // Application startup function
 async function startApp() {
   try {
+    // Refuse to run against an out-of-date schema (apply migrations with "node cli.js db migrate")
+    try {
+      const schema = await MigrationService.assertUpToDate();
+      if (schema.unknown.length > 0) {
+        logger.warn(`Database has migrations this version does not know: ${schema.unknown.join(', ')}`);
+      }
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+    
+    // Preview mode: render the next post locally and exit without scheduling anything
+    const previewArg = process.argv.find(arg => arg === '--preview' || arg.startsWith('--preview='));
+    if (previewArg) {
+      const previewType = previewArg.includes('=') ? previewArg.split('=')[1] : 'daily';
+      logger.info(`Preview requested (${previewType} post) - nothing will be published`);
+      const previewSuccess = await JourneyService.previewPost(previewType);
+      process.exit(previewSuccess ? 0 : 1);
+    }
+    
     logger.info('Starting Giovanni\'s Travel Blog generation service');
     
-    // Set up task scheduler
-    setupCronJobs();
+    // Report broken invariants (several current locations, orphaned rows, ...) without changing anything
+    await checkDatabase();
+    
+    // Schedule the daily post at the local time of the current location
+    await PostScheduleService.start({
+      generatePost: () => runExclusive('scheduled post', () => JourneyService.generateDailyPost())
+    });
+
+    // The new location may be in another timezone
+    JourneyService.on('locationChanged', () => {
+      PostScheduleService.reschedule().catch(error => logger.error(`Error rescheduling post generation: ${error.message}`));
+    });
+
+    // Settings changed with the CLI or the admin API apply without a restart
+    SettingsService.on('changed', (key, value) => {
+      logger.info(`Setting ${key} changed to ${JSON.stringify(value)}`);
+      if (key === 'daily_post_time') {
+        PostScheduleService.reschedule().catch(error => logger.error(`Error rescheduling post generation: ${error.message}`));
+      }
+    });
+    await SettingsService.watch();
+
+    // Start the admin API
+    await startAdminApi();
+    
+    // Backfill the days missed while the app was offline
+    await runExclusive('catch-up', catchUpMissedPosts);
     
     // Run manual post generation if requested
     if (process.argv.includes('--generate-post')) {
       logger.info('Manual post generation requested');
-      await generateDailyPost();
+      await runExclusive('manual post', () => JourneyService.generateDailyPost());
     }
     
     logger.info('Application started successfully');
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Giovanni's Travel Blog - Command line interface
+ *
+ * Usage: giovanni <command> [options] (run "giovanni --help" for the list)
+ *
+ * Commands that call external APIs load force_ipv4 themselves, so the output
+ * of local commands (status --json, settings get --json) stays clean.
+ */
+
+// Relative paths in .env (DB_PATH=./database/giovanni.db) are relative to the
+// project, so cron jobs and systemd units can run the CLI from any directory
+const invocationDir = process.cwd();
+process.chdir(__dirname);
+
+// Load environment variables
+require('dotenv').config();
+
+const cli = require('./src/cli');
+const { Database } = require('./src/db');
+
+cli.run(process.argv.slice(2), { cwd: invocationDir })
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    console.error('Unhandled error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => Database.close());
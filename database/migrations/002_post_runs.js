@@ -0,0 +1,43 @@
+/**
+ * Run ledger for resumable post runs
+ */
+
+module.exports = {
+  description: 'Post run ledger and checkpoints',
+
+  async up(db) {
+    await db.exec(`
+    -- Create post_runs table (ledger of post generation runs, used to resume failed runs)
+    CREATE TABLE IF NOT EXISTS post_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_type TEXT NOT NULL DEFAULT 'daily',
+      location_id INTEGER,
+      day_number INTEGER,
+      status TEXT NOT NULL DEFAULT 'running',
+      last_stage TEXT,
+      error_stage TEXT,
+      error_message TEXT,
+      attempts INTEGER DEFAULT 1,
+      post_id INTEGER,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id),
+      FOREIGN KEY (post_id) REFERENCES posts(id)
+    );
+
+    -- Create post_run_checkpoints table (result of every completed stage of a run)
+    CREATE TABLE IF NOT EXISTS post_run_checkpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      stage TEXT NOT NULL,
+      data TEXT,
+      completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES post_runs(id)
+    );
+
+    -- Create unique index for checkpoints (one record per run/stage)
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_post_run_checkpoints_stage ON post_run_checkpoints(run_id, stage);
+    `);
+  }
+};
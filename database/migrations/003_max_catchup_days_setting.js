@@ -0,0 +1,14 @@
+/**
+ * Setting for catch-up publishing of missed scheduled posts
+ */
+
+module.exports = {
+  description: 'max_catchup_days setting',
+
+  async up(db) {
+    await db.exec(`
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES ('max_catchup_days', '3', 'Maximum number of missed scheduled posts to backfill on startup (0 disables catch-up)');
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Lock table that allows one generation run at a time across processes
+ */
+
+module.exports = {
+  description: 'Run lock table',
+
+  async up(db) {
+    await db.exec(`
+    -- Create run_locks table (only one post/travel run at a time, across processes)
+    CREATE TABLE IF NOT EXISTS run_locks (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      holder TEXT,
+      pid INTEGER,
+      hostname TEXT,
+      acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    `);
+  }
+};
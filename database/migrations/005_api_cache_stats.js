@@ -0,0 +1,23 @@
+/**
+ * Hit/miss counters of the persistent API cache (api_cache)
+ */
+
+module.exports = {
+  description: 'API cache statistics',
+
+  async up(db) {
+    await db.exec(`
+    -- Create api_cache_stats table (one row per cached API)
+    CREATE TABLE IF NOT EXISTS api_cache_stats (
+      api_name TEXT PRIMARY KEY,
+      hits INTEGER NOT NULL DEFAULT 0,
+      misses INTEGER NOT NULL DEFAULT 0,
+      last_hit_at TIMESTAMP,
+      last_miss_at TIMESTAMP
+    );
+
+    -- Purging expired entries scans by expiry
+    CREATE INDEX IF NOT EXISTS idx_api_cache_expires ON api_cache(expires_at);
+    `);
+  }
+};
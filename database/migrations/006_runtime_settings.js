@@ -0,0 +1,31 @@
+/**
+ * Settings for the knobs that used to be environment variables or hard-coded,
+ * read by SettingsService (an empty value falls back to the environment)
+ */
+
+module.exports = {
+  description: 'Runtime settings',
+
+  async up(db) {
+    await db.exec(`
+    -- New settings start empty, so the environment and defaults keep applying
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES
+    ('min_days_per_location', '', 'Minimum days in a city before moving when no attractions are left (empty: MIN_DAYS_PER_LOCATION or 7)'),
+    ('planned_stay_min_days', '', 'Shortest planned stay in a new city in days (empty: 10)'),
+    ('planned_stay_max_days', '', 'Longest planned stay in a new city in days (empty: 14)'),
+    ('accommodation_max_price', '', 'Maximum accommodation price per night (empty: ACCOMMODATION_MAX_PRICE or 100)');
+
+    -- The seeded values below were never read; clear them unless they were changed,
+    -- so existing installations keep their environment configuration
+    UPDATE settings SET value = '', description = 'Daily post time HH:MM or a cron expression, in the local timezone (empty: POST_GENERATION_CRON or 08:00)'
+    WHERE key = 'daily_post_time' AND value = '09:00';
+    UPDATE settings SET value = '', description = 'Maximum days in a city before moving (empty: MAX_DAYS_PER_LOCATION or 21)'
+    WHERE key = 'posts_per_location' AND value = '14';
+    UPDATE settings SET value = '', description = 'Blog title used in notifications (empty: BLOG_TITLE)'
+    WHERE key = 'blog_title' AND value = 'Giovanni''s European Odyssey';
+    UPDATE settings SET value = '', description = 'Blog description (empty: BLOG_DESCRIPTION)'
+    WHERE key = 'blog_description' AND value = 'Journey through small towns of Eastern and Southern Europe';
+    `);
+  }
+};
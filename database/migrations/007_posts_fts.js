@@ -0,0 +1,43 @@
+/**
+ * Full-text search index over the title, excerpt and text of posts
+ *
+ * The index holds plain text (markup and block comments stripped in code), so
+ * the app indexes posts when it saves them. The triggers drop the index entry
+ * of a deleted or edited post; edited posts are indexed again before the next
+ * search.
+ */
+
+const HtmlText = require('../../src/utils/HtmlText');
+
+module.exports = {
+  description: 'Full-text search over posts',
+
+  async up(db) {
+    await db.exec(`
+    -- Create posts_fts table (rowid = posts.id; diacritics are ignored, so "cevapi" finds "ćevapi")
+    CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+      title,
+      excerpt,
+      content,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+      DELETE FROM posts_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, excerpt, content ON posts BEGIN
+      DELETE FROM posts_fts WHERE rowid = old.id;
+    END;
+    `);
+
+    // Index the existing posts
+    const posts = await db.all('SELECT id, title, excerpt, content FROM posts');
+    for (const post of posts) {
+      await db.run(
+        'INSERT INTO posts_fts (rowid, title, excerpt, content) VALUES (?, ?, ?, ?)',
+        [post.id, post.title, HtmlText.toPlainText(post.excerpt), HtmlText.toPlainText(post.content)]
+      );
+    }
+  }
+};
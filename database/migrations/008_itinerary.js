@@ -0,0 +1,34 @@
+/**
+ * Rolling itinerary: the next cities of the journey, planned ahead
+ */
+
+module.exports = {
+  description: 'Itinerary',
+
+  async up(db) {
+    await db.exec(`
+    -- Create itinerary table (planned cities; order_in_journey is the position they will get in locations)
+    CREATE TABLE IF NOT EXISTS itinerary (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_in_journey INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      country TEXT NOT NULL,
+      region TEXT,
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      timezone TEXT,
+      currency TEXT,
+      language TEXT,
+      description TEXT,
+      planned_duration INTEGER,
+      distance_km INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_itinerary_order ON itinerary(order_in_journey);
+
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES ('itinerary_length', '', 'Number of cities planned ahead (empty: ITINERARY_LENGTH or 3)');
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Settings of the route constraints applied when choosing the next city
+ */
+
+module.exports = {
+  description: 'Route constraint settings',
+
+  async up(db) {
+    await db.exec(`
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES
+    ('route_max_leg_km', '', 'Longest journey between two cities in km (empty: ROUTE_MAX_LEG_KM or 600)'),
+    ('route_country_revisit_days', '', 'Days before Giovanni may return to a country he left (empty: ROUTE_COUNTRY_REVISIT_DAYS or 90)'),
+    ('route_max_cities_per_country', '', 'Most cities visited in one country (empty: ROUTE_MAX_CITIES_PER_COUNTRY or 3)'),
+    ('route_direction', '', 'Preferred direction of the journey, e.g. south or northeast (empty: ROUTE_DIRECTION or none)'),
+    ('route_excluded_countries', '', 'Comma-separated countries Giovanni never travels to (empty: ROUTE_EXCLUDED_COUNTRIES)');
+    `);
+  }
+};
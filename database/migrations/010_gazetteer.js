@@ -0,0 +1,38 @@
+/**
+ * Offline gazetteer of European towns (GeoNames), used to check the cities
+ * the travel planner generates, filled from the bundled
+ * database/gazetteer/cities_europe.tsv.gz
+ */
+
+const GazetteerFile = require('../../src/utils/GazetteerFile');
+
+module.exports = {
+  description: 'Offline gazetteer',
+
+  async up(db) {
+    await db.exec(`
+    -- Create gazetteer_cities table (id = GeoNames geonameid)
+    CREATE TABLE IF NOT EXISTS gazetteer_cities (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      feature_code TEXT,
+      country_code TEXT NOT NULL,
+      admin1_code TEXT,
+      population INTEGER DEFAULT 0
+    );
+
+    -- Create gazetteer_names table (lookup keys of the names and alternate names of a city)
+    CREATE TABLE IF NOT EXISTS gazetteer_names (
+      name_key TEXT NOT NULL,
+      city_id INTEGER NOT NULL REFERENCES gazetteer_cities(id),
+      PRIMARY KEY (name_key, city_id)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX IF NOT EXISTS idx_gazetteer_cities_country ON gazetteer_cities(country_code);
+    `);
+
+    await GazetteerFile.insertCities(db, await GazetteerFile.read(GazetteerFile.bundledPath));
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Seasonal profile of each city and why the season of the stay suits it,
+ * for the travel post
+ */
+
+module.exports = {
+  description: 'Seasonal profiles of cities',
+
+  async up(db) {
+    await db.exec(`
+    -- coastal, mountain, spa, wine, festival or historic; the rationale is written by SeasonService
+    ALTER TABLE locations ADD COLUMN season_profile TEXT;
+    ALTER TABLE locations ADD COLUMN season_note TEXT;
+
+    ALTER TABLE itinerary ADD COLUMN season_profile TEXT;
+    ALTER TABLE itinerary ADD COLUMN season_note TEXT;
+    `);
+  }
+};
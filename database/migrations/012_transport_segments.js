@@ -0,0 +1,23 @@
+/**
+ * Journeys in segments (e.g. bus to the port, ferry, bus into town), and the
+ * transport hubs of each city they are routed through
+ */
+
+module.exports = {
+  description: 'Transport segments and hubs',
+
+  async up(db) {
+    await db.exec(`
+    -- Position of the segment in the journey between two locations, and the places it runs between
+    ALTER TABLE transportation ADD COLUMN segment INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE transportation ADD COLUMN from_name TEXT;
+    ALTER TABLE transportation ADD COLUMN to_name TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_transportation_journey ON transportation(from_location_id, to_location_id, segment);
+
+    -- JSON array of nearby transport hubs (airports, ports, stations)
+    ALTER TABLE locations ADD COLUMN transport_hubs TEXT;
+    ALTER TABLE itinerary ADD COLUMN transport_hubs TEXT;
+    `);
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Budget ledger: every expense of the journey (transport, nights, meals,
+ * entrance fees) in the local currency and in euros
+ */
+
+module.exports = {
+  description: 'Budget ledger',
+
+  async up(db) {
+    await db.exec(`
+    -- Create expenses table (amount in the local currency, amount_eur in euros)
+    CREATE TABLE IF NOT EXISTS expenses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER,
+      post_id INTEGER,
+      transportation_id INTEGER,
+      place_id INTEGER,
+      category TEXT NOT NULL CHECK (category IN ('transport', 'accommodation', 'meal', 'entrance')),
+      description TEXT,
+      spent_on DATE NOT NULL,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL,
+      amount_eur REAL NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id),
+      FOREIGN KEY (post_id) REFERENCES posts(id),
+      FOREIGN KEY (transportation_id) REFERENCES transportation(id),
+      FOREIGN KEY (place_id) REFERENCES points_of_interest(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_expenses_location ON expenses(location_id, spent_on);
+    CREATE INDEX IF NOT EXISTS idx_expenses_post ON expenses(post_id);
+
+    -- Money spent up to a post, like total_days and total_distance
+    ALTER TABLE posts ADD COLUMN total_spent_eur REAL;
+
+    -- Transport prices have always been estimated in euros, whatever the currency said
+    UPDATE transportation SET currency = 'EUR' WHERE price IS NOT NULL;
+
+    -- Journeys made before the ledger (days posted before it are not in it)
+    INSERT INTO expenses (location_id, transportation_id, category, description, spent_on, amount, currency, amount_eur)
+    SELECT from_location_id, id, 'transport',
+           type || ' from ' || COALESCE(from_name, (SELECT name FROM locations WHERE id = from_location_id))
+             || ' to ' || COALESCE(to_name, (SELECT name FROM locations WHERE id = to_location_id)),
+           date(COALESCE(departure_time, created_at)), price, 'EUR', price
+    FROM transportation
+    WHERE price IS NOT NULL;
+    `);
+  }
+};
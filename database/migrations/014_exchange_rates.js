@@ -0,0 +1,26 @@
+/**
+ * Exchange rates of the currencies Giovanni pays in (units per euro, by
+ * date), filled from the bundled database/rates/eur_rates.csv
+ */
+
+const path = require('path');
+const RatesFile = require('../../src/utils/RatesFile');
+
+module.exports = {
+  description: 'Exchange rates',
+
+  async up(db) {
+    await db.exec(`
+    -- Create exchange_rates table (rate = units of the currency per euro on rate_date)
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      currency TEXT NOT NULL,
+      rate_date DATE NOT NULL,
+      rate REAL NOT NULL,
+      source TEXT,
+      PRIMARY KEY (currency, rate_date)
+    ) WITHOUT ROWID;
+    `);
+
+    await RatesFile.insertRates(db, await RatesFile.read(RatesFile.bundledPath), path.basename(RatesFile.bundledPath));
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Pinned destinations: cities chosen by hand (a sponsored stay, a reader
+ * request) that are visited before the planned ones
+ */
+
+module.exports = {
+  description: 'Pinned destinations',
+
+  async up(db) {
+    await db.exec(`
+    -- 1 for a city pinned with "giovanni itinerary pin"; kept first, in the order pinned, until it is visited
+    ALTER TABLE itinerary ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+    `);
+  }
+};
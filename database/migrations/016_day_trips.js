@@ -0,0 +1,40 @@
+/**
+ * Day trips: the nearby towns Giovanni visits from the city he stays in,
+ * with their places and the way there and back
+ */
+
+module.exports = {
+  description: 'Day trips',
+
+  async up(db) {
+    await db.exec(`
+    -- Create day_trips table (location_id is the city stayed in; trip_date and day_number are set
+    -- when the post about the trip is saved)
+    CREATE TABLE IF NOT EXISTS day_trips (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      country TEXT NOT NULL,
+      lat REAL NOT NULL,
+      lng REAL NOT NULL,
+      distance_km INTEGER,
+      population INTEGER,
+      trip_date DATE,
+      day_number INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_day_trips_location ON day_trips(location_id);
+
+    -- Places of a day trip town, and the way there and back (location_id stays the city stayed in)
+    ALTER TABLE points_of_interest ADD COLUMN day_trip_id INTEGER REFERENCES day_trips(id);
+    ALTER TABLE transportation ADD COLUMN day_trip_id INTEGER REFERENCES day_trips(id);
+
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES
+    ('day_trip_chance', '', 'Chance in percent that a day of a stay is a day trip to a nearby town (empty: DAY_TRIP_CHANCE or 15; 0 turns day trips off)'),
+    ('day_trip_radius_km', '', 'Farthest town of a day trip in km (empty: DAY_TRIP_RADIUS_KM or 60)');
+    `);
+  }
+};
@@ -23,21 +23,22 @@ case "$1" in
         pm2 logs giovanni-blog
         ;;
     post)
-        node test.js
         echo "Creating new post..."
+        node cli.js post
         ;;
     move)
-        node move_to_next_location.js
         echo "Moving to a new location..."
+        node cli.js move
         ;;
     backup)
         ./backup.sh
-        echo "Backup created"
         ;;
     *)
         echo "Usage: $0 {start|stop|restart|status|logs|post|move|backup}"
+        echo "More commands: node cli.js --help"
         exit 1
         ;;
 esac
 
-exit 0
+# Pass on the exit code of the last command (e.g. 75 when another run is busy)
+exit $?
@@ -1,165 +1,145 @@
 /**
  * Giovanni's Travel Blog - Move to Next Location Script (v2.0.0)
  * 
- * This script moves Giovanni to the next location in his journey,
- * using OpenAI to dynamically select the next city.
+ * This script moves Giovanni to the next location in his journey:
+ * the next city of the itinerary (pinned by hand, or planned ahead with OpenAI).
  * It also creates a travel post about the journey.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
-const path = require('path');
 const TravelPlannerService = require('./src/services/TravelPlannerService');
-const AccommodationFinderService = require('./src/services/AccommodationFinderService');
+const RunLockService = require('./src/services/RunLockService');
+const NotificationService = require('./src/services/NotificationService');
+const ItineraryService = require('./src/services/ItineraryService');
+const SeasonService = require('./src/services/SeasonService');
+const TransportService = require('./src/services/TransportService');
+const BudgetService = require('./src/services/BudgetService');
+const { Database, locations, transportation, itinerary } = require('./src/db');
 require('dotenv').config();
 
-async function moveToNextLocation() {
+/**
+ * Move Giovanni to the next location
+ * Holds the run lock, so it never overlaps with a post or another move.
+ * @param {Object} options - { departureDate: backdate the journey (used when catching up missed days),
+ *                            destination: { name, country } to go to instead of the itinerary,
+ *                            days: planned stay instead of the one of the itinerary }
+ * @returns {Promise<boolean>} Whether the move succeeded
+ */
+async function moveToNextLocation(options = {}) {
+  return RunLockService.runLocked('move to next location', () => relocate(options));
+}
+
+// Select the next city and save the move (called with the run lock held)
+async function relocate(options) {
   console.log('Starting the process to move Giovanni to the next location...');
-  
-  // Connect to the database
-  const db = await open({
-    filename: process.env.DB_PATH || path.join(__dirname, 'database', 'giovanni.db'),
-    driver: sqlite3.Database
-  });
+  let currentLocation = null;
   
   try {
     // Get current location
-    const currentLocation = await db.get('SELECT * FROM locations WHERE is_current = 1');
+    currentLocation = await locations.getCurrent();
     if (!currentLocation) {
       throw new Error('No current location found. Check the database.');
     }
     
     console.log(`Current location: ${currentLocation.name}, ${currentLocation.country} (Day ${currentLocation.current_day}/${currentLocation.planned_duration})`);
     
-    // Generate new city with OpenAI
-    console.log(`Generating new destination with OpenAI...`);
-    const nextCity = await TravelPlannerService.selectNextCity(currentLocation.country);
-    
-    console.log(`Selected next destination: ${nextCity.name}, ${nextCity.country}`);
+    // Departure now, or on the backdated day
+    const departureDate = options.departureDate ? new Date(options.departureDate) : new Date();
     
-    // Calculate approximate travel time
-    const distanceKm = await calculateDistance(
-      {lat: currentLocation.lat, lng: currentLocation.lng},
-      {lat: nextCity.lat, lng: nextCity.lng}
-    );
+    // Use the requested destination, or the next city of the itinerary (generated with OpenAI)
+    let nextCity;
+    let plannedStop = null;
+    let plannedDuration = null;
+    if (options.destination) {
+      console.log(`Looking up requested destination: ${options.destination.name}, ${options.destination.country}`);
+      nextCity = await ItineraryService.resolveDestination(options.destination);
+      const isNextCity = city => city.name.toLowerCase() === nextCity.name.toLowerCase() && city.country === nextCity.country;
+      const visited = await locations.listVisited();
+      if (visited.some(isNextCity)) {
+        throw new Error(`${nextCity.name}, ${nextCity.country} was visited already`);
+      }
+      // A planned or pinned stop of the city is done with this move
+      plannedStop = (await itinerary.list()).find(isNextCity) || null;
+    } else {
+      plannedStop = await ItineraryService.getNextStop();
+      if (plannedStop) {
+        console.log(plannedStop.pinned ? 'Taking the next pinned city...' : 'Taking the next city of the itinerary...');
+        nextCity = plannedStop;
+      } else {
+        console.log(`Generating new destination with OpenAI...`);
+        plannedDuration = options.days || await ItineraryService.pickStayDuration();
+        nextCity = await TravelPlannerService.selectNextCity(currentLocation.country, {
+          from: currentLocation,
+          stay: SeasonService.getStayWindow(departureDate, plannedDuration)
+        });
+      }
+    }
     
-    // Determine transport type (train, bus, etc.)
-    const transportType = determineTransportType(distanceKm);
-    const durationMinutes = estimateTravelTime(distanceKm, transportType);
+    console.log(`Selected next destination: ${nextCity.name}, ${nextCity.country}`);
     
-    // Calculate arrival date based on current date
-    const departureDate = new Date();
-    const arrivalDate = new Date(departureDate);
-    arrivalDate.setMinutes(arrivalDate.getMinutes() + durationMinutes);
+    // Plan the journey (bus, train, shared car, ferry or plane, changing at ports and transport hubs)
+    const journey = TransportService.schedule(await TransportService.planJourney(currentLocation, nextCity), departureDate);
+    const arrivalDate = journey.arrival;
+    journey.segments.forEach(segment => {
+      console.log(`   ${segment.type} from ${segment.from.name} to ${segment.to.name} (${segment.distanceKm} km, ${segment.durationMinutes} min)`);
+    });
     
-    // Set planned duration of stay (10-14 days)
-    const plannedDuration = 10 + Math.floor(Math.random() * 5);
+    // Set planned duration of stay (--days, or planned_stay_min_days to planned_stay_max_days, 10-14 by default)
+    plannedDuration = options.days || plannedDuration || (plannedStop && plannedStop.planned_duration) || await ItineraryService.pickStayDuration();
     
     // Calculate order in journey
     const orderInJourney = currentLocation.order_in_journey + 1;
     
-    // Save new city to the database
-    const result = await db.run(`
-      INSERT INTO locations (
-        name, country, region, lat, lng, timezone, currency, language,
-        planned_arrival, planned_duration, order_in_journey
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      nextCity.name,
-      nextCity.country,
-      nextCity.region || '',
-      nextCity.lat,
-      nextCity.lng,
-      nextCity.timezone,
-      nextCity.currency,
-      nextCity.language,
-      arrivalDate.toISOString().split('T')[0],
-      plannedDuration,
-      orderInJourney
-    ]);
-    
-    const newLocationId = result.lastID;
-    
-    // Save transportation information
-    await db.run(`
-      INSERT INTO transportation (
-        from_location_id, to_location_id, type, departure_time, arrival_time,
-        duration_minutes, distance_km, price, currency
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      currentLocation.id,
-      newLocationId,
-      transportType,
-      departureDate.toISOString(),
-      arrivalDate.toISOString(),
-      durationMinutes,
-      Math.round(distanceKm),
-      estimatePrice(distanceKm, transportType),
-      nextCity.currency
-    ]);
-    
-    // Update location statuses
-    await db.run('UPDATE locations SET is_current = 0, is_visited = 1 WHERE id = ?', [currentLocation.id]);
-    await db.run('UPDATE locations SET is_current = 1, current_day = 1 WHERE id = ?', [newLocationId]);
+    // Save the new city, the journey and the switch of current city as one move
+    await Database.transaction(async () => {
+      const newLocationId = await locations.insert({
+        ...nextCity,
+        planned_arrival: arrivalDate.toISOString().split('T')[0],
+        planned_duration: plannedDuration,
+        order_in_journey: orderInJourney
+      });
+      
+      const rows = TransportService.toRows(journey, { from_location_id: currentLocation.id, to_location_id: newLocationId });
+      for (const row of rows) {
+        row.id = await transportation.insert(row);
+      }
+      await BudgetService.recordJourney(rows, currentLocation);
+      
+      await locations.switchCurrent(currentLocation.id, newLocationId);
+      if (plannedStop) await itinerary.delete(plannedStop.id);
+    });
     
     console.log(`Giovanni has successfully moved to ${nextCity.name}, ${nextCity.country}!`);
     console.log('You can now generate a new post for this location.');
     
+    // Plan the cities after this one (the move is done even if this fails)
+    try {
+      const stops = await ItineraryService.plan();
+      if (stops.length > 0) console.log(`Itinerary ahead: ${stops.map(stop => stop.name).join(' → ')}`);
+    } catch (error) {
+      console.warn(`Could not plan the itinerary ahead: ${error.message}`);
+    }
+    
+    await NotificationService.notify('location_changed', {
+      from: `${currentLocation.name}, ${currentLocation.country}`,
+      to: `${nextCity.name}, ${nextCity.country}`,
+      fromDays: currentLocation.current_day,
+      distanceKm: journey.distanceKm,
+      transport: journey.segments.map(segment => segment.type).join(', '),
+      departure: departureDate.toISOString(),
+      plannedDuration: plannedDuration
+    });
+    
     return true;
   } catch (error) {
     console.error(`Error moving to next location: ${error.message}`);
+    await NotificationService.notify('post_failed', {
+      postType: 'travel',
+      stage: 'move',
+      location: currentLocation ? `${currentLocation.name}, ${currentLocation.country}` : null,
+      day: currentLocation ? currentLocation.current_day : null,
+      error: error.message
+    });
     return false;
-  } finally {
-    await db.close();
-  }
-}
-
-// Helper functions
-async function calculateDistance(from, to) {
-  // Simple straight-line distance calculation (using Haversine formula)
-  const R = 6371; // Earth's radius in km
-  const dLat = (to.lat - from.lat) * Math.PI / 180;
-  const dLon = (to.lng - from.lng) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c;
-  
-  // Apply a factor of 1.3 to account for non-direct routes
-  return distance * 1.3;
-}
-
-function determineTransportType(distance) {
-  if (distance > 700) return 'airplane';
-  if (distance > 300) return 'train';
-  return 'bus';
-}
-
-function estimateTravelTime(distance, transportType) {
-  switch (transportType) {
-    case 'airplane':
-      return 60 + Math.ceil(distance / 700 * 60); // 1 hour + flight time
-    case 'train':
-      return Math.ceil(distance / 60 * 60); // Average speed 60 km/h
-    case 'bus':
-      return Math.ceil(distance / 50 * 60); // Average speed 50 km/h
-    default:
-      return Math.ceil(distance / 50 * 60);
-  }
-}
-
-function estimatePrice(distance, transportType) {
-  switch (transportType) {
-    case 'airplane':
-      return Math.round(50 + distance * 0.15); // Base price + per km rate
-    case 'train':
-      return Math.round(10 + distance * 0.1);
-    case 'bus':
-      return Math.round(5 + distance * 0.08);
-    default:
-      return Math.round(10 + distance * 0.1);
   }
 }
 
@@ -169,10 +149,13 @@ module.exports = { moveToNextLocation };
 // Run the function only if this file is executed directly
 if (require.main === module) {
   moveToNextLocation()
-    .then(() => {
+    .then(success => {
       console.log('Move to next location script completed.');
+      process.exitCode = success ? 0 : 1;
     })
     .catch(error => {
       console.error('Unhandled error:', error);
-    });
+      process.exitCode = 1;
+    })
+    .finally(() => Database.close());
 }
@@ -0,0 +1,36 @@
+/**
+ * giovanni backup
+ *
+ * Snapshot the database into the backup directory and delete the oldest
+ * backups beyond the retention limit.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+const { parsePositiveInt } = require('../helpers');
+
+module.exports = {
+  name: 'backup',
+  summary: 'Back up the database',
+  usage: 'giovanni backup [--dir <dir>] [--keep <n>]',
+  options: {
+    dir: { type: 'string', valueName: 'dir', description: 'Backup directory (default: BACKUP_DIR or ~/backups)' },
+    keep: { type: 'string', valueName: 'n', description: 'Number of backups to keep (default: BACKUP_KEEP or 10)' }
+  },
+
+  async run({ values, cwd }) {
+    const BackupService = require('../../services/BackupService');
+    const backupDir = values.dir ? path.resolve(cwd, values.dir) : BackupService.backupDir;
+    const keep = parsePositiveInt(values.keep, 'keep', BackupService.keep);
+
+    const backup = await BackupService.createBackup(backupDir);
+    console.log(`💾 Backup created: ${backup.path} (${(backup.size / 1024).toFixed(0)} KB)`);
+
+    const deleted = BackupService.pruneBackups(backupDir, keep);
+    if (deleted.length > 0) {
+      console.log(`🧹 Deleted ${deleted.length} old backup(s), keeping the ${keep} most recent`);
+    }
+
+    return exitCodes.SUCCESS;
+  }
+};
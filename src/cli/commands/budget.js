@@ -0,0 +1,113 @@
+/**
+ * giovanni budget
+ *
+ * Money spent on the journey (budget ledger) and the prices modelled for a
+ * country.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError, parsePositiveInt } = require('../helpers');
+
+module.exports = {
+  name: 'budget',
+  summary: 'Show the money spent on the journey and the local prices',
+  usage: [
+    'giovanni budget summary [--country <country>] [--json]',
+    'giovanni budget list [--limit <n>] [--json]',
+    'giovanni budget prices [country...] [--json]'
+  ],
+  subcommands: [
+    { name: 'summary', summary: 'Show the totals by category and by country' },
+    { name: 'list', summary: 'List the latest expenses' },
+    { name: 'prices', summary: 'Show what a coffee, a meal, an entrance and a night cost in a country (default the current one)' }
+  ],
+  options: {
+    country: { type: 'string', description: 'Only the expenses in this country (summary)' },
+    limit: { type: 'string', valueName: 'n', description: 'Number of expenses (list, default 20)' },
+    json: { type: 'boolean', description: 'Print as JSON' }
+  },
+  examples: [
+    'giovanni budget summary',
+    'giovanni budget list --limit 50',
+    'giovanni budget prices Albania'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand, ...rest] = positionals;
+    if (!['summary', 'list', 'prices'].includes(subcommand)) {
+      throw usageError(subcommand ? `Unknown budget command "${subcommand}"` : 'Missing budget command');
+    }
+    if (subcommand !== 'prices' && rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+
+    const BudgetService = require('../../services/BudgetService');
+
+    if (subcommand === 'summary') {
+      const totals = await BudgetService.getTotals({ country: values.country });
+      const countries = values.country ? [] : await BudgetService.getTotalsByCountry();
+
+      if (values.json) {
+        console.log(JSON.stringify({ ...totals, countries }, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (totals.totalEur === 0) {
+        console.log(`💶 Nothing spent yet${values.country ? ` in ${values.country}` : ''}`);
+        return exitCodes.SUCCESS;
+      }
+      console.log(`💶 Spent${values.country ? ` in ${values.country}` : ''}: ${totals.totalEur} EUR` +
+        ` in ${totals.days} day(s), ${totals.perDayEur} EUR a day`);
+      Object.entries(totals.byCategory).forEach(([category, totalEur]) => {
+        console.log(`   ${category}: ${totalEur} EUR`);
+      });
+      countries.forEach(country => {
+        console.log(`   🌍 ${country.country}: ${BudgetService.formatAmount(country.total, country.currency, country.totalEur)}` +
+          `${country.nights > 0 ? `, ${country.nights} night(s)` : ''}`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'list') {
+      const expenses = await BudgetService.listExpenses({ limit: parsePositiveInt(values.limit, 'limit', 20) });
+
+      if (values.json) {
+        console.log(JSON.stringify(expenses, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (expenses.length === 0) {
+        console.log('💶 No expenses yet');
+        return exitCodes.SUCCESS;
+      }
+      expenses.forEach(expense => {
+        console.log(`${expense.spent_on}  ${expense.category.padEnd(13)} ${BudgetService.formatAmount(expense.amount, expense.currency, expense.amount_eur)}` +
+          ` - ${expense.description}${expense.location_name ? ` (${expense.location_name}, ${expense.location_country})` : ''}`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    // Prices of a country, in its currency
+    let location;
+    if (rest.length > 0) {
+      const CountryRegistry = require('../../utils/CountryRegistry');
+      const country = CountryRegistry.find(rest.join(' '));
+      if (!country) throw usageError(`Unknown country "${rest.join(' ')}"`);
+      location = { country: country.name, currency: country.currency };
+    } else {
+      const { locations } = require('../../db');
+      location = await locations.getCurrent();
+      if (!location) throw usageError('No current location; name a country');
+    }
+
+    const prices = await BudgetService.listPrices(location);
+    if (values.json) {
+      console.log(JSON.stringify(prices, null, 2));
+      return exitCodes.SUCCESS;
+    }
+
+    console.log(`💶 Prices in ${location.country} (cost of living ${BudgetService.getCostOfLiving(location.country)}, European average 100)`);
+    prices.forEach(item => {
+      console.log(`   ${item.name}: ${BudgetService.formatAmount(item.amount, item.currency, item.amount_eur)}`);
+    });
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * giovanni cache
+ *
+ * Statistics and purging of the persistent API response cache.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError } = require('../helpers');
+
+// Hit rate as a percentage ("-" before the first lookup)
+function formatHitRate(hitRate) {
+  return hitRate === null ? '-' : `${Math.round(hitRate * 100)}%`;
+}
+
+module.exports = {
+  name: 'cache',
+  summary: 'Show or purge the API response cache',
+  usage: [
+    'giovanni cache stats [--json]',
+    'giovanni cache purge [--api <name>] [--expired] [--reset-stats]'
+  ],
+  subcommands: [
+    { name: 'stats', summary: 'Show entries, TTL and hit rate of every cached API' },
+    { name: 'purge', summary: 'Delete cached responses (all APIs unless --api is given)' }
+  ],
+  options: {
+    json: { type: 'boolean', description: 'Print statistics as JSON (stats)' },
+    api: { type: 'string', valueName: 'name', description: 'Only purge this API, e.g. tripadvisor (purge)' },
+    expired: { type: 'boolean', description: 'Only purge expired entries (purge)' },
+    'reset-stats': { type: 'boolean', description: 'Also reset the hit/miss counters (purge)' }
+  },
+  examples: [
+    'giovanni cache stats',
+    'giovanni cache purge --expired',
+    'giovanni cache purge --api tripadvisor --reset-stats'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand, ...rest] = positionals;
+    if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+
+    const ApiCacheService = require('../../services/ApiCacheService');
+
+    if (subcommand === 'stats') {
+      const stats = await ApiCacheService.getStats();
+
+      if (values.json) {
+        console.log(JSON.stringify(stats, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      console.log('🗃️  API cache');
+      stats.forEach(stat => {
+        console.log(`   ${stat.api}: ${stat.entries} entries (${stat.expired} expired), TTL ${stat.ttlDays} days, ` +
+          `${stat.hits} hits / ${stat.misses} misses (hit rate ${formatHitRate(stat.hitRate)})`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'purge') {
+      const deleted = await ApiCacheService.purge({
+        api: values.api,
+        expiredOnly: values.expired,
+        resetStats: values['reset-stats']
+      });
+      const scope = values.api ? ` of ${values.api}` : '';
+      console.log(`🧹 Deleted ${deleted} ${values.expired ? 'expired ' : ''}cache entr${deleted === 1 ? 'y' : 'ies'}${scope}`);
+      if (values['reset-stats']) console.log(`   Hit/miss counters${scope} reset`);
+      return exitCodes.SUCCESS;
+    }
+
+    throw usageError(subcommand ? `Unknown cache command "${subcommand}"` : 'Missing cache command');
+  }
+};
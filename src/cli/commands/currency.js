@@ -0,0 +1,112 @@
+/**
+ * giovanni currency
+ *
+ * Inspect, use or refresh the exchange rates that prices in local currencies
+ * are converted to euros with.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+const { usageError, isBusy } = require('../helpers');
+
+// Parse the --date option (YYYY-MM-DD, default today)
+function parseDate(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+    throw usageError('--date must be a date like 2025-01-31');
+  }
+  return value;
+}
+
+module.exports = {
+  name: 'currency',
+  summary: 'Show the exchange rates, convert an amount or import newer rates',
+  usage: [
+    'giovanni currency rates [--date <YYYY-MM-DD>] [--json]',
+    'giovanni currency convert <amount> <currency> [to-currency] [--date <YYYY-MM-DD>]',
+    'giovanni currency import [file]'
+  ],
+  subcommands: [
+    { name: 'rates', summary: 'List the rate of every currency on a day (default today)' },
+    { name: 'convert', summary: 'Convert an amount to euros or to another currency' },
+    { name: 'import', summary: 'Add the rates of a file (the bundled one, or eurofxref-hist.csv of the ECB)' }
+  ],
+  options: {
+    date: { type: 'string', valueName: 'YYYY-MM-DD', description: 'Day of the rates (rates, convert; default today)' },
+    json: { type: 'boolean', description: 'Print the rates as JSON (rates)' }
+  },
+  examples: [
+    'giovanni currency rates --date 2025-06-01',
+    'giovanni currency convert 1500 RSD',
+    'giovanni currency import eurofxref-hist.csv'
+  ],
+
+  async run({ values, positionals, cwd }) {
+    const [subcommand, ...rest] = positionals;
+    if (!['rates', 'convert', 'import'].includes(subcommand)) {
+      throw usageError(subcommand ? `Unknown currency command "${subcommand}"` : 'Missing currency command');
+    }
+    const date = parseDate(values.date);
+
+    const CurrencyService = require('../../services/CurrencyService');
+
+    if (subcommand === 'rates') {
+      if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+      const rates = await CurrencyService.listRates(date);
+
+      if (values.json) {
+        console.log(JSON.stringify(rates, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (rates.length === 0) {
+        console.log('💱 No exchange rates (run "giovanni currency import")');
+        return exitCodes.SUCCESS;
+      }
+      console.log(`💱 Units per euro on ${CurrencyService.toDay(date)}:`);
+      rates.forEach(rate => {
+        console.log(`   ${rate.currency}  ${String(rate.rate).padEnd(10)} (rate of ${rate.rate_date}, ${rate.source})`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'convert') {
+      if (rest.length < 2) throw usageError('Missing amount or currency');
+      if (rest.length > 3) throw usageError(`Unexpected argument "${rest[3]}"`);
+      const amount = Number(rest[0]);
+      if (!Number.isFinite(amount)) throw usageError(`Invalid amount "${rest[0]}"`);
+      const [from, to = 'EUR'] = rest.slice(1).map(code => code.toUpperCase());
+
+      let converted;
+      try {
+        converted = await CurrencyService.convert(amount, from, to, date);
+      } catch (error) {
+        if (error.code !== 'UNKNOWN_CURRENCY') throw error;
+        console.error(`❌ ${error.message}`);
+        return exitCodes.FAILURE;
+      }
+
+      console.log(`💱 ${amount} ${from} = ${converted} ${to} (${CurrencyService.toDay(date)})`);
+      return exitCodes.SUCCESS;
+    }
+
+    if (rest.length > 1) throw usageError(`Unexpected argument "${rest[1]}"`);
+
+    // Posts convert their prices with the rates, so not while a run is in progress
+    if (await isBusy()) return exitCodes.BUSY;
+
+    const file = rest[0] ? path.resolve(cwd, rest[0]) : undefined;
+    let count;
+    try {
+      count = await CurrencyService.importFile(file);
+    } catch (error) {
+      if (error.code !== 'INVALID_RATES' && error.code !== 'ENOENT') throw error;
+      console.error(`❌ ${error.code === 'ENOENT' ? `File not found: ${file}` : error.message}`);
+      return exitCodes.FAILURE;
+    }
+
+    const size = await CurrencyService.getSize();
+    console.log(`💱 Exchange rates loaded: ${count} rates (${size.currencies} currencies from ${size.first_date} to ${size.last_date})`);
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * giovanni db
+ *
+ * Database schema migrations.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError } = require('../helpers');
+
+module.exports = {
+  name: 'db',
+  summary: 'Show or upgrade the database schema',
+  usage: [
+    'giovanni db status',
+    'giovanni db migrate [--skip-backup]'
+  ],
+  subcommands: [
+    { name: 'status', summary: 'Show applied and pending migrations (exits with 1 if some are pending)' },
+    { name: 'migrate', summary: 'Back up the database and apply the pending migrations' }
+  ],
+  options: {
+    'skip-backup': { type: 'boolean', description: 'Do not back up the database before migrating (migrate)' }
+  },
+
+  async run({ values, positionals }) {
+    const [subcommand, ...rest] = positionals;
+    if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+
+    const MigrationService = require('../../services/MigrationService');
+
+    if (subcommand === 'status') {
+      const status = await MigrationService.getStatus();
+      console.log(`🗄️  Schema version ${status.currentVersion} (latest ${status.latestVersion})`);
+      status.pending.forEach(migration => console.log(`   pending: ${migration.file}`));
+      status.unknown.forEach(version => console.log(`   ⚠️  applied version ${version} has no migration file (database newer than the code?)`));
+      return status.pending.length === 0 ? exitCodes.SUCCESS : exitCodes.FAILURE;
+    }
+
+    if (subcommand === 'migrate') {
+      const { applied } = await MigrationService.migrate({ backup: !values['skip-backup'] });
+      console.log(applied.length > 0
+        ? `🎉 ${applied.length} migration(s) applied`
+        : '✅ Database schema is up to date');
+      return exitCodes.SUCCESS;
+    }
+
+    throw usageError(subcommand ? `Unknown db command "${subcommand}"` : 'Missing db command');
+  }
+};
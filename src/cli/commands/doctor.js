@@ -0,0 +1,63 @@
+/**
+ * giovanni doctor
+ *
+ * Check the journey data for broken invariants (several current locations,
+ * missing journeys, orphaned rows, missing image files) and optionally repair
+ * what can be repaired safely. Exits with FAILURE while issues remain.
+ */
+
+const exitCodes = require('../exitCodes');
+const { isBusy } = require('../helpers');
+
+module.exports = {
+  name: 'doctor',
+  summary: 'Check the database for inconsistencies and repair them',
+  usage: 'giovanni doctor [--fix [--skip-backup]] [--json]',
+  options: {
+    fix: { type: 'boolean', description: 'Repair the issues that have a safe fix (backs up the database first)' },
+    'skip-backup': { type: 'boolean', description: 'Do not back up the database before fixing' },
+    json: { type: 'boolean', description: 'Print the report as JSON' }
+  },
+  examples: [
+    'giovanni doctor',
+    'giovanni doctor --fix'
+  ],
+
+  async run({ values }) {
+    if (values.fix && await isBusy()) return exitCodes.BUSY;
+
+    const DoctorService = require('../../services/DoctorService');
+    const report = await DoctorService.run({ fix: values.fix, backup: !values['skip-backup'] });
+    if (report.busy) return exitCodes.BUSY;
+
+    if (values.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return report.remaining === 0 ? exitCodes.SUCCESS : exitCodes.FAILURE;
+    }
+
+    if (report.backupPath) {
+      console.log(`💾 Backup before fixing: ${report.backupPath}`);
+    }
+
+    console.log('🩺 Database check');
+    report.results.forEach(result => {
+      if (result.issues.length === 0) {
+        console.log(`   ✅ ${result.description}`);
+        return;
+      }
+
+      const status = result.fixed > 0
+        ? `${result.fixed} of ${result.issues.length} fixed`
+        : `${result.issues.length} issue(s)${result.fixable > 0 ? `, ${result.fixable} fixable with --fix` : ''}`;
+      console.log(`   ${result.fixed === result.issues.length ? '🔧' : '⚠️ '} ${result.description} (${result.name}: ${status})`);
+      result.issues.forEach(issue => console.log(`      - ${issue.message}`));
+    });
+
+    if (report.remaining === 0) {
+      console.log(report.issues > 0 ? `🎉 All ${report.issues} issue(s) fixed` : '🎉 No issues found');
+      return exitCodes.SUCCESS;
+    }
+    console.log(`❗ ${report.remaining} issue(s) remaining`);
+    return exitCodes.FAILURE;
+  }
+};
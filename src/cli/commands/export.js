@@ -0,0 +1,36 @@
+/**
+ * giovanni export
+ *
+ * Write the whole journey (tables and image files) to a versioned archive.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+
+module.exports = {
+  name: 'export',
+  summary: 'Export the journey to an archive',
+  usage: 'giovanni export [--output <file>]',
+  options: {
+    output: { type: 'string', short: 'o', valueName: 'file', description: 'Archive file (default: giovanni-journey-<date>.tar.gz)' }
+  },
+  examples: [
+    'giovanni export',
+    'giovanni export --output /mnt/usb/journey.tar.gz'
+  ],
+
+  async run({ values, cwd }) {
+    const JourneyArchiveService = require('../../services/JourneyArchiveService');
+    const archivePath = path.resolve(cwd, values.output || JourneyArchiveService.getDefaultFileName());
+
+    const { size, manifest } = await JourneyArchiveService.exportJourney(archivePath);
+    console.log(`📦 Journey exported: ${archivePath} (${(size / 1024).toFixed(0)} KB)`);
+    Object.entries(manifest.tables).forEach(([table, { rows }]) => console.log(`   ${table}: ${rows}`));
+    console.log(`   images: ${manifest.images.length}`);
+    if (manifest.missingImages.length > 0) {
+      console.log(`⚠️  ${manifest.missingImages.length} referenced image file(s) were missing and are not in the archive`);
+    }
+
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * giovanni gazetteer
+ *
+ * Inspect or reload the offline gazetteer that generated cities are checked
+ * against.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+const { usageError, isBusy } = require('../helpers');
+
+module.exports = {
+  name: 'gazetteer',
+  summary: 'Look up towns in the offline gazetteer or reload it',
+  usage: [
+    'giovanni gazetteer status',
+    'giovanni gazetteer lookup <name...> [--country <country>] [--json]',
+    'giovanni gazetteer import [file]'
+  ],
+  subcommands: [
+    { name: 'status', summary: 'Show how many towns the gazetteer holds' },
+    { name: 'lookup', summary: 'List the towns with a name (accents and case do not matter)' },
+    { name: 'import', summary: 'Replace the gazetteer with the bundled file or a GeoNames dump' }
+  ],
+  options: {
+    country: { type: 'string', description: 'Only towns of this country (lookup)' },
+    json: { type: 'boolean', description: 'Print the towns as JSON (lookup)' }
+  },
+  examples: [
+    'giovanni gazetteer lookup Kotor --country Montenegro',
+    'giovanni gazetteer import cities1000.txt'
+  ],
+
+  async run({ values, positionals, cwd }) {
+    const [subcommand, ...rest] = positionals;
+    if (!['status', 'lookup', 'import'].includes(subcommand)) {
+      throw usageError(subcommand ? `Unknown gazetteer command "${subcommand}"` : 'Missing gazetteer command');
+    }
+
+    const GazetteerService = require('../../services/GazetteerService');
+
+    if (subcommand === 'status') {
+      if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+      const size = await GazetteerService.getSize();
+      console.log(size.towns === 0
+        ? '🌍 The gazetteer is empty (run "giovanni gazetteer import")'
+        : `🌍 Gazetteer: ${size.towns} towns in ${size.countries} countries`);
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'lookup') {
+      if (rest.length === 0) throw usageError('Missing town name');
+      const towns = await GazetteerService.lookup(rest.join(' '), values.country);
+
+      if (values.json) {
+        console.log(JSON.stringify(towns, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (towns.length === 0) {
+        console.log(`No town "${rest.join(' ')}"${values.country ? ` in ${values.country}` : ''}`);
+        return exitCodes.SUCCESS;
+      }
+      towns.forEach(town => {
+        console.log(`🌍 ${town.name}, ${town.country} (${town.lat}, ${town.lng}, population ${town.population}${town.feature_code === 'PPLC' ? ', capital' : ''})`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (rest.length > 1) throw usageError(`Unexpected argument "${rest[1]}"`);
+
+    // Planning reads the gazetteer, so not while a run is in progress
+    if (await isBusy()) return exitCodes.BUSY;
+
+    const file = rest[0] ? path.resolve(cwd, rest[0]) : undefined;
+    let count;
+    try {
+      count = await GazetteerService.importFile(file);
+    } catch (error) {
+      if (error.code !== 'INVALID_GAZETTEER' && error.code !== 'ENOENT') throw error;
+      console.error(`❌ ${error.code === 'ENOENT' ? `File not found: ${file}` : error.message}`);
+      return exitCodes.FAILURE;
+    }
+
+    console.log(`🌍 Gazetteer loaded: ${count} towns`);
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * giovanni import
+ *
+ * Validate a journey archive and restore it into an empty database.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+const { usageError } = require('../helpers');
+
+module.exports = {
+  name: 'import',
+  summary: 'Import a journey archive into an empty database',
+  usage: 'giovanni import <archive> [--dry-run]',
+  positionals: true,
+  options: {
+    'dry-run': { type: 'boolean', description: 'Only validate the archive and the target database' }
+  },
+  examples: [
+    'DB_PATH=database/fork.db giovanni db migrate && DB_PATH=database/fork.db giovanni import journey.tar.gz'
+  ],
+
+  async run({ values, positionals, cwd }) {
+    const [archive, ...rest] = positionals;
+    if (!archive) throw usageError('Missing archive file');
+    if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+
+    const JourneyArchiveService = require('../../services/JourneyArchiveService');
+
+    let result;
+    try {
+      result = await JourneyArchiveService.importJourney(path.resolve(cwd, archive), { dryRun: values['dry-run'] });
+    } catch (error) {
+      if (error.code !== 'INVALID_ARCHIVE') throw error;
+      console.error(`❌ ${error.message}`);
+      return exitCodes.FAILURE;
+    }
+
+    const { manifest, imported, images, warnings } = result;
+    console.log(values['dry-run']
+      ? `✅ Archive is valid (exported ${manifest.createdAt}, schema version ${manifest.schemaVersion}) and the database is empty`
+      : `🎉 Journey imported (exported ${manifest.createdAt})`);
+    Object.entries(imported).forEach(([table, rows]) => console.log(`   ${table}: ${rows}`));
+    console.log(`   images: ${values['dry-run'] ? manifest.images.length : images}`);
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    return exitCodes.SUCCESS;
+  }
+};
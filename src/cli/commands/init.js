@@ -0,0 +1,21 @@
+/**
+ * giovanni init
+ *
+ * Start the journey by selecting the first location (does nothing if the
+ * journey has already started).
+ */
+
+const { toExitCode } = require('../helpers');
+
+module.exports = {
+  name: 'init',
+  summary: 'Start the journey in its first location',
+  usage: 'giovanni init',
+  options: {},
+
+  async run() {
+    require('../../../force_ipv4');
+    const { initializeDynamicJourney } = require('../../utils/initJourneyDynamic');
+    return toExitCode(await initializeDynamicJourney());
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * giovanni itinerary
+ *
+ * Show or re-plan the cities planned ahead of Giovanni (the next move goes
+ * to the first one), or pin the cities he must visit first.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError, parsePositiveInt, parseDestination, isBusy } = require('../helpers');
+
+module.exports = {
+  name: 'itinerary',
+  summary: 'Show, re-plan or pin the next cities of the journey',
+  usage: [
+    'giovanni itinerary show [--json]',
+    'giovanni itinerary plan [--replan]',
+    'giovanni itinerary clear',
+    'giovanni itinerary pin "City, Country" [--days <n>]',
+    'giovanni itinerary unpin "City, Country"'
+  ],
+  subcommands: [
+    { name: 'show', summary: 'List the planned cities in route order' },
+    { name: 'plan', summary: 'Plan cities until itinerary_length are planned' },
+    { name: 'clear', summary: 'Discard the planned cities (the pinned ones are kept)' },
+    { name: 'pin', summary: 'Visit a city next, after the cities pinned before it' },
+    { name: 'unpin', summary: 'Remove a pinned city' }
+  ],
+  options: {
+    json: { type: 'boolean', description: 'Print the itinerary as JSON (show)' },
+    replan: { type: 'boolean', description: 'Discard the planned cities and plan a new route (plan)' },
+    days: { type: 'string', valueName: 'n', description: 'Stay in the pinned city (pin, default a random stay)' }
+  },
+  examples: [
+    'giovanni itinerary show',
+    'giovanni itinerary plan --replan',
+    'giovanni itinerary pin "Kotor, Montenegro" --days 9'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand, ...rest] = positionals;
+    if (!['show', 'plan', 'clear', 'pin', 'unpin'].includes(subcommand)) {
+      throw usageError(subcommand ? `Unknown itinerary command "${subcommand}"` : 'Missing itinerary command');
+    }
+
+    // pin and unpin take the city, the others nothing
+    const takesCity = subcommand === 'pin' || subcommand === 'unpin';
+    if (takesCity && rest.length === 0) throw usageError('Missing city ("City, Country")');
+    if (rest.length > (takesCity ? 1 : 0)) throw usageError(`Unexpected argument "${rest[takesCity ? 1 : 0]}"`);
+    const destination = takesCity ? parseDestination(rest[0], 'The city') : undefined;
+    const days = parsePositiveInt(values.days, 'days');
+
+    const ItineraryService = require('../../services/ItineraryService');
+    const RunLockService = require('../../services/RunLockService');
+
+    if (subcommand === 'show') {
+      const stops = await ItineraryService.getItinerary();
+
+      if (values.json) {
+        console.log(JSON.stringify(stops, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (stops.length === 0) {
+        console.log('🗺️  Nothing planned ahead (the next move plans the route)');
+        return exitCodes.SUCCESS;
+      }
+
+      console.log('🗺️  Itinerary');
+      stops.forEach(stop => {
+        console.log(`   ${stop.order_in_journey}. ${stop.pinned ? '📌 ' : ''}${stop.name}, ${stop.country} (${stop.planned_duration} days, ${stop.distance_km} km from the stop before)`);
+        if (stop.season_note) console.log(`      ${stop.season_note}`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    // Planning, clearing and pinning change what the next move does, so not while one runs
+    if (await isBusy()) return exitCodes.BUSY;
+
+    if (subcommand === 'clear') {
+      await ItineraryService.clear();
+      const pinned = await ItineraryService.getItinerary();
+      console.log(`🧹 Itinerary cleared${pinned.length > 0 ? ` (${pinned.length} pinned kept; remove them with "giovanni itinerary unpin")` : ''}`);
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'unpin') {
+      const stop = await ItineraryService.unpin(destination);
+      if (!stop) {
+        console.error(`❌ ${destination.name}, ${destination.country} is not pinned`);
+        return exitCodes.FAILURE;
+      }
+      console.log(`📌 Unpinned ${stop.name}, ${stop.country}`);
+      return exitCodes.SUCCESS;
+    }
+
+    require('../../../force_ipv4');
+
+    if (subcommand === 'pin') {
+      let stop;
+      try {
+        stop = await RunLockService.runLocked('pin destination', () => ItineraryService.pin(destination, { days }));
+      } catch (error) {
+        if (!['CITY_NOT_FOUND', 'ALREADY_VISITED', 'ALREADY_PINNED'].includes(error.code)) throw error;
+        console.error(`❌ ${error.message}`);
+        return exitCodes.FAILURE;
+      }
+      if (stop === false) return exitCodes.BUSY;
+
+      console.log(`📌 Pinned ${stop.name}, ${stop.country} for ${stop.planned_duration} days (stop ${stop.order_in_journey})`);
+      return exitCodes.SUCCESS;
+    }
+
+    const stops = await RunLockService.runLocked('plan itinerary', () => ItineraryService.plan({ replan: values.replan }));
+    if (stops === false) return exitCodes.BUSY;
+
+    console.log(`🗺️  ${stops.length} cit${stops.length === 1 ? 'y' : 'ies'} planned ahead`);
+    stops.forEach(stop => console.log(`   ${stop.order_in_journey}. ${stop.pinned ? '📌 ' : ''}${stop.name}, ${stop.country} (${stop.distance_km} km)`));
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * giovanni logs
+ *
+ * View, search and clean the OpenAI/Freepik prompt logs.
+ */
+
+const { usageError, parsePositiveInt, toExitCode } = require('../helpers');
+
+const subcommands = [
+  { name: 'recent', summary: 'Show the most recent prompts (default)' },
+  { name: 'stats', summary: 'Show prompt statistics' },
+  { name: 'search <term>', summary: 'Search prompts by text or location' },
+  { name: 'clean', summary: 'Delete log entries older than --days' }
+];
+
+module.exports = {
+  name: 'logs',
+  summary: 'View, search and clean the prompt logs',
+  usage: 'giovanni logs [recent|stats|search <term>|clean] [options]',
+  subcommands,
+  options: {
+    limit: { type: 'string', valueName: 'n', description: 'Number of prompts to show (recent, search; default 20)' },
+    service: { type: 'string', valueName: 'name', description: 'Only prompts of this service, e.g. openai or freepik (recent)' },
+    days: { type: 'string', valueName: 'n', description: 'Days to include (stats; default 7) or to keep (clean; default 30)' }
+  },
+  examples: [
+    'giovanni logs recent --limit 10 --service openai',
+    'giovanni logs stats --days 14',
+    'giovanni logs search Belgrade',
+    'giovanni logs clean --days 7'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand = 'recent', ...rest] = positionals;
+    const limit = parsePositiveInt(values.limit, 'limit', 20);
+    const {
+      showRecentPrompts,
+      showPromptStats,
+      searchPrompts,
+      cleanPromptLogs
+    } = require('../../../view_prompt_logs');
+
+    switch (subcommand) {
+      case 'recent':
+        return toExitCode(showRecentPrompts(limit, values.service || null));
+      case 'stats':
+        return toExitCode(showPromptStats(parsePositiveInt(values.days, 'days', 7)));
+      case 'search':
+        if (rest.length === 0) throw usageError('search needs a search term');
+        return toExitCode(searchPrompts(rest.join(' '), limit));
+      case 'clean':
+        return toExitCode(cleanPromptLogs(parsePositiveInt(values.days, 'days', 30)));
+      default:
+        throw usageError(`Unknown logs command "${subcommand}"`);
+    }
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * giovanni move
+ *
+ * Move Giovanni to the next location, chosen by the travel planner or given
+ * with --to. The travel post is published separately (giovanni travel-post).
+ */
+
+const exitCodes = require('../exitCodes');
+const { parsePositiveInt, parseDestination, isBusy, toExitCode } = require('../helpers');
+
+module.exports = {
+  name: 'move',
+  summary: 'Move Giovanni to the next location',
+  usage: 'giovanni move [--to "City, Country"] [--days <n>]',
+  options: {
+    to: { type: 'string', valueName: 'City, Country', description: 'Go to this city instead of the next one of the itinerary' },
+    days: { type: 'string', valueName: 'n', description: 'Stay this many days instead of the planned stay' }
+  },
+  examples: [
+    'giovanni move',
+    'giovanni move --to "Kotor, Montenegro" --days 9'
+  ],
+
+  async run({ values }) {
+    const destination = values.to !== undefined ? parseDestination(values.to) : undefined;
+    const days = parsePositiveInt(values.days, 'days');
+
+    if (await isBusy()) return exitCodes.BUSY;
+
+    require('../../../force_ipv4');
+
+    const { moveToNextLocation } = require('../../../move_to_next_location');
+    return toExitCode(await moveToNextLocation({ destination, days }));
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * giovanni post
+ *
+ * Publish today's post, or travel to the next location when it is time.
+ * --dry-run renders the post locally without publishing anything.
+ */
+
+const path = require('path');
+const exitCodes = require('../exitCodes');
+const { usageError, isBusy, toExitCode } = require('../helpers');
+
+module.exports = {
+  name: 'post',
+  summary: 'Publish today\'s post (or travel, if it is time)',
+  usage: 'giovanni post [--dry-run [--output <dir>]]',
+  options: {
+    'dry-run': { type: 'boolean', description: 'Render the post to HTML/JSON files instead of publishing it' },
+    output: { type: 'string', valueName: 'dir', description: 'Output directory for --dry-run (default: PREVIEW_PATH or temp/preview)' }
+  },
+  examples: [
+    'giovanni post',
+    'giovanni post --dry-run --output /tmp/previews'
+  ],
+
+  async run({ values, cwd }) {
+    if (values.output && !values['dry-run']) {
+      throw usageError('--output can only be used with --dry-run');
+    }
+
+    // Same as "giovanni preview daily"
+    if (values['dry-run']) {
+      require('../../../force_ipv4');
+      const JourneyService = require('../../services/JourneyService');
+      return toExitCode(await JourneyService.previewPost('daily', { outputDir: values.output && path.resolve(cwd, values.output) }));
+    }
+
+    if (await isBusy()) return exitCodes.BUSY;
+
+    require('../../../force_ipv4');
+
+    const JourneyService = require('../../services/JourneyService');
+    return toExitCode(await JourneyService.generateDailyPost());
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * giovanni preview
+ *
+ * Render the next daily post, or the travel post about the latest journey, to
+ * a local folder (Gutenberg markup, an HTML page and the images) without
+ * publishing anything.
+ */
+
+const path = require('path');
+const { usageError, toExitCode } = require('../helpers');
+
+module.exports = {
+  name: 'preview',
+  summary: 'Render the next post locally without publishing it',
+  usage: 'giovanni preview [daily|travel] [--output <dir>]',
+  positionals: true,
+  options: {
+    output: { type: 'string', valueName: 'dir', description: 'Output directory (default: PREVIEW_PATH or temp/preview)' }
+  },
+  examples: [
+    'giovanni preview',
+    'giovanni preview travel --output /tmp/previews'
+  ],
+
+  async run({ values, positionals, cwd }) {
+    const [type = 'daily', ...rest] = positionals;
+    if (!['daily', 'travel'].includes(type)) throw usageError(`Unknown post type "${type}" (daily or travel)`);
+    if (rest.length > 0) throw usageError(`Unexpected argument "${rest[0]}"`);
+
+    require('../../../force_ipv4');
+
+    const JourneyService = require('../../services/JourneyService');
+    return toExitCode(await JourneyService.previewPost(type, { outputDir: values.output && path.resolve(cwd, values.output) }));
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * giovanni runs
+ *
+ * Inspect, resume and abandon the checkpointed daily post runs.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError, parsePositiveInt, isBusy, toExitCode } = require('../helpers');
+
+// Local date and time of a run timestamp ("-" if unset)
+function formatTimestamp(timestamp) {
+  if (!timestamp) return '-';
+  return new Date(timestamp).toLocaleString('en-US', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Parse the run ID argument of show and abandon
+function parseRunId(value) {
+  if (value === undefined) throw usageError('Missing run ID');
+  const runId = Number(value);
+  if (!Number.isInteger(runId) || runId < 1) throw usageError(`Invalid run ID "${value}"`);
+  return runId;
+}
+
+module.exports = {
+  name: 'runs',
+  summary: 'List, inspect, resume or abandon daily post runs',
+  usage: [
+    'giovanni runs list [--limit <n>] [--json]',
+    'giovanni runs show <id> [--json]',
+    'giovanni runs resume',
+    'giovanni runs abandon <id>'
+  ],
+  subcommands: [
+    { name: 'list', summary: 'List the latest runs with their status and completed stages' },
+    { name: 'show', summary: 'Show a run with its checkpoints' },
+    { name: 'resume', summary: 'Resume the unfinished run of the current location and day' },
+    { name: 'abandon', summary: 'Abandon a run, so the next post starts from scratch' }
+  ],
+  options: {
+    limit: { type: 'string', valueName: 'n', description: 'Number of runs to list (list; default 10)' },
+    json: { type: 'boolean', description: 'Print the runs as JSON (list, show)' }
+  },
+  examples: [
+    'giovanni runs list --limit 5',
+    'giovanni runs show 12',
+    'giovanni runs resume'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand, ...rest] = positionals;
+    if (!['list', 'show', 'resume', 'abandon'].includes(subcommand)) {
+      throw usageError(subcommand ? `Unknown runs command "${subcommand}"` : 'Missing runs command');
+    }
+    const maxArguments = ['show', 'abandon'].includes(subcommand) ? 1 : 0;
+    if (rest.length > maxArguments) throw usageError(`Unexpected argument "${rest[maxArguments]}"`);
+
+    const PostRunLedgerService = require('../../services/PostRunLedgerService');
+
+    if (subcommand === 'list') {
+      const runs = await PostRunLedgerService.listRuns(parsePositiveInt(values.limit, 'limit', 10));
+
+      if (values.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      if (runs.length === 0) {
+        console.log('🧾 No post runs recorded yet');
+        return exitCodes.SUCCESS;
+      }
+
+      runs.forEach(run => {
+        console.log(`#${run.id} [${run.status}] ${run.run_type} - ${run.location_name || 'unknown location'}, day ${run.day_number}`);
+        console.log(`   Started: ${formatTimestamp(run.started_at)} | Updated: ${formatTimestamp(run.updated_at)} | Attempts: ${run.attempts}`);
+        console.log(`   Completed stages: ${run.completed_stages} | Last stage: ${run.last_stage || '-'}`);
+        if (run.error_message) {
+          console.log(`   Error at "${run.error_stage}": ${run.error_message}`);
+        }
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'show') {
+      const runId = parseRunId(rest[0]);
+      const run = await PostRunLedgerService.getRun(runId);
+      if (!run) {
+        console.error(`❌ Run #${runId} not found`);
+        return exitCodes.FAILURE;
+      }
+
+      if (values.json) {
+        console.log(JSON.stringify(run, null, 2));
+        return exitCodes.SUCCESS;
+      }
+
+      console.log(`🧾 Run #${run.id} [${run.status}] ${run.run_type}, location ${run.location_id}, day ${run.day_number}`);
+      console.log(`   Attempts: ${run.attempts} | Started: ${formatTimestamp(run.started_at)} | Completed: ${formatTimestamp(run.completed_at)}`);
+      if (run.error_message) {
+        console.log(`   Error at "${run.error_stage}": ${run.error_message}`);
+      }
+
+      console.log('📦 Checkpoints:');
+      Object.entries(run.checkpoints).forEach(([stage, data]) => {
+        const preview = JSON.stringify(data) || 'null';
+        console.log(`   ${stage}: ${preview.length > 120 ? preview.substring(0, 120) + '...' : preview}`);
+      });
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'resume') {
+      if (await isBusy()) return exitCodes.BUSY;
+
+      require('../../../force_ipv4');
+
+      const JourneyService = require('../../services/JourneyService');
+      return toExitCode(await JourneyService.resumePostRun());
+    }
+
+    const runId = parseRunId(rest[0]);
+    if (!await PostRunLedgerService.abandonRun(runId)) {
+      console.error(`❌ Run #${runId} not found or already finished`);
+      return exitCodes.FAILURE;
+    }
+    console.log(`✅ Run #${runId} abandoned. The next post starts from scratch.`);
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * giovanni search
+ *
+ * Full-text search over the published posts.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError, parsePositiveInt } = require('../helpers');
+
+module.exports = {
+  name: 'search',
+  summary: 'Search the text of published posts',
+  usage: [
+    'giovanni search <words...> [--limit <n>] [--type daily|travel] [--json]',
+    'giovanni search --reindex'
+  ],
+  positionals: true,
+  options: {
+    limit: { type: 'string', valueName: 'n', description: 'Maximum number of results (default 10)' },
+    type: { type: 'string', valueName: 'daily|travel', description: 'Only search posts of this type' },
+    json: { type: 'boolean', description: 'Print the results as JSON' },
+    reindex: { type: 'boolean', description: 'Rebuild the search index' }
+  },
+  examples: [
+    'giovanni search cevapi',
+    'giovanni search "fortress sunset" --type daily',
+    'giovanni search burek* --limit 3'
+  ],
+
+  async run({ values, positionals }) {
+    const PostSearchService = require('../../services/PostSearchService');
+
+    if (values.reindex) {
+      if (positionals.length > 0) throw usageError('--reindex takes no search words');
+      const indexed = await PostSearchService.reindex();
+      console.log(`🔎 Search index rebuilt: ${indexed} post(s)`);
+      return exitCodes.SUCCESS;
+    }
+
+    if (positionals.length === 0) throw usageError('Missing search words');
+    if (values.type && !['daily', 'travel'].includes(values.type)) throw usageError('--type must be daily or travel');
+    const limit = parsePositiveInt(values.limit, 'limit', 10);
+
+    let results;
+    try {
+      results = await PostSearchService.search(positionals.join(' '), { limit, type: values.type });
+    } catch (error) {
+      if (error.code !== 'INVALID_QUERY') throw error;
+      throw usageError(error.message);
+    }
+
+    if (values.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return exitCodes.SUCCESS;
+    }
+
+    if (results.length === 0) {
+      console.log('🔎 No posts found');
+      return exitCodes.SUCCESS;
+    }
+
+    results.forEach(result => {
+      const place = result.location_name ? `${result.location_name}, ${result.location_country}` : 'no location';
+      console.log(`📝 ${result.title} (${result.type}${result.day_number ? `, day ${result.day_number}` : ''}, ${place}, ${result.published_at})`);
+      console.log(`   ${result.snippet}`);
+      if (result.url) console.log(`   ${result.url}`);
+    });
+    return exitCodes.SUCCESS;
+  }
+};
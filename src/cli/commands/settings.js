@@ -0,0 +1,86 @@
+/**
+ * giovanni settings
+ *
+ * Read and update the settings table. Values are validated against the
+ * setting's type; an empty value clears a setting.
+ */
+
+const exitCodes = require('../exitCodes');
+const { usageError } = require('../helpers');
+
+// Print a setting as "key = value  (description)", with the effective value when it does not come from the database
+function printSetting(setting) {
+  const effectiveValue = Array.isArray(setting.effectiveValue) ? setting.effectiveValue.join(', ') : setting.effectiveValue;
+  const value = setting.source === 'database'
+    ? setting.value
+    : `${effectiveValue === null || effectiveValue === '' ? '(unset)' : effectiveValue} [${setting.source}]`;
+  console.log(`${setting.key} = ${value}${setting.description ? `  (${setting.description})` : ''}`);
+}
+
+module.exports = {
+  name: 'settings',
+  summary: 'Show or change settings',
+  usage: [
+    'giovanni settings get [key] [--json]',
+    'giovanni settings set <key> <value>',
+    'giovanni settings set <key> ""'
+  ],
+  subcommands: [
+    { name: 'get [key]', summary: 'Show one setting, or all of them' },
+    { name: 'set <key> <value>', summary: 'Change an existing setting ("" falls back to the environment or default)' }
+  ],
+  options: {
+    json: { type: 'boolean', description: 'Print settings as JSON' }
+  },
+  examples: [
+    'giovanni settings get',
+    'giovanni settings set max_catchup_days 5',
+    'giovanni settings set daily_post_time 09:30',
+    'giovanni settings set accommodation_max_price ""'
+  ],
+
+  async run({ values, positionals }) {
+    const [subcommand, key, ...valueParts] = positionals;
+    const SettingsService = require('../../services/SettingsService');
+
+    if (subcommand === 'get') {
+      if (valueParts.length > 0) throw usageError('get takes at most one key');
+
+      const settings = key ? [await SettingsService.getSetting(key)] : await SettingsService.listSettings();
+      if (key && !settings[0]) {
+        console.error(`Setting "${key}" not found`);
+        return exitCodes.FAILURE;
+      }
+
+      if (values.json) {
+        console.log(JSON.stringify(key ? settings[0] : settings, null, 2));
+      } else {
+        settings.forEach(printSetting);
+      }
+      return exitCodes.SUCCESS;
+    }
+
+    if (subcommand === 'set') {
+      if (!key || valueParts.length === 0) throw usageError('set needs a key and a value');
+
+      let setting;
+      try {
+        setting = await SettingsService.setSetting(key, valueParts.join(' '));
+      } catch (error) {
+        if (error.code !== 'INVALID_SETTING') throw error;
+        console.error(`❌ ${error.message}`);
+        return exitCodes.FAILURE;
+      }
+      if (!setting) {
+        console.error(`Setting "${key}" not found`);
+        return exitCodes.FAILURE;
+      }
+
+      console.log('✅ Setting updated:');
+      printSetting(setting);
+      return exitCodes.SUCCESS;
+    }
+
+    throw usageError(subcommand ? `Unknown settings command "${subcommand}"` : 'Missing settings command');
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * giovanni status
+ *
+ * Current location, counters, money spent, last post, planned route,
+ * unfinished run and run lock.
+ * Exits with FAILURE when the journey has no current location, so it can
+ * be used as a health check.
+ */
+
+const exitCodes = require('../exitCodes');
+
+module.exports = {
+  name: 'status',
+  summary: 'Show the journey status',
+  usage: 'giovanni status [--json]',
+  options: {
+    json: { type: 'boolean', description: 'Print the status as JSON' }
+  },
+
+  async run({ values }) {
+    const JourneyService = require('../../services/JourneyService');
+    const status = await JourneyService.getStatus();
+
+    if (values.json) {
+      console.log(JSON.stringify(status, null, 2));
+      return status.location ? exitCodes.SUCCESS : exitCodes.FAILURE;
+    }
+
+    const { location, counts, budget, lastPost, itinerary, pendingRun, runLock } = status;
+    if (!location) {
+      console.log('📍 No current location - run "giovanni init" to start the journey');
+      return exitCodes.FAILURE;
+    }
+
+    console.log(`📍 ${location.name}, ${location.country} - day ${location.currentDay}/${location.plannedDuration} (${location.timezone || 'no timezone'})`);
+    console.log(`📝 Posts: ${counts.posts} | Visited locations: ${counts.visited_locations} | Distance: ${Math.round(counts.total_distance_km)} km`);
+    console.log(`💶 Spent: ${Math.round(budget.totalEur)} EUR${budget.perDayEur ? ` (${Math.round(budget.perDayEur)} EUR a day)` : ''}`);
+    console.log(lastPost
+      ? `🕒 Last post: "${lastPost.title}" (${lastPost.type}, day ${lastPost.day_number}) at ${lastPost.published_at}`
+      : '🕒 No posts yet');
+    if (itinerary.length > 0) {
+      console.log(`🗺️  Next: ${itinerary.map(stop => `${stop.pinned ? '📌 ' : ''}${stop.name}, ${stop.country}`).join(' → ')}`);
+    }
+
+    if (pendingRun) {
+      console.log(`⚠️  Unfinished post run #${pendingRun.id} [${pendingRun.status}] - last completed stage: ${pendingRun.lastStage || 'none'}`);
+    }
+    if (runLock) {
+      console.log(`🔒 Run lock: "${runLock.holder}" (pid ${runLock.pid} on ${runLock.hostname}, since ${runLock.acquired_at}, heartbeat ${runLock.heartbeat_at})`);
+    }
+
+    return exitCodes.SUCCESS;
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * giovanni travel-post
+ *
+ * Publish the travel post about the latest journey between two locations.
+ */
+
+const exitCodes = require('../exitCodes');
+const { isBusy, toExitCode } = require('../helpers');
+
+module.exports = {
+  name: 'travel-post',
+  summary: 'Publish the travel post about the latest journey',
+  usage: 'giovanni travel-post',
+  options: {},
+
+  async run() {
+    if (await isBusy()) return exitCodes.BUSY;
+
+    require('../../../force_ipv4');
+
+    const { createTravelPost } = require('../../../travel-post-generator');
+    return toExitCode(await createTravelPost());
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * exitCodes.js
+ *
+ * Exit codes of the giovanni CLI, so cron jobs and systemd units can tell
+ * a failed run from a run that should simply be retried later.
+ */
+
+module.exports = {
+  SUCCESS: 0,
+  // The command ran and failed (e.g. the post could not be published)
+  FAILURE: 1,
+  // Unknown command, unknown option or invalid argument
+  USAGE: 2,
+  // Another post, travel post or move is running (EX_TEMPFAIL from sysexits.h)
+  BUSY: 75
+};
@@ -0,0 +1,57 @@
+/**
+ * helpers.js
+ *
+ * Shared helpers for the CLI commands
+ */
+
+const exitCodes = require('./exitCodes');
+
+// Error for invalid arguments (the CLI prints the command help and exits with USAGE)
+function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: exitCodes.USAGE });
+}
+
+// Parse a positive integer option
+function parsePositiveInt(value, optionName, defaultValue) {
+  if (value === undefined) return defaultValue;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw usageError(`--${optionName} must be a positive integer`);
+  }
+  return parsed;
+}
+
+// Split "City, Country" on the last comma (city names may contain commas)
+function parseDestination(value, label = '--to') {
+  const separator = value.lastIndexOf(',');
+  const name = separator === -1 ? '' : value.slice(0, separator).trim();
+  const country = separator === -1 ? '' : value.slice(separator + 1).trim();
+
+  if (!name || !country) {
+    throw usageError(`${label} must be "City, Country" (got "${value}")`);
+  }
+  return { name, country };
+}
+
+/**
+ * Check whether another generation run holds the run lock
+ * Commands that publish or move exit with BUSY instead of FAILURE in that case,
+ * so a scheduler can retry them later.
+ * @returns {Promise<boolean>} True if a live run holds the lock
+ */
+async function isBusy() {
+  const RunLockService = require('../services/RunLockService');
+  const lock = await RunLockService.getActiveLock();
+  if (!lock) return false;
+
+  console.error(`⏳ Busy: "${lock.holder}" is running (pid ${lock.pid} on ${lock.hostname}, since ${lock.acquired_at})`);
+  return true;
+}
+
+// Map a boolean result to an exit code
+function toExitCode(success) {
+  return success ? exitCodes.SUCCESS : exitCodes.FAILURE;
+}
+
+module.exports = { usageError, parsePositiveInt, parseDestination, isBusy, toExitCode };
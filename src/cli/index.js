@@ -0,0 +1,174 @@
+/**
+ * index.js
+ *
+ * Command registry, help output and argument parsing of the giovanni CLI.
+ *
+ * Each command module exports { name, summary, usage, options, run } and
+ * optionally subcommands, positionals (true if it takes positional arguments
+ * without subcommands) and examples. run({ values, positionals, cwd }) resolves
+ * to an exit code from exitCodes.js; cwd is the directory the CLI was started
+ * from (path options are relative to it).
+ */
+
+const { parseArgs } = require('util');
+const exitCodes = require('./exitCodes');
+const { version } = require('../../package.json');
+
+const commands = [
+  require('./commands/status'),
+  require('./commands/post'),
+  require('./commands/travelPost'),
+  require('./commands/preview'),
+  require('./commands/runs'),
+  require('./commands/move'),
+  require('./commands/init'),
+  require('./commands/logs'),
+  require('./commands/db'),
+  require('./commands/backup'),
+  require('./commands/settings'),
+  require('./commands/cache'),
+  require('./commands/export'),
+  require('./commands/import'),
+  require('./commands/doctor'),
+  require('./commands/search'),
+  require('./commands/itinerary'),
+  require('./commands/gazetteer'),
+  require('./commands/budget'),
+  require('./commands/currency')
+];
+
+const helpOption = { type: 'boolean', short: 'h', description: 'Show this help' };
+
+// Pad the first column of a two-column list
+function formatRows(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join('\n');
+}
+
+// General help listing every command
+function formatGeneralHelp() {
+  return [
+    `giovanni ${version} - Giovanni's Travel Blog`,
+    '',
+    'Usage: giovanni <command> [options]',
+    '',
+    'Commands:',
+    formatRows(commands.map(command => [command.name, command.summary])),
+    '',
+    'Run "giovanni <command> --help" for the options of a command.',
+    '',
+    'Exit codes:',
+    formatRows([
+      [String(exitCodes.SUCCESS), 'Success'],
+      [String(exitCodes.FAILURE), 'The command failed'],
+      [String(exitCodes.USAGE), 'Invalid command, option or argument'],
+      [String(exitCodes.BUSY), 'Another post, travel post or move is running - retry later']
+    ])
+  ].join('\n');
+}
+
+// Help of a single command
+function formatCommandHelp(command) {
+  const options = { ...command.options, help: helpOption };
+  const optionRows = Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : ''}--${name}`;
+    return [option.type === 'string' ? `${flag} <${option.valueName || 'value'}>` : flag, option.description];
+  });
+
+  const sections = [`Usage: ${[].concat(command.usage).join('\n       ')}`, '', command.summary];
+
+  if (command.subcommands) {
+    sections.push('', 'Commands:', formatRows(command.subcommands.map(sub => [sub.name, sub.summary])));
+  }
+  sections.push('', 'Options:', formatRows(optionRows));
+  if (command.examples) {
+    sections.push('', 'Examples:', command.examples.map(example => `  ${example}`).join('\n'));
+  }
+
+  return sections.join('\n');
+}
+
+// Keep only the properties parseArgs understands
+function toParseArgsOptions(options) {
+  const parseOptions = {};
+  Object.entries(options).forEach(([name, option]) => {
+    parseOptions[name] = { type: option.type };
+    if (option.short) parseOptions[name].short = option.short;
+  });
+  return parseOptions;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} context - { cwd: directory the CLI was started from }
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, context = {}) {
+  const [name, ...args] = argv;
+
+  if (!name || name === '--help' || name === '-h') {
+    console.log(formatGeneralHelp());
+    return name ? exitCodes.SUCCESS : exitCodes.USAGE;
+  }
+
+  if (name === '--version' || name === '-v') {
+    console.log(version);
+    return exitCodes.SUCCESS;
+  }
+
+  // "giovanni help <command>" is the same as "giovanni <command> --help"
+  if (name === 'help') {
+    const command = commands.find(candidate => candidate.name === args[0]);
+    console.log(command ? formatCommandHelp(command) : formatGeneralHelp());
+    return command || !args[0] ? exitCodes.SUCCESS : exitCodes.USAGE;
+  }
+
+  const command = commands.find(candidate => candidate.name === name);
+  if (!command) {
+    console.error(`Unknown command "${name}"\n`);
+    console.error(formatGeneralHelp());
+    return exitCodes.USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: toParseArgsOptions({ ...command.options, help: helpOption }),
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    console.error(formatCommandHelp(command));
+    return exitCodes.USAGE;
+  }
+
+  // Only commands with subcommands or declared positionals take positional arguments
+  if (!command.subcommands && !command.positionals && parsed.positionals.length > 0 && !parsed.values.help) {
+    console.error(`Unexpected argument "${parsed.positionals[0]}"\n`);
+    console.error(formatCommandHelp(command));
+    return exitCodes.USAGE;
+  }
+
+  if (parsed.values.help) {
+    console.log(formatCommandHelp(command));
+    return exitCodes.SUCCESS;
+  }
+
+  try {
+    return await command.run({ ...parsed, cwd: context.cwd || process.cwd() });
+  } catch (error) {
+    if (error.exitCode === exitCodes.USAGE) {
+      console.error(`${error.message}\n`);
+      console.error(formatCommandHelp(command));
+      return exitCodes.USAGE;
+    }
+
+    console.error(`❌ ${command.name} failed: ${error.message}`);
+    return exitCodes.FAILURE;
+  }
+}
+
+module.exports = { run, commands };
@@ -0,0 +1,146 @@
+/**
+ * Database.js
+ *
+ * The one SQLite connection shared by every service and script of a process.
+ * It is opened on first use in WAL mode, so readers in other processes (the
+ * CLI, backups) never block a running post.
+ *
+ * Statements are queued on the connection. A transaction holds the queue until
+ * it commits, so statements of other callers never end up inside it; calls
+ * made from within the transaction (in the same async call chain) join it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { open } = require('sqlite');
+const sqlite3 = require('sqlite3').verbose();
+require('dotenv').config();
+
+class Database {
+  constructor() {
+    this.dbPath = process.env.DB_PATH || path.join(__dirname, '..', '..', 'database', 'giovanni.db');
+    // Another process (the app, the CLI, a backup) may be writing at the same moment
+    this.busyTimeout = 5000;
+
+    this.connection = null;
+    // Tail of the queue of callers waiting for exclusive use of the connection
+    this.queue = Promise.resolve();
+    // Transaction of the current async call chain
+    this.transactionContext = new AsyncLocalStorage();
+  }
+
+  // Open the connection on first use
+  getConnection() {
+    if (!this.connection) {
+      this.connection = this.openConnection().catch(error => {
+        this.connection = null;
+        throw error;
+      });
+    }
+    return this.connection;
+  }
+
+  async openConnection() {
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+    db.configure('busyTimeout', this.busyTimeout);
+    await db.exec('PRAGMA journal_mode = WAL');
+    return db;
+  }
+
+  // Run a function with exclusive use of the connection
+  exclusive(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Run a function with the connection, inside the current transaction if there is one
+  async withConnection(fn) {
+    if (this.transactionContext.getStore()) {
+      return fn(await this.getConnection());
+    }
+    return this.exclusive(async () => fn(await this.getConnection()));
+  }
+
+  /**
+   * Get the first row of a query
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>} Row, or undefined if there is none
+   */
+  get(sql, params = []) {
+    return this.withConnection(db => db.get(sql, params));
+  }
+
+  /**
+   * Get all rows of a query
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object[]>} Rows
+   */
+  all(sql, params = []) {
+    return this.withConnection(db => db.all(sql, params));
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  run(sql, params = []) {
+    return this.withConnection(db => db.run(sql, params));
+  }
+
+  // Run one or more statements without parameters
+  exec(sql) {
+    return this.withConnection(db => db.exec(sql));
+  }
+
+  /**
+   * Run a unit of work in a transaction
+   * Everything the work does through this module is committed together, or rolled
+   * back if it throws. A transaction started inside another one joins it.
+   * @param {Function} work - Async function to run
+   * @returns {Promise<*>} Result of the work
+   */
+  async transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work();
+    }
+
+    return this.exclusive(async () => {
+      const db = await this.getConnection();
+      // IMMEDIATE takes the write lock up front, so a concurrent writer in
+      // another process waits instead of failing halfway through
+      await db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await this.transactionContext.run({ startedAt: Date.now() }, work);
+        await db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await db.exec('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+  }
+
+  // Close the connection once the queued statements are done (it is reopened on next use)
+  async close() {
+    if (!this.connection) return;
+
+    const connection = this.connection;
+    this.connection = null;
+    await this.exclusive(async () => {
+      const db = await connection.catch(() => null);
+      if (db) await db.close();
+    });
+  }
+}
+
+module.exports = new Database();
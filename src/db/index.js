@@ -0,0 +1,30 @@
+/**
+ * index.js
+ *
+ * Shared data access: the database connection and one repository per table.
+ *
+ *   const { Database, locations, posts } = require('../db');
+ *   await Database.transaction(async () => {
+ *     const postId = await posts.insert(post);
+ *     await locations.incrementDay(location.id);
+ *   });
+ */
+
+module.exports = {
+  Database: require('./Database'),
+  locations: require('./repositories/LocationRepository'),
+  posts: require('./repositories/PostRepository'),
+  places: require('./repositories/PlaceRepository'),
+  transportation: require('./repositories/TransportationRepository'),
+  accommodations: require('./repositories/AccommodationRepository'),
+  settings: require('./repositories/SettingsRepository'),
+  usedImages: require('./repositories/UsedImageRepository'),
+  weather: require('./repositories/WeatherRepository'),
+  apiCache: require('./repositories/ApiCacheRepository'),
+  postSearch: require('./repositories/PostSearchRepository'),
+  itinerary: require('./repositories/ItineraryRepository'),
+  gazetteer: require('./repositories/GazetteerRepository'),
+  expenses: require('./repositories/ExpenseRepository'),
+  exchangeRates: require('./repositories/ExchangeRateRepository'),
+  dayTrips: require('./repositories/DayTripRepository')
+};
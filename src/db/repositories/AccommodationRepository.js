@@ -0,0 +1,62 @@
+/**
+ * AccommodationRepository.js
+ *
+ * Queries on the place Giovanni stays in each city (accommodations)
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} Accommodation
+ * @property {number} id
+ * @property {number} location_id
+ * @property {string} name
+ * @property {string} address
+ * @property {number} price_per_night
+ * @property {string} currency
+ * @property {string} description
+ * @property {string} amenities
+ * @property {string|null} booking_url
+ * @property {string} check_in_date - YYYY-MM-DD
+ * @property {string} check_out_date - YYYY-MM-DD
+ * @property {string} created_at
+ */
+
+class AccommodationRepository {
+  /**
+   * Get the accommodation of a city
+   * @param {number} locationId - Location ID
+   * @returns {Promise<Accommodation|null>}
+   */
+  async getByLocation(locationId) {
+    return await Database.get('SELECT * FROM accommodations WHERE location_id = ?', [locationId]) || null;
+  }
+
+  /**
+   * Save the accommodation of a city
+   * @param {Object} accommodation - Column values (location_id, name, address, ...)
+   * @returns {Promise<number>} ID of the new accommodation
+   */
+  async insert(accommodation) {
+    const result = await Database.run(`
+      INSERT INTO accommodations (
+        location_id, name, address, price_per_night, currency, description,
+        amenities, booking_url, check_in_date, check_out_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      accommodation.location_id,
+      accommodation.name,
+      accommodation.address,
+      accommodation.price_per_night,
+      accommodation.currency,
+      accommodation.description,
+      accommodation.amenities,
+      accommodation.booking_url,
+      accommodation.check_in_date,
+      accommodation.check_out_date
+    ]);
+    return result.lastID;
+  }
+}
+
+module.exports = new AccommodationRepository();
@@ -0,0 +1,121 @@
+/**
+ * ApiCacheRepository.js
+ *
+ * Queries on the persistent cache of external API responses (api_cache) and
+ * its hit/miss counters (api_cache_stats)
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} ApiCacheEntry
+ * @property {number} id
+ * @property {string} api_name - Cached API (e.g. 'tripadvisor')
+ * @property {string} request_hash - Hash of the request key
+ * @property {string} response_data - JSON of the cached value
+ * @property {string} expires_at - ISO timestamp
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} ApiCacheStats
+ * @property {string} api_name
+ * @property {number} hits
+ * @property {number} misses
+ * @property {string|null} last_hit_at
+ * @property {string|null} last_miss_at
+ */
+
+class ApiCacheRepository {
+  /**
+   * Get an entry that has not expired yet
+   * @param {string} apiName - Cached API
+   * @param {string} requestHash - Hash of the request key
+   * @param {Date} now - Reference time
+   * @returns {Promise<ApiCacheEntry|null>}
+   */
+  async getFresh(apiName, requestHash, now = new Date()) {
+    return await Database.get(`
+      SELECT * FROM api_cache
+      WHERE api_name = ? AND request_hash = ? AND expires_at > ?
+    `, [apiName, requestHash, now.toISOString()]) || null;
+  }
+
+  /**
+   * Store an entry (replaces an earlier one for the same request)
+   * @param {string} apiName - Cached API
+   * @param {string} requestHash - Hash of the request key
+   * @param {string} responseData - JSON of the value
+   * @param {Date} expiresAt - Expiry
+   */
+  async put(apiName, requestHash, responseData, expiresAt) {
+    await Database.run(`
+      INSERT OR REPLACE INTO api_cache (api_name, request_hash, response_data, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [apiName, requestHash, responseData, expiresAt.toISOString(), new Date().toISOString()]);
+  }
+
+  /**
+   * Delete entries
+   * @param {Object} filter - { apiName: only this API, expiredBefore: Date (only entries expired by then) }
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async delete(filter = {}) {
+    const conditions = [];
+    const params = [];
+    if (filter.apiName) {
+      conditions.push('api_name = ?');
+      params.push(filter.apiName);
+    }
+    if (filter.expiredBefore) {
+      conditions.push('expires_at <= ?');
+      params.push(filter.expiredBefore.toISOString());
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const result = await Database.run(`DELETE FROM api_cache${where}`, params);
+    return result.changes;
+  }
+
+  /**
+   * Count the entries of every API
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object[]>} { api_name, entries, expired }
+   */
+  async countByApi(now = new Date()) {
+    return Database.all(`
+      SELECT api_name, COUNT(*) as entries, SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) as expired
+      FROM api_cache
+      GROUP BY api_name
+    `, [now.toISOString()]);
+  }
+
+  // Count a lookup in the hit/miss statistics
+  async recordLookup(apiName, hit) {
+    const column = hit ? 'hits' : 'misses';
+    const timestamp = hit ? 'last_hit_at' : 'last_miss_at';
+    await Database.run(`
+      INSERT INTO api_cache_stats (api_name, ${column}, ${timestamp}) VALUES (?, 1, ?)
+      ON CONFLICT(api_name) DO UPDATE SET ${column} = ${column} + 1, ${timestamp} = excluded.${timestamp}
+    `, [apiName, new Date().toISOString()]);
+  }
+
+  /**
+   * Get the hit/miss statistics of every API
+   * @returns {Promise<ApiCacheStats[]>}
+   */
+  async listStats() {
+    return Database.all('SELECT * FROM api_cache_stats ORDER BY api_name');
+  }
+
+  // Reset the hit/miss statistics (of one API, or all)
+  async resetStats(apiName = null) {
+    if (apiName) {
+      await Database.run('DELETE FROM api_cache_stats WHERE api_name = ?', [apiName]);
+    } else {
+      await Database.run('DELETE FROM api_cache_stats');
+    }
+  }
+}
+
+module.exports = new ApiCacheRepository();
@@ -0,0 +1,91 @@
+/**
+ * DayTripRepository.js
+ *
+ * Queries on the day trips (day_trips): the nearby towns Giovanni visits from
+ * the city he stays in and comes back from the same night
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} DayTrip
+ * @property {number} id
+ * @property {number} location_id - City stayed in
+ * @property {string} name - Town visited
+ * @property {string} country
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} distance_km - Straight line from the city stayed in
+ * @property {number} population
+ * @property {string|null} trip_date - YYYY-MM-DD (null until the post about the trip is saved)
+ * @property {number|null} day_number - Day of the stay the trip was made on
+ * @property {string} created_at
+ */
+
+class DayTripRepository {
+  /**
+   * Add a day trip (planned, not made yet)
+   * @param {Object} trip - Column values (location_id, name, country, lat, lng, distance_km, population)
+   * @returns {Promise<number>} ID of the new day trip
+   */
+  async insert(trip) {
+    const result = await Database.run(`
+      INSERT INTO day_trips (location_id, name, country, lat, lng, distance_km, population)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      trip.location_id,
+      trip.name,
+      trip.country,
+      trip.lat,
+      trip.lng,
+      trip.distance_km,
+      trip.population || null
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Get the day trip planned from a city and not made yet (e.g. planned by a preview)
+   * @param {number} locationId - City stayed in
+   * @returns {Promise<DayTrip|null>}
+   */
+  async getPlanned(locationId) {
+    return await Database.get(`
+      SELECT * FROM day_trips
+      WHERE location_id = ? AND trip_date IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `, [locationId]) || null;
+  }
+
+  /**
+   * Get the latest day trip made from a city
+   * @param {number} locationId - City stayed in
+   * @returns {Promise<DayTrip|null>}
+   */
+  async getLatestMade(locationId) {
+    return await Database.get(`
+      SELECT * FROM day_trips
+      WHERE location_id = ? AND trip_date IS NOT NULL
+      ORDER BY day_number DESC, id DESC
+      LIMIT 1
+    `, [locationId]) || null;
+  }
+
+  // Names and countries of every town planned or visited on a day trip
+  async listTowns() {
+    return Database.all('SELECT name, country FROM day_trips');
+  }
+
+  /**
+   * Record that a day trip was made
+   * @param {number} id - Day trip ID
+   * @param {number} dayNumber - Day of the stay
+   * @param {string} tripDate - YYYY-MM-DD
+   */
+  async markMade(id, dayNumber, tripDate) {
+    await Database.run('UPDATE day_trips SET day_number = ?, trip_date = ? WHERE id = ?', [dayNumber, tripDate, id]);
+  }
+}
+
+module.exports = new DayTripRepository();
@@ -0,0 +1,77 @@
+/**
+ * ExchangeRateRepository.js
+ *
+ * Queries on the exchange rates (exchange_rates): units of a currency per
+ * euro, by date.
+ */
+
+const Database = require('../Database');
+const RatesFile = require('../../utils/RatesFile');
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} currency - ISO 4217 code
+ * @property {string} rate_date - YYYY-MM-DD
+ * @property {number} rate - Units of the currency per euro
+ * @property {string} source - File the rate was read from
+ */
+
+// Rate of the day, or the latest before it; the earliest rate for days before all of them
+const closestFirst = `
+  CASE WHEN rate_date <= ? THEN 0 ELSE 1 END,
+  CASE WHEN rate_date <= ? THEN rate_date END DESC,
+  rate_date ASC
+`;
+
+class ExchangeRateRepository {
+  // Number of rates, of currencies and the dates they span ({ rates, currencies, first_date, last_date })
+  async getSize() {
+    return Database.get(`
+      SELECT COUNT(*) as rates, COUNT(DISTINCT currency) as currencies,
+             MIN(rate_date) as first_date, MAX(rate_date) as last_date
+      FROM exchange_rates
+    `);
+  }
+
+  /**
+   * Rate of a currency on a day
+   * @param {string} currency - ISO 4217 code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<ExchangeRate|undefined>} The closest rate (see closestFirst), undefined for an unknown currency
+   */
+  async getRate(currency, date) {
+    return Database.get(`
+      SELECT * FROM exchange_rates
+      WHERE currency = ?
+      ORDER BY ${closestFirst}
+      LIMIT 1
+    `, [currency, date, date]);
+  }
+
+  /**
+   * Rates of every currency on a day
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<ExchangeRate[]>} The closest rate of each currency, by currency
+   */
+  async listRates(date) {
+    return Database.all(`
+      SELECT currency, rate_date, rate, source FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY currency ORDER BY ${closestFirst}) as closeness
+        FROM exchange_rates
+      )
+      WHERE closeness = 1
+      ORDER BY currency
+    `, [date, date]);
+  }
+
+  /**
+   * Add rates (rates of the same currency and day are replaced)
+   * @param {Object[]} rates - Rates from RatesFile.read()
+   * @param {string} source - File the rates were read from
+   */
+  async addRates(rates, source) {
+    await Database.transaction(() => RatesFile.insertRates(Database, rates, source));
+  }
+}
+
+module.exports = new ExchangeRateRepository();
@@ -0,0 +1,147 @@
+/**
+ * ExpenseRepository.js
+ *
+ * Queries on the budget ledger (expenses): what Giovanni paid for transport,
+ * nights, meals and entrance fees, in the local currency and in euros.
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} Expense
+ * @property {number} id
+ * @property {number} location_id - City the money was spent in (the city left, for transport)
+ * @property {number|null} post_id - Daily post of the day
+ * @property {number|null} transportation_id - Journey segment paid for
+ * @property {number|null} place_id - Restaurant or attraction paid for
+ * @property {string} category - 'transport', 'accommodation', 'meal' or 'entrance'
+ * @property {string} description
+ * @property {string} spent_on - YYYY-MM-DD
+ * @property {number} amount - In the local currency
+ * @property {string} currency
+ * @property {number} amount_eur
+ * @property {string} created_at
+ */
+
+class ExpenseRepository {
+  /**
+   * Record an expense
+   * @param {Object} expense - Column values (category, spent_on, amount, currency, amount_eur, ...)
+   * @returns {Promise<number>} ID of the new expense
+   */
+  async insert(expense) {
+    const result = await Database.run(`
+      INSERT INTO expenses (
+        location_id, post_id, transportation_id, place_id, category, description,
+        spent_on, amount, currency, amount_eur
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      expense.location_id || null,
+      expense.post_id || null,
+      expense.transportation_id || null,
+      expense.place_id || null,
+      expense.category,
+      expense.description || null,
+      expense.spent_on,
+      expense.amount,
+      expense.currency,
+      expense.amount_eur
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * List the expenses of a city, or the latest ones
+   * @param {Object} filters - { locationId, limit (default 20) }
+   * @returns {Promise<Expense[]>} Newest first, with location_name and location_country
+   */
+  async list(filters = {}) {
+    const params = [];
+    let where = '';
+    if (filters.locationId) {
+      where = 'WHERE e.location_id = ?';
+      params.push(filters.locationId);
+    }
+    params.push(filters.limit || 20);
+
+    return Database.all(`
+      SELECT e.*, l.name as location_name, l.country as location_country
+      FROM expenses e
+      LEFT JOIN locations l ON e.location_id = l.id
+      ${where}
+      ORDER BY e.spent_on DESC, e.id DESC
+      LIMIT ?
+    `, params);
+  }
+
+  /**
+   * Totals of the ledger
+   * @param {Object} filters - { locationId: one city, country: one country }
+   * @returns {Promise<Object>} { expenses, total_eur, nights, first_day, last_day, days (first to last day) }
+   */
+  async getTotals(filters = {}) {
+    const { where, params } = this.buildFilter(filters);
+    return Database.get(`
+      SELECT COUNT(*) as expenses,
+             COALESCE(SUM(e.amount_eur), 0) as total_eur,
+             COUNT(DISTINCT CASE WHEN e.category = 'accommodation' THEN e.spent_on END) as nights,
+             MIN(e.spent_on) as first_day,
+             MAX(e.spent_on) as last_day,
+             CAST(julianday(MAX(e.spent_on)) - julianday(MIN(e.spent_on)) AS INTEGER) + 1 as days
+      FROM expenses e
+      LEFT JOIN locations l ON e.location_id = l.id
+      ${where}
+    `, params);
+  }
+
+  /**
+   * Totals by category
+   * @param {Object} filters - { locationId, country }
+   * @returns {Promise<Object[]>} [{ category, expenses, total_eur }], largest first
+   */
+  async getTotalsByCategory(filters = {}) {
+    const { where, params } = this.buildFilter(filters);
+    return Database.all(`
+      SELECT e.category, COUNT(*) as expenses, SUM(e.amount_eur) as total_eur
+      FROM expenses e
+      LEFT JOIN locations l ON e.location_id = l.id
+      ${where}
+      GROUP BY e.category
+      ORDER BY total_eur DESC
+    `, params);
+  }
+
+  /**
+   * Totals by country, in the local currency too where all expenses were in one currency
+   * @returns {Promise<Object[]>} [{ country, currency (null for several), total, total_eur, nights }] in the order they were visited
+   */
+  async getTotalsByCountry() {
+    return Database.all(`
+      SELECT l.country,
+             CASE WHEN COUNT(DISTINCT e.currency) = 1 THEN MIN(e.currency) END as currency,
+             SUM(e.amount) as total, SUM(e.amount_eur) as total_eur,
+             COUNT(DISTINCT CASE WHEN e.category = 'accommodation' THEN e.spent_on END) as nights
+      FROM expenses e
+      JOIN locations l ON e.location_id = l.id
+      GROUP BY l.country
+      ORDER BY MIN(l.order_in_journey)
+    `);
+  }
+
+  // WHERE clause of the totals
+  buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+    if (filters.locationId) {
+      conditions.push('e.location_id = ?');
+      params.push(filters.locationId);
+    }
+    if (filters.country) {
+      conditions.push('LOWER(l.country) = LOWER(?)');
+      params.push(filters.country);
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+}
+
+module.exports = new ExpenseRepository();
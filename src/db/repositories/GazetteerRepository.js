@@ -0,0 +1,86 @@
+/**
+ * GazetteerRepository.js
+ *
+ * Queries on the offline gazetteer of towns (gazetteer_cities, gazetteer_names)
+ */
+
+const Database = require('../Database');
+const GazetteerFile = require('../../utils/GazetteerFile');
+
+/**
+ * @typedef {Object} GazetteerCity
+ * @property {number} id - GeoNames geonameid
+ * @property {string} name - Name in the local language
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} feature_code - GeoNames feature code (PPLC for capitals)
+ * @property {string} country_code - ISO 3166 code
+ * @property {string} admin1_code
+ * @property {number} population
+ */
+
+class GazetteerRepository {
+  // Number of towns and of countries in the gazetteer ({ towns, countries })
+  async getSize() {
+    return Database.get('SELECT COUNT(*) as towns, COUNT(DISTINCT country_code) as countries FROM gazetteer_cities');
+  }
+
+  // Whether the gazetteer has towns of a country (ISO 3166 code)
+  async hasCountry(countryCode) {
+    return !!await Database.get('SELECT 1 FROM gazetteer_cities WHERE country_code = ? LIMIT 1', [countryCode]);
+  }
+
+  /**
+   * Find towns by name
+   * @param {string[]} nameKeys - Keys from GazetteerFile.nameKey()
+   * @returns {Promise<GazetteerCity[]>} Towns in any country
+   */
+  async findByNameKeys(nameKeys) {
+    if (nameKeys.length === 0) return [];
+    return Database.all(`
+      SELECT DISTINCT c.* FROM gazetteer_names n
+      JOIN gazetteer_cities c ON c.id = n.city_id
+      WHERE n.name_key IN (${nameKeys.map(() => '?').join(', ')})
+      ORDER BY c.population DESC
+    `, nameKeys);
+  }
+
+  /**
+   * List the names of the towns of a country (for close spellings)
+   * @param {string} countryCode - ISO 3166 code
+   * @returns {Promise<Object[]>} Towns with their name_key, one row per name
+   */
+  async listNamesInCountry(countryCode) {
+    return Database.all(`
+      SELECT n.name_key, c.* FROM gazetteer_cities c
+      JOIN gazetteer_names n ON n.city_id = c.id
+      WHERE c.country_code = ?
+    `, [countryCode]);
+  }
+
+  /**
+   * List the towns in a box around a point
+   * @param {number} lat - Latitude of the point
+   * @param {number} lng - Longitude of the point
+   * @param {number} latDelta - Half the height of the box in degrees
+   * @param {number} lngDelta - Half the width of the box in degrees
+   * @param {number} minPopulation - Only towns with at least this many inhabitants
+   * @returns {Promise<GazetteerCity[]>}
+   */
+  async listInBox(lat, lng, latDelta, lngDelta, minPopulation = 0) {
+    return Database.all(`
+      SELECT * FROM gazetteer_cities
+      WHERE lat BETWEEN ? AND ? AND lng BETWEEN ? AND ? AND population >= ?
+    `, [lat - latDelta, lat + latDelta, lng - lngDelta, lng + lngDelta, minPopulation]);
+  }
+
+  /**
+   * Replace the gazetteer
+   * @param {Object[]} cities - Cities from GazetteerFile.read()
+   */
+  async replaceAll(cities) {
+    await Database.transaction(() => GazetteerFile.insertCities(Database, cities));
+  }
+}
+
+module.exports = new GazetteerRepository();
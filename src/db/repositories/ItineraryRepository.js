@@ -0,0 +1,94 @@
+/**
+ * ItineraryRepository.js
+ *
+ * Queries on the planned cities of the journey (itinerary)
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} ItineraryStop
+ * @property {number} id
+ * @property {number} order_in_journey - Position the city will get in the journey
+ * @property {string} name
+ * @property {string} country
+ * @property {string} region
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} timezone
+ * @property {string} currency
+ * @property {string} language
+ * @property {string} description
+ * @property {number} planned_duration - Planned stay in days
+ * @property {number} distance_km - Estimated distance from the stop before
+ * @property {string} season_profile - coastal, mountain, spa, wine, festival or historic
+ * @property {string} season_note - Why the season of the planned stay suits the city (or not)
+ * @property {string} transport_hubs - JSON array of nearby transport hubs (airports, ports, stations)
+ * @property {number} pinned - 1 for a city chosen by hand (visited before the planned ones)
+ * @property {string} created_at
+ */
+
+class ItineraryRepository {
+  /**
+   * List the planned cities in the order they will be visited
+   * @returns {Promise<ItineraryStop[]>}
+   */
+  async list() {
+    return Database.all('SELECT * FROM itinerary ORDER BY order_in_journey, id');
+  }
+
+  /**
+   * Get the next planned city
+   * @returns {Promise<ItineraryStop|null>}
+   */
+  async getNext() {
+    return await Database.get('SELECT * FROM itinerary ORDER BY order_in_journey, id LIMIT 1') || null;
+  }
+
+  /**
+   * Replace the planned cities
+   * @param {Object[]} stops - Column values in the order of the route (order_in_journey is given by the caller)
+   */
+  async replaceAll(stops) {
+    await Database.transaction(async () => {
+      await Database.run('DELETE FROM itinerary');
+      for (const stop of stops) {
+        await Database.run(`
+          INSERT INTO itinerary (
+            order_in_journey, name, country, region, lat, lng, timezone, currency, language,
+            description, planned_duration, distance_km, season_profile, season_note, transport_hubs, pinned
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          stop.order_in_journey,
+          stop.name,
+          stop.country,
+          stop.region || '',
+          stop.lat,
+          stop.lng,
+          stop.timezone,
+          stop.currency,
+          stop.language,
+          stop.description || '',
+          stop.planned_duration,
+          stop.distance_km,
+          stop.season_profile || null,
+          stop.season_note || null,
+          stop.transport_hubs || JSON.stringify(stop.transportHubs || []),
+          stop.pinned ? 1 : 0
+        ]);
+      }
+    });
+  }
+
+  // Remove a planned city (once it is visited or dropped)
+  async delete(id) {
+    await Database.run('DELETE FROM itinerary WHERE id = ?', [id]);
+  }
+
+  // Remove every planned city
+  async clear() {
+    await Database.run('DELETE FROM itinerary');
+  }
+}
+
+module.exports = new ItineraryRepository();
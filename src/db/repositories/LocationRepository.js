@@ -0,0 +1,148 @@
+/**
+ * LocationRepository.js
+ *
+ * Queries on the locations table (the cities of the journey)
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} Location
+ * @property {number} id
+ * @property {string} name
+ * @property {string} country
+ * @property {string} region
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} timezone
+ * @property {string} currency
+ * @property {string} language
+ * @property {number} is_current - 1 for the city Giovanni is in
+ * @property {number} is_visited - 1 once Giovanni has left the city
+ * @property {string} planned_arrival - YYYY-MM-DD
+ * @property {string} planned_departure - YYYY-MM-DD
+ * @property {number} planned_duration - Planned stay in days
+ * @property {number} current_day - Day of the stay (1 on arrival)
+ * @property {number} order_in_journey - Position in the journey (1 for the first city)
+ * @property {string} season_profile - coastal, mountain, spa, wine, festival or historic
+ * @property {string} season_note - Why the season of the stay suits the city (or not)
+ * @property {string} transport_hubs - JSON array of nearby transport hubs (airports, ports, stations)
+ * @property {string} created_at
+ */
+
+class LocationRepository {
+  /**
+   * Get the city Giovanni is in
+   * @returns {Promise<Location|null>}
+   */
+  async getCurrent() {
+    return await Database.get('SELECT * FROM locations WHERE is_current = 1') || null;
+  }
+
+  /**
+   * Get a location by ID
+   * @param {number} id - Location ID
+   * @returns {Promise<Location|null>}
+   */
+  async getById(id) {
+    return await Database.get('SELECT * FROM locations WHERE id = ?', [id]) || null;
+  }
+
+  /**
+   * Get the location at a position of the journey
+   * @param {number} order - order_in_journey
+   * @returns {Promise<Location|null>}
+   */
+  async getByOrder(order) {
+    return await Database.get('SELECT * FROM locations WHERE order_in_journey = ?', [order]) || null;
+  }
+
+  /**
+   * Get the location visited before a position of the journey
+   * @param {number} order - order_in_journey of the later location
+   * @returns {Promise<Location|null>}
+   */
+  async getPrevious(order) {
+    return await Database.get(`
+      SELECT * FROM locations
+      WHERE order_in_journey < ?
+      ORDER BY order_in_journey DESC LIMIT 1
+    `, [order]) || null;
+  }
+
+  /**
+   * List the cities that were visited or are being visited
+   * @returns {Promise<Object[]>} { name, country }
+   */
+  async listVisited() {
+    return Database.all('SELECT name, country FROM locations WHERE is_visited = 1 OR is_current = 1');
+  }
+
+  /**
+   * List the cities of the journey in the order they were visited
+   * @returns {Promise<Location[]>}
+   */
+  async listJourney() {
+    return Database.all('SELECT * FROM locations WHERE order_in_journey IS NOT NULL ORDER BY order_in_journey');
+  }
+
+  // Number of locations in the journey
+  async count() {
+    const row = await Database.get('SELECT COUNT(*) as count FROM locations');
+    return row.count;
+  }
+
+  /**
+   * Add a location to the journey
+   * @param {Object} location - Column values (name, country, lat, lng, ...)
+   * @returns {Promise<number>} ID of the new location
+   */
+  async insert(location) {
+    const result = await Database.run(`
+      INSERT INTO locations (
+        name, country, region, lat, lng, timezone, currency, language,
+        is_current, planned_arrival, planned_departure, planned_duration, current_day,
+        order_in_journey, season_profile, season_note, transport_hubs
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      location.name,
+      location.country,
+      location.region || '',
+      location.lat,
+      location.lng,
+      location.timezone,
+      location.currency,
+      location.language,
+      location.is_current ? 1 : 0,
+      location.planned_arrival,
+      location.planned_departure || null,
+      location.planned_duration,
+      location.current_day || 1,
+      location.order_in_journey,
+      location.season_profile || null,
+      location.season_note || null,
+      location.transport_hubs || JSON.stringify(location.transportHubs || [])
+    ]);
+    return result.lastID;
+  }
+
+  // Move on to the next day of the stay
+  async incrementDay(id) {
+    await Database.run('UPDATE locations SET current_day = current_day + 1 WHERE id = ?', [id]);
+  }
+
+  /**
+   * Make another location the current one
+   * The previous city is marked visited; the stay in the new one starts at day 1.
+   * @param {number} fromId - Location being left
+   * @param {number} toId - Location being arrived at
+   */
+  async switchCurrent(fromId, toId) {
+    await Database.transaction(async () => {
+      await Database.run('UPDATE locations SET is_current = 0, is_visited = 1 WHERE id = ?', [fromId]);
+      await Database.run('UPDATE locations SET is_current = 1, current_day = 1 WHERE id = ?', [toId]);
+    });
+  }
+}
+
+module.exports = new LocationRepository();
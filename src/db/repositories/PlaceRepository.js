@@ -0,0 +1,117 @@
+/**
+ * PlaceRepository.js
+ *
+ * Queries on the points of interest of each city (points_of_interest) and the
+ * visits Giovanni wrote about (visits). The places of a day trip town belong to
+ * the city stayed in, with the day trip in day_trip_id; the queries on a city
+ * leave them out unless they ask for that day trip.
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} PointOfInterest
+ * @property {number} id
+ * @property {number} location_id
+ * @property {string} name
+ * @property {string} type - 'attraction' or 'restaurant'
+ * @property {string} description
+ * @property {string} highlights - JSON array of facts or specialties
+ * @property {string} opening_hours - JSON object { weekday, weekend }
+ * @property {string|null} website
+ * @property {number|null} day_trip_id - Day trip town the place is in (null: the city itself)
+ * @property {string} created_at
+ */
+
+class PlaceRepository {
+  /**
+   * List the places of a city that were not written about yet
+   * @param {number} locationId - Location ID
+   * @param {string} type - 'attraction' or 'restaurant'
+   * @param {number|null} dayTripId - Places of this day trip town instead of the city
+   * @returns {Promise<PointOfInterest[]>}
+   */
+  async listUnvisited(locationId, type, dayTripId = null) {
+    return Database.all(`
+      SELECT poi.* FROM points_of_interest poi
+      LEFT JOIN visits v ON poi.id = v.poi_id
+      WHERE poi.location_id = ? AND poi.type = ? AND poi.day_trip_id IS ?
+      AND (v.id IS NULL OR v.included_in_post = 0)
+    `, [locationId, type, dayTripId]);
+  }
+
+  /**
+   * List all places of a city
+   * @param {number} locationId - Location ID
+   * @param {string} type - 'attraction' or 'restaurant'
+   * @param {number|null} dayTripId - Places of this day trip town instead of the city
+   * @returns {Promise<PointOfInterest[]>}
+   */
+  async listByType(locationId, type, dayTripId = null) {
+    return Database.all('SELECT * FROM points_of_interest WHERE location_id = ? AND type = ? AND day_trip_id IS ?', [locationId, type, dayTripId]);
+  }
+
+  /**
+   * Pick a random place of a city that has never been visited
+   * @param {number} locationId - Location ID
+   * @param {string} type - 'attraction' or 'restaurant'
+   * @returns {Promise<PointOfInterest|null>}
+   */
+  async getRandomUnvisited(locationId, type) {
+    return await Database.get(`
+      SELECT * FROM points_of_interest
+      WHERE location_id = ? AND type = ? AND day_trip_id IS NULL
+      AND id NOT IN (SELECT poi_id FROM visits WHERE poi_id IS NOT NULL)
+      ORDER BY RANDOM()
+      LIMIT 1
+    `, [locationId, type]) || null;
+  }
+
+  // Number of places of a city that have never been visited
+  async countUnvisited(locationId, type) {
+    const row = await Database.get(`
+      SELECT COUNT(*) as count
+      FROM points_of_interest poi
+      LEFT JOIN visits v ON poi.id = v.poi_id
+      WHERE poi.location_id = ? AND poi.type = ? AND poi.day_trip_id IS NULL AND v.poi_id IS NULL
+    `, [locationId, type]);
+    return row.count;
+  }
+
+  /**
+   * Add a place to a city
+   * @param {Object} place - Column values (location_id, name, type, description, highlights, opening_hours, website, day_trip_id)
+   * @returns {Promise<number>} ID of the new place
+   */
+  async insert(place) {
+    const result = await Database.run(`
+      INSERT INTO points_of_interest (
+        location_id, name, type, description, highlights, opening_hours, website, day_trip_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      place.location_id,
+      place.name,
+      place.type,
+      place.description,
+      place.highlights,
+      place.opening_hours,
+      place.website || null,
+      place.day_trip_id || null
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Record that a place was written about
+   * @param {number} poiId - Place ID
+   * @param {string} visitDate - YYYY-MM-DD
+   */
+  async markVisited(poiId, visitDate) {
+    await Database.run(`
+      INSERT OR REPLACE INTO visits (poi_id, visit_date, included_in_post)
+      VALUES (?, ?, 1)
+    `, [poiId, visitDate]);
+  }
+}
+
+module.exports = new PlaceRepository();
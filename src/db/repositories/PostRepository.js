@@ -0,0 +1,168 @@
+/**
+ * PostRepository.js
+ *
+ * Queries on the posts table and the images of each post (post_images)
+ */
+
+const Database = require('../Database');
+const PostSearchRepository = require('./PostSearchRepository');
+
+/**
+ * @typedef {Object} Post
+ * @property {number} id
+ * @property {number} wp_post_id - WordPress post ID
+ * @property {number|null} location_id - City of a daily post, destination of a travel post
+ * @property {string} title
+ * @property {string} slug
+ * @property {string} content - WordPress block HTML
+ * @property {string} excerpt
+ * @property {string} type - 'daily' or 'travel'
+ * @property {number|null} day_number
+ * @property {string} published_at - ISO timestamp
+ * @property {number|null} weather_temp
+ * @property {string|null} weather_condition
+ * @property {string} featured_image_local_path
+ * @property {number|null} featured_image_wp_id
+ * @property {string} image_credits - JSON object of credits by image kind
+ * @property {number|null} total_days
+ * @property {number|null} total_distance
+ * @property {number|null} total_spent_eur - Money spent on the journey up to the post (budget ledger)
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} PostImage
+ * @property {number} id
+ * @property {number} post_id
+ * @property {string} image_local_path
+ * @property {number} image_wp_id
+ * @property {string} image_wp_url
+ * @property {string} caption
+ * @property {string} alt_text
+ * @property {string} credit
+ * @property {number|null} display_order
+ * @property {string} created_at
+ */
+
+class PostRepository {
+  /**
+   * Find a saved post by its WordPress ID
+   * @param {number} wpPostId - WordPress post ID
+   * @returns {Promise<Post|null>}
+   */
+  async findByWpPostId(wpPostId) {
+    return await Database.get('SELECT * FROM posts WHERE wp_post_id = ?', [wpPostId]) || null;
+  }
+
+  /**
+   * Save a published post and add it to the search index
+   * @param {Object} post - Column values (wp_post_id, title, slug, content, ...)
+   * @returns {Promise<number>} ID of the new post
+   */
+  async insert(post) {
+    return Database.transaction(async () => {
+      const postId = await this.insertRow(post);
+      await PostSearchRepository.index({ ...post, id: postId });
+      return postId;
+    });
+  }
+
+  // Insert the posts row
+  async insertRow(post) {
+    const result = await Database.run(`
+      INSERT INTO posts (
+        wp_post_id, location_id, title, slug, content, excerpt, type, day_number,
+        published_at, weather_temp, weather_condition, featured_image_local_path,
+        featured_image_wp_id, image_credits, total_days, total_distance, total_spent_eur
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      post.wp_post_id,
+      post.location_id || null,
+      post.title,
+      post.slug,
+      post.content,
+      post.excerpt,
+      post.type || 'daily',
+      post.day_number || null,
+      post.published_at || new Date().toISOString(),
+      post.weather_temp === undefined ? null : post.weather_temp,
+      post.weather_condition || null,
+      post.featured_image_local_path,
+      post.featured_image_wp_id || null,
+      post.image_credits,
+      post.total_days || null,
+      post.total_distance || null,
+      post.total_spent_eur === undefined ? null : post.total_spent_eur
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Save an image uploaded with a post
+   * @param {number} postId - Local post ID
+   * @param {Object} image - Column values (image_local_path, image_wp_id, ...)
+   */
+  async insertImage(postId, image) {
+    await Database.run(`
+      INSERT INTO post_images (
+        post_id, image_local_path, image_wp_id, image_wp_url, caption, alt_text, credit
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      postId,
+      image.image_local_path,
+      image.image_wp_id,
+      image.image_wp_url,
+      image.caption || '',
+      image.alt_text || '',
+      image.credit || ''
+    ]);
+  }
+
+  /**
+   * Get the most recently published post
+   * @returns {Promise<Object|null>} { id, wp_post_id, title, type, day_number, published_at }
+   */
+  async getLatest() {
+    return await Database.get(`
+      SELECT id, wp_post_id, title, type, day_number, published_at
+      FROM posts ORDER BY published_at DESC LIMIT 1
+    `) || null;
+  }
+
+  // Publication timestamp of the latest post, as stored (null before the first post)
+  async getLastPublishedAt() {
+    const row = await Database.get('SELECT MAX(published_at) as last_published_at FROM posts');
+    return row ? row.last_published_at : null;
+  }
+
+  /**
+   * List recent posts with their city
+   * @param {number} limit - Maximum number of posts
+   * @returns {Promise<Object[]>} Post summaries with location_name and location_country
+   */
+  async listRecent(limit) {
+    return Database.all(`
+      SELECT p.id, p.wp_post_id, p.title, p.slug, p.type, p.day_number, p.published_at,
+             l.name as location_name, l.country as location_country
+      FROM posts p
+      LEFT JOIN locations l ON p.location_id = l.id
+      ORDER BY p.published_at DESC
+      LIMIT ?
+    `, [limit]);
+  }
+
+  /**
+   * Journey counters
+   * @returns {Promise<Object>} { posts, visited_locations, total_distance_km (of the journeys between cities) }
+   */
+  async getCounts() {
+    return Database.get(`
+      SELECT
+        (SELECT COUNT(*) FROM posts) as posts,
+        (SELECT COUNT(*) FROM locations WHERE is_visited = 1) as visited_locations,
+        (SELECT COALESCE(SUM(distance_km), 0) FROM transportation WHERE day_trip_id IS NULL) as total_distance_km
+    `);
+  }
+}
+
+module.exports = new PostRepository();
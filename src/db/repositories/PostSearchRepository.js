@@ -0,0 +1,84 @@
+/**
+ * PostSearchRepository.js
+ *
+ * Queries on the full-text search index of posts (posts_fts, rowid = posts.id)
+ */
+
+const Database = require('../Database');
+const HtmlText = require('../../utils/HtmlText');
+
+/**
+ * @typedef {Object} PostSearchResult
+ * @property {number} id - Post ID
+ * @property {number} wp_post_id
+ * @property {string} title
+ * @property {string} slug
+ * @property {string} type
+ * @property {number|null} day_number
+ * @property {string} published_at
+ * @property {string|null} location_name
+ * @property {string|null} location_country
+ * @property {string} snippet - Matching text with the matches between [ and ]
+ * @property {number} rank - bm25 rank (lower is better)
+ */
+
+class PostSearchRepository {
+  /**
+   * Index a post (replaces its earlier entry)
+   * @param {Object} post - { id, title, excerpt, content } with content as markup
+   */
+  async index(post) {
+    await Database.transaction(async () => {
+      await Database.run('DELETE FROM posts_fts WHERE rowid = ?', [post.id]);
+      await Database.run(
+        'INSERT INTO posts_fts (rowid, title, excerpt, content) VALUES (?, ?, ?, ?)',
+        [post.id, post.title, HtmlText.toPlainText(post.excerpt), HtmlText.toPlainText(post.content)]
+      );
+    });
+  }
+
+  // Posts without an index entry (new, or edited since they were indexed)
+  async listUnindexed() {
+    return Database.all(`
+      SELECT id, title, excerpt, content FROM posts
+      WHERE id NOT IN (SELECT rowid FROM posts_fts)
+      ORDER BY id
+    `);
+  }
+
+  // Remove every index entry
+  async clear() {
+    await Database.run('DELETE FROM posts_fts');
+  }
+
+  /**
+   * Search posts
+   * @param {string} match - FTS5 query
+   * @param {Object} options - { limit, type: only posts of this type }
+   * @returns {Promise<PostSearchResult[]>} Best matches first
+   */
+  async search(match, options = {}) {
+    const params = [match];
+    let typeFilter = '';
+    if (options.type) {
+      typeFilter = 'AND p.type = ?';
+      params.push(options.type);
+    }
+    params.push(options.limit || 10);
+
+    return Database.all(`
+      SELECT p.id, p.wp_post_id, p.title, p.slug, p.type, p.day_number, p.published_at,
+             l.name as location_name, l.country as location_country,
+             snippet(posts_fts, -1, '[', ']', '…', 16) as snippet,
+             bm25(posts_fts, 10.0, 3.0, 1.0) as rank
+      FROM posts_fts
+      JOIN posts p ON p.id = posts_fts.rowid
+      LEFT JOIN locations l ON l.id = p.location_id
+      WHERE posts_fts MATCH ? ${typeFilter}
+      ORDER BY rank
+      LIMIT ?
+    `, params);
+  }
+}
+
+module.exports = new PostSearchRepository();
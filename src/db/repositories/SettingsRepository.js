@@ -0,0 +1,56 @@
+/**
+ * SettingsRepository.js
+ *
+ * Queries on the key/value settings table
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} Setting
+ * @property {string} key
+ * @property {string} value - Always stored as text
+ * @property {string} description
+ * @property {string} updated_at
+ */
+
+class SettingsRepository {
+  /**
+   * List all settings
+   * @returns {Promise<Setting[]>}
+   */
+  async list() {
+    return Database.all('SELECT key, value, description, updated_at FROM settings ORDER BY key');
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting key
+   * @returns {Promise<Setting|null>}
+   */
+  async get(key) {
+    return await Database.get('SELECT key, value, description, updated_at FROM settings WHERE key = ?', [key]) || null;
+  }
+
+  // Value of a setting (null if the key is unknown)
+  async getValue(key) {
+    const setting = await this.get(key);
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Change the value of an existing setting
+   * @param {string} key - Setting key
+   * @param {string} value - New value
+   * @returns {Promise<boolean>} False if the key is unknown
+   */
+  async update(key, value) {
+    const result = await Database.run(
+      'UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+      [value, key]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = new SettingsRepository();
@@ -0,0 +1,116 @@
+/**
+ * TransportationRepository.js
+ *
+ * Queries on the journeys between cities (transportation). A journey is one
+ * row per segment (e.g. bus to the port, ferry, bus into town). The way to a
+ * day trip town and back is stored the same way, from and to the city stayed
+ * in, with the day trip in day_trip_id; queries on the journey leave those
+ * rows out.
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} Transportation
+ * @property {number} id
+ * @property {number} from_location_id
+ * @property {number} to_location_id
+ * @property {number} segment - Position of the segment in the journey (1 for the first)
+ * @property {string} from_name - Place the segment leaves from (null: the city left)
+ * @property {string} to_name - Place the segment arrives at (null: the city arrived at)
+ * @property {string} type - 'bus', 'train', 'shared car', 'ferry' or 'airplane'
+ * @property {string} departure_time - ISO timestamp
+ * @property {string} arrival_time - ISO timestamp
+ * @property {number} duration_minutes
+ * @property {number} distance_km
+ * @property {number} price
+ * @property {string} currency
+ * @property {number|null} day_trip_id - Day trip the segment belongs to (null: a journey between cities)
+ * @property {string} created_at
+ */
+
+class TransportationRepository {
+  /**
+   * List the segments of the journey between two cities
+   * @param {number} fromLocationId - City left
+   * @param {number} toLocationId - City arrived at
+   * @returns {Promise<Transportation[]>} Segments in order
+   */
+  async listSegments(fromLocationId, toLocationId) {
+    return Database.all(`
+      SELECT * FROM transportation
+      WHERE from_location_id = ? AND to_location_id = ? AND day_trip_id IS NULL
+      ORDER BY segment, id
+    `, [fromLocationId, toLocationId]);
+  }
+
+  /**
+   * Get the journey between two cities as a whole
+   * @param {number} fromLocationId - City left
+   * @param {number} toLocationId - City arrived at
+   * @returns {Promise<Transportation|null>} The first segment with the departure of the first segment, the
+   *   arrival of the last, the total duration (with changes), distance and price, the type of the longest
+   *   segment, and segments (all of them in order)
+   */
+  async getBetween(fromLocationId, toLocationId) {
+    const segments = await this.listSegments(fromLocationId, toLocationId);
+    if (segments.length === 0) return null;
+
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    const departure = Date.parse(first.departure_time);
+    const arrival = Date.parse(last.arrival_time);
+    return {
+      ...first,
+      type: segments.reduce((longest, segment) => segment.distance_km > longest.distance_km ? segment : longest).type,
+      arrival_time: last.arrival_time,
+      duration_minutes: isNaN(departure) || isNaN(arrival)
+        ? segments.reduce((total, segment) => total + (segment.duration_minutes || 0), 0)
+        : Math.round((arrival - departure) / 60000),
+      distance_km: segments.reduce((total, segment) => total + (segment.distance_km || 0), 0),
+      price: segments.reduce((total, segment) => total + (segment.price || 0), 0),
+      segments
+    };
+  }
+
+  /**
+   * Save a journey segment
+   * @param {Object} transport - Column values (from_location_id, to_location_id, segment, type, ..., day_trip_id)
+   * @returns {Promise<number>} ID of the new segment
+   */
+  async insert(transport) {
+    const result = await Database.run(`
+      INSERT INTO transportation (
+        from_location_id, to_location_id, segment, from_name, to_name, type, departure_time, arrival_time,
+        duration_minutes, distance_km, price, currency, day_trip_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      transport.from_location_id,
+      transport.to_location_id,
+      transport.segment || 1,
+      transport.from_name || null,
+      transport.to_name || null,
+      transport.type,
+      transport.departure_time,
+      transport.arrival_time,
+      transport.duration_minutes,
+      transport.distance_km,
+      transport.price,
+      transport.currency,
+      transport.day_trip_id || null
+    ]);
+    return result.lastID;
+  }
+
+  // Kilometres of the journeys between cities that departed before a moment (day trips left out)
+  async getTotalDistance(until = new Date()) {
+    const row = await Database.get(`
+      SELECT SUM(distance_km) as total
+      FROM transportation
+      WHERE departure_time <= ? AND day_trip_id IS NULL
+    `, [until.toISOString()]);
+    return row && row.total ? row.total : 0;
+  }
+}
+
+module.exports = new TransportationRepository();
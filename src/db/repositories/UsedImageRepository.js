@@ -0,0 +1,60 @@
+/**
+ * UsedImageRepository.js
+ *
+ * Images already published (used_images), so no photo or generated image
+ * prompt appears twice on the blog
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} UsedImage
+ * @property {number} id
+ * @property {string|null} unsplash_id - Unsplash photo ID
+ * @property {string|null} freepik_prompt_hash - Hash of a Freepik prompt
+ * @property {string|null} freepik_prompt
+ * @property {string} query_type - Image kind (location, food, ...)
+ * @property {string|null} url
+ * @property {string} created_at
+ */
+
+class UsedImageRepository {
+  /**
+   * Find which Unsplash photos were already used
+   * @param {string[]} unsplashIds - Photo IDs
+   * @returns {Promise<Set<string>>} The used ones
+   */
+  async findUsedUnsplashIds(unsplashIds) {
+    if (unsplashIds.length === 0) return new Set();
+
+    const rows = await Database.all(
+      `SELECT unsplash_id FROM used_images WHERE unsplash_id IN (${unsplashIds.map(() => '?').join(', ')})`,
+      unsplashIds
+    );
+    return new Set(rows.map(row => row.unsplash_id));
+  }
+
+  // Record an Unsplash photo as used
+  async markUnsplashUsed(unsplashId, queryType, url) {
+    await Database.run(
+      'INSERT OR IGNORE INTO used_images (unsplash_id, query_type, url, created_at) VALUES (?, ?, ?, ?)',
+      [unsplashId, queryType, url, new Date().toISOString()]
+    );
+  }
+
+  // Whether a Freepik prompt was already used
+  async isFreepikPromptUsed(promptHash) {
+    const row = await Database.get('SELECT id FROM used_images WHERE freepik_prompt_hash = ?', [promptHash]);
+    return !!row;
+  }
+
+  // Record a Freepik prompt as used
+  async markFreepikPromptUsed(promptHash, queryType, prompt) {
+    await Database.run(
+      'INSERT OR IGNORE INTO used_images (freepik_prompt_hash, query_type, freepik_prompt, created_at) VALUES (?, ?, ?, ?)',
+      [promptHash, queryType, prompt, new Date().toISOString()]
+    );
+  }
+}
+
+module.exports = new UsedImageRepository();
@@ -0,0 +1,73 @@
+/**
+ * WeatherRepository.js
+ *
+ * Weather stored per city and day (daily_weather), so a post can describe
+ * yesterday's weather
+ */
+
+const Database = require('../Database');
+
+/**
+ * @typedef {Object} DailyWeather
+ * @property {number} id
+ * @property {string} city
+ * @property {string} country
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} temperature - °C
+ * @property {number} feels_like - °C
+ * @property {string} description
+ * @property {string} icon - OpenWeatherMap icon code
+ * @property {number} humidity - %
+ * @property {number} wind_speed - m/s
+ * @property {string} created_at
+ */
+
+class WeatherRepository {
+  /**
+   * Get the weather of a city on a day
+   * @param {string} city - City name
+   * @param {string} country - Country name
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<DailyWeather|null>}
+   */
+  async get(city, country, date) {
+    return await Database.get(`
+      SELECT * FROM daily_weather
+      WHERE city = ? AND country = ? AND date = ?
+    `, [city, country, date]) || null;
+  }
+
+  /**
+   * Store the weather of a city on a day (replaces an earlier reading of that day)
+   * @param {string} city - City name
+   * @param {string} country - Country name
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} weather - { temperature, feelsLike, description, icon, humidity, windSpeed }
+   */
+  async save(city, country, date, weather) {
+    await Database.run(`
+      INSERT OR REPLACE INTO daily_weather (
+        city, country, date, temperature, feels_like, description,
+        icon, humidity, wind_speed, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      city,
+      country,
+      date,
+      weather.temperature,
+      weather.feelsLike,
+      weather.description,
+      weather.icon,
+      weather.humidity,
+      weather.windSpeed,
+      new Date().toISOString()
+    ]);
+  }
+
+  // Delete readings older than a day (YYYY-MM-DD)
+  async deleteBefore(date) {
+    await Database.run('DELETE FROM daily_weather WHERE date < ?', [date]);
+  }
+}
+
+module.exports = new WeatherRepository();
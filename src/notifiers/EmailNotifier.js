@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email notifier: sends every notification as a plain text email over SMTP
+ */
+class EmailNotifier {
+  /**
+   * @param {Object} config - { host, port, secure, user, password, from, to, events: event names to send (empty = all) }
+   */
+  constructor(config) {
+    this.name = 'email';
+    this.from = config.from || config.user;
+    this.to = config.to;
+    this.events = config.events || [];
+
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port || 587,
+      secure: !!config.secure,
+      auth: config.user ? { user: config.user, pass: config.password } : undefined,
+      connectionTimeout: 10000
+    });
+  }
+
+  // Whether this channel wants the event
+  accepts(event) {
+    return this.events.length === 0 || this.events.includes(event);
+  }
+
+  // Format the notification context as "key: value" lines
+  formatBody(notification) {
+    const { title, ...context } = notification;
+    const lines = Object.entries(context)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+    return `${title}\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} notification - { event, title, severity, timestamp, ...context }
+   */
+  async send(notification) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[${notification.blog}] ${notification.title}`,
+      text: this.formatBody(notification)
+    });
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+/**
+ * Webhook notifier: POSTs every notification as JSON to a URL
+ * Works with any endpoint that accepts JSON (automation tools, chat bridges, custom scripts)
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} config - { url, token: optional bearer token, events: event names to send (empty = all), timeout }
+   */
+  constructor(config) {
+    this.name = 'webhook';
+    this.url = config.url;
+    this.token = config.token || null;
+    this.events = config.events || [];
+    this.timeout = config.timeout || 10000;
+  }
+
+  // Whether this channel wants the event
+  accepts(event) {
+    return this.events.length === 0 || this.events.includes(event);
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} notification - { event, title, severity, timestamp, ...context }
+   */
+  async send(notification) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    await axios.post(this.url, notification, { headers, timeout: this.timeout });
+  }
+}
+
+module.exports = WebhookNotifier;
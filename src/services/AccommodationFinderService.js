@@ -5,13 +5,16 @@
  * using Google Places API instead of web scraping.
  */
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const ApiCacheService = require('./ApiCacheService');
+const BudgetService = require('./BudgetService');
+const CurrencyService = require('./CurrencyService');
+const CountryRegistry = require('../utils/CountryRegistry');
 require('dotenv').config();
 
 class AccommodationFinderService {
   constructor() {
-    // Cache to store search results to reduce API calls
-    this.cache = new NodeCache({ stdTTL: 60 * 60 * 24 * 7 }); // 7 days cache
+    // Responses are cached in the database (api_cache) under this name
+    this.cacheApi = 'accommodation_finder';
     this.apiKey = process.env.API_KEY_GOOGLE;
     
     // Rate limiting settings
@@ -31,7 +34,7 @@ class AccommodationFinderService {
       const cacheKey = `accommodation_${city}_${country}`.replace(/\s+/g, '_').toLowerCase();
       
       // Check cache first
-      const cachedResult = this.cache.get(cacheKey);
+      const cachedResult = await ApiCacheService.get(this.cacheApi, cacheKey);
       if (cachedResult) {
         console.log(`Using cached accommodation for ${city}, ${country}`);
         return cachedResult;
@@ -110,10 +113,10 @@ class AccommodationFinderService {
           accommodations.push({
             name: result.name,
             description: `A well-located ${options.budget || 'comfortable'} accommodation in ${city}, ${country}.`,
-            pricePerNight: this.estimatePriceFromRating(result.rating, options.budget),
+            pricePerNight: await this.estimatePriceFromRating(result.rating, options.budget, country),
             address: result.formatted_address || `${city}, ${country}`,
             amenities: this.generateDefaultAmenities(options.budget),
-            currency: this.getCurrencyForCountry(country),
+            currency: CountryRegistry.getCurrency(country),
             bookingUrl: result.website || result.url,
             source: result.website ? 'Official Website' : 'Google Maps',
             rating: result.rating,
@@ -126,10 +129,10 @@ class AccommodationFinderService {
       
       // If we have accommodation results, select the best match
       if (accommodations.length > 0) {
-        const bestMatch = this.selectBestAccommodation(accommodations, options);
+        const bestMatch = await this.selectBestAccommodation(accommodations, options);
         
         // Store in cache
-        this.cache.set(cacheKey, bestMatch);
+        await ApiCacheService.set(this.cacheApi, cacheKey, bestMatch);
         
         console.log(`Found accommodation in ${city}: ${bestMatch.name}`);
         return bestMatch;
@@ -151,14 +154,18 @@ class AccommodationFinderService {
    * Select the best accommodation from search results
    * @param {Array} accommodations - List of found accommodations
    * @param {object} options - Search preferences
-   * @returns {object} - Best matching accommodation
+   * @returns {Promise<object>} - Best matching accommodation
    */
-  selectBestAccommodation(accommodations, options = {}) {
+  async selectBestAccommodation(accommodations, options = {}) {
     // If specific options are provided, filter further
     let filtered = accommodations;
     
     if (options.maxPrice) {
-      filtered = filtered.filter(acc => !acc.pricePerNight || acc.pricePerNight <= options.maxPrice);
+      // The maximum price is in euros
+      filtered = [];
+      for (const acc of accommodations) {
+        if (!acc.pricePerNight || await CurrencyService.toEur(acc.pricePerNight, acc.currency) <= options.maxPrice) filtered.push(acc);
+      }
     }
     
     // Sort by rating if available
@@ -176,30 +183,23 @@ class AccommodationFinderService {
   }
 
   /**
-   * Estimate price based on rating and budget preferences
+   * Estimate price based on rating, budget preferences and the cost of living of the country
    * @param {number} rating - Place rating (0-5)
    * @param {string} budget - Budget preference (low, medium, high)
-   * @returns {number} - Estimated price per night
+   * @param {string} country - Country of the accommodation
+   * @returns {Promise<number>} - Estimated price per night (in the currency of the country)
    */
-  estimatePriceFromRating(rating, budget) {
-    // Base price depending on budget preference
-    let basePrice = 70; // Medium budget
-    
-    if (budget === 'low') {
-      basePrice = 45;
-    } else if (budget === 'high') {
-      basePrice = 120;
-    }
+  async estimatePriceFromRating(rating, budget, country) {
+    const location = { country, currency: CountryRegistry.getCurrency(country) };
     
-    // Adjust based on rating if available
+    // 5-star would be 100% of the price for the budget, 1-star would be 60%
     if (rating) {
-      // 5-star would be 100% of base, 1-star would be 60% of base
-      const multiplier = 0.6 + (rating / 5) * 0.4;
-      return Math.round(basePrice * multiplier);
+      return BudgetService.estimateNightPrice(location, { rating, budget });
     }
     
     // Add some randomness for variety
-    return basePrice + Math.floor(Math.random() * 20) - 10;
+    const price = await BudgetService.estimateNightPrice(location, { budget });
+    return BudgetService.round(price * (0.85 + Math.random() * 0.3), await BudgetService.getCurrency(location));
   }
 
   /**
@@ -224,46 +224,20 @@ class AccommodationFinderService {
    * Create a default accommodation when search fails
    * @param {string} city - City name
    * @param {string} country - Country name
-   * @returns {object} - Default accommodation object
+   * @returns {Promise<object>} - Default accommodation object
    */
-  createDefaultAccommodation(city, country) {
+  async createDefaultAccommodation(city, country) {
     return {
       name: `${city} City Center Apartment`,
       description: `Cozy apartment in the heart of ${city}, perfect for exploring the historic center. Featuring modern amenities and a convenient location.`,
-      pricePerNight: 50 + Math.floor(Math.random() * 50),
+      pricePerNight: await this.estimatePriceFromRating(null, 'medium', country),
       address: `City Center, ${city}`,
       amenities: 'WiFi, Kitchen, Air conditioning, TV, Washing machine',
-      currency: this.getCurrencyForCountry(country),
+      currency: CountryRegistry.getCurrency(country),
       bookingUrl: `https://www.booking.com/city/${country.toLowerCase()}/${city.toLowerCase().replace(/\s+/g, '-')}.html`,
       source: 'Default Generator'
     };
   }
-
-  /**
-   * Helper method to get currency for country
-   * @param {string} country - Country name
-   * @returns {string} - Currency code
-   */
-  getCurrencyForCountry(country) {
-    const currencies = {
-      'Serbia': 'RSD',
-      'Croatia': 'EUR',
-      'Italy': 'EUR',
-      'Montenegro': 'EUR',
-      'Bulgaria': 'BGN',
-      'Hungary': 'HUF',
-      'Greece': 'EUR',
-      'Romania': 'RON',
-      'North Macedonia': 'MKD',
-      'Czech Republic': 'CZK',
-      'Austria': 'EUR',
-      'Slovenia': 'EUR',
-      'Albania': 'ALL',
-      'Poland': 'PLN',
-      'Slovakia': 'EUR'
-    };
-    return currencies[country] || 'EUR';
-  }
 }
 
 module.exports = new AccommodationFinderService();
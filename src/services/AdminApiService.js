@@ -0,0 +1,276 @@
+/**
+ * AdminApiService.js
+ *
+ * Embedded HTTP server with authenticated JSON endpoints to operate the blog
+ * remotely: journey status, triggering posts and moves, recent posts and
+ * prompts, and the settings table.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const cron = require('cron');
+const PromptLogger = require('../utils/PromptLogger');
+const JourneyService = require('./JourneyService');
+const SettingsService = require('./SettingsService');
+const { posts } = require('../db');
+require('dotenv').config();
+
+class AdminApiService {
+  constructor() {
+    this.token = process.env.ADMIN_API_TOKEN;
+    this.port = parseInt(process.env.ADMIN_API_PORT) || 3080;
+    // Only this machine can reach the API unless ADMIN_API_HOST opens it to the network
+    this.host = process.env.ADMIN_API_HOST || '127.0.0.1';
+    this.maxBodySize = 64 * 1024;
+
+    this.server = null;
+    this.handlers = {};
+    this.lastTask = null;
+  }
+
+  // Check the bearer token in constant time
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const expected = Buffer.from(this.token);
+    const provided = Buffer.from(match[1].trim());
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  // Send a JSON response
+  sendJson(res, statusCode, body) {
+    const payload = JSON.stringify(body, null, 2);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  // Read and parse a JSON request body (a JSON object)
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > this.maxBodySize) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+        }
+      });
+
+      req.on('end', () => {
+        if (!body.trim()) return resolve({});
+        let parsed;
+        try {
+          parsed = JSON.parse(body);
+        } catch (error) {
+          return reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+        }
+        // null, arrays and plain values parse too, but have no fields to read
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          return reject(Object.assign(new Error('Body must be a JSON object'), { statusCode: 400 }));
+        }
+        resolve(parsed);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  // Decode a percent-encoded path segment
+  decodePathSegment(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      throw Object.assign(new Error(`Malformed path segment "${value}"`), { statusCode: 400 });
+    }
+  }
+
+  // Parse a positive integer query parameter
+  parseLimit(value, defaultValue, maxValue = 100) {
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < 1) return defaultValue;
+    return Math.min(parsed, maxValue);
+  }
+
+  /**
+   * Start a background task through the app and track its outcome
+   * The app refuses to start a task while another one is running.
+   * @param {string} name - Task name reported by /api/status
+   * @param {Function} start - Handler returning a promise, or null if the app is busy
+   * @returns {Object|null} Started task, or null if another task is running
+   */
+  startTask(name, start) {
+    const promise = start();
+    if (!promise) return null;
+
+    const task = {
+      name,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      success: null,
+      error: null
+    };
+    this.lastTask = task;
+
+    promise
+      .then(success => {
+        task.success = !!success;
+      })
+      .catch(error => {
+        task.success = false;
+        task.error = error.message;
+      })
+      .finally(() => {
+        task.finishedAt = new Date().toISOString();
+      });
+
+    return task;
+  }
+
+  // Journey status plus the schedule and the tasks started by the app
+  async getStatus() {
+    const status = await JourneyService.getStatus();
+
+    const schedule = this.handlers.getSchedule ? await this.handlers.getSchedule() : null;
+    let nextRun = null;
+    if (schedule) {
+      const cronTime = new cron.CronTime(schedule.cronTime, schedule.timezone);
+      nextRun = cronTime.getNextDateFrom(new Date(), schedule.timezone).toJSDate().toISOString();
+    }
+
+    return {
+      ...status,
+      schedule: schedule ? { ...schedule, nextRun } : null,
+      activeTask: this.handlers.getActiveTask ? this.handlers.getActiveTask() : null,
+      lastTask: this.lastTask
+    };
+  }
+
+  // Route a request to its endpoint
+  async handleRequest(req, res) {
+    if (!this.isAuthorized(req)) {
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+    const settingMatch = url.pathname.match(/^\/api\/settings\/([^/]+)\/?$/);
+
+    if (route === 'GET /api/status') {
+      return this.sendJson(res, 200, await this.getStatus());
+    }
+
+    if (route === 'GET /api/posts') {
+      const limit = this.parseLimit(url.searchParams.get('limit'), 10);
+      return this.sendJson(res, 200, { posts: await posts.listRecent(limit) });
+    }
+
+    if (route === 'POST /api/posts') {
+      const body = await this.readJsonBody(req);
+      const type = body.type || 'daily';
+      if (!['daily', 'travel'].includes(type)) {
+        return this.sendJson(res, 400, { error: 'type must be "daily" or "travel"' });
+      }
+
+      const handler = type === 'travel' ? this.handlers.generateTravelPost : this.handlers.generatePost;
+      const task = this.startTask(`${type} post`, handler);
+      if (!task) {
+        return this.sendJson(res, 409, { error: `Busy: ${this.handlers.getActiveTask()} is running` });
+      }
+      return this.sendJson(res, 202, { accepted: true, task });
+    }
+
+    if (route === 'POST /api/move') {
+      const task = this.startTask('move', this.handlers.move);
+      if (!task) {
+        return this.sendJson(res, 409, { error: `Busy: ${this.handlers.getActiveTask()} is running` });
+      }
+      return this.sendJson(res, 202, { accepted: true, task });
+    }
+
+    if (route === 'GET /api/prompts') {
+      const limit = this.parseLimit(url.searchParams.get('limit'), 20);
+      const service = url.searchParams.get('service');
+      return this.sendJson(res, 200, { prompts: PromptLogger.getRecentPrompts(limit, service) });
+    }
+
+    if (route === 'GET /api/settings') {
+      return this.sendJson(res, 200, { settings: await SettingsService.listSettings() });
+    }
+
+    if (settingMatch && req.method === 'GET') {
+      const setting = await SettingsService.getSetting(this.decodePathSegment(settingMatch[1]));
+      if (!setting) return this.sendJson(res, 404, { error: 'Setting not found' });
+      return this.sendJson(res, 200, setting);
+    }
+
+    if (settingMatch && req.method === 'PUT') {
+      const key = this.decodePathSegment(settingMatch[1]);
+      const body = await this.readJsonBody(req);
+      if (body.value === undefined || body.value === null || typeof body.value === 'object') {
+        return this.sendJson(res, 400, { error: 'Body must be {"value": <string|number|boolean>}' });
+      }
+
+      let setting;
+      try {
+        setting = await SettingsService.setSetting(key, body.value);
+      } catch (error) {
+        if (error.code === 'INVALID_SETTING') return this.sendJson(res, 400, { error: error.message });
+        throw error;
+      }
+      if (!setting) return this.sendJson(res, 404, { error: 'Setting not found' });
+      console.log(`Admin API: setting "${setting.key}" updated to "${setting.value}"`);
+      return this.sendJson(res, 200, setting);
+    }
+
+    return this.sendJson(res, 404, { error: `No endpoint for ${req.method} ${url.pathname}` });
+  }
+
+  /**
+   * Start the HTTP server
+   * The server is only started when ADMIN_API_TOKEN is set.
+   * @param {Object} handlers - { getActiveTask, getSchedule, generatePost, generateTravelPost, move }
+   * @returns {Promise<http.Server|null>} Listening server, or null if disabled
+   */
+  async start(handlers) {
+    if (!this.token) {
+      console.log('Admin API disabled (set ADMIN_API_TOKEN to enable it)');
+      return null;
+    }
+
+    this.handlers = handlers;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        if (!error.statusCode) {
+          console.error(`Admin API error on ${req.method} ${req.url}: ${error.message}`);
+        }
+        if (!res.headersSent) {
+          this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`Admin API listening on http://${this.host}:${this.server.address().port}`);
+    return this.server;
+  }
+
+  // Stop the HTTP server
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = new AdminApiService();
@@ -0,0 +1,121 @@
+/**
+ * ApiCacheService.js
+ *
+ * Persistent cache of external API responses in the api_cache table, shared by
+ * the Google Places and TripAdvisor services, so a restart does not spend the
+ * API quota again. Every API has its own TTL (API_CACHE_TTL_DAYS_<API> overrides
+ * the default) and hit/miss counters.
+ *
+ * A cache failure never fails the caller: lookups then count as misses.
+ */
+
+const crypto = require('crypto');
+const { apiCache } = require('../db');
+require('dotenv').config();
+
+class ApiCacheService {
+  constructor() {
+    // Default time to live of each cached API, in days
+    this.defaultTtlDays = {
+      website_finder: 30,
+      accommodation_finder: 7,
+      city_specialty: 30,
+      tripadvisor: 7
+    };
+    this.fallbackTtlDays = 7;
+  }
+
+  // TTL of an API in days (environment override, then default)
+  getTtlDays(apiName) {
+    const override = parseFloat(process.env[`API_CACHE_TTL_DAYS_${apiName.toUpperCase()}`]);
+    if (!isNaN(override) && override >= 0) return override;
+    return this.defaultTtlDays[apiName] || this.fallbackTtlDays;
+  }
+
+  // Hash of a request key (a string or any JSON-serializable value)
+  createRequestHash(key) {
+    const text = typeof key === 'string' ? key : JSON.stringify(key);
+    return crypto.createHash('md5').update(text).digest('hex');
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} apiName - Cached API (e.g. 'tripadvisor')
+   * @param {string|Object} key - Request key
+   * @returns {Promise<*>} Cached value (may be null), or undefined on a miss
+   */
+  async get(apiName, key) {
+    try {
+      const entry = await apiCache.getFresh(apiName, this.createRequestHash(key));
+      await apiCache.recordLookup(apiName, !!entry);
+      return entry ? JSON.parse(entry.response_data) : undefined;
+    } catch (error) {
+      console.error(`Error reading ${apiName} cache: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} apiName - Cached API
+   * @param {string|Object} key - Request key
+   * @param {*} value - JSON-serializable value (null caches "nothing found")
+   * @param {number} ttlDays - Time to live (defaults to the TTL of the API)
+   */
+  async set(apiName, key, value, ttlDays = this.getTtlDays(apiName)) {
+    try {
+      const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+      await apiCache.put(apiName, this.createRequestHash(key), JSON.stringify(value === undefined ? null : value), expiresAt);
+    } catch (error) {
+      console.error(`Error writing ${apiName} cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache statistics of every API that has entries, counters or a default TTL
+   * @returns {Promise<Object[]>} { api, ttlDays, entries, expired, hits, misses, hitRate (0-1 or null) }
+   */
+  async getStats() {
+    const counts = await apiCache.countByApi();
+    const stats = await apiCache.listStats();
+
+    const apiNames = new Set([
+      ...Object.keys(this.defaultTtlDays),
+      ...counts.map(row => row.api_name),
+      ...stats.map(row => row.api_name)
+    ]);
+
+    return [...apiNames].sort().map(api => {
+      const count = counts.find(row => row.api_name === api) || { entries: 0, expired: 0 };
+      const stat = stats.find(row => row.api_name === api) || { hits: 0, misses: 0 };
+      const lookups = stat.hits + stat.misses;
+      return {
+        api,
+        ttlDays: this.getTtlDays(api),
+        entries: count.entries,
+        expired: count.expired || 0,
+        hits: stat.hits,
+        misses: stat.misses,
+        hitRate: lookups > 0 ? stat.hits / lookups : null
+      };
+    });
+  }
+
+  /**
+   * Delete cached responses
+   * @param {Object} options - { api: only this API, expiredOnly: keep entries that are still fresh, resetStats: also reset the counters }
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async purge(options = {}) {
+    const deleted = await apiCache.delete({
+      apiName: options.api || null,
+      expiredBefore: options.expiredOnly ? new Date() : null
+    });
+    if (options.resetStats) {
+      await apiCache.resetStats(options.api || null);
+    }
+    return deleted;
+  }
+}
+
+module.exports = new ApiCacheService();
@@ -0,0 +1,93 @@
+/**
+ * BackupService.js
+ *
+ * Consistent snapshots of the SQLite database (safe while the app is writing)
+ * with rotation of old backups.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { open } = require('sqlite');
+const sqlite3 = require('sqlite3').verbose();
+require('dotenv').config();
+
+class BackupService {
+  constructor() {
+    this.dbPath = process.env.DB_PATH || path.join(__dirname, '..', '..', 'database', 'giovanni.db');
+    this.backupDir = process.env.BACKUP_DIR || path.join(os.homedir(), 'backups');
+    this.keep = parseInt(process.env.BACKUP_KEEP) || 10;
+    this.filePattern = /^giovanni-\d{4}-\d{2}-\d{2}\.db$/;
+  }
+
+  // Local calendar date (YYYY-MM-DD) used in backup file names
+  getDateStamp(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Write a consistent copy of the database to a file
+   * @param {string} targetPath - Snapshot file (replaced if it exists)
+   * @returns {Promise<Object>} { path, size }
+   */
+  async createSnapshot(targetPath) {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`Database file not found: ${this.dbPath}`);
+    }
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+
+    // VACUUM INTO refuses to overwrite an existing file
+    if (fs.existsSync(targetPath)) {
+      fs.unlinkSync(targetPath);
+    }
+
+    const db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+    try {
+      db.configure('busyTimeout', 5000);
+      await db.run('VACUUM INTO ?', [targetPath]);
+    } finally {
+      await db.close();
+    }
+
+    return { path: targetPath, size: fs.statSync(targetPath).size };
+  }
+
+  /**
+   * Write the daily backup to the backup directory
+   * A backup made earlier the same day is replaced.
+   * @param {string} backupDir - Target directory (defaults to BACKUP_DIR)
+   * @returns {Promise<Object>} { path, size }
+   */
+  async createBackup(backupDir = this.backupDir) {
+    return this.createSnapshot(path.join(backupDir, `giovanni-${this.getDateStamp()}.db`));
+  }
+
+  /**
+   * Delete the oldest backups beyond the retention limit
+   * @param {string} backupDir - Backup directory (defaults to BACKUP_DIR)
+   * @param {number} keep - Number of backups to keep (defaults to BACKUP_KEEP)
+   * @returns {string[]} Deleted file paths
+   */
+  pruneBackups(backupDir = this.backupDir, keep = this.keep) {
+    if (!fs.existsSync(backupDir)) return [];
+
+    // Date-stamped names sort chronologically
+    const backups = fs.readdirSync(backupDir)
+      .filter(file => this.filePattern.test(file))
+      .sort()
+      .reverse();
+
+    return backups.slice(keep).map(file => {
+      const filePath = path.join(backupDir, file);
+      fs.unlinkSync(filePath);
+      return filePath;
+    });
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,232 @@
+/**
+ * BudgetService.js
+ *
+ * What the journey costs. Prices are modelled for a city where the cost of
+ * living is the European average and scaled by the cost of living of the
+ * country (a coffee costs less in Tirana than in Vienna), in the local
+ * currency and in euros. Every expense (transport, nights, meals, entrance
+ * fees) is recorded in the budget ledger (expenses), and the running totals
+ * go into the posts, the status and `giovanni budget`.
+ */
+
+const CurrencyService = require('./CurrencyService');
+const CountryRegistry = require('../utils/CountryRegistry');
+const { expenses } = require('../db');
+
+// Prices in euros where the cost of living is 100
+const basePrices = {
+  coffee: 2.5,
+  // A meal, by the price level of the restaurant (0 to 4; unknown counts as 2)
+  meal: [8, 12, 22, 40, 70],
+  entrance: 10,
+  // A night, by the budget of the stay
+  night: { low: 45, medium: 70, high: 120 }
+};
+
+// Attractions that cost nothing to visit
+const freeAttractions = /\b(park|garden|square|bridge|street|promenade|viewpoint|beach|market|church|cathedral|mosque)\b/i;
+
+class BudgetService {
+  constructor() {
+    this.basePrices = basePrices;
+  }
+
+  // Cost of living of a country (100 is the European average; country registry)
+  getCostOfLiving(country) {
+    return CountryRegistry.getCostOfLiving(country);
+  }
+
+  // Currency prices are given in at a location (euros where the local currency has no exchange rate)
+  async getCurrency(location) {
+    return location && location.currency && await CurrencyService.isKnown(location.currency) ? location.currency : 'EUR';
+  }
+
+  // Round an amount of a currency (whole units of the currencies worth little)
+  round(amount, currency) {
+    return CurrencyService.round(amount, currency);
+  }
+
+  /**
+   * Price of something at a location
+   * @param {string} item - 'coffee', 'meal', 'entrance' or 'night'
+   * @param {Object} location - { country, currency }
+   * @param {Object} options - { priceLevel: of a restaurant (meal), budget: low, medium or high (night),
+   *   date: day of the exchange rate (default today) }
+   * @returns {Promise<Object>} { amount (local currency), currency, amount_eur }
+   */
+  async getPrice(item, location, options = {}) {
+    let baseEur = basePrices[item];
+    if (item === 'meal') {
+      const level = Number.isInteger(options.priceLevel) && options.priceLevel >= 0 && options.priceLevel <= 4 ? options.priceLevel : 2;
+      baseEur = basePrices.meal[level];
+    } else if (item === 'night') {
+      baseEur = basePrices.night[options.budget] || basePrices.night.medium;
+    }
+    if (baseEur === undefined) throw new Error(`Unknown budget item: ${item}`);
+
+    const currency = await this.getCurrency(location);
+    const amount = await CurrencyService.fromEur(baseEur * this.getCostOfLiving(location.country) / 100, currency, options.date);
+    return { amount, currency, amount_eur: await CurrencyService.toEur(amount, currency, options.date) };
+  }
+
+  /**
+   * Price of a night at an accommodation
+   * @param {Object} location - { country, currency }
+   * @param {Object} options - { rating: 0-5 (a 1-star place costs 60% of a 5-star one), budget, date }
+   * @returns {Promise<number>} Price per night in the local currency
+   */
+  async estimateNightPrice(location, options = {}) {
+    const { amount, currency } = await this.getPrice('night', location, { budget: options.budget, date: options.date });
+    if (!options.rating) return amount;
+    return this.round(amount * (0.6 + (options.rating / 5) * 0.4), currency);
+  }
+
+  // Whether an attraction is free to visit (parks, squares, churches, ...)
+  isFree(attraction) {
+    return freeAttractions.test(`${attraction.name || ''} ${attraction.description || ''}`);
+  }
+
+  /**
+   * Expenses of a day in a city: the night, the meal at the restaurant and the entrance to the attraction
+   * @param {Object} location - Current location
+   * @param {Object} day - { accommodation, restaurant, attraction, date: of the exchange rates (default today) }
+   * @returns {Promise<Object[]>} Expenses (columns of the ledger, without post_id and spent_on)
+   */
+  async estimateDay(location, day) {
+    const items = [];
+    const add = (category, description, price, placeId = null) => {
+      items.push({ location_id: location.id, place_id: placeId, category, description, ...price });
+    };
+
+    const accommodation = day.accommodation;
+    if (accommodation && accommodation.price_per_night) {
+      const currency = accommodation.currency && await CurrencyService.isKnown(accommodation.currency)
+        ? accommodation.currency
+        : await this.getCurrency(location);
+      add('accommodation', `Night at ${accommodation.name}`, {
+        amount: accommodation.price_per_night,
+        currency,
+        amount_eur: await CurrencyService.toEur(accommodation.price_per_night, currency, day.date)
+      });
+    } else {
+      add('accommodation', `Night in ${location.name}`, await this.getPrice('night', location, { date: day.date }));
+    }
+
+    if (day.restaurant) {
+      const price = await this.getPrice('meal', location, { priceLevel: day.restaurant.price_level, date: day.date });
+      add('meal', `Meal at ${day.restaurant.name}`, price, day.restaurant.id);
+    }
+    if (day.attraction && !this.isFree(day.attraction)) {
+      add('entrance', `Entrance to ${day.attraction.name}`, await this.getPrice('entrance', location, { date: day.date }), day.attraction.id);
+    }
+    return items;
+  }
+
+  /**
+   * Record the expenses of a daily post
+   * @param {number} postId - Local post ID
+   * @param {Object[]} items - From estimateDay()
+   * @param {Date|string} date - Day of the post (default today)
+   */
+  async recordDay(postId, items, date = new Date()) {
+    const spentOn = new Date(date).toISOString().split('T')[0];
+    for (const item of items) {
+      await expenses.insert({ ...item, post_id: postId, spent_on: spentOn });
+    }
+  }
+
+  /**
+   * Record the tickets of a journey (transport is priced in euros, paid in the currency of the city left
+   * at the rate of the day of departure)
+   * @param {Object[]} rows - transportation rows with their id (TransportService.toRows plus id)
+   * @param {Object} from - City left
+   */
+  async recordJourney(rows, from) {
+    const currency = await this.getCurrency(from);
+    for (const row of rows) {
+      const spentOn = row.departure_time.split('T')[0];
+      await expenses.insert({
+        location_id: from.id,
+        transportation_id: row.id,
+        category: 'transport',
+        description: `${row.type} from ${row.from_name} to ${row.to_name}`,
+        spent_on: spentOn,
+        amount: await CurrencyService.fromEur(row.price, currency, spentOn),
+        currency,
+        amount_eur: row.price
+      });
+    }
+  }
+
+  /**
+   * Modelled prices at a location
+   * @param {Object} location - { country, currency }
+   * @param {Date|string} date - Day of the exchange rate (default today)
+   * @returns {Promise<Object[]>} [{ name, amount, currency, amount_eur }]: a coffee, meals by price level, an entrance, nights by budget
+   */
+  async listPrices(location, date) {
+    const items = [
+      ['coffee', 'coffee'],
+      ['cheap meal', 'meal', { priceLevel: 1 }],
+      ['meal', 'meal', { priceLevel: 2 }],
+      ['fine dining', 'meal', { priceLevel: 3 }],
+      ['entrance', 'entrance'],
+      ...['low', 'medium', 'high'].map(budget => [`night (${budget} budget)`, 'night', { budget }])
+    ];
+    const prices = [];
+    for (const [name, item, options] of items) {
+      prices.push({ name, ...await this.getPrice(item, location, { ...options, date }) });
+    }
+    return prices;
+  }
+
+  /**
+   * Running totals of the ledger
+   * @param {Object} filters - { locationId: one city, country: one country }
+   * @returns {Promise<Object>} { totalEur, nights, days (first to last day of the ledger), perDayEur, firstDay, lastDay,
+   *   byCategory: { transport, accommodation, meal, entrance } in euros }
+   */
+  async getTotals(filters = {}) {
+    const totals = await expenses.getTotals(filters);
+    const byCategory = { transport: 0, accommodation: 0, meal: 0, entrance: 0 };
+    for (const row of await expenses.getTotalsByCategory(filters)) {
+      byCategory[row.category] = this.round(row.total_eur, 'EUR');
+    }
+
+    return {
+      totalEur: this.round(totals.total_eur, 'EUR'),
+      nights: totals.nights,
+      days: totals.days || 0,
+      perDayEur: totals.days > 0 ? this.round(totals.total_eur / totals.days, 'EUR') : null,
+      firstDay: totals.first_day,
+      lastDay: totals.last_day,
+      byCategory
+    };
+  }
+
+  /**
+   * Totals by country, in the local currency (where it was the only one) and in euros
+   * @returns {Promise<Object[]>} [{ country, currency, total, totalEur, nights }] in the order of the journey
+   */
+  async getTotalsByCountry() {
+    return (await expenses.getTotalsByCountry()).map(row => ({
+      country: row.country,
+      currency: row.currency || 'EUR',
+      total: row.currency ? this.round(row.total, row.currency) : this.round(row.total_eur, 'EUR'),
+      totalEur: this.round(row.total_eur, 'EUR'),
+      nights: row.nights
+    }));
+  }
+
+  // Latest expenses (of one city)
+  async listExpenses(filters = {}) {
+    return expenses.list(filters);
+  }
+
+  // "1234 RSD (10.55 EUR)", or only euros
+  formatAmount(amount, currency, amountEur) {
+    return currency === 'EUR' ? `${amountEur} EUR` : `${amount} ${currency} (${amountEur} EUR)`;
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,132 @@
+/**
+ * CatchUpService.js
+ *
+ * Finds the scheduled post runs that were missed while the blog was offline,
+ * so they can be published afterwards with backdated dates.
+ */
+
+const cron = require('cron');
+const SettingsService = require('./SettingsService');
+const { posts } = require('../db');
+require('dotenv').config();
+
+class CatchUpService {
+  constructor() {
+    // Safety limit for very frequent schedules
+    this.maxScheduleScan = 1000;
+  }
+
+  // Parse a stored timestamp (ISO string or SQLite CURRENT_TIMESTAMP, which is UTC)
+  parseTimestamp(value) {
+    if (!value) return null;
+    const normalized = /[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const date = new Date(normalized);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Get the publication date of the latest post
+  async getLastPublishedAt() {
+    return this.parseTimestamp(await posts.getLastPublishedAt());
+  }
+
+  // Get the backfill cap (max_catchup_days setting, MAX_CATCHUP_DAYS or 3)
+  async getMaxCatchUpDays() {
+    return SettingsService.get('max_catchup_days');
+  }
+
+  // Calendar date (YYYY-MM-DD) of a moment in the given timezone
+  getLocalDate(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  // Whether the schedule fires at most once per day
+  isDailySchedule(cronTime, timezone) {
+    const first = cronTime.getNextDateFrom(new Date(), timezone).toJSDate();
+    const second = cronTime.getNextDateFrom(first, timezone).toJSDate();
+    // 23 hours leaves room for daylight saving changes
+    return second - first >= 23 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Check whether the day of a scheduled run already has a post
+   * After moving to another timezone, a daily schedule can fire twice on the same
+   * local day (e.g. 08:00 in Athens, then 08:00 in Lisbon); the second run is skipped.
+   * @param {Date} date - Scheduled run
+   * @param {string} cronExpression - Post generation schedule
+   * @param {string} timezone - Timezone of the schedule
+   * @returns {Promise<boolean>} True if a post was already published that local day
+   */
+  async hasPostOnLocalDay(date, cronExpression, timezone) {
+    const cronTime = new cron.CronTime(cronExpression, timezone);
+    if (!this.isDailySchedule(cronTime, timezone)) return false;
+
+    const lastPublishedAt = await this.getLastPublishedAt();
+    return !!lastPublishedAt && this.getLocalDate(lastPublishedAt, timezone) === this.getLocalDate(date, timezone);
+  }
+
+  /**
+   * List the schedule occurrences between the last post and now
+   * @param {string} cronExpression - Post generation schedule
+   * @param {string} timezone - Timezone of the schedule
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { lastPublishedAt, missedDates: Date[] } in chronological order
+   */
+  async findMissedRuns(cronExpression, timezone, now = new Date()) {
+    const lastPublishedAt = await this.getLastPublishedAt();
+    const missedDates = [];
+
+    // Nothing to catch up before the first post of the journey
+    if (!lastPublishedAt) {
+      return { lastPublishedAt, missedDates };
+    }
+
+    const cronTime = new cron.CronTime(cronExpression, timezone);
+    const lastPublishedDay = this.isDailySchedule(cronTime, timezone)
+      ? this.getLocalDate(lastPublishedAt, timezone)
+      : null;
+    let cursor = lastPublishedAt;
+
+    for (let i = 0; i < this.maxScheduleScan; i++) {
+      const next = cronTime.getNextDateFrom(cursor, timezone).toJSDate();
+      if (next > now) break;
+
+      // A daily schedule never needs a second post on the same local day
+      if (this.getLocalDate(next, timezone) !== lastPublishedDay) {
+        missedDates.push(next);
+      }
+      cursor = next;
+    }
+
+    return { lastPublishedAt, missedDates };
+  }
+
+  /**
+   * Pick the next missed run to publish, respecting the backfill cap
+   * The most recent runs are kept, so the blog ends up without a gap before today.
+   * @param {string} cronExpression - Post generation schedule
+   * @param {string} timezone - Timezone of the schedule
+   * @param {number} remaining - How many more runs may still be backfilled
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object|null>} { publishDate, missedCount, skippedCount }, or null if nothing is missing
+   */
+  async getNextMissedRun(cronExpression, timezone, remaining, now = new Date()) {
+    const { missedDates } = await this.findMissedRuns(cronExpression, timezone, now);
+    if (missedDates.length === 0 || remaining <= 0) {
+      return null;
+    }
+
+    const skippedCount = Math.max(0, missedDates.length - remaining);
+    return {
+      publishDate: missedDates[skippedCount],
+      missedCount: missedDates.length,
+      skippedCount
+    };
+  }
+}
+
+module.exports = new CatchUpService();
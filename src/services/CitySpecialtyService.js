@@ -6,14 +6,14 @@
  */
 
 const axios = require('axios');
-const NodeCache = require('node-cache');
 const TripAdvisorService = require('./TripAdvisorService');
+const ApiCacheService = require('./ApiCacheService');
 require('dotenv').config();
 
 class CitySpecialtyService {
   constructor() {
-    // Cache to store city specialty data
-    this.cache = new NodeCache({ stdTTL: 60 * 60 * 24 * 30 }); // 30 days cache
+    // Responses are cached in the database (api_cache) under this name
+    this.cacheApi = 'city_specialty';
     this.apiKey = process.env.API_KEY_GOOGLE;
     
     // Rate limiting
@@ -149,7 +149,7 @@ class CitySpecialtyService {
     const cacheKey = `specialty_${cityName}_${country}_${enhanceWithTripAdvisor}`.toLowerCase();
     
     // Check cache first
-    const cached = this.cache.get(cacheKey);
+    const cached = await ApiCacheService.get(this.cacheApi, cacheKey);
     if (cached) {
       console.log(`Using cached specialty data for ${cityName}`);
       return cached;
@@ -190,7 +190,7 @@ class CitySpecialtyService {
         }
       }
       
-      this.cache.set(cacheKey, finalSpecialty);
+      await ApiCacheService.set(this.cacheApi, cacheKey, finalSpecialty);
       return finalSpecialty;
 
     } catch (error) {
@@ -202,8 +202,7 @@ class CitySpecialtyService {
         description: 'traditional European architecture and local character',
         keywords: ['historic buildings', 'traditional architecture', 'local culture']
       };
-      
-      this.cache.set(cacheKey, fallback);
+
       return fallback;
     }
   }
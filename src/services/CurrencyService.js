@@ -0,0 +1,135 @@
+/**
+ * CurrencyService.js
+ *
+ * Converts between the euro and the currencies Giovanni pays in (lek, dinar,
+ * forint, ...) with the exchange rates of the day in the local rate table
+ * (exchange_rates), so posts can say "1404 RSD (about €12)" and budgets can
+ * be summed in euros. The table is filled from the bundled
+ * database/rates/eur_rates.csv and refreshed from rate files (`giovanni
+ * currency import`); a day without a rate takes the latest one before it.
+ */
+
+const path = require('path');
+const RatesFile = require('../utils/RatesFile');
+const { exchangeRates } = require('../db');
+
+// Currencies whose prices are given in whole units (a euro is worth 20 or more of them)
+const wholeUnitCurrencies = ['ALL', 'CZK', 'HUF', 'ISK', 'MKD', 'RSD', 'UAH'];
+
+class CurrencyService {
+  // YYYY-MM-DD of a date (default today)
+  toDay(date = new Date()) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  /**
+   * Units of a currency per euro on a day
+   * @param {string} currency - ISO 4217 code
+   * @param {Date|string} date - Day of the rate (default today)
+   * @returns {Promise<number>} Rate
+   * @throws {Error} code UNKNOWN_CURRENCY when the rate table has no rate of the currency
+   */
+  async getRate(currency, date) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (code === 'EUR') return 1;
+
+    const row = await exchangeRates.getRate(code, this.toDay(date));
+    if (!row) throw Object.assign(new Error(`No exchange rate for ${currency || 'an unknown currency'}`), { code: 'UNKNOWN_CURRENCY' });
+    return row.rate;
+  }
+
+  // Whether amounts of a currency can be converted
+  async isKnown(currency) {
+    try {
+      await this.getRate(currency);
+      return true;
+    } catch (error) {
+      if (error.code !== 'UNKNOWN_CURRENCY') throw error;
+      return false;
+    }
+  }
+
+  // Round an amount of a currency: whole units for the currencies above, cents otherwise
+  round(amount, currency) {
+    return wholeUnitCurrencies.includes(currency) ? Math.round(amount) : Math.round(amount * 100) / 100;
+  }
+
+  // Amount of a currency in euros on a day
+  async toEur(amount, currency, date) {
+    return this.round(amount / await this.getRate(currency, date), 'EUR');
+  }
+
+  // Amount in euros in a currency on a day
+  async fromEur(amountEur, currency, date) {
+    return this.round(amountEur * await this.getRate(currency, date), currency);
+  }
+
+  /**
+   * Convert an amount between two currencies
+   * @param {number} amount - Amount of the first currency
+   * @param {string} from - ISO 4217 code
+   * @param {string} to - ISO 4217 code
+   * @param {Date|string} date - Day of the rates (default today)
+   * @returns {Promise<number>} Amount of the second currency
+   */
+  async convert(amount, from, to, date) {
+    const rate = await this.getRate(to, date) / await this.getRate(from, date);
+    return this.round(amount * rate, to);
+  }
+
+  // "€12" (whole euros from 10 euros up)
+  formatEur(amountEur) {
+    return amountEur >= 10 ? `€${Math.round(amountEur)}` : `€${amountEur.toFixed(2)}`;
+  }
+
+  // An amount already converted: "1404 RSD (about €12)", or "€12" in euros
+  format(amount, currency, amountEur) {
+    if (!currency || currency === 'EUR') return this.formatEur(amountEur);
+    return `${amount} ${currency} (about ${this.formatEur(amountEur)})`;
+  }
+
+  /**
+   * An amount for a post: "1404 RSD (about €12)", or "€12" in euros
+   * @param {number} amount - Amount of the currency
+   * @param {string} currency - ISO 4217 code
+   * @param {Date|string} date - Day of the rate (default today)
+   * @returns {Promise<string>} Without the euros when the currency is unknown
+   */
+  async describe(amount, currency, date) {
+    if (!currency || currency === 'EUR') return this.formatEur(amount);
+    if (!await this.isKnown(currency)) return `${amount} ${currency}`;
+    return this.format(amount, currency, await this.toEur(amount, currency, date));
+  }
+
+  /**
+   * Rates of every currency on a day
+   * @param {Date|string} date - Day of the rates (default today)
+   * @returns {Promise<Object[]>} [{ currency, rate_date (of the rate used), rate, source }]
+   */
+  async listRates(date) {
+    return exchangeRates.listRates(this.toDay(date));
+  }
+
+  // Number of rates in the table ({ rates, currencies, first_date, last_date })
+  async getSize() {
+    return exchangeRates.getSize();
+  }
+
+  /**
+   * Add the rates of a file to the rate table
+   * @param {string} filePath - Rates file (default the bundled one)
+   * @returns {Promise<number>} Number of rates read
+   * @throws {Error} code INVALID_RATES when the file holds no rates
+   */
+  async importFile(filePath = RatesFile.bundledPath) {
+    const rates = await RatesFile.read(filePath);
+    if (rates.length === 0) {
+      throw Object.assign(new Error(`No exchange rates found in ${filePath}`), { code: 'INVALID_RATES' });
+    }
+    await exchangeRates.addRates(rates, path.basename(filePath));
+    return rates.length;
+  }
+}
+
+module.exports = new CurrencyService();
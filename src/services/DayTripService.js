@@ -0,0 +1,182 @@
+/**
+ * DayTripService.js
+ *
+ * Day trips: now and then (day_trip_chance percent of the days of a stay)
+ * Giovanni spends the day in a town near the city he stays in, within
+ * day_trip_radius_km (towns of the offline gazetteer), and comes back the same
+ * night. The daily post is written about the town; the stay goes on as usual.
+ *
+ * A trip is planned when the daily post is prepared (the town and the way
+ * there and back) and recorded when the post is saved: the trip gets its day,
+ * the way there and back becomes transportation rows and its tickets go into
+ * the budget ledger. A trip planned but not made (e.g. the post failed) is
+ * the next day trip from that city. A preview plans a dry run, which stores
+ * nothing.
+ *
+ * The way there and back starts and ends in the city (from_location_id =
+ * to_location_id), so it is not a leg of the journey: queries on the journey
+ * leave out transportation rows with a day_trip_id.
+ */
+
+const TransportService = require('./TransportService');
+const SettingsService = require('./SettingsService');
+const BudgetService = require('./BudgetService');
+const GazetteerService = require('./GazetteerService');
+const GazetteerFile = require('../utils/GazetteerFile');
+const { locations, itinerary, transportation, dayTrips } = require('../db');
+
+// Towns closer than this are part of the city
+const minDistanceKm = 10;
+
+// Smallest town worth a day
+const minPopulation = 2000;
+
+// The town is picked among the largest ones in reach
+const candidateCount = 5;
+
+// Local hours of the way there and back, and the shortest time in the town
+const departureHour = 9;
+const returnHour = 18;
+const minVisitMinutes = 180;
+
+// Moment of a local hour in a timezone, on the day of a date
+function atLocalHour(date, hour, timezone) {
+  const day = new Date(date);
+  const guess = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour));
+  // Offset of the timezone at that moment: its reading of the clock minus the UTC one
+  const local = new Date(guess.toLocaleString('en-US', { timeZone: timezone || 'UTC' }));
+  const utc = new Date(guess.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(guess.getTime() - (local - utc));
+}
+
+class DayTripService {
+  /**
+   * Whether a day of the stay is a day trip: by chance, but never on the day
+   * of arrival, on the last day (the post announces the journey) or on the day
+   * after another day trip
+   * @param {Object} location - Current location
+   * @returns {Promise<boolean>}
+   */
+  async isDayTripDay(location) {
+    const chance = await SettingsService.get('day_trip_chance');
+    if (chance === 0) return false;
+    if (location.current_day <= 1 || location.current_day >= location.planned_duration) return false;
+
+    const latest = await dayTrips.getLatestMade(location.id);
+    if (latest && latest.day_number === location.current_day - 1) return false;
+
+    return Math.random() * 100 < chance;
+  }
+
+  /**
+   * Choose a town for a day trip: one of the largest towns of the country in
+   * reach that is not a city of the journey (visited or planned) or of an
+   * earlier day trip
+   * @param {Object} location - City stayed in
+   * @returns {Promise<Object|null>} Gazetteer town with distanceKm, null when there is none
+   */
+  async chooseTown(location) {
+    const radiusKm = await SettingsService.get('day_trip_radius_km');
+    const known = [...await locations.listVisited(), ...await itinerary.list(), ...await dayTrips.listTowns()]
+      .map(city => GazetteerFile.nameKey(city.name));
+
+    const towns = (await GazetteerService.findNear(location, { radiusKm, minPopulation }))
+      .filter(town => town.distanceKm >= minDistanceKm && town.country === location.country)
+      .filter(town => !known.includes(GazetteerFile.nameKey(town.name)))
+      .sort((a, b) => b.population - a.population)
+      .slice(0, candidateCount);
+
+    return towns.length > 0 ? towns[Math.floor(Math.random() * towns.length)] : null;
+  }
+
+  /**
+   * The way to a town and back on a day, as transportation rows (one per segment, prices in euros)
+   * @param {Object} location - City stayed in
+   * @param {Object} town - { name, country, lat, lng }
+   * @param {Date|string} date - Day of the trip
+   * @returns {Promise<Object>} { rows, durationMinutes (one way), priceEur, way: modes of the way there ("bus", "bus and ferry") }
+   */
+  async planWay(location, town, date) {
+    const place = { name: town.name, country: location.country, lat: town.lat, lng: town.lng };
+    const there = TransportService.schedule(await TransportService.planJourney(location, place), atLocalHour(date, departureHour, location.timezone));
+    const returnTime = Math.max(
+      atLocalHour(date, returnHour, location.timezone).getTime(),
+      there.arrival.getTime() + minVisitMinutes * 60000
+    );
+    const back = TransportService.schedule(await TransportService.planJourney(place, location), new Date(returnTime));
+
+    const ids = { from_location_id: location.id, to_location_id: location.id };
+    const rows = [...TransportService.toRows(there, ids), ...TransportService.toRows(back, ids)]
+      .map((row, index) => ({ ...row, segment: index + 1 }));
+    const modes = [...new Set(there.segments.map(segment => segment.type))];
+
+    return {
+      rows,
+      durationMinutes: there.durationMinutes,
+      priceEur: BudgetService.round(rows.reduce((total, row) => total + row.price, 0), 'EUR'),
+      way: modes.join(' and ')
+    };
+  }
+
+  /**
+   * Plan today's day trip, if today is one
+   * @param {Object} location - Current location
+   * @param {Date|string} date - Day of the post (default today)
+   * @param {Object} options - { dryRun: do not store a new trip (its id is null) }
+   * @returns {Promise<Object|null>} { id, name, country, lat, lng, distanceKm, rows, durationMinutes, priceEur, way },
+   *   null when today is spent in the city
+   */
+  async plan(location, date = new Date(), options = {}) {
+    if (!await this.isDayTripDay(location)) return null;
+
+    let trip = await dayTrips.getPlanned(location.id);
+    if (!trip) {
+      const town = await this.chooseTown(location);
+      if (!town) {
+        console.log(`No town for a day trip near ${location.name}`);
+        return null;
+      }
+
+      trip = {
+        location_id: location.id,
+        name: town.name,
+        country: location.country,
+        lat: town.lat,
+        lng: town.lng,
+        distance_km: Math.round(town.distanceKm),
+        population: town.population
+      };
+      trip.id = options.dryRun ? null : await dayTrips.insert(trip);
+    }
+
+    return {
+      id: trip.id,
+      name: trip.name,
+      country: trip.country,
+      lat: trip.lat,
+      lng: trip.lng,
+      distanceKm: trip.distance_km,
+      ...await this.planWay(location, trip, date)
+    };
+  }
+
+  /**
+   * Record a day trip once the post about it is saved: its day, the way there
+   * and back (transportation) and the tickets (budget ledger)
+   * @param {Object} trip - From plan()
+   * @param {Object} location - City stayed in
+   * @param {Date|string} date - Day of the post
+   */
+  async record(trip, location, date) {
+    const rows = [];
+    for (const row of trip.rows) {
+      const saved = { ...row, day_trip_id: trip.id };
+      saved.id = await transportation.insert(saved);
+      rows.push(saved);
+    }
+    await BudgetService.recordJourney(rows, location);
+    await dayTrips.markMade(trip.id, location.current_day, new Date(date).toISOString().split('T')[0]);
+  }
+}
+
+module.exports = new DayTripService();
@@ -0,0 +1,254 @@
+/**
+ * DoctorService.js
+ *
+ * Consistency checks of the journey data: invariants that the code relies on
+ * but SQLite does not enforce. Every check reports its issues; the checks
+ * with a safe repair can fix them (each check in its own transaction, after
+ * the slow part of the repair has been planned outside of it).
+ *
+ * app.js runs the checks at startup in report-only mode; repairs are made
+ * with "giovanni doctor --fix", holding the run lock so no post or move runs
+ * in between.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BackupService = require('./BackupService');
+const CatchUpService = require('./CatchUpService');
+const RunLockService = require('./RunLockService');
+const TransportService = require('./TransportService');
+const BudgetService = require('./BudgetService');
+const { Database, locations, transportation } = require('../db');
+
+// How long after a journey's departure its travel post may be published
+const travelPostWindowMs = 24 * 60 * 60 * 1000;
+
+class DoctorService {
+  constructor() {
+    // Checks in the order they run; fix is missing where no repair is safe,
+    // and issues marked fixable: false are left alone by the fix. plan prepares
+    // the fix of the issues before the transaction of the fix is opened.
+    this.checks = [
+      {
+        name: 'current_location',
+        description: 'Exactly one location is current',
+        find: () => this.findCurrentLocationIssues(),
+        fix: issues => this.fixCurrentLocation(issues)
+      },
+      {
+        name: 'missing_transportation',
+        description: 'Every leg of the journey has a transportation row',
+        find: () => this.findMissingTransportation(),
+        plan: issues => this.planMissingTransportation(issues),
+        fix: issues => this.fixMissingTransportation(issues)
+      },
+      {
+        name: 'orphan_visits',
+        description: 'Visits point at existing places',
+        find: () => this.findOrphanVisits(),
+        fix: issues => this.deleteRows('visits', issues)
+      },
+      {
+        name: 'orphan_post_images',
+        description: 'Post images belong to existing posts',
+        find: () => this.findOrphanPostImages(),
+        fix: issues => this.deleteRows('post_images', issues)
+      },
+      {
+        name: 'posts_without_location',
+        description: 'Posts have a location',
+        find: () => this.findPostsWithoutLocation(),
+        fix: issues => this.fixPostsWithoutLocation(issues)
+      },
+      {
+        name: 'missing_image_files',
+        description: 'Local image files of posts exist',
+        find: () => this.findMissingImageFiles()
+      }
+    ];
+  }
+
+  // Several current locations, or none while the journey has started
+  async findCurrentLocationIssues() {
+    const current = await Database.all('SELECT id, name, order_in_journey FROM locations WHERE is_current = 1 ORDER BY order_in_journey DESC');
+    if (current.length > 1) {
+      return [{
+        message: `${current.length} locations are current: ${current.map(location => `${location.name} (#${location.id})`).join(', ')}`,
+        keepId: current[0].id
+      }];
+    }
+
+    if (current.length === 0 && await locations.count() > 0) {
+      const latest = await Database.get('SELECT id, name FROM locations ORDER BY order_in_journey DESC LIMIT 1');
+      return [{ message: `No location is current (latest is ${latest.name} #${latest.id})`, keepId: latest.id }];
+    }
+
+    return [];
+  }
+
+  // Keep the latest location of the journey as the only current one
+  async fixCurrentLocation(issues) {
+    for (const issue of issues) {
+      await Database.run('UPDATE locations SET is_current = 0, is_visited = 1 WHERE is_current = 1 AND id != ?', [issue.keepId]);
+      await Database.run('UPDATE locations SET is_current = 1 WHERE id = ?', [issue.keepId]);
+    }
+    return issues.length;
+  }
+
+  // Consecutive locations without a journey between them
+  async findMissingTransportation() {
+    const journey = await Database.all('SELECT * FROM locations WHERE order_in_journey IS NOT NULL ORDER BY order_in_journey');
+    const issues = [];
+    for (let i = 1; i < journey.length; i++) {
+      const from = journey[i - 1];
+      const to = journey[i];
+      if (!await transportation.getBetween(from.id, to.id)) {
+        issues.push({ message: `No transportation from ${from.name} (#${from.id}) to ${to.name} (#${to.id})`, from, to });
+      }
+    }
+    return issues;
+  }
+
+  // Estimate the missing journeys the way a move plans them
+  async planMissingTransportation(issues) {
+    const planned = [];
+    for (const issue of issues) {
+      const { from, to } = issue;
+      const departure = new Date(to.planned_arrival || CatchUpService.parseTimestamp(to.created_at) || Date.now());
+      const journey = TransportService.schedule(await TransportService.planJourney(from, to), departure);
+      planned.push({ ...issue, rows: TransportService.toRows(journey, { from_location_id: from.id, to_location_id: to.id }) });
+    }
+    return planned;
+  }
+
+  // Insert the planned journeys and their tickets
+  async fixMissingTransportation(issues) {
+    for (const { from, rows } of issues) {
+      for (const row of rows) {
+        row.id = await transportation.insert(row);
+      }
+      await BudgetService.recordJourney(rows, from);
+    }
+    return issues.length;
+  }
+
+  // Visits of places that no longer exist
+  async findOrphanVisits() {
+    const rows = await Database.all(`
+      SELECT v.id, v.poi_id FROM visits v
+      LEFT JOIN points_of_interest p ON p.id = v.poi_id
+      WHERE p.id IS NULL
+    `);
+    return rows.map(row => ({ message: `Visit #${row.id} points at missing place #${row.poi_id}`, id: row.id }));
+  }
+
+  // Images of posts that no longer exist
+  async findOrphanPostImages() {
+    const rows = await Database.all(`
+      SELECT i.id, i.post_id FROM post_images i
+      LEFT JOIN posts p ON p.id = i.post_id
+      WHERE p.id IS NULL
+    `);
+    return rows.map(row => ({ message: `Post image #${row.id} belongs to missing post #${row.post_id}`, id: row.id }));
+  }
+
+  // Delete the rows of the issues (orphans nothing refers to)
+  async deleteRows(table, issues) {
+    for (const issue of issues) {
+      await Database.run(`DELETE FROM ${table} WHERE id = ?`, [issue.id]);
+    }
+    return issues.length;
+  }
+
+  // Posts without location_id (travel posts were saved without one before)
+  async findPostsWithoutLocation() {
+    const rows = await Database.all('SELECT id, type, title, published_at FROM posts WHERE location_id IS NULL ORDER BY id');
+    return rows.map(row => ({
+      message: `${row.type} post #${row.id} "${row.title}" has no location`,
+      post: row,
+      fixable: row.type === 'travel'
+    }));
+  }
+
+  /**
+   * Give travel posts the destination of the journey that departed last before
+   * they were published (within a day). Daily posts have no reliable source and
+   * stay as they are.
+   */
+  async fixPostsWithoutLocation(issues) {
+    const journeys = await Database.all('SELECT to_location_id, departure_time FROM transportation WHERE segment = 1 AND day_trip_id IS NULL AND departure_time IS NOT NULL');
+
+    let fixed = 0;
+    for (const { post } of issues) {
+      const publishedAt = CatchUpService.parseTimestamp(post.published_at);
+      if (post.type !== 'travel' || !publishedAt) continue;
+
+      const candidates = journeys
+        .map(journey => ({ ...journey, departure: CatchUpService.parseTimestamp(journey.departure_time) }))
+        .filter(journey => journey.departure && journey.departure <= publishedAt && publishedAt - journey.departure <= travelPostWindowMs)
+        .sort((a, b) => b.departure - a.departure);
+      if (candidates.length === 0) continue;
+
+      await Database.run('UPDATE posts SET location_id = ? WHERE id = ?', [candidates[0].to_location_id, post.id]);
+      fixed++;
+    }
+    return fixed;
+  }
+
+  // Local image files that are gone (the published copies on WordPress are not affected)
+  async findMissingImageFiles() {
+    const rows = await Database.all(`
+      SELECT 'post' as owner, id, featured_image_local_path as file FROM posts WHERE featured_image_local_path IS NOT NULL
+      UNION ALL
+      SELECT 'post image' as owner, id, image_local_path as file FROM post_images
+    `);
+    return rows
+      .filter(row => row.file && !fs.existsSync(path.resolve(row.file)))
+      .map(row => ({ message: `Image file of ${row.owner} #${row.id} is missing: ${row.file}` }));
+  }
+
+  /**
+   * Run every check
+   * @param {Object} options - { fix: repair what can be repaired safely, backup: snapshot the database before fixing (default true) }
+   * @returns {Promise<Object>} { results: [{ name, description, issues, fixable: number of fixable issues, fixed }], issues: total found,
+   *   remaining: left after fixing, backupPath, busy: true if another run held the lock and nothing was fixed }
+   */
+  async run(options = {}) {
+    const results = [];
+    for (const check of this.checks) {
+      const issues = await check.find();
+      results.push({
+        name: check.name,
+        description: check.description,
+        issues,
+        fixable: check.fix ? issues.filter(issue => issue.fixable !== false).length : 0,
+        fixed: 0
+      });
+    }
+
+    let backupPath = null;
+    let busy = false;
+    const toFix = options.fix ? results.filter(result => result.fixable > 0) : [];
+    if (toFix.length > 0) {
+      busy = !await RunLockService.runLocked('doctor', async () => {
+        if (options.backup !== false) {
+          const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+          backupPath = (await BackupService.createSnapshot(path.join(BackupService.backupDir, `giovanni-doctor-${stamp}.db`))).path;
+        }
+
+        for (const result of toFix) {
+          const check = this.checks.find(candidate => candidate.name === result.name);
+          const issues = check.plan ? await check.plan(result.issues) : result.issues;
+          result.fixed = await Database.transaction(() => check.fix(issues));
+        }
+        return true;
+      });
+    }
+
+    const issues = results.reduce((sum, result) => sum + result.issues.length, 0);
+    const fixed = results.reduce((sum, result) => sum + result.fixed, 0);
+    return { results, issues, remaining: issues - fixed, backupPath, busy };
+  }
+}
+
+module.exports = new DoctorService();
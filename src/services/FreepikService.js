@@ -2,18 +2,20 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { open } = require('sqlite');
-const sqlite3 = require('sqlite3').verbose();
 const CitySpecialtyService = require('./CitySpecialtyService');
 const PromptLogger = require('../utils/PromptLogger');
+const CountryRegistry = require('../utils/CountryRegistry');
+const NotificationService = require('./NotificationService');
+const { usedImages } = require('../db');
 require('dotenv').config();
 
 class FreepikService {
-  constructor() {
+  constructor(options = {}) {
+    // A dry run generates images without marking their prompts as used
+    this.dryRun = Boolean(options.dryRun);
     this.apiKey = process.env.API_KEY_FREEPIK;
     this.baseURL = 'https://api.freepik.com/v1';
     this.imagePath = process.env.IMAGE_STORAGE_PATH || path.join(__dirname, '..', '..', 'temp', 'images');
-    this.dbPath = process.env.DB_PATH;
     
     // Create image directory if it doesn't exist
     if (!fs.existsSync(this.imagePath)) {
@@ -36,14 +38,6 @@ class FreepikService {
     this.defaultCreativeDetailing = parseInt(process.env.FREEPIK_CREATIVE_DETAILING) || null; // 0-100: Level of creative detailing
   }
 
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
-  }
-
   // Get current season based on date
   getCurrentSeason() {
     const now = new Date();
@@ -146,35 +140,22 @@ class FreepikService {
   async isPromptUsed(promptHash) {
     if (!promptHash) return false;
     
-    const db = await this.getDatabase();
     try {
-      const result = await db.get(
-        'SELECT id FROM used_images WHERE freepik_prompt_hash = ?',
-        [promptHash]
-      );
-      return !!result;
+      return await usedImages.isFreepikPromptUsed(promptHash);
     } catch (error) {
       console.error(`Error checking if prompt is used: ${error.message}`);
       return false;
-    } finally {
-      await db.close();
     }
   }
 
-  // Mark prompt as used in database
+  // Mark prompt as used in database (not in a dry run)
   async markPromptAsUsed(promptHash, promptType, prompt) {
-    if (!promptHash) return;
+    if (!promptHash || this.dryRun) return;
     
-    const db = await this.getDatabase();
     try {
-      await db.run(
-        'INSERT OR IGNORE INTO used_images (freepik_prompt_hash, query_type, freepik_prompt, created_at) VALUES (?, ?, ?, ?)',
-        [promptHash, promptType, prompt, new Date().toISOString()]
-      );
+      await usedImages.markFreepikPromptUsed(promptHash, promptType, prompt);
     } catch (error) {
       console.error(`Error marking prompt as used: ${error.message}`);
-    } finally {
-      await db.close();
     }
   }
 
@@ -284,6 +265,18 @@ class FreepikService {
       if (error.response) {
         console.error('Freepik API Error:', error.response.status, error.response.data);
         
+        // 402/429: credits or rate limit exhausted on the Freepik side
+        if ([402, 429].includes(error.response.status)) {
+          NotificationService.notify('quota_exhausted', {
+            service: 'Freepik',
+            status: error.response.status,
+            error: error.message,
+            imageType: promptType,
+            location: context.location || null,
+            day: context.day || null
+          }, { dedupeKey: 'freepik' });
+        }
+        
         // If styling error, try without style
         if (error.response.status === 400 && 
             error.response.data?.invalid_params?.some(param => param.name === 'styling.style')) {
@@ -392,6 +385,11 @@ class FreepikService {
     
     // Check if we've exceeded the limit
     if (this.requestCount >= 100) { // Freepik free tier limit
+      NotificationService.notify('quota_exhausted', {
+        service: 'Freepik',
+        error: 'Daily limit of 100 generations reached',
+        resetsAt: new Date(this.requestResetTime).toISOString()
+      }, { dedupeKey: 'freepik' });
       throw new Error('Freepik API rate limit exceeded. Please try again tomorrow.');
     }
     
@@ -529,27 +527,9 @@ class FreepikService {
     }
   }
 
-  // Get local cuisine based on country
+  // Get local cuisine based on country (country registry)
   getLocalCuisine(country) {
-    const cuisineMap = {
-      'Serbia': 'Serbian',
-      'Croatia': 'Croatian',
-      'Italy': 'Italian',
-      'Montenegro': 'Montenegrin',
-      'Bulgaria': 'Bulgarian',
-      'Hungary': 'Hungarian',
-      'Greece': 'Greek',
-      'Romania': 'Romanian',
-      'North Macedonia': 'Macedonian',
-      'Czech Republic': 'Czech',
-      'Austria': 'Austrian',
-      'Slovenia': 'Slovenian',
-      'Albania': 'Albanian',
-      'Poland': 'Polish',
-      'Slovakia': 'Slovak'
-    };
-    
-    return cuisineMap[country] || 'European';
+    return CountryRegistry.getCuisine(country);
   }
 
   // Create placeholder image (same as UnsplashService with JPG format)
@@ -578,7 +558,8 @@ class FreepikService {
         path: placeholderPath,
         width: 1,
         height: 1,
-        credit: `Placeholder ${type} image`
+        credit: `Placeholder ${type} image`,
+        placeholder: true
       };
     } catch (error) {
       console.error(`Error creating placeholder image: ${error.message}`);
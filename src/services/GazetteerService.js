@@ -0,0 +1,224 @@
+/**
+ * GazetteerService.js
+ *
+ * Checks cities generated by OpenAI against the offline gazetteer (GeoNames
+ * towns of Europe in gazetteer_cities): the town must exist in the country it
+ * is said to be in. Wrong or missing coordinates and populations are replaced
+ * with the gazetteer's, and close spellings ("Nessebar" for Nesebar) are
+ * corrected to the gazetteer's name.
+ */
+
+const GazetteerFile = require('../utils/GazetteerFile');
+const CountryRegistry = require('../utils/CountryRegistry');
+const GeoDistance = require('../utils/GeoDistance');
+const { gazetteer } = require('../db');
+
+// Generated coordinates further than this from the gazetteer's are replaced
+const maxOffsetKm = 25;
+
+// A town spelled almost the same further away than this is a different town
+const maxSimilarOffsetKm = 100;
+
+// Edit distance between two names (for close spellings)
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Whether a city has real coordinates (generated cities default to 0, 0)
+function hasCoordinates(city) {
+  return typeof city.lat === 'number' && typeof city.lng === 'number' && (city.lat !== 0 || city.lng !== 0);
+}
+
+class GazetteerService {
+  constructor() {
+    this.emptyWarningShown = false;
+  }
+
+  // ISO code of a country name (country registry; null for countries it does not know)
+  getCountryCode(country) {
+    return CountryRegistry.getCode(country);
+  }
+
+  // Country name of an ISO code
+  getCountryName(code) {
+    return CountryRegistry.getName(code);
+  }
+
+  // Number of towns and countries in the gazetteer
+  async getSize() {
+    return gazetteer.getSize();
+  }
+
+  // The town that fits best among the ones with the name: the nearest, or the largest without coordinates
+  pickMatch(matches, city) {
+    if (matches.length === 0) return null;
+    if (!hasCoordinates(city)) return matches.reduce((best, match) => match.population > best.population ? match : best);
+    return matches.reduce((best, match) => GeoDistance.straightLineKm(city, match) < GeoDistance.straightLineKm(city, best) ? match : best);
+  }
+
+  // A town of the country whose name is spelled almost the same (1 letter off, 2 for longer names)
+  async findSimilar(nameKeys, countryCode, city) {
+    const rows = await gazetteer.listNamesInCountry(countryCode);
+    let bestDistance = Infinity;
+    let candidates = [];
+
+    for (const row of rows) {
+      for (const key of nameKeys) {
+        const distance = editDistance(key, row.name_key);
+        if (distance > (key.length <= 5 ? 1 : 2) || distance > bestDistance) continue;
+        if (distance < bestDistance) candidates = [];
+        bestDistance = distance;
+        candidates.push(row);
+      }
+    }
+    return this.pickMatch(candidates, city);
+  }
+
+  /**
+   * Check a city against the gazetteer
+   * @param {Object} city - City ({ name, localName, country, lat, lng, population })
+   * @param {Object} options - { rejectCapitals: capitals are not hidden gems }
+   * @returns {Promise<Object>} { status: 'valid', 'corrected', 'rejected' or 'unchecked', city: corrected city, notes }
+   */
+  async validateCity(city, options = {}) {
+    const size = await gazetteer.getSize();
+    if (size.towns === 0) {
+      if (!this.emptyWarningShown) {
+        console.warn('The gazetteer is empty; cities are not checked (run "giovanni gazetteer import")');
+        this.emptyWarningShown = true;
+      }
+      return { status: 'unchecked', city, notes: ['the gazetteer is empty'] };
+    }
+
+    // Countries the registry knows but the gazetteer has no towns of (Cyprus) are not checked either
+    const countryCode = this.getCountryCode(city.country);
+    if (!countryCode || !await gazetteer.hasCountry(countryCode)) {
+      return { status: 'unchecked', city, notes: [`${city.country} is not in the gazetteer`] };
+    }
+
+    const nameKeys = [...new Set([city.name, city.localName].filter(Boolean).map(name => GazetteerFile.nameKey(name)))];
+    const matches = await gazetteer.findByNameKeys(nameKeys);
+    let match = this.pickMatch(matches.filter(candidate => candidate.country_code === countryCode), city);
+    const similar = !match;
+    if (!match) match = await this.findSimilar(nameKeys, countryCode, city);
+
+    if (!match) {
+      const elsewhere = [...new Set(matches.map(candidate => this.getCountryName(candidate.country_code)))];
+      return {
+        status: 'rejected',
+        city,
+        notes: [elsewhere.length > 0
+          ? `${city.name} is in ${elsewhere.join(', ')}, not ${city.country}`
+          : `no town ${city.name} in ${city.country}`]
+      };
+    }
+
+    if (options.rejectCapitals && match.feature_code === 'PPLC') {
+      return { status: 'rejected', city, notes: [`${match.name} is the capital`] };
+    }
+
+    const corrected = { ...city };
+    const notes = [];
+    if (similar) {
+      notes.push(`name ${city.name} → ${match.name}`);
+      corrected.name = match.name;
+    }
+
+    const offsetKm = hasCoordinates(city) ? GeoDistance.straightLineKm(city, match) : null;
+    if (similar && offsetKm !== null && offsetKm > maxSimilarOffsetKm) {
+      return { status: 'rejected', city, notes: [`no town ${city.name} in ${city.country} (${match.name} is ${Math.round(offsetKm)} km away)`] };
+    }
+    if (offsetKm === null || offsetKm > maxOffsetKm) {
+      notes.push(offsetKm === null ? 'coordinates added' : `coordinates off by ${Math.round(offsetKm)} km`);
+      corrected.lat = match.lat;
+      corrected.lng = match.lng;
+    }
+
+    if (match.population > 0 && city.population !== match.population) {
+      if (city.population && Math.abs(city.population - match.population) > match.population / 2) {
+        notes.push(`population ${city.population} → ${match.population}`);
+      }
+      corrected.population = match.population;
+    }
+
+    return { status: notes.length > 0 ? 'corrected' : 'valid', city: corrected, notes };
+  }
+
+  /**
+   * Check generated cities, log what was corrected or rejected and why
+   * @param {Object[]} cities - Cities in the format of TravelPlannerService.selectNextCity
+   * @returns {Promise<Object[]>} The cities that passed (corrected where needed)
+   */
+  async validateCities(cities) {
+    const passed = [];
+    for (const city of cities) {
+      const result = await this.validateCity(city, { rejectCapitals: true });
+      if (result.status === 'rejected') {
+        console.log(`🌍 ${city.name}, ${city.country}: rejected by the gazetteer - ${result.notes.join('; ')}`);
+        continue;
+      }
+      if (result.status === 'corrected') {
+        console.log(`🌍 ${city.name}, ${city.country}: corrected by the gazetteer - ${result.notes.join('; ')}`);
+      }
+      passed.push(result.city);
+    }
+    return passed;
+  }
+
+  /**
+   * Look up towns by name
+   * @param {string} name - Town name (accents and case do not matter)
+   * @param {string} country - Only towns of this country (optional)
+   * @returns {Promise<Object[]>} Gazetteer towns with their country name
+   */
+  async lookup(name, country) {
+    const countryCode = country ? this.getCountryCode(country) : null;
+    if (country && !countryCode) return [];
+
+    const matches = await gazetteer.findByNameKeys([GazetteerFile.nameKey(name)]);
+    return matches
+      .filter(match => !countryCode || match.country_code === countryCode)
+      .map(match => ({ ...match, country: this.getCountryName(match.country_code) }));
+  }
+
+  /**
+   * Towns near a point, nearest first
+   * @param {Object} point - { lat, lng }
+   * @param {Object} options - { radiusKm (default 50), minPopulation (default 0) }
+   * @returns {Promise<Object[]>} Gazetteer towns with their country name and distanceKm
+   */
+  async findNear(point, options = {}) {
+    const radiusKm = options.radiusKm || 50;
+    const latDelta = radiusKm / 111;
+    const lngDelta = radiusKm / (111 * Math.max(0.1, Math.cos(point.lat * Math.PI / 180)));
+    const towns = await gazetteer.listInBox(point.lat, point.lng, latDelta, lngDelta, options.minPopulation || 0);
+    return towns
+      .map(town => ({ ...town, country: this.getCountryName(town.country_code), distanceKm: GeoDistance.straightLineKm(point, town) }))
+      .filter(town => town.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * Replace the gazetteer with a city file
+   * @param {string} filePath - Bundled file or a GeoNames dump (cities1000.txt, ...); default the bundled file
+   * @returns {Promise<number>} Number of towns loaded
+   */
+  async importFile(filePath = GazetteerFile.bundledPath) {
+    const cities = await GazetteerFile.read(filePath);
+    if (cities.length === 0) {
+      throw Object.assign(new Error(`No towns found in ${filePath}`), { code: 'INVALID_GAZETTEER' });
+    }
+    await gazetteer.replaceAll(cities);
+    return cities.length;
+  }
+}
+
+module.exports = new GazetteerService();
@@ -7,23 +7,31 @@ require('dotenv').config();
  * Uses configuration to determine which service to use for image generation/retrieval
  */
 class ImageService {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Load images without marking them as used in the database (previews)
+   */
+  constructor(options = {}) {
     // Get image provider from environment configuration
     this.imageProvider = process.env.IMAGE_PROVIDER || 'unsplash'; // 'unsplash' or 'freepik'
+    this.dryRun = Boolean(options.dryRun);
+    
+    // Use the exported Unsplash instance, not create new
+    const unsplashService = this.dryRun ? UnsplashService.asDryRun() : UnsplashService;
     
     // Initialize the appropriate service based on configuration
     if (this.imageProvider === 'freepik') {
-      this.imageService = new FreepikService();
+      this.imageService = new FreepikService({ dryRun: this.dryRun });
       console.log('ImageService initialized with Freepik AI generation');
     } else {
-      this.imageService = UnsplashService; // Use the exported instance, not create new
+      this.imageService = unsplashService;
       console.log('ImageService initialized with Unsplash search');
     }
     
     // Fallback service in case primary fails
     this.fallbackService = this.imageProvider === 'freepik' 
-      ? UnsplashService  // Use the exported instance
-      : new FreepikService();
+      ? unsplashService
+      : new FreepikService({ dryRun: this.dryRun });
   }
 
   /**
@@ -0,0 +1,237 @@
+/**
+ * ItineraryService.js
+ *
+ * Rolling itinerary: the next itinerary_length cities of the journey are
+ * planned ahead, so posts can tell where Giovanni is heading. A move takes
+ * the first planned city; the plan is then topped up again.
+ *
+ * New cities are chosen under the route constraints (RouteConstraintService)
+ * from the end of the route, and inserted where they add the least distance
+ * (cheapest insertion), which keeps the route from doubling back. The next
+ * city is never reordered once planned, since posts may already announce it.
+ *
+ * Cities pinned by hand (a sponsored stay, a reader request) come first, in
+ * the order they were pinned, and are kept until they are visited; the plan
+ * fills up the route after them.
+ */
+
+const TravelPlannerService = require('./TravelPlannerService');
+const GazetteerService = require('./GazetteerService');
+const SettingsService = require('./SettingsService');
+const SeasonService = require('./SeasonService');
+const GeoDistance = require('../utils/GeoDistance');
+const CountryRegistry = require('../utils/CountryRegistry');
+const { locations, itinerary } = require('../db');
+
+// Same country (names compared case-insensitively)
+function sameCountry(a, b) {
+  return a.country.toLowerCase() === b.country.toLowerCase();
+}
+
+// Same city
+function sameCity(a, b) {
+  return a.name.toLowerCase() === b.name.toLowerCase() && sameCountry(a, b);
+}
+
+// Date a number of days after another
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+class ItineraryService {
+  /**
+   * Planned cities in the order they will be visited
+   * @returns {Promise<Object[]>} Itinerary stops
+   */
+  async getItinerary() {
+    return itinerary.list();
+  }
+
+  // Random planned stay between planned_stay_min_days and planned_stay_max_days
+  async pickStayDuration() {
+    const minStay = await SettingsService.get('planned_stay_min_days');
+    const maxStay = Math.max(minStay, await SettingsService.get('planned_stay_max_days'));
+    return minStay + Math.floor(Math.random() * (maxStay - minStay + 1));
+  }
+
+  // Length of the route from the origin through the stops, in km
+  routeKm(origin, stops) {
+    let total = 0;
+    let previous = origin;
+    for (const stop of stops) {
+      total += GeoDistance.routeKm(previous, stop);
+      previous = stop;
+    }
+    return total;
+  }
+
+  // Insert a city where it makes the route shortest: at the end, or after a
+  // city in the same country, so countries are not left and entered again
+  // (never before the next city or the pinned cities at the start)
+  insertStop(origin, stops, city, pinnedCount = 0) {
+    let best = null;
+    for (let position = Math.max(Math.min(1, stops.length), pinnedCount); position <= stops.length; position++) {
+      if (position < stops.length && !sameCountry(stops[position - 1], city)) continue;
+
+      const route = [...stops.slice(0, position), city, ...stops.slice(position)];
+      const km = this.routeKm(origin, route);
+      if (!best || km < best.km) best = { route, km };
+    }
+    return best.route;
+  }
+
+  /**
+   * Plan ahead: drop planned cities that were visited in the meantime and
+   * add cities until itinerary_length are planned (pinned cities included)
+   * @param {Object} options - { replan: discard the planned cities and start over (the pinned ones are kept) }
+   * @returns {Promise<Object[]>} Itinerary stops
+   */
+  async plan(options = {}) {
+    const current = await locations.getCurrent();
+    if (!current) {
+      throw new Error('No current location found. Initialize the journey first.');
+    }
+
+    const length = await SettingsService.get('itinerary_length');
+    const visited = await locations.listVisited();
+    const planned = (await itinerary.list()).filter(stop => !visited.some(city => sameCity(city, stop)));
+    const pinned = planned.filter(stop => stop.pinned);
+    const unpinned = options.replan ? [] : planned.filter(stop => !stop.pinned);
+    let stops = [...pinned, ...unpinned.slice(0, Math.max(0, length - pinned.length))];
+
+    // Giovanni leaves the current city after its last planned day
+    const departure = addDays(new Date(), Math.max(1, current.planned_duration - current.current_day + 1));
+
+    while (stops.length < length) {
+      // Travel on from the end of the route (the country the planner picks next borders it),
+      // arriving after the stays planned so far
+      const last = stops.length > 0 ? stops[stops.length - 1] : current;
+      const duration = await this.pickStayDuration();
+      const arrival = addDays(departure, stops.reduce((days, stop) => days + stop.planned_duration, 0));
+      const stay = SeasonService.getStayWindow(arrival, duration);
+      const city = await TravelPlannerService.selectNextCity(last.country, { from: last, avoid: stops, stay });
+      if (stops.some(stop => sameCity(stop, city)) || visited.some(stop => sameCity(stop, city))) {
+        console.warn(`Could not find another new city after ${last.name}, ${last.country}; planned ${stops.length} of ${length}`);
+        break;
+      }
+
+      console.log(`Planned ${city.name}, ${city.country}`);
+      stops = this.insertStop(current, stops, { ...city, planned_duration: duration }, pinned.length);
+    }
+
+    await this.save(current, stops);
+    return itinerary.list();
+  }
+
+  // Store the route with positions following the current city
+  async save(current, stops) {
+    let previous = current;
+    await itinerary.replaceAll(stops.map((stop, index) => {
+      const distanceKm = Math.round(GeoDistance.routeKm(previous, stop));
+      previous = stop;
+      return { ...stop, order_in_journey: current.order_in_journey + index + 1, distance_km: distanceKm };
+    }));
+  }
+
+  /**
+   * Get the city to move to next, planning ahead if nothing is planned
+   * @returns {Promise<Object|null>} First itinerary stop (null when planning ahead is off)
+   */
+  async getNextStop() {
+    const next = await itinerary.getNext();
+    const visited = await locations.listVisited();
+    if (next && !visited.some(city => sameCity(city, next))) return next;
+
+    if (await SettingsService.get('itinerary_length') === 0) return null;
+    const stops = await this.plan();
+    return stops[0] || null;
+  }
+
+  // City of a destination chosen by hand: the largest town of that name in the
+  // gazetteer, or the town OpenAI finds (checked against the gazetteer) when it has none
+  async resolveDestination(destination) {
+    const country = CountryRegistry.getName(destination.country);
+    const towns = await GazetteerService.lookup(destination.name, country);
+    if (towns.length === 0) {
+      return TravelPlannerService.resolveCity(destination.name, destination.country);
+    }
+
+    const town = towns.reduce((largest, other) => other.population > largest.population ? other : largest);
+    return {
+      name: town.name,
+      localName: town.name,
+      country,
+      region: '',
+      lat: town.lat,
+      lng: town.lng,
+      population: town.population,
+      description: '',
+      ...TravelPlannerService.getCountryDetails(country),
+      transportHubs: []
+    };
+  }
+
+  /**
+   * Pin a city: the next moves go there after the cities pinned before it,
+   * ahead of the planned ones
+   * @param {Object} destination - { name, country } (looked up in the gazetteer, or geocoded by OpenAI)
+   * @param {Object} options - { days: planned stay (default between planned_stay_min_days and planned_stay_max_days) }
+   * @returns {Promise<Object>} The pinned itinerary stop
+   * @throws {Error} code CITY_NOT_FOUND, ALREADY_VISITED or ALREADY_PINNED
+   */
+  async pin(destination, options = {}) {
+    const current = await locations.getCurrent();
+    if (!current) {
+      throw new Error('No current location found. Initialize the journey first.');
+    }
+
+    const city = await this.resolveDestination(destination);
+    const visited = await locations.listVisited();
+    if (visited.some(stop => sameCity(stop, city))) {
+      throw Object.assign(new Error(`${city.name}, ${city.country} was visited already`), { code: 'ALREADY_VISITED' });
+    }
+
+    const stops = (await itinerary.list()).filter(stop => !visited.some(other => sameCity(other, stop)));
+    if (stops.some(stop => stop.pinned && sameCity(stop, city))) {
+      throw Object.assign(new Error(`${city.name}, ${city.country} is pinned already`), { code: 'ALREADY_PINNED' });
+    }
+
+    // A planned city that gets pinned moves up to its pinned place
+    const duration = options.days || await this.pickStayDuration();
+    await this.save(current, [
+      ...stops.filter(stop => stop.pinned),
+      { ...city, planned_duration: duration, pinned: true },
+      ...stops.filter(stop => !stop.pinned && !sameCity(stop, city))
+    ]);
+    return (await itinerary.list()).find(stop => stop.pinned && sameCity(stop, city));
+  }
+
+  /**
+   * Unpin a city (the planned cities stay as they are)
+   * @param {Object} destination - { name, country }
+   * @returns {Promise<Object|null>} The stop removed, null when the city is not pinned
+   */
+  async unpin(destination) {
+    const stops = await itinerary.list();
+    const stop = stops.find(planned => planned.pinned && sameCity(planned, {
+      name: destination.name,
+      country: CountryRegistry.getName(destination.country)
+    }));
+    if (!stop) return null;
+
+    // The stops after it move up a place
+    await this.save(await locations.getCurrent(), stops.filter(planned => planned !== stop));
+    return stop;
+  }
+
+  // Discard the plan (the pinned cities are kept)
+  async clear() {
+    const current = await locations.getCurrent();
+    const pinned = (await itinerary.list()).filter(stop => stop.pinned);
+    if (!current || pinned.length === 0) return itinerary.clear();
+
+    await this.save(current, pinned);
+  }
+}
+
+module.exports = new ItineraryService();
@@ -0,0 +1,363 @@
+/**
+ * JourneyArchiveService.js
+ *
+ * Export a whole journey (locations, accommodations, the planned itinerary,
+ * day trips, places, visits, posts, images, transportation, expenses and
+ * weather) to a versioned .tar.gz archive, and import such
+ * an archive into an empty database, for moving a journey to another machine
+ * or forking it for experiments.
+ *
+ * Archive layout:
+ *   manifest.json        format version, schema version, row counts, image checksums
+ *   tables/<table>.json  all rows of a table, in id order
+ *   images/<file>        every image file referenced by posts and post_images
+ *
+ * Rows get new IDs on import; references between the tables are remapped.
+ * A reference to a row that is not in the archive (SQLite does not enforce
+ * foreign keys here) is imported as NULL and reported as a warning.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar');
+const MigrationService = require('./MigrationService');
+const { Database } = require('../db');
+const { version: appVersion } = require('../../package.json');
+require('dotenv').config();
+
+// Exported tables in import order, with the columns that reference other tables,
+// the columns that hold image file paths, and the schema version that added the
+// table or the archive format version that added it to the archive (older
+// archives have no rows for it)
+const tables = [
+  { name: 'locations' },
+  { name: 'accommodations', references: { location_id: 'locations' }, sinceFormatVersion: 2 },
+  { name: 'itinerary', sinceSchemaVersion: 8, sinceFormatVersion: 2 },
+  { name: 'day_trips', references: { location_id: 'locations' }, sinceSchemaVersion: 16 },
+  { name: 'points_of_interest', references: { location_id: 'locations', day_trip_id: 'day_trips' } },
+  { name: 'posts', references: { location_id: 'locations' }, imageColumns: ['featured_image_local_path'] },
+  { name: 'post_images', references: { post_id: 'posts' }, imageColumns: ['image_local_path'] },
+  { name: 'visits', references: { poi_id: 'points_of_interest' } },
+  { name: 'transportation', references: { from_location_id: 'locations', to_location_id: 'locations', day_trip_id: 'day_trips' } },
+  {
+    name: 'expenses',
+    references: { location_id: 'locations', post_id: 'posts', transportation_id: 'transportation', place_id: 'points_of_interest' },
+    sinceSchemaVersion: 13
+  },
+  { name: 'daily_weather' }
+];
+
+// Error for an archive that cannot be imported
+function invalidArchive(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_ARCHIVE' });
+}
+
+class JourneyArchiveService {
+  constructor() {
+    this.format = 'giovanni-journey';
+    this.formatVersion = 2;
+    this.tables = tables;
+    this.imageStoragePath = process.env.IMAGE_STORAGE_PATH || path.join(__dirname, '..', '..', 'temp', 'images');
+  }
+
+  // Default archive file name (giovanni-journey-YYYY-MM-DD.tar.gz)
+  getDefaultFileName(date = new Date()) {
+    return `giovanni-journey-${date.toISOString().split('T')[0]}.tar.gz`;
+  }
+
+  // SHA-256 of a file
+  hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  // Temporary working directory (removed by the caller)
+  createWorkDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'giovanni-archive-'));
+  }
+
+  // File name inside images/ that is not taken yet
+  getUniqueName(fileName, takenNames) {
+    const { name, ext } = path.parse(fileName);
+    let candidate = fileName;
+    for (let counter = 2; takenNames.has(candidate); counter++) {
+      candidate = `${name}_${counter}${ext}`;
+    }
+    takenNames.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Export the journey to an archive
+   * All tables are read in one transaction, so the archive is consistent even while the app is running.
+   * @param {string} archivePath - Target .tar.gz file (replaced if it exists)
+   * @returns {Promise<Object>} { path, size, manifest }
+   */
+  async exportJourney(archivePath) {
+    const { currentVersion } = await MigrationService.assertUpToDate();
+
+    const rowsByTable = await Database.transaction(async () => {
+      const result = {};
+      for (const table of this.tables) {
+        result[table.name] = await Database.all(`SELECT * FROM ${table.name} ORDER BY id`);
+      }
+      return result;
+    });
+
+    const workDir = this.createWorkDir();
+    try {
+      fs.mkdirSync(path.join(workDir, 'tables'));
+      fs.mkdirSync(path.join(workDir, 'images'));
+
+      const manifest = {
+        format: this.format,
+        formatVersion: this.formatVersion,
+        appVersion,
+        schemaVersion: currentVersion,
+        createdAt: new Date().toISOString(),
+        tables: {},
+        images: [],
+        missingImages: []
+      };
+
+      // Copy every referenced image once, whichever rows share it
+      const archivedPaths = new Map();
+      const takenNames = new Set();
+      for (const table of this.tables) {
+        for (const column of table.imageColumns || []) {
+          for (const row of rowsByTable[table.name]) {
+            const originalPath = row[column];
+            if (!originalPath || archivedPaths.has(originalPath) || manifest.missingImages.includes(originalPath)) continue;
+
+            if (!fs.existsSync(originalPath)) {
+              manifest.missingImages.push(originalPath);
+              continue;
+            }
+
+            const file = this.getUniqueName(path.basename(originalPath), takenNames);
+            fs.copyFileSync(originalPath, path.join(workDir, 'images', file));
+            archivedPaths.set(originalPath, file);
+            manifest.images.push({
+              file,
+              originalPath,
+              size: fs.statSync(originalPath).size,
+              sha256: this.hashFile(originalPath)
+            });
+          }
+        }
+      }
+
+      for (const table of this.tables) {
+        const rows = rowsByTable[table.name];
+        fs.writeFileSync(path.join(workDir, 'tables', `${table.name}.json`), JSON.stringify(rows, null, 2));
+        manifest.tables[table.name] = { rows: rows.length };
+      }
+
+      fs.writeFileSync(path.join(workDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+      await tar.c({ gzip: true, file: archivePath, cwd: workDir, portable: true }, ['manifest.json', 'tables', 'images']);
+
+      return { path: archivePath, size: fs.statSync(archivePath).size, manifest };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Whether an archive predates a table (by its schema or format version) and has no file for it
+  predatesTable(manifest, table) {
+    const listed = manifest.tables && manifest.tables[table.name];
+    const olderSchema = table.sinceSchemaVersion && manifest.schemaVersion < table.sinceSchemaVersion;
+    const olderFormat = table.sinceFormatVersion && manifest.formatVersion < table.sinceFormatVersion;
+    return !listed && !!(olderSchema || olderFormat);
+  }
+
+  // Read and parse a JSON file of an extracted archive
+  readJson(workDir, relativePath) {
+    const filePath = path.join(workDir, relativePath);
+    if (!fs.existsSync(filePath)) {
+      throw invalidArchive(`Archive is missing ${relativePath}`);
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw invalidArchive(`Archive has an unreadable ${relativePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check an extracted archive against the manifest and the current schema
+   * @param {string} workDir - Directory the archive was extracted to
+   * @returns {Promise<Object>} { manifest, rowsByTable, warnings }
+   */
+  async validateExtracted(workDir) {
+    const manifest = this.readJson(workDir, 'manifest.json');
+
+    if (manifest.format !== this.format) {
+      throw invalidArchive('Not a Giovanni journey archive (manifest format mismatch)');
+    }
+    if (manifest.formatVersion > this.formatVersion) {
+      throw invalidArchive(`Archive format version ${manifest.formatVersion} is newer than this version supports (${this.formatVersion})`);
+    }
+
+    const { currentVersion } = await MigrationService.assertUpToDate();
+    if (manifest.schemaVersion > currentVersion) {
+      throw invalidArchive(`Archive was exported from schema version ${manifest.schemaVersion}, this database is at version ${currentVersion}; update the code first`);
+    }
+
+    const rowsByTable = {};
+    for (const table of this.tables) {
+      if (this.predatesTable(manifest, table)) {
+        rowsByTable[table.name] = [];
+        continue;
+      }
+
+      const rows = this.readJson(workDir, `tables/${table.name}.json`);
+      if (!Array.isArray(rows)) {
+        throw invalidArchive(`tables/${table.name}.json is not a list of rows`);
+      }
+      const expected = manifest.tables && manifest.tables[table.name];
+      if (!expected || expected.rows !== rows.length) {
+        throw invalidArchive(`tables/${table.name}.json has ${rows.length} rows, the manifest lists ${expected ? expected.rows : 'none'}`);
+      }
+
+      // Every column must exist in this schema
+      const columns = new Set((await Database.all(`PRAGMA table_info(${table.name})`)).map(column => column.name));
+      for (const row of rows) {
+        const unknown = Object.keys(row).find(column => !columns.has(column));
+        if (unknown) {
+          throw invalidArchive(`tables/${table.name}.json has a column "${unknown}" that ${table.name} does not have`);
+        }
+        if (!Number.isInteger(row.id)) {
+          throw invalidArchive(`tables/${table.name}.json has a row without an integer id`);
+        }
+      }
+      rowsByTable[table.name] = rows;
+    }
+
+    // References to rows that are not in the archive are dropped
+    const warnings = [];
+    for (const table of this.tables) {
+      for (const [column, target] of Object.entries(table.references || {})) {
+        const ids = new Set(rowsByTable[target].map(row => row.id));
+        for (const row of rowsByTable[table.name]) {
+          if (row[column] !== null && row[column] !== undefined && !ids.has(row[column])) {
+            warnings.push(`${table.name} #${row.id} references missing ${target} #${row[column]}; ${column} is imported as NULL`);
+            row[column] = null;
+          }
+        }
+      }
+    }
+
+    for (const image of manifest.images || []) {
+      const filePath = path.join(workDir, 'images', path.basename(image.file));
+      if (!fs.existsSync(filePath)) {
+        throw invalidArchive(`Archive is missing images/${image.file}`);
+      }
+      if (this.hashFile(filePath) !== image.sha256) {
+        throw invalidArchive(`images/${image.file} does not match its checksum`);
+      }
+    }
+
+    return { manifest, rowsByTable, warnings };
+  }
+
+  // Throw unless every journey table of the target database is empty
+  async assertEmptyDatabase() {
+    for (const table of this.tables) {
+      const { count } = await Database.get(`SELECT COUNT(*) as count FROM ${table.name}`);
+      if (count > 0) {
+        throw invalidArchive(`The database already has a journey (${count} row(s) in ${table.name}); import into an empty database (point DB_PATH at a new file and run "giovanni db migrate")`);
+      }
+    }
+  }
+
+  /**
+   * Validate an archive and import it into the empty database
+   * Images are copied to IMAGE_STORAGE_PATH; all rows are inserted in one transaction.
+   * @param {string} archivePath - .tar.gz file made by exportJourney
+   * @param {Object} options - { dryRun: only validate the archive and the target database }
+   * @returns {Promise<Object>} { manifest, imported: rows per table, images: number of copied images, warnings }
+   */
+  async importJourney(archivePath, options = {}) {
+    if (!fs.existsSync(archivePath)) {
+      throw invalidArchive(`Archive not found: ${archivePath}`);
+    }
+
+    const workDir = this.createWorkDir();
+    const copiedImages = [];
+    try {
+      try {
+        await tar.x({ file: archivePath, cwd: workDir, strict: true });
+      } catch (error) {
+        throw invalidArchive(`Cannot read archive: ${error.message}`);
+      }
+
+      const { manifest, rowsByTable, warnings } = await this.validateExtracted(workDir);
+      await this.assertEmptyDatabase();
+
+      const imported = {};
+      for (const table of this.tables) {
+        imported[table.name] = rowsByTable[table.name].length;
+      }
+      if (options.dryRun) {
+        return { manifest, imported, images: 0, warnings };
+      }
+
+      // Copy the images first; a name already taken by another file gets a suffix
+      fs.mkdirSync(this.imageStoragePath, { recursive: true });
+      const newImagePaths = new Map();
+      const takenNames = new Set(fs.readdirSync(this.imageStoragePath));
+      for (const image of manifest.images || []) {
+        const source = path.join(workDir, 'images', path.basename(image.file));
+        const existing = path.join(this.imageStoragePath, path.basename(image.file));
+        let target = existing;
+        if (!fs.existsSync(existing) || this.hashFile(existing) !== image.sha256) {
+          target = path.join(this.imageStoragePath, this.getUniqueName(path.basename(image.file), takenNames));
+          fs.copyFileSync(source, target);
+          copiedImages.push(target);
+        }
+        newImagePaths.set(image.originalPath, target);
+      }
+
+      await Database.transaction(async () => {
+        const idMaps = {};
+        for (const table of this.tables) {
+          idMaps[table.name] = new Map();
+
+          for (const row of rowsByTable[table.name]) {
+            const { id, ...values } = row;
+            for (const [column, target] of Object.entries(table.references || {})) {
+              if (values[column] !== null && values[column] !== undefined) {
+                values[column] = idMaps[target].get(values[column]);
+              }
+            }
+            for (const column of table.imageColumns || []) {
+              if (values[column] && newImagePaths.has(values[column])) {
+                values[column] = newImagePaths.get(values[column]);
+              }
+            }
+
+            const columns = Object.keys(values);
+            const result = await Database.run(
+              `INSERT INTO ${table.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+              columns.map(column => values[column])
+            );
+            idMaps[table.name].set(id, result.lastID);
+          }
+        }
+      });
+
+      return { manifest, imported, images: copiedImages.length, warnings };
+    } catch (error) {
+      // Leave no orphaned image files behind
+      copiedImages.forEach(file => fs.rmSync(file, { force: true }));
+      throw error;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new JourneyArchiveService();
@@ -0,0 +1,258 @@
+/**
+ * JourneyService.js
+ *
+ * The daily routine of the journey, shared by the scheduler (app.js), the
+ * admin API and the CLI: decide whether Giovanni travels, publish the daily
+ * post or the travel post, and report the journey status.
+ *
+ * Emits 'locationChanged' after every successful move.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const PostGeneratorService = require('./PostGeneratorService');
+const WordPressService = require('./WordPressService');
+const RunLockService = require('./RunLockService');
+const NotificationService = require('./NotificationService');
+const PostRunLedgerService = require('./PostRunLedgerService');
+const SettingsService = require('./SettingsService');
+const BudgetService = require('./BudgetService');
+const { locations, places, posts, itinerary } = require('../db');
+const { createTravelPost } = require('../../travel-post-generator');
+const { moveToNextLocation } = require('../../move_to_next_location');
+require('dotenv').config();
+
+class JourneyService extends EventEmitter {
+  // Check if Giovanni should move to next location
+  async checkLocationStatus() {
+    logger.info('Checking if Giovanni needs to move to next location');
+
+    try {
+      // Get current location
+      const currentLocation = await locations.getCurrent();
+      if (!currentLocation) {
+        logger.error('No current location found');
+        return false;
+      }
+
+      // Also check if all attractions visited (no more content to generate)
+      const unvisitedAttractions = await places.countUnvisited(currentLocation.id, 'attraction');
+      const noMoreAttractions = unvisitedAttractions === 0;
+
+      // Stay limits from settings (read on every check, so changes apply immediately)
+      const minDays = await SettingsService.get('min_days_per_location');
+      const maxDays = await SettingsService.get('posts_per_location');
+
+      // Check if we should move based on various conditions
+      const reachedMinDuration = currentLocation.current_day >= currentLocation.planned_duration;
+      const reachedMaxDuration = currentLocation.current_day >= maxDays;
+      const noContentAndMinTime = noMoreAttractions && currentLocation.current_day >= minDays;
+
+      if (reachedMinDuration || reachedMaxDuration || noContentAndMinTime) {
+        const reason = reachedMaxDuration ? 'max duration' :
+                     reachedMinDuration ? 'planned duration' :
+                     'no attractions left';
+        logger.info(`Giovanni should move (${reason}): day ${currentLocation.current_day}/${currentLocation.planned_duration}, attractions=${unvisitedAttractions}`);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      logger.error(`Error checking location status: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Move to the next location and publish the travel post
+  // options.publishDate backdates the journey and its post (used by catch-up)
+  async handleAutomaticTravel(options = {}) {
+    return RunLockService.runLocked('automatic travel', () => this.travelToNextLocation(options));
+  }
+
+  // Move and publish the travel post (called with the run lock held)
+  async travelToNextLocation(options) {
+    try {
+      logger.info('Starting automatic travel process');
+
+      // 1. Move to next location
+      const moveSuccess = await moveToNextLocation({ departureDate: options.publishDate });
+      if (!moveSuccess) {
+        logger.error('Failed to move to next location');
+        return false;
+      }
+
+      // The new location may be in another timezone
+      this.emit('locationChanged');
+
+      // 2. Generate travel post
+      const travelPostSuccess = await createTravelPost({ publishDate: options.publishDate });
+      if (!travelPostSuccess) {
+        logger.error('Failed to generate travel post');
+        return false;
+      }
+
+      logger.info('Automatic travel completed successfully');
+      return true;
+    } catch (error) {
+      logger.error(`Error during automatic travel: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Create today's post (or travel, if it is time)
+  // options.publishDate backdates the post (used by catch-up)
+  // The run lock keeps other processes (cron, --generate-post, scripts) from publishing at the same time
+  async generateDailyPost(options = {}) {
+    return RunLockService.runLocked('daily post', () => this.publishDailyPost(options));
+  }
+
+  // Generate the daily post, or travel if it is time (called with the run lock held)
+  async publishDailyPost(options) {
+    logger.info(options.publishDate
+      ? `Starting daily post generation for ${options.publishDate.toISOString()}`
+      : 'Starting daily post generation');
+
+    try {
+      // An unfinished run for today is resumed before anything else
+      const pendingRun = await PostGeneratorService.getResumableRun();
+      if (pendingRun) {
+        logger.info(`Resuming post run #${pendingRun.id} (last completed stage: ${pendingRun.last_stage || 'none'})`);
+      }
+
+      // First check if Giovanni needs to travel
+      const shouldTravel = !pendingRun && await this.checkLocationStatus();
+
+      if (shouldTravel) {
+        logger.info('Giovanni needs to travel to next location');
+        return await this.handleAutomaticTravel(options);
+      }
+
+      // Normal daily post generation
+      const wpConnection = await WordPressService.initialize();
+      if (!wpConnection) {
+        logger.error('Failed to connect to WordPress. Aborting post generation.');
+        await NotificationService.notify('post_failed', {
+          postType: 'daily',
+          stage: 'wordpress_connection',
+          error: 'Failed to connect to WordPress'
+        });
+        return false;
+      }
+
+      // Generate and publish post
+      const result = await PostGeneratorService.generateAndPublishPost({ publishDate: options.publishDate });
+      if (result.success) {
+        logger.info(`Post successfully published: ${result.postUrl}`);
+        return true;
+      } else {
+        logger.error(`Failed to publish post: ${result.error}`);
+        if (result.runId) {
+          logger.error(`Post run #${result.runId} stopped at stage "${result.stage}" and will resume on the next run`);
+        }
+        return false;
+      }
+    } catch (error) {
+      logger.error(`Unhandled error during post generation: ${error.message}`);
+      await NotificationService.notify('post_failed', {
+        postType: 'daily',
+        stage: 'unhandled',
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  // Resume the unfinished post run of the current location and day
+  // Never while the app (or another command) is publishing: a busy run lock resolves to false
+  async resumePostRun() {
+    return RunLockService.runLocked('post run resume', async () => {
+      const pendingRun = await PostGeneratorService.getResumableRun();
+      if (!pendingRun) {
+        console.log('No unfinished run for the current location and day.');
+        return false;
+      }
+
+      console.log(`▶️  Resuming run #${pendingRun.id} after stage "${pendingRun.last_stage || 'none'}"...\n`);
+
+      const wpConnection = await WordPressService.initialize();
+      if (!wpConnection) {
+        console.log('❌ Failed to connect to WordPress. Run not resumed.');
+        return false;
+      }
+
+      const result = await PostGeneratorService.generateAndPublishPost();
+      if (result.success) {
+        console.log(`\n✅ Post published: ${result.postUrl}`);
+        return true;
+      }
+
+      console.log(`\n❌ Run #${result.runId} failed again at stage "${result.stage}": ${result.error}`);
+      return false;
+    });
+  }
+
+  /**
+   * Render the next post to a local folder instead of publishing it
+   * Previews change nothing, so they do not need the run lock.
+   * @param {string} type - 'daily' for today's post, 'travel' for the latest journey post
+   * @param {Object} options - { outputDir }
+   * @returns {Promise<boolean>} Whether the preview was written
+   */
+  async previewPost(type = 'daily', options = {}) {
+    if (type === 'travel') {
+      return createTravelPost({ preview: true, outputDir: options.outputDir });
+    }
+
+    if (type !== 'daily') {
+      throw new Error(`Unknown preview type "${type}". Use "daily" or "travel".`);
+    }
+
+    const result = await PostGeneratorService.generatePreview({ outputDir: options.outputDir });
+    if (!result.success) {
+      console.error(`Preview failed: ${result.error}`);
+      return false;
+    }
+
+    console.log(`Open ${result.htmlPath} in a browser to review the post.`);
+    return true;
+  }
+
+  /**
+   * Journey status: current location, counters, last post, unfinished run and run lock
+   * @returns {Promise<Object>} Status summary
+   */
+  async getStatus() {
+    const location = await locations.getCurrent();
+    const status = {
+      location: location ? {
+        id: location.id,
+        name: location.name,
+        country: location.country,
+        timezone: location.timezone,
+        currentDay: location.current_day,
+        plannedDuration: location.planned_duration,
+        arrival: location.planned_arrival
+      } : null,
+      counts: await posts.getCounts(),
+      budget: await BudgetService.getTotals(),
+      lastPost: await posts.getLatest(),
+      itinerary: (await itinerary.list()).map(stop => ({ name: stop.name, country: stop.country, plannedDuration: stop.planned_duration, pinned: Boolean(stop.pinned) }))
+    };
+
+    const pendingRun = status.location
+      ? await PostRunLedgerService.findResumableRun('daily', status.location.id, status.location.currentDay)
+      : null;
+
+    status.pendingRun = pendingRun ? {
+      id: pendingRun.id,
+      status: pendingRun.status,
+      lastStage: pendingRun.last_stage,
+      errorStage: pendingRun.error_stage
+    } : null;
+    status.runLock = await RunLockService.getLock();
+
+    return status;
+  }
+}
+
+module.exports = new JourneyService();
@@ -0,0 +1,185 @@
+/**
+ * MigrationService.js
+ *
+ * Versioned schema migrations. Migrations are numbered files in
+ * database/migrations (e.g. 005_add_something.js) exporting
+ * { description, up(db) }; applied versions are recorded in schema_migrations.
+ * Each migration runs in its own transaction, after a backup of the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { open } = require('sqlite');
+const sqlite3 = require('sqlite3').verbose();
+const BackupService = require('./BackupService');
+require('dotenv').config();
+
+class MigrationService {
+  constructor() {
+    this.dbPath = process.env.DB_PATH || path.join(__dirname, '..', '..', 'database', 'giovanni.db');
+    this.migrationsDir = path.join(__dirname, '..', '..', 'database', 'migrations');
+    this.filePattern = /^(\d+)_([\w-]+)\.js$/;
+  }
+
+  // Get database connection (creates the database file if needed)
+  async getDatabase() {
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+    // The app or another migration run may be using the database
+    db.configure('busyTimeout', 5000);
+    return db;
+  }
+
+  // Create the table that records applied migrations
+  async ensureMigrationsTable(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * List the migration files in version order
+   * @returns {Object[]} { version, name, file }
+   */
+  listMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => {
+        const match = file.match(this.filePattern);
+        return match ? { version: parseInt(match[1], 10), name: match[2], file } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migration.version === migrations[index - 1].version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  // Versions recorded in schema_migrations
+  async getAppliedVersions(db) {
+    const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    if (!table) return [];
+
+    const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+  }
+
+  /**
+   * Compare the database with the migration files
+   * @returns {Promise<Object>} { currentVersion, latestVersion, pending: migrations not applied yet, unknown: applied versions without a file }
+   */
+  async getStatus() {
+    const migrations = this.listMigrations();
+    const db = await this.getDatabase();
+    let appliedVersions;
+    try {
+      appliedVersions = await this.getAppliedVersions(db);
+    } finally {
+      await db.close();
+    }
+
+    return {
+      currentVersion: appliedVersions.length > 0 ? appliedVersions[appliedVersions.length - 1] : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      pending: migrations.filter(migration => !appliedVersions.includes(migration.version)),
+      unknown: appliedVersions.filter(version => !migrations.some(migration => migration.version === version))
+    };
+  }
+
+  /**
+   * Throw if the database schema is behind the code
+   * @returns {Promise<Object>} Migration status
+   */
+  async assertUpToDate() {
+    const status = await this.getStatus();
+    if (status.pending.length > 0) {
+      const names = status.pending.map(migration => migration.file).join(', ');
+      throw new Error(`Database schema is out of date (version ${status.currentVersion}, latest ${status.latestVersion}); pending migrations: ${names}. Run "node cli.js db migrate".`);
+    }
+    return status;
+  }
+
+  // Whether the database already holds data worth backing up
+  async hasTables() {
+    if (!fs.existsSync(this.dbPath)) return false;
+
+    const db = await this.getDatabase();
+    try {
+      const row = await db.get("SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+      return row.count > 0;
+    } finally {
+      await db.close();
+    }
+  }
+
+  /**
+   * Apply all pending migrations
+   * @param {Object} options - { backup: snapshot the database first (default true), backupDir }
+   * @returns {Promise<Object>} { applied: migrations applied, backupPath }
+   */
+  async migrate(options = {}) {
+    const status = await this.getStatus();
+    if (status.pending.length === 0) {
+      return { applied: [], backupPath: null };
+    }
+
+    // A new database has nothing to lose
+    let backupPath = null;
+    if (options.backup !== false && await this.hasTables()) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupDir = options.backupDir || BackupService.backupDir;
+      const backup = await BackupService.createSnapshot(
+        path.join(backupDir, `giovanni-schema-v${status.currentVersion}-${stamp}.db`)
+      );
+      backupPath = backup.path;
+      console.log(`💾 Backup before migrating: ${backupPath}`);
+    }
+
+    const applied = [];
+    const db = await this.getDatabase();
+    try {
+      await this.ensureMigrationsTable(db);
+
+      for (const migration of status.pending) {
+        const { up } = require(path.join(this.migrationsDir, migration.file));
+
+        await db.exec('BEGIN IMMEDIATE');
+        try {
+          // Another process may have applied it in the meantime
+          const existing = await db.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+          if (!existing) {
+            await up(db);
+            await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+          }
+          await db.exec('COMMIT');
+        } catch (error) {
+          await db.exec('ROLLBACK').catch(() => {});
+          throw Object.assign(
+            new Error(`Migration ${migration.file} failed: ${error.message}${backupPath ? ` (backup: ${backupPath})` : ''}`),
+            { migration, backupPath }
+          );
+        }
+
+        console.log(`✅ Applied migration ${migration.file}`);
+        applied.push(migration);
+      }
+    } finally {
+      await db.close();
+    }
+
+    return { applied, backupPath };
+  }
+}
+
+module.exports = new MigrationService();
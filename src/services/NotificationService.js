@@ -0,0 +1,146 @@
+/**
+ * NotificationService.js
+ *
+ * Sends notifications about important events (published and failed posts,
+ * location changes, exhausted API quotas, placeholder images) to the
+ * configured notifier channels. Notifying never throws, so a broken channel
+ * cannot break post generation.
+ */
+
+const os = require('os');
+const WebhookNotifier = require('../notifiers/WebhookNotifier');
+const EmailNotifier = require('../notifiers/EmailNotifier');
+const SettingsService = require('./SettingsService');
+require('dotenv').config();
+
+class NotificationService {
+  constructor() {
+    // Supported events with their title and severity
+    this.events = {
+      post_published: { title: 'Post published', severity: 'info' },
+      post_failed: { title: 'Post failed', severity: 'error' },
+      location_changed: { title: 'Location changed', severity: 'info' },
+      quota_exhausted: { title: 'API quota exhausted', severity: 'error' },
+      placeholder_image_used: { title: 'Placeholder image used', severity: 'warning' }
+    };
+
+    // The same repeated event (e.g. quota errors on every request) is sent once per cooldown
+    this.cooldownMs = (parseInt(process.env.NOTIFY_COOLDOWN_MINUTES) || 60) * 60 * 1000;
+    this.lastSent = new Map();
+
+    this.channels = this.createChannels();
+  }
+
+  // Parse a comma-separated event list
+  parseEvents(value) {
+    return (value || '')
+      .split(',')
+      .map(event => event.trim())
+      .filter(Boolean);
+  }
+
+  // Create the channels configured in the environment
+  createChannels() {
+    const channels = [];
+
+    if (process.env.NOTIFY_WEBHOOK_URL) {
+      channels.push(new WebhookNotifier({
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        token: process.env.NOTIFY_WEBHOOK_TOKEN,
+        events: this.parseEvents(process.env.NOTIFY_WEBHOOK_EVENTS)
+      }));
+    }
+
+    if (process.env.SMTP_HOST && process.env.NOTIFY_EMAIL_TO) {
+      channels.push(new EmailNotifier({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from: process.env.NOTIFY_EMAIL_FROM,
+        to: process.env.NOTIFY_EMAIL_TO,
+        events: this.parseEvents(process.env.NOTIFY_EMAIL_EVENTS)
+      }));
+    }
+
+    return channels;
+  }
+
+  // Register an additional channel (any object with name, accepts(event) and send(notification))
+  addChannel(channel) {
+    this.channels.push(channel);
+  }
+
+  // Short human-readable summary of the event context
+  describe(event, data) {
+    const place = data.location ? `${data.location}${data.day ? `, day ${data.day}` : ''}` : null;
+
+    switch (event) {
+      case 'post_published':
+        return `${data.postType === 'travel' ? 'Travel post' : 'Post'} published${place ? ` (${place})` : ''}`;
+      case 'post_failed':
+        return `${data.postType === 'travel' ? 'Travel post' : 'Post'} failed${data.stage ? ` at stage "${data.stage}"` : ''}${place ? ` (${place})` : ''}`;
+      case 'location_changed':
+        return `Moved from ${data.from} to ${data.to}`;
+      case 'quota_exhausted':
+        return `${data.service} API quota exhausted`;
+      case 'placeholder_image_used':
+        return `Placeholder ${data.imageType ? `${data.imageType} ` : ''}image used${place ? ` (${place})` : ''}`;
+      default:
+        return this.events[event] ? this.events[event].title : event;
+    }
+  }
+
+  /**
+   * Send a notification to every channel that accepts the event
+   * @param {string} event - post_published, post_failed, location_changed, quota_exhausted or placeholder_image_used
+   * @param {Object} data - Context (location, day, stage, error, ...)
+   * @param {Object} options - { dedupeKey: suppress repeats with the same key during the cooldown }
+   * @returns {Promise<number>} Number of channels that received the notification
+   */
+  async notify(event, data = {}, options = {}) {
+    try {
+      const channels = this.channels.filter(channel => channel.accepts(event));
+      if (channels.length === 0) return 0;
+
+      if (options.dedupeKey) {
+        const key = `${event}:${options.dedupeKey}`;
+        const lastSent = this.lastSent.get(key);
+        if (lastSent && Date.now() - lastSent < this.cooldownMs) {
+          return 0;
+        }
+        this.lastSent.set(key, Date.now());
+      }
+
+      const definition = this.events[event] || { title: event, severity: 'info' };
+      const notification = {
+        event,
+        title: this.describe(event, data),
+        severity: definition.severity,
+        timestamp: new Date().toISOString(),
+        blog: await SettingsService.get('blog_title'),
+        host: os.hostname(),
+        ...data
+      };
+
+      const results = await Promise.allSettled(channels.map(channel => channel.send(notification)));
+
+      let delivered = 0;
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          delivered++;
+        } else {
+          console.error(`Error sending ${event} notification via ${channels[index].name}: ${result.reason.message}`);
+        }
+      });
+
+      return delivered;
+    } catch (error) {
+      console.error(`Error sending ${event} notification: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -2,10 +2,10 @@ const axios = require('axios');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
 const WebsiteFinderService = require('./WebsiteFinderService');
 const PromptLogger = require('../utils/PromptLogger');
+const NotificationService = require('./NotificationService');
+const CurrencyService = require('./CurrencyService');
 require('dotenv').config();
 
 class OpenAIService {
@@ -13,7 +13,6 @@ class OpenAIService {
     this.apiKey = process.env.API_KEY_OPENAI;
     this.baseURL = 'https://api.openai.com/v1';
     this.rateLimitPerMinute = parseInt(process.env.API_RATE_LIMIT_OPENAI) || 5;
-    this.dbPath = process.env.DB_PATH;
     this.cachePath = process.env.CACHE_PATH || path.join(__dirname, '..', '..', 'temp', 'cache');
     
     // Create cache directory if it doesn't exist
@@ -21,6 +20,9 @@ class OpenAIService {
       fs.mkdirSync(this.cachePath, { recursive: true });
     }
     
+    // Blog post sections in the order they are generated and assembled
+    this.sectionOrder = ['introduction', 'accommodation', 'food', 'attraction', 'closing'];
+    
     // For rate limiting
     this.requestCount = 0;
     this.lastResetTime = Date.now();
@@ -36,14 +38,6 @@ class OpenAIService {
     });
   }
 
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
-  }
-
   // Create request hash for caching
   createRequestHash(data) {
     return crypto.createHash('md5').update(JSON.stringify(data)).digest('hex');
@@ -111,16 +105,39 @@ class OpenAIService {
       console.error('Error generating text with OpenAI:', error.message);
       if (error.response) {
         console.error('API error details:', error.response.data);
+        
+        // 429 means rate limit or exhausted credits
+        if (error.response.status === 429) {
+          const apiError = error.response.data && error.response.data.error;
+          NotificationService.notify('quota_exhausted', {
+            service: 'OpenAI',
+            status: 429,
+            code: apiError ? apiError.code : null,
+            error: apiError ? apiError.message : error.message,
+            location: options.location || null,
+            day: options.day || null,
+            section: options.section || null
+          }, { dedupeKey: 'openai' });
+        }
       }
       throw new Error(`OpenAI API error: ${error.message}`);
     }
   }
 
-  // Generate blog post sections (split into sections)
-  async generateBlogPostSections(data, options = {}) {
-    const results = {};
-    
-    // Get website links for restaurant and attraction
+  // Town the day is spent in: the current city, or the town of a day trip
+  getPlaceName(data) {
+    return data.dayTrip ? data.dayTrip.name : data.location.name;
+  }
+
+  // The day trip for the prompts: where, how far, how Giovanni got there and what the tickets cost
+  describeDayTrip(data) {
+    const trip = data.dayTrip;
+    return `Today is a day trip: I went from ${data.location.name} to ${trip.name} (${trip.distanceKm} km away) by ${trip.way}, about ${trip.durationMinutes} minutes each way${trip.tickets ? `, and the tickets there and back cost ${trip.tickets}` : ''}. I sleep in ${data.location.name} again tonight.`;
+  }
+
+  // Find website links for the restaurant and attraction featured in a post
+  async findSectionWebsites(data) {
+    const place = `${this.getPlaceName(data)}, ${data.location.country}`;
     let restaurantWebsite = null;
     let attractionWebsite = null;
     
@@ -128,7 +145,7 @@ class OpenAIService {
       console.log(`Finding website for restaurant: ${data.restaurant.name}`);
       restaurantWebsite = await WebsiteFinderService.findWebsite(
         data.restaurant.name, 
-        `${data.location.name}, ${data.location.country}`, 
+        place, 
         'restaurant'
       );
     } catch (error) {
@@ -139,17 +156,37 @@ class OpenAIService {
       console.log(`Finding website for attraction: ${data.attraction.name}`);
       attractionWebsite = await WebsiteFinderService.findWebsite(
         data.attraction.name, 
-        `${data.location.name}, ${data.location.country}`, 
+        place, 
         'attraction'
       );
     } catch (error) {
       console.warn(`Could not find attraction website: ${error.message}`);
     }
     
+    return { restaurantWebsite, attractionWebsite };
+  }
+
+  // What one of today's expenses cost ("850 RSD (about €7.26)"), null if there was none
+  describeExpense(data, category) {
+    const item = data.budget && data.budget.items.find(expense => expense.category === category);
+    return item ? CurrencyService.format(item.amount, item.currency, item.amount_eur) : null;
+  }
+
+  // Build the prompts for every blog post section
+  buildSectionPrompts(data, websites = {}) {
+    const restaurantWebsite = websites.restaurantWebsite || null;
+    const attractionWebsite = websites.attractionWebsite || null;
+    const mealPrice = this.describeExpense(data, 'meal');
+    const entrancePrice = this.describeExpense(data, 'entrance');
+    const place = this.getPlaceName(data);
+    const dayTrip = data.dayTrip ? `\n${this.describeDayTrip(data)}` : '';
+    
     // Section 1: Introduction
     const introPrompt = `
-Write an introduction for Giovanni's travel blog from ${data.location.name}, ${data.location.country} - day ${data.location.current_day} of my stay here.
-Current weather: ${data.weather.description} at ${data.weather.temperature}°C.
+Write an introduction for Giovanni's travel blog from ${data.location.name}, ${data.location.country} - day ${data.location.current_day} of my stay here.${dayTrip ? `${dayTrip}
+Write it as an excursion: leaving ${data.location.name} in the morning and what I expect of ${place}.` : ''}
+Current weather: ${data.weather.description} at ${data.weather.temperature}°C.${data.localTime ? `
+Local time: ${data.localTime.time} (${data.localTime.partOfDay}) - if you mention the time of day, it must match this.` : ''}
 
 TONE & VOICE:
 - Write like I'm catching up with a friend - casual, warm, personal
@@ -187,8 +224,8 @@ Keep it conversational and engaging, around 120-150 words. Make it feel like a g
 Write about Giovanni's new accommodation in ${data.location.name} as someone who's been traveling through Eastern Europe for months.
 Name: ${data.accommodation.name}
 Address: ${data.accommodation.address || 'in the city center'}
-Price: ${data.accommodation.price_per_night || '70'} ${data.accommodation.currency || 'EUR'} per night
-Features: ${data.accommodation.amenities || 'cozy, comfortable apartment with a good location'}
+${data.accommodation.price_per_night ? `Price: ${this.describeExpense(data, 'accommodation') || `${data.accommodation.price_per_night} ${data.accommodation.currency || 'EUR'}`} per night
+` : ''}Features: ${data.accommodation.amenities || 'cozy, comfortable apartment with a good location'}
 
 TONE & VOICE:
 - Write like I'm telling a friend about my new place - personal, honest
@@ -227,9 +264,10 @@ Keep it engaging and personal, around 250-300 words. Make it feel like genuine r
       `\nRestaurant website: ${restaurantWebsite.url} (use this as reference for additional context)` : '';
     
     const foodPrompt = `
-Write about my dining experience at ${data.restaurant.name} in ${data.location.name} as Giovanni, a travel blogger who's been exploring Eastern Europe for months.
+Write about my dining experience at ${data.restaurant.name} in ${place}${data.dayTrip ? ` (on my day trip from ${data.location.name})` : ''} as Giovanni, a travel blogger who's been exploring Eastern Europe for months.
 Restaurant type: ${data.restaurant.type || 'local restaurant'}
-Known for: ${data.restaurant.highlights || 'authentic local cuisine'}${restaurantWebsiteInfo}
+Known for: ${data.restaurant.highlights || 'authentic local cuisine'}${restaurantWebsiteInfo}${mealPrice ? `
+My meal cost: ${mealPrice}` : ''}
 
 TONE & VOICE:
 - Write like I'm chatting with a friend over coffee - casual, friendly, personal
@@ -270,9 +308,10 @@ Keep it conversational, around 200-250 words total. Make it feel like genuine lo
       `\nAttraction website: ${attractionWebsite.url} (use this as reference for additional context)` : '';
     
     const attractionPrompt = `
-Write about my visit to ${data.attraction.name} in ${data.location.name} as Giovanni, a seasoned traveler who's been exploring Eastern Europe.
+Write about my visit to ${data.attraction.name} in ${place}${data.dayTrip ? ` (on my day trip from ${data.location.name})` : ''} as Giovanni, a seasoned traveler who's been exploring Eastern Europe.
 Attraction type: ${data.attraction.type || 'historical site'}
-Description: ${data.attraction.description || 'a popular local attraction'}${attractionWebsiteInfo}
+Description: ${data.attraction.description || 'a popular local attraction'}${attractionWebsiteInfo}${data.budget ? `
+Entrance: ${entrancePrice || 'free'}` : ''}
 
 TONE & VOICE:
 - Write like I'm sharing stories with a friend - casual, personal, engaging
@@ -311,8 +350,11 @@ Keep it conversational and engaging, around 200-250 words total. Make it feel li
     // Section 5: Tomorrow plans and tips
     const closingPrompt = `
 Write the closing sections for Giovanni's travel blog from ${data.location.name} as someone who's been exploring Eastern Europe for months.
-Tomorrow's plan: ${data.tomorrow_type === 'poi' ? 'visiting ' + data.tomorrow_name : 'traveling to ' + data.tomorrow_name}
-
+${data.dayTrip ? `Today was a day trip to ${place}: start with the way back to ${data.location.name} in the evening
+` : ''}Tomorrow's plan: ${data.tomorrow_type === 'poi' ? 'visiting ' + data.tomorrow_name : 'traveling to ' + data.tomorrow_name}
+${data.upcoming_destinations && data.upcoming_destinations.length > 0 ? `The route ahead: ${data.upcoming_destinations.join(' → ')} (tease it in a sentence, without describing the places yet)
+` : ''}${data.budget ? `Money: today cost me ${data.budget.today}; the whole trip so far ${data.budget.total} (if it fits, one tip can be about the local prices)
+` : ''}
 TONE & VOICE:
 - Write like I'm wrapping up a conversation with a friend - warm, helpful, personal
 - Use "I" and share genuine anticipation
@@ -347,58 +389,47 @@ CONTENT FOR TRAVEL TIPS (3-5 tips):
 Keep it conversational and helpful, around 200-250 words total. Make it feel like genuine advice from a friend who really knows this place. Use moderate enthusiasm - avoid excessive superlatives.
 `;
 
+    return {
+      introduction: introPrompt,
+      accommodation: accommodationPrompt || null,
+      food: foodPrompt,
+      attraction: attractionPrompt,
+      closing: closingPrompt
+    };
+  }
+
+  // Generate a single blog post section from its prompt
+  async generateSection(section, prompt, data, options = {}) {
+    return this.generateText(prompt, {
+      ...options,
+      type: `blog_${section}`,
+      section: section,
+      location: data.location.name,
+      day: data.location.current_day
+    });
+  }
+
+  // Generate blog post sections (split into sections)
+  async generateBlogPostSections(data, options = {}) {
+    const results = {};
+    
+    // Get website links for restaurant and attraction
+    const websites = await this.findSectionWebsites(data);
+    const prompts = this.buildSectionPrompts(data, websites);
+    
     // Generate each section
     try {
-      results.introduction = await this.generateText(introPrompt, {
-        ...options,
-        type: 'blog_introduction',
-        section: 'introduction',
-        location: data.location.name,
-        day: data.location.current_day
-      });
-      console.log('Introduction generated');
-      
-      if (accommodationPrompt) {
-        results.accommodation = await this.generateText(accommodationPrompt, {
-          ...options,
-          type: 'blog_accommodation',
-          section: 'accommodation',
-          location: data.location.name,
-          day: data.location.current_day
-        });
-        console.log('Accommodation section generated');
+      for (const section of this.sectionOrder) {
+        // Accommodation section only exists on the first day at a location
+        if (!prompts[section]) continue;
+        
+        results[section] = await this.generateSection(section, prompts[section], data, options);
+        console.log(`Section generated: ${section}`);
       }
       
-      results.food = await this.generateText(foodPrompt, {
-        ...options,
-        type: 'blog_food',
-        section: 'food',
-        location: data.location.name,
-        day: data.location.current_day
-      });
-      console.log('Food section generated');
-      
-      results.attraction = await this.generateText(attractionPrompt, {
-        ...options,
-        type: 'blog_attraction',
-        section: 'attraction',
-        location: data.location.name,
-        day: data.location.current_day
-      });
-      console.log('Attraction section generated');
-      
-      results.closing = await this.generateText(closingPrompt, {
-        ...options,
-        type: 'blog_closing',
-        section: 'closing',
-        location: data.location.name,
-        day: data.location.current_day
-      });
-      console.log('Closing sections generated');
-      
       // Add website links to results for later use
-      results.restaurantWebsite = restaurantWebsite;
-      results.attractionWebsite = attractionWebsite;
+      results.restaurantWebsite = websites.restaurantWebsite;
+      results.attractionWebsite = websites.attractionWebsite;
       
       return results;
     } catch (error) {
@@ -443,7 +474,9 @@ Keep it conversational and helpful, around 200-250 words total. Make it feel lik
     }
     
     // Form title
-    const title = `${data.location.name}, ${data.location.country}: ${data.restaurant.name} and ${data.attraction.name}`;
+    const title = data.dayTrip
+      ? `Day trip from ${data.location.name} to ${data.dayTrip.name}: ${data.restaurant.name} and ${data.attraction.name}`
+      : `${data.location.name}, ${data.location.country}: ${data.restaurant.name} and ${data.attraction.name}`;
     
     // Start building content with hidden version info
     let content = `<!-- Generated by Giovanni Travel Blog v${version} on ${new Date().toISOString()} | Images: ${imageEngine} -->
@@ -473,7 +506,7 @@ Keep it conversational and helpful, around 200-250 words total. Make it feel lik
 <h2>Local Cuisine Discoveries</h2>
 <!-- /wp:heading -->
 <!-- wp:image {"align":"center","sizeSlug":"large"} -->
-<figure class="wp-block-image aligncenter size-large"><img src="IMAGE_PLACEHOLDER_${sections.accommodation ? '2' : '1'}" alt="Local food in ${data.location.name}" /></figure>
+<figure class="wp-block-image aligncenter size-large"><img src="IMAGE_PLACEHOLDER_${sections.accommodation ? '2' : '1'}" alt="Local food in ${this.getPlaceName(data)}" /></figure>
 <!-- /wp:image -->
 ${this.splitIntoParagraphs(sections.food)}
 ${sections.restaurantWebsite && sections.restaurantWebsite.url ? `
@@ -530,12 +563,14 @@ ${sections.attractionWebsite && sections.attractionWebsite.url ? `
 <hr class="wp-block-separator is-style-wide"/>
 <!-- /wp:separator -->
 <!-- wp:paragraph -->
-<p><a href="/?tag=${encodeURIComponent(data.location.country)}" rel="tag">${data.location.country}</a>, <a href="/?tag=${encodeURIComponent(data.location.name)}" rel="tag">${data.location.name}</a></p>
+<p><a href="/?tag=${encodeURIComponent(data.location.country)}" rel="tag">${data.location.country}</a>, <a href="/?tag=${encodeURIComponent(data.location.name)}" rel="tag">${data.location.name}</a>${data.dayTrip ? `, <a href="/?tag=${encodeURIComponent(data.dayTrip.name)}" rel="tag">${data.dayTrip.name}</a>` : ''}</p>
 <!-- /wp:paragraph -->
 `;
 
     // Create excerpt
-    const excerpt = `Join Giovanni on day ${data.location.current_day} of his journey through ${data.location.name}, ${data.location.country}, as he explores the city, enjoys local cuisine at ${data.restaurant.name}, and visits ${data.attraction.name}.`;
+    const excerpt = data.dayTrip
+      ? `Join Giovanni on day ${data.location.current_day} of his stay in ${data.location.name}, ${data.location.country}, as he takes a day trip to ${data.dayTrip.name}, enjoys local cuisine at ${data.restaurant.name}, and visits ${data.attraction.name}.`
+      : `Join Giovanni on day ${data.location.current_day} of his journey through ${data.location.name}, ${data.location.country}, as he explores the city, enjoys local cuisine at ${data.restaurant.name}, and visits ${data.attraction.name}.`;
 
     return {
       title,
@@ -1,7 +1,5 @@
 const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
 const moment = require('moment');
 const OpenAIService = require('./OpenAIService');
 const WordPressService = require('./WordPressService');
@@ -9,53 +7,51 @@ const ImageService = require('./ImageService');
 const WeatherService = require('./WeatherService');
 const TravelPlannerService = require('./TravelPlannerService');
 const AccommodationFinderService = require('./AccommodationFinderService');
+const PostRunLedgerService = require('./PostRunLedgerService');
+const NotificationService = require('./NotificationService');
+const SettingsService = require('./SettingsService');
+const BudgetService = require('./BudgetService');
+const CurrencyService = require('./CurrencyService');
+const DayTripService = require('./DayTripService');
+const PreviewWriter = require('../utils/PreviewWriter');
+const { Database, locations, posts, places, transportation, accommodations, itinerary } = require('../db');
 require('dotenv').config();
 
 class PostGeneratorService {
   constructor() {
-    this.dbPath = process.env.DB_PATH;
     this.imageStoragePath = process.env.IMAGE_STORAGE_PATH || path.join(__dirname, '..', '..', 'temp', 'images');
     
+    // Images loaded for every daily post, in loading order
+    this.imageKinds = ['location', 'accommodation', 'food', 'attraction'];
+    
     // Check if image directory exists
     if (!fs.existsSync(this.imageStoragePath)) {
       fs.mkdirSync(this.imageStoragePath, { recursive: true });
     }
   }
 
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
-  }
-
   // Get current location
   async getCurrentLocation() {
-    const db = await this.getDatabase();
     try {
-      return await db.get('SELECT * FROM locations WHERE is_current = 1');
+      return await locations.getCurrent();
     } catch (error) {
       console.error('Error getting current location:', error.message);
       return null;
-    } finally {
-      await db.close();
     }
   }
 
-  // Get accommodation for current location
-  async getAccommodation(locationId) {
-    const db = await this.getDatabase();
+  // Get accommodation for current location (a dry run, options.dryRun, does not store one it finds)
+  async getAccommodation(locationId, options = {}) {
     try {
       // First look for accommodation in the database
-      const existingAccommodation = await db.get('SELECT * FROM accommodations WHERE location_id = ?', [locationId]);
+      const existingAccommodation = await accommodations.getByLocation(locationId);
       
       if (existingAccommodation) {
         return existingAccommodation;
       }
       
       // If no accommodation found, try to fetch real accommodation info
-      const location = await db.get('SELECT * FROM locations WHERE id = ?', [locationId]);
+      const location = await locations.getById(locationId);
       if (!location) {
         throw new Error(`Location with ID ${locationId} not found`);
       }
@@ -69,7 +65,7 @@ class PostGeneratorService {
         {
           budget: 'medium',
           features: ['central', 'wifi'],
-          maxPrice: 100,
+          maxPrice: await SettingsService.get('accommodation_max_price'),
           preferredSites: ['booking.com', 'airbnb.com'],
           currency: location.currency,
           city: location.name
@@ -85,27 +81,7 @@ class PostGeneratorService {
         checkOutDate.setDate(checkOutDate.getDate() + 14); // Default 14 days
       }
       
-      const result = await db.run(`
-        INSERT INTO accommodations (
-          location_id, name, address, price_per_night, currency, description, 
-          amenities, booking_url, check_in_date, check_out_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        locationId,
-        realAccommodation.name,
-        realAccommodation.address,
-        realAccommodation.pricePerNight,
-        realAccommodation.currency || location.currency,
-        realAccommodation.description,
-        realAccommodation.amenities,
-        realAccommodation.bookingUrl,
-        checkInDate.toISOString().split('T')[0],
-        checkOutDate.toISOString().split('T')[0]
-      ]);
-      
-      // Return the new accommodation with ID
-      return {
-        id: result.lastID,
+      const accommodation = {
         location_id: locationId,
         name: realAccommodation.name,
         address: realAccommodation.address,
@@ -115,14 +91,21 @@ class PostGeneratorService {
         amenities: realAccommodation.amenities,
         booking_url: realAccommodation.bookingUrl,
         check_in_date: checkInDate.toISOString().split('T')[0],
-        check_out_date: checkOutDate.toISOString().split('T')[0],
+        check_out_date: checkOutDate.toISOString().split('T')[0]
+      };
+      const id = options.dryRun ? null : await accommodations.insert(accommodation);
+      
+      // Return the new accommodation with ID
+      return {
+        id,
+        ...accommodation,
         source: realAccommodation.source
       };
     } catch (error) {
       console.error('Error getting accommodation:', error.message);
       
       // Create and return default accommodation
-      const location = await db.get('SELECT * FROM locations WHERE id = ?', [locationId]);
+      const location = await locations.getById(locationId).catch(() => null);
       if (!location) {
         return null;
       }
@@ -130,37 +113,28 @@ class PostGeneratorService {
       const defaultAccommodation = {
         name: `${location.name} City Center Apartment`,
         address: `City Center, ${location.name}`,
-        price_per_night: 70,
-        currency: location.currency,
+        price_per_night: await BudgetService.estimateNightPrice(location),
+        currency: await BudgetService.getCurrency(location),
         description: `A cozy apartment in the heart of ${location.name}`,
         amenities: 'WiFi, Kitchen, Air conditioning, TV, Washing machine',
         booking_url: null
       };
       
       return defaultAccommodation;
-    } finally {
-      await db.close();
     }
   }
 
   // Plan tomorrow's activities
   async planTomorrowActivities(location) {
-    const db = await this.getDatabase();
     try {
       // If last day, tomorrow will be travel to next location
       if (location.current_day >= location.planned_duration) {
         // Get next location
-        const nextLocation = await db.get(`
-          SELECT * FROM locations
-          WHERE order_in_journey = ?
-        `, [location.order_in_journey + 1]);
+        const nextLocation = await locations.getByOrder(location.order_in_journey + 1);
         
         if (nextLocation) {
           // Get transportation info to next location
-          const transportInfo = await db.get(`
-            SELECT * FROM transportation
-            WHERE from_location_id = ? AND to_location_id = ?
-          `, [location.id, nextLocation.id]);
+          const transportInfo = await transportation.getBetween(location.id, nextLocation.id);
           
           return {
             type: 'travel',
@@ -168,27 +142,20 @@ class PostGeneratorService {
             distance: transportInfo ? transportInfo.distance_km : 0
           };
         }
+        
+        // Otherwise the next city of the itinerary
+        const nextStop = await itinerary.getNext();
+        if (nextStop) {
+          return {
+            type: 'travel',
+            destination: nextStop,
+            distance: nextStop.distance_km || 0
+          };
+        }
       }
       
       // Otherwise find a new attraction to visit
-      const visitedAttractions = await db.all(`
-        SELECT poi_id FROM visits
-        WHERE poi_id IN (
-          SELECT id FROM points_of_interest
-          WHERE location_id = ? AND type = 'attraction'
-        )
-      `, [location.id]);
-      
-      const visitedIds = visitedAttractions.map(v => v.poi_id);
-      
-      // Find attraction not yet visited
-      const tomorrowAttraction = await db.get(`
-        SELECT * FROM points_of_interest
-        WHERE location_id = ? AND type = 'attraction'
-        ${visitedIds.length ? `AND id NOT IN (${visitedIds.join(',')})` : ''}
-        ORDER BY RANDOM()
-        LIMIT 1
-      `, [location.id]);
+      const tomorrowAttraction = await places.getRandomUnvisited(location.id, 'attraction');
       
       if (tomorrowAttraction) {
         return {
@@ -208,55 +175,112 @@ class PostGeneratorService {
         type: 'explore',
         description: 'exploring more of the city'
       };
-    } finally {
-      await db.close();
     }
   }
 
-  // Get journey statistics
-  async getJourneyStats() {
-    const db = await this.getDatabase();
+  // Cities planned after the current one, teased in the last two days of a stay
+  async getUpcomingDestinations(location) {
+    if (location.current_day < location.planned_duration - 1) return [];
+    
+    try {
+      return (await itinerary.list()).map(stop => `${stop.name}, ${stop.country}`);
+    } catch (error) {
+      console.error('Error getting upcoming destinations:', error.message);
+      return [];
+    }
+  }
+
+  // Get journey statistics (the money spent so far in euros and in the currency of the location,
+  // at the exchange rate of the date)
+  async getJourneyStats(location = null, date = new Date()) {
     try {
       // Get journey start date
-      const startDateSetting = await db.get("SELECT value FROM settings WHERE key = 'journey_start_date'");
-      const startDate = startDateSetting ? new Date(startDateSetting.value) : new Date();
+      const startDateSetting = await SettingsService.get('journey_start_date');
+      const startDate = startDateSetting ? new Date(startDateSetting) : new Date();
       
       // Calculate days on the road
       const now = new Date();
       const diffTime = Math.abs(now - startDate);
       const totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
       
-      // Calculate total distance
-      const totalDistanceResult = await db.get(`
-        SELECT SUM(distance_km) as total
-        FROM transportation
-        WHERE departure_time <= ?
-      `, [now.toISOString()]);
+      const totalSpentEur = (await BudgetService.getTotals()).totalEur;
       
       return {
         totalDays,
-        totalDistance: totalDistanceResult && totalDistanceResult.total ? totalDistanceResult.total : 0
+        totalDistance: await transportation.getTotalDistance(now),
+        totalSpentEur,
+        totalSpent: await this.describeEur(totalSpentEur, location, date)
       };
     } catch (error) {
       console.error('Error getting journey stats:', error.message);
       return {
         totalDays: 1,
-        totalDistance: 0
+        totalDistance: 0,
+        totalSpentEur: 0,
+        totalSpent: '€0.00'
       };
-    } finally {
-      await db.close();
     }
   }
 
-  // Prepare data for post generation
-  async preparePostData() {
+  // Expenses of the day (the night, the meal and the entrance fee, at the exchange rates of the day,
+  // and the tickets of a day trip) and the money spent with them
+  async getDayBudget(location, accommodation, restaurant, attraction, date = new Date(), dayTrip = null) {
+    const items = await BudgetService.estimateDay(location, {
+      accommodation: accommodation || await accommodations.getByLocation(location.id),
+      restaurant,
+      attraction,
+      date
+    });
+    const todayEur = BudgetService.round(items.reduce((total, item) => total + item.amount_eur, 0) + (dayTrip ? dayTrip.priceEur : 0), 'EUR');
+    const totals = await BudgetService.getTotals();
+    const totalEur = BudgetService.round(totals.totalEur + todayEur, 'EUR');
+    
+    return {
+      items,
+      todayEur,
+      totalEur,
+      today: await this.describeEur(todayEur, location, date),
+      total: await this.describeEur(totalEur, location, date)
+    };
+  }
+
+  // An amount in euros in the currency of a location: "2850 RSD (about €24)", or "€24"
+  async describeEur(amountEur, location, date) {
+    const currency = location ? await BudgetService.getCurrency(location) : 'EUR';
+    if (currency === 'EUR') return CurrencyService.formatEur(amountEur);
+    return CurrencyService.describe(await CurrencyService.fromEur(amountEur, currency, date), currency, date);
+  }
+
+  // Local time of day at the location, so the text can match the moment it is published
+  getLocalTime(timezone, date = new Date()) {
+    const zone = timezone || process.env.TZ || 'Europe/Belgrade';
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: zone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(date));
+    
+    const hour = parseInt(parts.find(part => part.type === 'hour').value);
+    const minute = parts.find(part => part.type === 'minute').value;
+    
+    let partOfDay = 'night';
+    if (hour >= 5 && hour < 12) partOfDay = 'morning';
+    else if (hour >= 12 && hour < 17) partOfDay = 'afternoon';
+    else if (hour >= 17 && hour < 22) partOfDay = 'evening';
+    
+    return {
+      time: `${String(hour).padStart(2, '0')}:${minute}`,
+      partOfDay,
+      timezone: zone
+    };
+  }
+
+  // Prepare the text data for post generation (everything except images); date is the day
+  // of the post (default today). A dry run (options.dryRun, for previews) stores no
+  // accommodation, day trip or places it finds.
+  async prepareBaseData(location, date = new Date(), options = {}) {
     try {
-      // Get current location
-      const location = await this.getCurrentLocation();
-      if (!location) {
-        throw new Error('No current location found');
-      }
-      
       // Get weather
       const weather = await WeatherService.getWeatherByCity(location.name, location.country);
       
@@ -265,12 +289,18 @@ class PostGeneratorService {
       
       // Get accommodation (if first day)
       const accommodation = location.current_day <= 1 
-        ? await this.getAccommodation(location.id)
+        ? await this.getAccommodation(location.id, options)
         : null;
       
-      // Get restaurant and attraction using TravelPlannerService
-      const today = new Date();
-      const placesToVisit = await TravelPlannerService.selectPlacesToVisit(location.id, today);
+      // Now and then the day is a day trip to a nearby town (and back for the night)
+      let dayTrip = await DayTripService.plan(location, date, options);
+      if (dayTrip) {
+        console.log(`Day trip from ${location.name} to ${dayTrip.name} (${dayTrip.distanceKm} km, by ${dayTrip.way})`);
+        dayTrip = { ...dayTrip, tickets: await this.describeEur(dayTrip.priceEur, location, date) };
+      }
+      
+      // Get restaurant and attraction using TravelPlannerService (in the town of the day trip, if any)
+      const placesToVisit = await TravelPlannerService.selectPlacesToVisit(location.id, date, dayTrip, options);
 
       if (!placesToVisit.restaurant) {
         throw new Error("No suitable restaurant found for today. Consider moving to next location.");
@@ -287,46 +317,15 @@ class PostGeneratorService {
       const tomorrowPlans = await this.planTomorrowActivities(location);
       
       // Get journey statistics
-      const journeyStats = await this.getJourneyStats();
+      const journeyStats = await this.getJourneyStats(location, date);
       
-      // Initialize ImageService (unified interface for Unsplash/Freepik)
-      const imageService = new ImageService();
-      
-      // Load images using the unified image service
-      // 1. Location image (with yesterday's weather context)
-      const locationImage = await imageService.getLocationImage(
-        location,
-        `location_${location.id}_${Date.now()}.jpg`,
-        yesterdayWeather
-      );
-      
-      // 2. Accommodation image (if first day)
-      let accommodationImage = null;
-      if (accommodation) {
-        accommodationImage = await imageService.getAccommodationImage(
-          accommodation,
-          location.country,
-          `accommodation_${accommodation.id}_${Date.now()}.jpg`
-        );
-      }
-      
-      // 3. Food image
-      const foodImage = await imageService.getFoodImage(
-        restaurant,
-        location,
-        `food_${restaurant.id}_${Date.now()}.jpg`
-      );
-      
-      // 4. Attraction image
-      const attractionImage = await imageService.getAttractionImage(
-        attraction,
-        location,
-        `attraction_${attraction.id}_${Date.now()}.jpg`
-      );
+      // What today costs, and the money spent so far
+      const budget = await this.getDayBudget(location, accommodation, restaurant, attraction, date, dayTrip);
       
       // Compile all data
       return {
         location,
+        dayTrip,
         weather,
         yesterdayWeather,
         accommodation,
@@ -337,14 +336,11 @@ class PostGeneratorService {
         tomorrow_name: tomorrowPlans.type === 'poi' 
           ? tomorrowPlans.attraction.name 
           : (tomorrowPlans.type === 'travel' ? tomorrowPlans.destination.name : 'around the city'),
+        upcoming_destinations: await this.getUpcomingDestinations(location),
+        budget,
         totalDays: journeyStats.totalDays,
         total_distance: journeyStats.totalDistance,
-        images: {
-          location: locationImage,
-          accommodation: accommodationImage,
-          food: foodImage,
-          attraction: attractionImage
-        }
+        total_spent: journeyStats.totalSpent
       };
     } catch (error) {
       console.error('Error preparing post data:', error.message);
@@ -352,82 +348,272 @@ class PostGeneratorService {
     }
   }
 
+  // Where the day is spent: the current city, or the town of a day trip (in the same country)
+  getVisitedPlace(postData) {
+    const { location, dayTrip } = postData;
+    return dayTrip ? { ...location, name: dayTrip.name, lat: dayTrip.lat, lng: dayTrip.lng } : location;
+  }
+
+  // Name of an image file: previews store nothing, so their images are named without IDs
+  imageFilename(kind, id, imageService) {
+    return imageService.dryRun
+      ? `preview_${kind}_${Date.now()}.jpg`
+      : `${kind}_${id}_${Date.now()}.jpg`;
+  }
+
+  // Load one of the post images using the unified image service
+  async fetchPostImage(kind, postData, imageService) {
+    const location = this.getVisitedPlace(postData);
+    
+    switch (kind) {
+      case 'location':
+        // Location image (with yesterday's weather context)
+        return imageService.getLocationImage(
+          location,
+          this.imageFilename(kind, location.id, imageService),
+          postData.yesterdayWeather
+        );
+      case 'accommodation':
+        // Accommodation image (only if first day)
+        if (!postData.accommodation) return null;
+        return imageService.getAccommodationImage(
+          postData.accommodation,
+          location.country,
+          this.imageFilename(kind, postData.accommodation.id, imageService)
+        );
+      case 'food':
+        return imageService.getFoodImage(
+          postData.restaurant,
+          location,
+          this.imageFilename(kind, postData.restaurant.id, imageService)
+        );
+      case 'attraction':
+        return imageService.getAttractionImage(
+          postData.attraction,
+          location,
+          this.imageFilename(kind, postData.attraction.id, imageService)
+        );
+      default:
+        throw new Error(`Unknown post image type: ${kind}`);
+    }
+  }
+
+  // Prepare data for post generation
+  async preparePostData() {
+    // Get current location
+    const location = await this.getCurrentLocation();
+    if (!location) {
+      throw new Error('No current location found');
+    }
+    
+    const postData = await this.prepareBaseData(location);
+    
+    // Initialize ImageService (unified interface for Unsplash/Freepik)
+    const imageService = new ImageService();
+    
+    postData.images = {};
+    for (const kind of this.imageKinds) {
+      postData.images[kind] = await this.fetchPostImage(kind, postData, imageService);
+    }
+    
+    return postData;
+  }
+
+  // Build the WordPress payload for an assembled daily post
+  buildWordPressPostData(postData, assembledPost) {
+    const place = this.getVisitedPlace(postData);
+    return {
+      title: assembledPost.title,
+      content: assembledPost.content,
+      excerpt: assembledPost.excerpt,
+      status: 'publish',
+      publishDate: postData.publishDate || null,
+      featuredImagePath: postData.images.location.path,
+      imageCaption: `View of ${place.name}, ${place.country}`,
+      imageAlt: `${place.name}, ${place.country}`,
+      categories: ['travel'], // Use base category
+      tags: [
+        postData.location.country,
+        postData.location.name,
+        ...(postData.dayTrip ? [postData.dayTrip.name, 'day trip'] : []),
+        'travel',
+        'food',
+        'culture'
+      ],
+      images: [
+        // Accommodation image (if available)
+        ...(postData.images.accommodation ? [{
+          path: postData.images.accommodation.path,
+          title: `Accommodation in ${postData.location.name}`,
+          caption: `My stay at ${postData.accommodation.name}`,
+          alt: `Accommodation in ${postData.location.name}`
+        }] : []),
+        // Food image
+        {
+          path: postData.images.food.path,
+          title: `Food in ${place.name}`,
+          caption: `Local cuisine at ${postData.restaurant.name}`,
+          alt: `Food in ${place.name}`
+        },
+        // Attraction image
+        {
+          path: postData.images.attraction.path,
+          title: postData.attraction.name,
+          caption: `Visiting ${postData.attraction.name}`,
+          alt: `${postData.attraction.name} in ${place.name}`
+        }
+      ]
+    };
+  }
+
+  // Find an unfinished daily run for the current location and day
+  async getResumableRun() {
+    const location = await this.getCurrentLocation();
+    if (!location) return null;
+    
+    return PostRunLedgerService.findResumableRun('daily', location.id, location.current_day);
+  }
+
   // Generate and publish post
-  async generateAndPublishPost() {
+  // Every stage is checkpointed in the run ledger, so a failed run resumes
+  // from the last completed stage instead of repeating paid API calls.
+  // options.publishDate backdates the post (used when catching up missed days).
+  async generateAndPublishPost(options = {}) {
+    let run = null;
+    let location = null;
+    let currentStage = 'start';
+    
     try {
       console.log('Starting post generation process...');
       
-      // 1. Prepare data
-      const postData = await this.preparePostData();
-      console.log('Post data prepared successfully');
+      location = await this.getCurrentLocation();
+      if (!location) {
+        throw new Error('No current location found');
+      }
       
-      // 2. Generate text sections with OpenAI
-      const sections = await OpenAIService.generateBlogPostSections(postData, {
-        temperature: 0.7,
-        maxTokens: 700 // For each section
-      });
-      console.log('Content sections generated successfully');
+      run = await PostRunLedgerService.resumeOrStartRun('daily', location);
+      const checkpoints = run.checkpoints;
       
-      // 3. Assemble complete post
-      const assembledPost = OpenAIService.assembleBlogPost(postData, sections);
-      console.log('Post assembled successfully');
+      // Run a stage once: reuse its checkpoint if present, otherwise run and persist it
+      const stage = async (name, producer, isReusable = () => true) => {
+        if (Object.prototype.hasOwnProperty.call(checkpoints, name)) {
+          if (isReusable(checkpoints[name])) {
+            console.log(`Reusing checkpoint "${name}" from run #${run.id}`);
+            return checkpoints[name];
+          }
+          console.log(`Checkpoint "${name}" of run #${run.id} is no longer usable, running stage again`);
+          await PostRunLedgerService.discardCheckpoint(run.id, name);
+        }
+        
+        currentStage = name;
+        const result = await producer();
+        await PostRunLedgerService.saveCheckpoint(run.id, name, result);
+        checkpoints[name] = result;
+        return result;
+      };
       
-      // 4. Prepare WordPress data
-      const wpPostData = {
-        title: assembledPost.title,
-        content: assembledPost.content,
-        excerpt: assembledPost.excerpt,
-        status: 'publish',
-        featuredImagePath: postData.images.location.path,
-        imageCaption: `View of ${postData.location.name}, ${postData.location.country}`,
-        imageAlt: `${postData.location.name}, ${postData.location.country}`,
-        categories: ['travel'], // Use base category
-        tags: [
-          postData.location.country,
-          postData.location.name,
-          'travel',
-          'food',
-          'culture'
-        ],
-        images: [
-          // Accommodation image (if available)
-          ...(postData.images.accommodation ? [{
-            path: postData.images.accommodation.path,
-            title: `Accommodation in ${postData.location.name}`,
-            caption: `My stay at ${postData.accommodation.name}`,
-            alt: `Accommodation in ${postData.location.name}`
-          }] : []),
-          // Food image
-          {
-            path: postData.images.food.path,
-            title: `Food in ${postData.location.name}`,
-            caption: `Local cuisine at ${postData.restaurant.name}`,
-            alt: `Food in ${postData.location.name}`
+      // The publish date is part of the run, so a resumed catch-up post keeps its date
+      // and its local time of day
+      const schedule = await stage('schedule', async () => ({
+        publishDate: options.publishDate ? new Date(options.publishDate).toISOString() : null,
+        localTime: this.getLocalTime(location.timezone, options.publishDate || new Date())
+      }));
+      
+      // 1. Prepare data (weather, places, accommodation, plans)
+      const postData = await stage('prepare', () => this.prepareBaseData(location, schedule.publishDate || new Date()));
+      postData.publishDate = schedule.publishDate;
+      postData.localTime = schedule.localTime || this.getLocalTime(location.timezone);
+      console.log('Post data prepared successfully');
+      
+      // 2. Load images (each one checkpointed, as long as the file still exists)
+      const imageService = new ImageService();
+      postData.images = {};
+      for (const kind of this.imageKinds) {
+        postData.images[kind] = await stage(
+          `image_${kind}`,
+          async () => {
+            const image = await this.fetchPostImage(kind, postData, imageService);
+            if (image && image.placeholder) {
+              await NotificationService.notify('placeholder_image_used', {
+                postType: 'daily',
+                imageType: kind,
+                location: `${location.name}, ${location.country}`,
+                day: location.current_day,
+                runId: run.id
+              });
+            }
+            return image;
           },
-          // Attraction image
-          {
-            path: postData.images.attraction.path,
-            title: postData.attraction.name,
-            caption: `Visiting ${postData.attraction.name}`,
-            alt: `${postData.attraction.name} in ${postData.location.name}`
-          }
-        ]
+          image => !image || (image.path && fs.existsSync(image.path))
+        );
+      }
+      console.log('Post images prepared successfully');
+      
+      // 3. Generate text sections with OpenAI
+      const websites = await stage('websites', () => OpenAIService.findSectionWebsites(postData));
+      const prompts = OpenAIService.buildSectionPrompts(postData, websites);
+      const sections = {
+        restaurantWebsite: websites.restaurantWebsite,
+        attractionWebsite: websites.attractionWebsite
       };
       
+      for (const section of OpenAIService.sectionOrder) {
+        if (!prompts[section]) continue;
+        
+        sections[section] = await stage(`section_${section}`, () => OpenAIService.generateSection(section, prompts[section], postData, {
+          temperature: 0.7,
+          maxTokens: 700 // For each section
+        }));
+      }
+      console.log('Content sections generated successfully');
+      
+      // 4. Assemble complete post
+      const assembledPost = await stage('assemble', () => OpenAIService.assembleBlogPost(postData, sections));
+      console.log('Post assembled successfully');
+      
       // 5. Publish to WordPress
-      console.log('Publishing post to WordPress...');
-      const publishedPost = await WordPressService.createTravelPost(wpPostData);
+      const publishedPost = await stage('publish', async () => {
+        console.log('Publishing post to WordPress...');
+        const result = await WordPressService.createTravelPost(this.buildWordPressPostData(postData, assembledPost));
+        
+        // Keep only what later stages need
+        return {
+          post: {
+            id: result.post.id,
+            link: result.post.link,
+            slug: result.post.slug
+          },
+          featuredImage: result.featuredImage ? { id: result.featuredImage.id } : null,
+          uploadedImages: result.uploadedImages.map(image => ({
+            id: image.id,
+            source_url: image.source_url,
+            original: image.original
+          }))
+        };
+      });
       console.log(`Post published successfully: ${publishedPost.post.link}`);
       
-      // 6. Save post information to database
-      await this.savePostInfoToDatabase(
-        postData,
-        assembledPost,
-        publishedPost
-      );
-      
-      // 7. Update current location status
-      await this.updateLocationStatus(postData.location);
+      // 6. Save the post and start the next day of the stay
+      // One transaction, checkpoint included: the post is never saved without the day moving on.
+      // Checkpoints without currentDay come from runs that saved the post but failed to advance the day.
+      const savedPost = await Database.transaction(() => stage('save', async () => {
+        const postId = await this.savePostInfoToDatabase(postData, assembledPost, publishedPost);
+        await this.updateLocationStatus(postData.location);
+        return { postId, currentDay: postData.location.current_day + 1 };
+      }, saved => saved && saved.currentDay !== undefined));
+      
+      await PostRunLedgerService.markCompleted(run.id, savedPost.postId);
+      
+      await NotificationService.notify('post_published', {
+        postType: 'daily',
+        location: `${location.name}, ${location.country}`,
+        day: location.current_day,
+        postTitle: assembledPost.title,
+        postUrl: publishedPost.post.link,
+        wpPostId: publishedPost.post.id,
+        publishDate: postData.publishDate,
+        runId: run.id
+      });
       
       // No need to clear usedQueries anymore, as tracking is now done in database
       // Image tracking now handled by database
@@ -436,9 +622,89 @@ class PostGeneratorService {
         success: true,
         postUrl: publishedPost.post.link,
         postId: publishedPost.post.id,
+        runId: run.id
+      };
+    } catch (error) {
+      console.error(`Error generating and publishing post (stage: ${currentStage}):`, error.message);
+      
+      if (run) {
+        try {
+          await PostRunLedgerService.markFailed(run.id, currentStage, error.message);
+          console.log(`Run #${run.id} can be resumed from stage "${currentStage}"`);
+        } catch (ledgerError) {
+          console.error(`Error recording failed run: ${ledgerError.message}`);
+        }
+      }
+      
+      await NotificationService.notify('post_failed', {
+        postType: 'daily',
+        location: location ? `${location.name}, ${location.country}` : null,
+        day: location ? location.current_day : null,
+        stage: currentStage,
+        error: error.message,
+        runId: run ? run.id : null,
+        resumable: !!run
+      });
+      
+      return {
+        success: false,
+        error: error.message,
+        stage: currentStage,
+        runId: run ? run.id : null
+      };
+    }
+  }
+
+  // Generate today's post without publishing it
+  // Runs the full pipeline but writes the result to a local folder instead of
+  // WordPress. It is a dry run: visits, current_day, posts, the run ledger, day trips,
+  // places, accommodations and the used images are left untouched.
+  async generatePreview(options = {}) {
+    try {
+      console.log('Starting post preview generation...');
+
+      const location = await this.getCurrentLocation();
+      if (!location) {
+        throw new Error('No current location found');
+      }
+
+      // 1. Prepare data and images
+      const postData = await this.prepareBaseData(location, new Date(), { dryRun: true });
+      postData.localTime = this.getLocalTime(location.timezone);
+      const imageService = new ImageService({ dryRun: true });
+      postData.images = {};
+      for (const kind of this.imageKinds) {
+        postData.images[kind] = await this.fetchPostImage(kind, postData, imageService);
+      }
+
+      // 2. Generate text sections with OpenAI
+      const sections = await OpenAIService.generateBlogPostSections(postData, {
+        temperature: 0.7,
+        maxTokens: 700 // For each section
+      });
+
+      // 3. Assemble complete post and write it to disk
+      const assembledPost = OpenAIService.assembleBlogPost(postData, sections);
+      const preview = PreviewWriter.writePreview(this.buildWordPressPostData(postData, assembledPost), {
+        name: `${location.name}-day-${location.current_day}`,
+        outputDir: options.outputDir,
+        meta: {
+          type: 'daily',
+          location: `${location.name}, ${location.country}`,
+          day: location.current_day,
+          restaurant: postData.restaurant.name,
+          attraction: postData.attraction.name,
+          dayTrip: postData.dayTrip ? postData.dayTrip.name : null
+        }
+      });
+
+      return {
+        success: true,
+        previewDir: preview.dir,
+        htmlPath: preview.htmlPath
       };
     } catch (error) {
-      console.error('Error generating and publishing post:', error.message);
+      console.error('Error generating post preview:', error.message);
       return {
         success: false,
         error: error.message
@@ -446,124 +712,87 @@ class PostGeneratorService {
     }
   }
 
-  // Save post information to database
+  // Save post information to database (returns the local post ID)
+  // The post, its images and the visited places are written in one transaction.
   async savePostInfoToDatabase(postData, assembledPost, publishedPost) {
-    const db = await this.getDatabase();
-    try {
+    return Database.transaction(async () => {
+      // A resumed run may already have saved this post before failing
+      const existingPost = await posts.findByWpPostId(publishedPost.post.id);
+      if (existingPost) {
+        console.log(`Post ${publishedPost.post.id} is already saved to database`);
+        return existingPost.id;
+      }
+      
+      // Runs prepared before the budget ledger estimate the day now
+      const budget = postData.budget || await this.getDayBudget(postData.location, postData.accommodation, postData.restaurant, postData.attraction,
+        postData.publishDate || new Date());
+      
       // Save post
-      const result = await db.run(`
-        INSERT INTO posts (
-          wp_post_id,
-          location_id,
-          title,
-          slug,
-          content,
-          excerpt,
-          type,
-          day_number,
-          published_at,
-          weather_temp,
-          weather_condition,
-          featured_image_local_path,
-          featured_image_wp_id,
-          image_credits,
-          total_days,
-          total_distance
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        publishedPost.post.id,
-        postData.location.id,
-        assembledPost.title,
-        publishedPost.post.slug,
-        assembledPost.content,
-        assembledPost.excerpt,
-        'daily',
-        postData.location.current_day,
-        new Date().toISOString(),
-        postData.weather.temperature,
-        postData.weather.description,
-        postData.images.location.path,
-        publishedPost.featuredImage ? publishedPost.featuredImage.id : null,
-        JSON.stringify({
+      const postId = await posts.insert({
+        wp_post_id: publishedPost.post.id,
+        location_id: postData.location.id,
+        title: assembledPost.title,
+        slug: publishedPost.post.slug,
+        content: assembledPost.content,
+        excerpt: assembledPost.excerpt,
+        type: 'daily',
+        day_number: postData.location.current_day,
+        published_at: postData.publishDate || new Date().toISOString(),
+        weather_temp: postData.weather.temperature,
+        weather_condition: postData.weather.description,
+        featured_image_local_path: postData.images.location.path,
+        featured_image_wp_id: publishedPost.featuredImage ? publishedPost.featuredImage.id : null,
+        image_credits: JSON.stringify({
           location: postData.images.location.credit,
           accommodation: postData.images.accommodation ? postData.images.accommodation.credit : null,
           food: postData.images.food.credit,
           attraction: postData.images.attraction.credit
         }),
-        postData.totalDays,
-        postData.total_distance
-      ]);
-      
-      const postId = result.lastID;
+        total_days: postData.totalDays,
+        total_distance: postData.total_distance,
+        total_spent_eur: BudgetService.round((await BudgetService.getTotals()).totalEur + budget.todayEur, 'EUR')
+      });
       
       // Save images
       for (const image of publishedPost.uploadedImages) {
-        await db.run(`
-          INSERT INTO post_images (
-            post_id,
-            image_local_path,
-            image_wp_id,
-            image_wp_url,
-            caption,
-            alt_text,
-            credit
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-          postId,
-          image.original.path,
-          image.id,
-          image.source_url,
-          image.original.caption || '',
-          image.original.alt || '',
-          image.original.credit || ''
-        ]);
+        await posts.insertImage(postId, {
+          image_local_path: image.original.path,
+          image_wp_id: image.id,
+          image_wp_url: image.source_url,
+          caption: image.original.caption,
+          alt_text: image.original.alt,
+          credit: image.original.credit
+        });
       }
       
-      // Mark visited places
-      await db.run(`
-        INSERT OR REPLACE INTO visits (poi_id, visit_date, included_in_post)
-        VALUES (?, ?, 1)
-      `, [postData.restaurant.id, new Date().toISOString().split('T')[0]]);
+      // Record what the day cost in the budget ledger
+      await BudgetService.recordDay(postId, budget.items, postData.publishDate || new Date());
       
-      await db.run(`
-        INSERT OR REPLACE INTO visits (poi_id, visit_date, included_in_post)
-        VALUES (?, ?, 1)
-      `, [postData.attraction.id, new Date().toISOString().split('T')[0]]);
+      // A day trip gets its day, and the way there and back is recorded like a journey
+      if (postData.dayTrip) {
+        await DayTripService.record(postData.dayTrip, postData.location, postData.publishDate || new Date());
+      }
+      
+      // Mark visited places (on the day of the post, which is in the past when catching up)
+      const visitDate = new Date(postData.publishDate || Date.now()).toISOString().split('T')[0];
+      await places.markVisited(postData.restaurant.id, visitDate);
+      await places.markVisited(postData.attraction.id, visitDate);
       
       console.log('Post information saved to database');
-      return true;
-    } catch (error) {
-      console.error('Error saving post info to database:', error.message);
-      return false;
-    } finally {
-      await db.close();
-    }
+      return postId;
+    });
   }
 
   // Update current location status
   async updateLocationStatus(location) {
-    const db = await this.getDatabase();
-    try {
-      // Increment day counter
-      await db.run(`
-        UPDATE locations
-        SET current_day = current_day + 1
-        WHERE id = ?
-      `, [location.id]);
-      
-      // If last day at location, prepare for move
-      if (location.current_day >= location.planned_duration) {
-        console.log(`Stay duration complete for ${location.name}. Planning move to next location.`);
-        // In this version, just notify about the need to move
-        // Actual move logic could be implemented in a separate method
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating location status:', error.message);
-      return false;
-    } finally {
-      await db.close();
+    // Increment day counter
+    await locations.incrementDay(location.id);
+    
+    // If last day at location, prepare for move
+    if (location.current_day >= location.planned_duration) {
+      console.log(`Stay duration complete for ${location.name}. Planning move to next location.`);
+      // In this version, just notify about the need to move
+      // Actual move logic could be implemented in a separate method
     }
   }
 }
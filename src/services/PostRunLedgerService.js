@@ -0,0 +1,189 @@
+/**
+ * PostRunLedgerService.js
+ *
+ * Keeps a ledger of post generation runs and the checkpoint of every completed
+ * stage, so a failed run can be resumed without repeating paid API calls.
+ */
+
+const { Database } = require('../db');
+
+class PostRunLedgerService {
+  /**
+   * Find an unfinished run that can be resumed
+   * @param {string} runType - Run type ('daily')
+   * @param {number} locationId - Location the run belongs to
+   * @param {number} dayNumber - Day of the stay the run belongs to
+   * @returns {Promise<Object|null>} Run with its checkpoints, or null
+   */
+  async findResumableRun(runType, locationId, dayNumber) {
+    const run = await Database.get(`
+      SELECT * FROM post_runs
+      WHERE run_type = ? AND location_id = ? AND day_number = ?
+      AND status IN ('running', 'failed')
+      ORDER BY id DESC LIMIT 1
+    `, [runType, locationId, dayNumber]);
+
+    if (!run) return null;
+
+    run.checkpoints = await this.loadCheckpoints(run.id);
+    return run;
+  }
+
+  /**
+   * Resume the matching unfinished run or start a new one
+   * @param {string} runType - Run type ('daily')
+   * @param {Object} location - Current location row
+   * @returns {Promise<Object>} Run with its checkpoints
+   */
+  async resumeOrStartRun(runType, location) {
+    return Database.transaction(async () => {
+      const existingRun = await this.findResumableRun(runType, location.id, location.current_day);
+
+      // Runs left behind for another location or day can never be resumed
+      const abandoned = await Database.run(`
+        UPDATE post_runs
+        SET status = 'abandoned', updated_at = ?
+        WHERE run_type = ? AND status IN ('running', 'failed')
+        AND NOT (location_id = ? AND day_number = ?)
+      `, [new Date().toISOString(), runType, location.id, location.current_day]);
+
+      if (abandoned.changes > 0) {
+        console.log(`Abandoned ${abandoned.changes} stale ${runType} run(s) from earlier days`);
+      }
+
+      if (existingRun) {
+        await Database.run(`
+          UPDATE post_runs
+          SET status = 'running', attempts = attempts + 1, error_stage = NULL, error_message = NULL, updated_at = ?
+          WHERE id = ?
+        `, [new Date().toISOString(), existingRun.id]);
+
+        const completedStages = Object.keys(existingRun.checkpoints);
+        console.log(`Resuming ${runType} run #${existingRun.id} (attempt ${existingRun.attempts + 1}, ${completedStages.length} stage(s) already completed)`);
+
+        return {
+          ...existingRun,
+          status: 'running',
+          attempts: existingRun.attempts + 1
+        };
+      }
+
+      const now = new Date().toISOString();
+      const result = await Database.run(`
+        INSERT INTO post_runs (run_type, location_id, day_number, status, started_at, updated_at)
+        VALUES (?, ?, ?, 'running', ?, ?)
+      `, [runType, location.id, location.current_day, now, now]);
+
+      console.log(`Started ${runType} run #${result.lastID} for ${location.name}, day ${location.current_day}`);
+
+      return {
+        id: result.lastID,
+        run_type: runType,
+        location_id: location.id,
+        day_number: location.current_day,
+        status: 'running',
+        attempts: 1,
+        last_stage: null,
+        checkpoints: {}
+      };
+    });
+  }
+
+  // Load checkpoint data of a run keyed by stage name
+  async loadCheckpoints(runId) {
+    const rows = await Database.all(`
+      SELECT stage, data FROM post_run_checkpoints
+      WHERE run_id = ?
+      ORDER BY id
+    `, [runId]);
+
+    const checkpoints = {};
+    for (const row of rows) {
+      try {
+        checkpoints[row.stage] = JSON.parse(row.data);
+      } catch (error) {
+        console.warn(`Ignoring unreadable checkpoint "${row.stage}" of run #${runId}: ${error.message}`);
+      }
+    }
+    return checkpoints;
+  }
+
+  /**
+   * Persist the result of a completed stage
+   * @param {number} runId - Run ID
+   * @param {string} stage - Stage name
+   * @param {*} data - JSON-serializable stage result
+   */
+  async saveCheckpoint(runId, stage, data) {
+    await Database.transaction(async () => {
+      const now = new Date().toISOString();
+
+      await Database.run(`
+        INSERT OR REPLACE INTO post_run_checkpoints (run_id, stage, data, completed_at)
+        VALUES (?, ?, ?, ?)
+      `, [runId, stage, JSON.stringify(data === undefined ? null : data), now]);
+
+      await Database.run(`
+        UPDATE post_runs SET last_stage = ?, updated_at = ? WHERE id = ?
+      `, [stage, now, runId]);
+    });
+  }
+
+  // Drop a checkpoint whose result is no longer usable (e.g. a deleted image file)
+  async discardCheckpoint(runId, stage) {
+    await Database.run('DELETE FROM post_run_checkpoints WHERE run_id = ? AND stage = ?', [runId, stage]);
+  }
+
+  // Mark run as failed at the given stage
+  async markFailed(runId, stage, errorMessage) {
+    await Database.run(`
+      UPDATE post_runs
+      SET status = 'failed', error_stage = ?, error_message = ?, updated_at = ?
+      WHERE id = ?
+    `, [stage, errorMessage, new Date().toISOString(), runId]);
+  }
+
+  // Mark run as completed
+  async markCompleted(runId, postId = null) {
+    const now = new Date().toISOString();
+    await Database.run(`
+      UPDATE post_runs
+      SET status = 'completed', post_id = ?, error_stage = NULL, error_message = NULL,
+          updated_at = ?, completed_at = ?
+      WHERE id = ?
+    `, [postId, now, now, runId]);
+  }
+
+  // Mark run as abandoned so it is never resumed
+  async abandonRun(runId) {
+    const result = await Database.run(`
+      UPDATE post_runs
+      SET status = 'abandoned', updated_at = ?
+      WHERE id = ? AND status IN ('running', 'failed')
+    `, [new Date().toISOString(), runId]);
+    return result.changes > 0;
+  }
+
+  // Get a run with its checkpoints
+  async getRun(runId) {
+    const run = await Database.get('SELECT * FROM post_runs WHERE id = ?', [runId]);
+    if (!run) return null;
+
+    run.checkpoints = await this.loadCheckpoints(run.id);
+    return run;
+  }
+
+  // List recent runs
+  async listRuns(limit = 20) {
+    return Database.all(`
+      SELECT r.*, l.name AS location_name,
+        (SELECT COUNT(*) FROM post_run_checkpoints c WHERE c.run_id = r.id) AS completed_stages
+      FROM post_runs r
+      LEFT JOIN locations l ON l.id = r.location_id
+      ORDER BY r.id DESC
+      LIMIT ?
+    `, [limit]);
+  }
+}
+
+module.exports = new PostRunLedgerService();
@@ -0,0 +1,124 @@
+/**
+ * PostScheduleService.js
+ *
+ * The cron job of the daily post. Posts go out at the daily_post_time of
+ * Giovanni's current location, so the job is rebuilt whenever the location's
+ * timezone or the setting changes. After such a change the next tick may fall
+ * on a local day that already has a post; that tick is skipped.
+ */
+
+const cron = require('cron');
+const logger = require('../utils/logger');
+const CatchUpService = require('./CatchUpService');
+const SettingsService = require('./SettingsService');
+const { locations } = require('../db');
+require('dotenv').config();
+
+class PostScheduleService {
+  constructor() {
+    this.defaultTimezone = process.env.TZ || 'Europe/Belgrade';
+
+    // Post generation job, the timezone it is scheduled in and its cron expression
+    this.job = null;
+    this.timezone = null;
+    this.cronTime = null;
+    // Set when the job moved to another timezone or time and its next tick may fall on a day that already has a post
+    this.changed = false;
+
+    this.generatePost = null;
+  }
+
+  // Timezone of Giovanni's current location (posts go out at local time)
+  async getCurrentTimezone() {
+    try {
+      const currentLocation = await locations.getCurrent();
+      return (currentLocation && currentLocation.timezone) || this.defaultTimezone;
+    } catch (error) {
+      logger.error(`Error getting current timezone: ${error.message}`);
+      return this.timezone || this.defaultTimezone;
+    }
+  }
+
+  // Post generation schedule from the daily_post_time setting (POST_GENERATION_CRON, 8:00 by default)
+  async getSchedule() {
+    return {
+      cronTime: await SettingsService.get('daily_post_time'),
+      timezone: this.timezone || this.defaultTimezone // Follows the current location
+    };
+  }
+
+  /**
+   * Schedule the daily post
+   * @param {Object} handlers - { generatePost: publishes the post of a tick }
+   * @returns {Promise<void>}
+   */
+  async start(handlers) {
+    this.generatePost = handlers.generatePost;
+    await this.reschedule();
+  }
+
+  // Rebuild the job if the current location's timezone or the daily_post_time setting changed
+  async reschedule() {
+    const timezone = await this.getCurrentTimezone();
+    const cronTime = await SettingsService.get('daily_post_time');
+    if (this.job && timezone === this.timezone && cronTime === this.cronTime) {
+      return;
+    }
+
+    const previousTimezone = this.timezone;
+    const previousCronTime = this.cronTime;
+    if (this.job) {
+      this.job.stop();
+      this.changed = true;
+    }
+
+    this.timezone = timezone;
+    this.cronTime = cronTime;
+    const schedule = await this.getSchedule();
+
+    this.job = new cron.CronJob(
+      schedule.cronTime,
+      () => this.runScheduledPost(),
+      null, // onComplete
+      true, // start
+      schedule.timezone
+    );
+
+    logger.info(previousTimezone
+      ? `Post generation job moved from ${previousCronTime} (${previousTimezone}) to ${schedule.cronTime} (${schedule.timezone})`
+      : `Post generation job scheduled: ${schedule.cronTime} (${schedule.timezone})`);
+  }
+
+  /**
+   * Publish the post of a tick (a tick skipped during catch-up is backfilled by it)
+   * @param {Date} now - Time of the tick
+   * @returns {Promise<boolean>} False if the tick was skipped
+   */
+  async runScheduledPost(now = new Date()) {
+    // First tick after a schedule change: skip it if this local day already has a post
+    if (this.changed) {
+      this.changed = false;
+      const schedule = await this.getSchedule();
+      if (await CatchUpService.hasPostOnLocalDay(now, schedule.cronTime, schedule.timezone)) {
+        logger.info(`Skipping scheduled post: today already has a post in ${schedule.timezone}`);
+        return false;
+      }
+    }
+
+    await this.generatePost();
+
+    // A move started outside the app (e.g. npm run move-location) may have changed the timezone
+    await this.reschedule();
+    return true;
+  }
+
+  // Stop the job
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+}
+
+module.exports = new PostScheduleService();
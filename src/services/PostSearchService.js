@@ -0,0 +1,73 @@
+/**
+ * PostSearchService.js
+ *
+ * Full-text search over published posts (title, excerpt and text), e.g. to
+ * check whether Giovanni already wrote about something before he does again.
+ */
+
+const { postSearch } = require('../db');
+require('dotenv').config();
+
+class PostSearchService {
+  constructor() {
+    this.wpUrl = process.env.WP_URL;
+  }
+
+  /**
+   * Turn the words typed by the user into an FTS5 query
+   * Every word must match; a trailing * matches prefixes ("burek*").
+   * @param {string} text - Search words
+   * @returns {string} FTS5 query
+   */
+  buildMatchQuery(text) {
+    const terms = String(text)
+      .split(/\s+/)
+      .map(term => ({ prefix: term.endsWith('*'), word: term.replace(/["*]/g, '') }))
+      .filter(term => term.word.length > 0);
+
+    if (terms.length === 0) {
+      throw Object.assign(new Error('Search needs at least one word'), { code: 'INVALID_QUERY' });
+    }
+    return terms.map(term => `"${term.word}"${term.prefix ? '*' : ''}`).join(' ');
+  }
+
+  // WordPress link of a post (the ?p= form works with every permalink setting)
+  getPostUrl(post) {
+    if (!this.wpUrl || !post.wp_post_id) return null;
+    return `${this.wpUrl.replace(/\/+$/, '')}/?p=${post.wp_post_id}`;
+  }
+
+  // Index the posts that are missing from the index (added or edited outside the app)
+  async syncIndex() {
+    const unindexed = await postSearch.listUnindexed();
+    for (const post of unindexed) {
+      await postSearch.index(post);
+    }
+    return unindexed.length;
+  }
+
+  /**
+   * Rebuild the whole index
+   * @returns {Promise<number>} Number of indexed posts
+   */
+  async reindex() {
+    await postSearch.clear();
+    return this.syncIndex();
+  }
+
+  /**
+   * Search posts
+   * @param {string} text - Search words
+   * @param {Object} options - { limit (default 10), type: 'daily' or 'travel' }
+   * @returns {Promise<Object[]>} Matches (best first) with snippet and url
+   */
+  async search(text, options = {}) {
+    const match = this.buildMatchQuery(text);
+    await this.syncIndex();
+
+    const results = await postSearch.search(match, options);
+    return results.map(result => ({ ...result, url: this.getPostUrl(result) }));
+  }
+}
+
+module.exports = new PostSearchService();
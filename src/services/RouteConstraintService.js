@@ -0,0 +1,213 @@
+/**
+ * RouteConstraintService.js
+ *
+ * Rules for choosing the next city, so the journey does not zig-zag or
+ * return to a country Giovanni has just left. Candidates that break a rule
+ * (excluded country, leg too long, country left too recently, country quota
+ * reached, city already visited or planned, off season during the stay) are
+ * rejected; the others are scored by how well they follow the preferred
+ * direction, how short the leg is and how good the season of the stay is for
+ * them (SeasonService). Every decision is logged with its reason.
+ *
+ * The rules are the route_* settings.
+ */
+
+const SettingsService = require('./SettingsService');
+const SeasonService = require('./SeasonService');
+const CatchUpService = require('./CatchUpService');
+const GeoDistance = require('../utils/GeoDistance');
+const { locations, transportation } = require('../db');
+
+// Compass bearing of each preferred direction
+const directionBearings = {
+  north: 0,
+  northeast: 45,
+  east: 90,
+  southeast: 135,
+  south: 180,
+  southwest: 225,
+  west: 270,
+  northwest: 315
+};
+
+// Weights of the score of an accepted candidate (the best score is 1)
+const directionWeight = 0.4;
+const distanceWeight = 0.3;
+const seasonWeight = 0.3;
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Names compared case-insensitively
+function normalize(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+class RouteConstraintService {
+  // Rules from the route_* settings
+  async loadRules() {
+    return {
+      maxLegKm: await SettingsService.get('route_max_leg_km'),
+      countryRevisitDays: await SettingsService.get('route_country_revisit_days'),
+      maxCitiesPerCountry: await SettingsService.get('route_max_cities_per_country'),
+      direction: await SettingsService.get('route_direction'),
+      excludedCountries: await SettingsService.get('route_excluded_countries')
+    };
+  }
+
+  /**
+   * Collect what the rules are checked against
+   * @param {Object} options - { from: city the leg starts in ({ name, country, lat, lng }, none when the
+   *   journey starts), planned: cities planned before this one ({ name, country }),
+   *   stay: planned stay in the next city (SeasonService.getStayWindow, default from today) }
+   * @returns {Promise<Object>} Context for evaluate() and rank()
+   */
+  async buildContext(options = {}) {
+    const rules = await this.loadRules();
+    const journey = await locations.listJourney();
+    const planned = options.planned || [];
+    const now = new Date();
+    const stay = options.stay || SeasonService.getStayWindow(now, await SettingsService.get('planned_stay_min_days'));
+
+    // Cities per country, and when Giovanni last left it (now for the current
+    // country and the planned ones: he has not left them yet)
+    const countries = new Map();
+    const countryOf = name => {
+      if (!countries.has(normalize(name))) countries.set(normalize(name), { name, cities: 0, leftAt: null });
+      return countries.get(normalize(name));
+    };
+
+    for (let i = 0; i < journey.length; i++) {
+      const location = journey[i];
+      const next = journey[i + 1];
+      const country = countryOf(location.country);
+      country.cities++;
+
+      let leftAt = now;
+      if (next && !location.is_current) {
+        const leg = await transportation.getBetween(location.id, next.id);
+        leftAt = CatchUpService.parseTimestamp(leg ? leg.departure_time : next.planned_arrival) || now;
+      }
+      if (!country.leftAt || leftAt > country.leftAt) country.leftAt = leftAt;
+    }
+
+    for (const stop of planned) {
+      const country = countryOf(stop.country);
+      country.cities++;
+      country.leftAt = now;
+    }
+
+    return {
+      rules,
+      from: options.from || null,
+      now,
+      stay,
+      countries,
+      cities: [...journey, ...planned].map(city => ({ name: normalize(city.name), country: normalize(city.country) })),
+      excluded: rules.excludedCountries.map(normalize)
+    };
+  }
+
+  /**
+   * Check a candidate against the rules
+   * @param {Object} city - Candidate ({ name, country, lat, lng })
+   * @param {Object} context - From buildContext()
+   * @returns {Object} { city, accepted, reasons: why it was rejected, repeat: visited or planned already,
+   *   score, distanceKm, bearing, season: SeasonService.assess() of the stay }
+   */
+  evaluate(city, context) {
+    const { rules, from } = context;
+    const reasons = [];
+    const country = normalize(city.country);
+    const stats = context.countries.get(country);
+    const hasCoordinates = from && typeof city.lat === 'number' && typeof city.lng === 'number' && (city.lat !== 0 || city.lng !== 0);
+    const distanceKm = hasCoordinates ? Math.round(GeoDistance.routeKm(from, city)) : null;
+    const bearing = hasCoordinates ? Math.round(GeoDistance.bearing(from, city)) : null;
+
+    if (context.excluded.includes(country)) {
+      reasons.push(`${city.country} is excluded`);
+    }
+    const repeat = context.cities.some(visited => visited.name === normalize(city.name) && visited.country === country);
+    if (repeat) {
+      reasons.push('already visited or planned');
+    }
+    if (from && !hasCoordinates) {
+      reasons.push('no coordinates');
+    }
+    if (distanceKm !== null && distanceKm > rules.maxLegKm) {
+      reasons.push(`${distanceKm} km leg is longer than ${rules.maxLegKm} km`);
+    }
+
+    // Staying in the country of the city before is not a revisit
+    const staying = from && normalize(from.country) === country;
+    if (!staying && stats && stats.leftAt && rules.countryRevisitDays > 0) {
+      const daysAgo = Math.floor((context.now - stats.leftAt) / dayMs);
+      if (daysAgo < rules.countryRevisitDays) {
+        reasons.push(daysAgo <= 0
+          ? `${city.country} is on the route already (revisit after ${rules.countryRevisitDays} days)`
+          : `left ${city.country} ${daysAgo} days ago (revisit after ${rules.countryRevisitDays} days)`);
+      }
+    }
+    if (stats && stats.cities >= rules.maxCitiesPerCountry) {
+      reasons.push(`${city.country} already has ${stats.cities} cities (quota ${rules.maxCitiesPerCountry})`);
+    }
+    const season = SeasonService.assess(city, context.stay);
+    if (season.status === 'off season') {
+      reasons.push(`${season.label} off season in ${SeasonService.describeMonths(context.stay)}`);
+    }
+
+    // Score: direction (cosine of the angle to the preferred bearing, 0 without a preference),
+    // leg length and season
+    let score = seasonWeight * season.rating;
+    if (hasCoordinates) {
+      const target = directionBearings[rules.direction];
+      const alignment = target === undefined ? 0 : Math.cos((bearing - target) * Math.PI / 180);
+      score += directionWeight * alignment + distanceWeight * Math.max(0, 1 - distanceKm / rules.maxLegKm);
+    }
+
+    return { city, accepted: reasons.length === 0, reasons, repeat, score: Math.round(score * 100) / 100, distanceKm, bearing, season };
+  }
+
+  /**
+   * Evaluate candidates, log each decision and order them best first
+   * @param {Object[]} candidates - Cities ({ name, country, lat, lng })
+   * @param {Object} context - From buildContext()
+   * @returns {Object[]} Evaluations (see evaluate), accepted ones first, then by score
+   */
+  rank(candidates, context) {
+    const evaluations = candidates.map(city => this.evaluate(city, context));
+
+    evaluations.forEach(evaluation => {
+      const { city, accepted, reasons, score, distanceKm, bearing, season } = evaluation;
+      const leg = distanceKm === null ? '' : `, ${distanceKm} km, bearing ${bearing}°`;
+      console.log(accepted
+        ? `✅ ${city.name}, ${city.country}: accepted (score ${score}${leg}, ${season.profile} ${season.status})`
+        : `❌ ${city.name}, ${city.country}: rejected - ${reasons.join('; ')}`);
+    });
+
+    return evaluations.sort((a, b) => (b.accepted - a.accepted) || (b.score - a.score));
+  }
+
+  /**
+   * Countries the next city should not be in, for the country prompt
+   * @param {Object} context - From buildContext()
+   * @returns {Object[]} { country, reason }, e.g. { country: 'Croatia', reason: 'visited recently' }
+   */
+  describeBlockedCountries(context) {
+    const { rules, from } = context;
+    const blocked = rules.excludedCountries.map(country => ({ country, reason: 'excluded' }));
+
+    for (const [key, stats] of context.countries) {
+      if (context.excluded.includes(key)) continue;
+
+      const staying = from && normalize(from.country) === key;
+      if (stats.cities >= rules.maxCitiesPerCountry) {
+        blocked.push({ country: stats.name, reason: 'enough cities visited' });
+      } else if (!staying && stats.leftAt && rules.countryRevisitDays > 0 && context.now - stats.leftAt < rules.countryRevisitDays * dayMs) {
+        blocked.push({ country: stats.name, reason: 'visited recently' });
+      }
+    }
+    return blocked;
+  }
+}
+
+module.exports = new RouteConstraintService();
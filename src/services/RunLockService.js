@@ -0,0 +1,124 @@
+/**
+ * RunLockService.js
+ *
+ * Database-backed lock that allows only one generation run (post, travel post
+ * or move) at a time, even across processes. The holder refreshes a heartbeat;
+ * a lock whose heartbeat stopped (crashed process) is taken over.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Database } = require('../db');
+require('dotenv').config();
+
+class RunLockService {
+  constructor() {
+    this.lockName = 'generation';
+    this.heartbeatInterval = (parseInt(process.env.RUN_LOCK_HEARTBEAT_SECONDS) || 30) * 1000;
+    this.staleAfterSeconds = parseInt(process.env.RUN_LOCK_STALE_SECONDS) || 300;
+
+    // Lock held by the current async call chain, so nested entry points
+    // (e.g. createTravelPost inside generateDailyPost) do not wait on themselves
+    this.context = new AsyncLocalStorage();
+  }
+
+  // Get the current lock row, if any
+  async getLock() {
+    return await Database.get('SELECT * FROM run_locks WHERE name = ?', [this.lockName]) || null;
+  }
+
+  // Get the lock if a live run holds it (null if it is free or stale)
+  async getActiveLock() {
+    return await Database.get(`
+      SELECT * FROM run_locks
+      WHERE name = ? AND heartbeat_at >= datetime('now', ?)
+    `, [this.lockName, `-${this.staleAfterSeconds} seconds`]) || null;
+  }
+
+  /**
+   * Try to acquire the lock
+   * @param {string} holder - Description of the run (shown to runs that have to wait)
+   * @returns {Promise<Object>} { acquired: true, owner } or { acquired: false, lock }
+   */
+  async acquire(holder) {
+    const owner = crypto.randomUUID();
+
+    // Another process may be acquiring the lock at the same moment
+    return Database.transaction(async () => {
+      const existing = await Database.get(`
+        SELECT *, heartbeat_at < datetime('now', ?) as is_stale
+        FROM run_locks WHERE name = ?
+      `, [`-${this.staleAfterSeconds} seconds`, this.lockName]);
+
+      if (existing && !existing.is_stale) {
+        return { acquired: false, lock: existing };
+      }
+
+      if (existing) {
+        console.warn(`Taking over stale run lock of "${existing.holder}" (pid ${existing.pid} on ${existing.hostname}, last heartbeat ${existing.heartbeat_at})`);
+      }
+
+      await Database.run(`
+        INSERT OR REPLACE INTO run_locks (name, owner, holder, pid, hostname, acquired_at, heartbeat_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      `, [this.lockName, owner, holder, process.pid, os.hostname()]);
+
+      return { acquired: true, owner };
+    });
+  }
+
+  // Refresh the heartbeat (returns false if the lock was taken over)
+  async heartbeat(owner) {
+    const result = await Database.run(
+      'UPDATE run_locks SET heartbeat_at = CURRENT_TIMESTAMP WHERE name = ? AND owner = ?',
+      [this.lockName, owner]
+    );
+    return result.changes > 0;
+  }
+
+  // Release the lock if it is still ours
+  async release(owner) {
+    await Database.run('DELETE FROM run_locks WHERE name = ? AND owner = ?', [this.lockName, owner]);
+  }
+
+  /**
+   * Run a task while holding the lock
+   * Entry points report success as a boolean, so a busy lock resolves to false.
+   * Nested calls from a task that already holds the lock run directly.
+   * @param {string} holder - Description of the run
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task, or false if another run holds the lock
+   */
+  async runLocked(holder, task) {
+    if (this.context.getStore()) {
+      return task();
+    }
+
+    const lock = await this.acquire(holder);
+    if (!lock.acquired) {
+      console.log(`⏳ Skipping ${holder}: "${lock.lock.holder}" is running (pid ${lock.lock.pid} on ${lock.lock.hostname}, since ${lock.lock.acquired_at})`);
+      return false;
+    }
+
+    const heartbeatTimer = setInterval(() => {
+      this.heartbeat(lock.owner)
+        .then(alive => {
+          if (!alive) console.warn(`Run lock for ${holder} was taken over by another run`);
+        })
+        .catch(error => console.error(`Error refreshing run lock: ${error.message}`));
+    }, this.heartbeatInterval);
+    heartbeatTimer.unref();
+
+    try {
+      return await this.context.run({ owner: lock.owner, holder }, task);
+    } finally {
+      clearInterval(heartbeatTimer);
+      await this.release(lock.owner).catch(error => {
+        console.error(`Error releasing run lock: ${error.message}`);
+      });
+    }
+  }
+}
+
+module.exports = new RunLockService();
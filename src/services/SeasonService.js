@@ -0,0 +1,196 @@
+/**
+ * SeasonService.js
+ *
+ * Seasonal profiles of destinations (coastal, mountain, spa town, wine
+ * region, festival town), so Giovanni is not sent to the Adriatic coast in
+ * January or to a ski town in August. Each profile rates every month; a
+ * city is rated over the days of its planned stay, and the rationale is
+ * kept with the city so the travel post can explain the choice.
+ */
+
+// How good each month (January first) is for each kind of town, from 0 to 1,
+// and what the town is like in, around and out of its season (by the season
+// of the year where it differs)
+const profiles = {
+  coastal: {
+    label: 'coastal town',
+    months: [0.1, 0.1, 0.2, 0.4, 0.7, 1, 1, 1, 0.9, 0.6, 0.2, 0.1],
+    notes: {
+      'in season': 'the sea is warm enough to swim, and the ferries and beach restaurants are open',
+      'shoulder season': 'the beaches are quiet and the sea is cool, but most of the town is open',
+      'off season': 'most beach restaurants and hotels are closed and the ferries run rarely'
+    }
+  },
+  mountain: {
+    label: 'mountain town',
+    months: [0.9, 0.9, 0.8, 0.4, 0.4, 0.8, 1, 1, 0.8, 0.5, 0.3, 0.8],
+    notes: {
+      'in season': { winter: 'the ski slopes are open', spring: 'the ski slopes are open', default: 'the hiking trails and mountain huts are open' },
+      'shoulder season': 'between the ski and hiking seasons many lifts and mountain huts are closed',
+      'off season': 'between the ski and hiking seasons the lifts and mountain huts are closed and the trails are muddy'
+    }
+  },
+  spa: {
+    label: 'spa town',
+    months: [1, 1, 0.9, 0.8, 0.7, 0.6, 0.5, 0.5, 0.7, 0.8, 0.9, 1],
+    notes: {
+      'in season': 'the thermal baths are at their best in the cool months',
+      'shoulder season': 'the summer heat makes the thermal baths less inviting',
+      'off season': 'the summer heat makes the thermal baths less inviting'
+    }
+  },
+  wine: {
+    label: 'wine region',
+    months: [0.3, 0.3, 0.4, 0.6, 0.8, 0.8, 0.7, 0.8, 1, 1, 0.6, 0.4],
+    notes: {
+      'in season': { autumn: 'the grapes are harvested and the new wine is celebrated', default: 'the vineyards are green and the cellars are open for tastings' },
+      'shoulder season': 'the vineyards are quiet, but the cellars are open for tastings',
+      'off season': 'the vineyards are bare and many cellars only open by appointment'
+    }
+  },
+  festival: {
+    label: 'festival town',
+    // Rated by the months of its festival instead (see rateMonth)
+    months: null,
+    notes: {
+      'in season': 'the festival takes place during the stay',
+      'shoulder season': 'the festival is outside the stay',
+      'off season': 'the festival is outside the stay'
+    }
+  },
+  historic: {
+    label: 'historic town',
+    months: [0.7, 0.7, 0.8, 0.9, 0.9, 0.8, 0.8, 0.8, 0.9, 0.9, 0.8, 0.7],
+    notes: 'the old town can be enjoyed in any season'
+  }
+};
+
+// Rating of festival towns outside their festival, and when its months are unknown
+const festivalOffRating = 0.5;
+const festivalUnknownRating = 0.6;
+
+// Ratings from which a stay is in season, and under which it is off season
+const inSeasonRating = 0.7;
+const offSeasonRating = 0.4;
+
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+class SeasonService {
+  /**
+   * Profile key of a generated value ("Spa town", "ski resort", ...)
+   * @param {string} value - Profile as given by OpenAI
+   * @returns {string} coastal, mountain, spa, wine, festival or historic
+   */
+  normalizeProfile(value) {
+    const text = String(value || '').toLowerCase();
+    if (/coast|beach|seaside|island|\bsea\b/.test(text)) return 'coastal';
+    if (/mountain|ski|alpine|alps/.test(text)) return 'mountain';
+    if (/\bspa\b|thermal|bath/.test(text)) return 'spa';
+    if (/wine|vineyard/.test(text)) return 'wine';
+    if (/festival/.test(text)) return 'festival';
+    return 'historic';
+  }
+
+  /**
+   * Days of a planned stay
+   * @param {Date|string} start - Arrival date
+   * @param {number} days - Length of the stay
+   * @returns {Object} { start, end (last day), days }
+   */
+  getStayWindow(start, days) {
+    const first = new Date(start);
+    const length = Math.max(1, days || 1);
+    return { start: first, end: new Date(first.getTime() + (length - 1) * dayMs), days: length };
+  }
+
+  // Season of a date (winter is December to February)
+  getSeason(date) {
+    return ['winter', 'spring', 'summer', 'autumn'][Math.floor(((date.getMonth() + 1) % 12) / 3)];
+  }
+
+  // Middle day of a stay
+  getMiddle(window) {
+    return new Date(window.start.getTime() + Math.floor(window.days / 2) * dayMs);
+  }
+
+  // "5 January to 17 January (winter)"
+  describeWindow(window) {
+    const format = date => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long' });
+    return `${format(window.start)} to ${format(window.end)} (${this.getSeason(this.getMiddle(window))})`;
+  }
+
+  // Months of the stay: "January" or "January to February"
+  describeMonths(window) {
+    const first = monthNames[window.start.getMonth()];
+    const last = monthNames[window.end.getMonth()];
+    return first === last ? first : `${first} to ${last}`;
+  }
+
+  // Rating of one month (0-11) for a city of a profile
+  rateMonth(profile, month, city) {
+    if (profile !== 'festival') return profiles[profile].months[month];
+
+    const festivalMonths = (city.festivalMonths || []).map(Number).filter(value => value >= 1 && value <= 12);
+    if (festivalMonths.length === 0) return festivalUnknownRating;
+    return festivalMonths.includes(month + 1) ? 1 : festivalOffRating;
+  }
+
+  /**
+   * Rate a city for a stay
+   * @param {Object} city - City ({ name, profile, festival, festivalMonths })
+   * @param {Object} window - From getStayWindow()
+   * @returns {Object} { profile, label ('coastal town', ...), rating: 0 to 1 (average over the days of the stay),
+   *   status: 'in season', 'shoulder season' or 'off season', note: rationale for the travel post }
+   */
+  assess(city, window) {
+    const profile = profiles[city.profile] ? city.profile : this.normalizeProfile(city.profile);
+    const definition = profiles[profile];
+
+    let total = 0;
+    for (let day = 0; day < window.days; day++) {
+      total += this.rateMonth(profile, new Date(window.start.getTime() + day * dayMs).getMonth(), city);
+    }
+    const rating = Math.round(total / window.days * 100) / 100;
+
+    const status = rating >= inSeasonRating ? 'in season' : rating < offSeasonRating ? 'off season' : 'shoulder season';
+    const notes = typeof definition.notes === 'string' ? definition.notes : definition.notes[status];
+    let reason = typeof notes === 'string' ? notes : notes[this.getSeason(this.getMiddle(window))] || notes.default;
+    if (profile === 'festival' && city.festival) {
+      reason = reason.replace('the festival', city.festival);
+    }
+
+    return {
+      profile,
+      label: definition.label,
+      rating,
+      status,
+      note: `${city.name} is a ${definition.label}, ${status} in ${this.describeMonths(window)}: ${reason}`
+    };
+  }
+
+  /**
+   * Kinds of town that are in and out of season during a stay, for the prompts
+   * @param {Object} window - From getStayWindow()
+   * @returns {string} E.g. "In season: spa towns, mountain towns. Out of season: coastal towns."
+   */
+  describeSeasonHint(window) {
+    const rated = Object.keys(profiles)
+      .filter(profile => profiles[profile].months)
+      .map(profile => ({ profile, rating: this.assess({ name: '', profile }, window).rating }));
+
+    const plural = profile => profiles[profile].label.replace(/(town|region)$/, '$1s');
+    const inSeason = rated.filter(entry => entry.profile !== 'historic' && entry.rating >= inSeasonRating);
+    const offSeason = rated.filter(entry => entry.rating < offSeasonRating);
+
+    return [
+      inSeason.length > 0 ? `In season: ${inSeason.map(entry => plural(entry.profile)).join(', ')}.` : '',
+      offSeason.length > 0 ? `Out of season: ${offSeason.map(entry => plural(entry.profile)).join(', ')}.` : '',
+      'Festival towns are in season during their festival.'
+    ].filter(Boolean).join(' ');
+  }
+}
+
+module.exports = new SeasonService();
@@ -0,0 +1,260 @@
+/**
+ * SettingsService.js
+ *
+ * Typed runtime settings. Every known setting has a definition (type, range,
+ * environment variable and default); its effective value is the value in the
+ * settings table, then the environment variable, then the default. An empty
+ * database value means "not set".
+ *
+ * Values are read from the database on every use, so a change made with the
+ * CLI or the admin API applies to the next post without a restart. watch()
+ * additionally emits 'changed' events for code that caches a value (the cron
+ * schedule of PostScheduleService).
+ */
+
+const EventEmitter = require('events');
+const cron = require('cron');
+const { settings } = require('../db');
+require('dotenv').config();
+
+// Known settings (keys without a definition are plain text)
+const definitions = {
+  journey_start_date: { type: 'date', defaultValue: null },
+  daily_post_time: { type: 'schedule', env: 'POST_GENERATION_CRON', defaultValue: '0 8 * * *' },
+  posts_per_location: { type: 'integer', min: 1, max: 365, env: 'MAX_DAYS_PER_LOCATION', defaultValue: 21 },
+  min_days_per_location: { type: 'integer', min: 1, max: 365, env: 'MIN_DAYS_PER_LOCATION', defaultValue: 7 },
+  planned_stay_min_days: { type: 'integer', min: 1, max: 365, defaultValue: 10 },
+  planned_stay_max_days: { type: 'integer', min: 1, max: 365, defaultValue: 14 },
+  accommodation_max_price: { type: 'number', min: 1, env: 'ACCOMMODATION_MAX_PRICE', defaultValue: 100 },
+  max_catchup_days: { type: 'integer', min: 0, max: 30, env: 'MAX_CATCHUP_DAYS', defaultValue: 3 },
+  itinerary_length: { type: 'integer', min: 0, max: 10, env: 'ITINERARY_LENGTH', defaultValue: 3 },
+  route_max_leg_km: { type: 'integer', min: 50, env: 'ROUTE_MAX_LEG_KM', defaultValue: 600 },
+  route_country_revisit_days: { type: 'integer', min: 0, env: 'ROUTE_COUNTRY_REVISIT_DAYS', defaultValue: 90 },
+  route_max_cities_per_country: { type: 'integer', min: 1, env: 'ROUTE_MAX_CITIES_PER_COUNTRY', defaultValue: 3 },
+  route_direction: {
+    type: 'enum',
+    values: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    env: 'ROUTE_DIRECTION',
+    defaultValue: null
+  },
+  route_excluded_countries: { type: 'list', env: 'ROUTE_EXCLUDED_COUNTRIES', defaultValue: [] },
+  day_trip_chance: { type: 'integer', min: 0, max: 100, env: 'DAY_TRIP_CHANCE', defaultValue: 15 },
+  day_trip_radius_km: { type: 'integer', min: 10, max: 200, env: 'DAY_TRIP_RADIUS_KM', defaultValue: 60 },
+  blog_title: { type: 'string', env: 'BLOG_TITLE', defaultValue: 'Giovanni\'s Travel Blog' },
+  blog_description: { type: 'string', env: 'BLOG_DESCRIPTION', defaultValue: '' }
+};
+
+// Settings that bound the same range: the first may not be greater than the second
+const ranges = [
+  ['planned_stay_min_days', 'planned_stay_max_days']
+];
+
+// Error for a value that does not fit the definition of its setting
+function invalidSetting(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_SETTING' });
+}
+
+class SettingsService extends EventEmitter {
+  constructor() {
+    super();
+    this.definitions = definitions;
+    this.ranges = ranges;
+
+    // Last seen database values, compared by watch()
+    this.snapshot = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Convert a text value to the type of its setting
+   * @param {string} key - Setting key
+   * @param {string} text - Value as stored or entered
+   * @returns {*} Typed value (schedules are returned as cron expressions, lists as arrays)
+   * @throws {Error} INVALID_SETTING if the value does not fit the definition
+   */
+  parseValue(key, text) {
+    const definition = this.definitions[key];
+    const value = String(text).trim();
+    if (!definition) return value;
+
+    switch (definition.type) {
+      case 'integer':
+      case 'number': {
+        const number = Number(value);
+        if (value === '' || isNaN(number) || (definition.type === 'integer' && !Number.isInteger(number))) {
+          throw invalidSetting(`${key} must be ${definition.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        if ((definition.min !== undefined && number < definition.min) || (definition.max !== undefined && number > definition.max)) {
+          throw invalidSetting(`${key} must be between ${definition.min ?? '-∞'} and ${definition.max ?? '∞'}`);
+        }
+        return number;
+      }
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+          throw invalidSetting(`${key} must be a date (YYYY-MM-DD)`);
+        }
+        return value;
+      case 'schedule':
+        return this.parseSchedule(key, value);
+      case 'enum':
+        if (!definition.values.includes(value.toLowerCase())) {
+          throw invalidSetting(`${key} must be one of ${definition.values.join(', ')}`);
+        }
+        return value.toLowerCase();
+      case 'list':
+        // Comma-separated, e.g. "Kosovo, Moldova"
+        return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+      default:
+        return value;
+    }
+  }
+
+  // A schedule is a local time (HH:MM, every day) or a cron expression
+  parseSchedule(key, value) {
+    const time = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (time) {
+      const hours = parseInt(time[1]);
+      const minutes = parseInt(time[2]);
+      if (hours > 23 || minutes > 59) throw invalidSetting(`${key} must be a time between 00:00 and 23:59`);
+      return `${minutes} ${hours} * * *`;
+    }
+
+    try {
+      new cron.CronTime(value);
+      return value;
+    } catch (error) {
+      throw invalidSetting(`${key} must be a time (HH:MM) or a cron expression`);
+    }
+  }
+
+  // Effective value of a setting and where it comes from
+  resolve(key, storedValue) {
+    const definition = this.definitions[key] || { defaultValue: null };
+
+    if (storedValue !== null && storedValue !== undefined && String(storedValue).trim() !== '') {
+      try {
+        return { value: this.parseValue(key, storedValue), source: 'database' };
+      } catch (error) {
+        console.warn(`Ignoring invalid setting in database: ${error.message} (got "${storedValue}")`);
+      }
+    }
+
+    const envValue = definition.env ? process.env[definition.env] : undefined;
+    if (envValue !== undefined && envValue.trim() !== '') {
+      try {
+        return { value: this.parseValue(key, envValue), source: 'environment' };
+      } catch (error) {
+        console.warn(`Ignoring invalid ${definition.env}: ${error.message} (got "${envValue}")`);
+      }
+    }
+
+    return { value: definition.defaultValue, source: 'default' };
+  }
+
+  /**
+   * Effective value of a setting (database, then environment, then default)
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Typed value
+   */
+  async get(key) {
+    return this.resolve(key, await settings.getValue(key)).value;
+  }
+
+  // Add the effective value and its source to a settings row
+  describe(setting) {
+    const { value, source } = this.resolve(setting.key, setting.value);
+    return { ...setting, effectiveValue: value, source };
+  }
+
+  // List all settings with their effective values
+  async listSettings() {
+    return (await settings.list()).map(setting => this.describe(setting));
+  }
+
+  // Get a single setting with its effective value (null if the key is unknown)
+  async getSetting(key) {
+    const setting = await settings.get(key);
+    return setting ? this.describe(setting) : null;
+  }
+
+  /**
+   * Check that a new value keeps the range a setting bounds the right way round
+   * (the other end is taken with its effective value)
+   * @param {string} key - Setting key
+   * @param {*} value - New effective value
+   * @throws {Error} INVALID_SETTING if the lower end would be greater than the upper one
+   */
+  async checkRange(key, value) {
+    for (const [lowerKey, upperKey] of this.ranges) {
+      if (key === lowerKey) {
+        const upper = await this.get(upperKey);
+        if (value > upper) throw invalidSetting(`${lowerKey} (${value}) must not be greater than ${upperKey} (${upper})`);
+      }
+      if (key === upperKey) {
+        const lower = await this.get(lowerKey);
+        if (lower > value) throw invalidSetting(`${upperKey} (${value}) must not be less than ${lowerKey} (${lower})`);
+      }
+    }
+  }
+
+  /**
+   * Update an existing setting
+   * New keys are only added by migrations, so a typo cannot create a setting.
+   * An empty value clears the setting (the environment or default applies again).
+   * @param {string} key - Setting key
+   * @param {string|number|boolean} value - New value (stored as text)
+   * @returns {Promise<Object|null>} Updated setting, or null if the key is unknown
+   * @throws {Error} INVALID_SETTING if the value does not fit the definition, or turns a range the wrong way round
+   */
+  async setSetting(key, value) {
+    const text = String(value).trim();
+    if (text !== '') this.parseValue(key, text);
+    // A cleared value falls back to the environment or default, which must fit the range too
+    await this.checkRange(key, this.resolve(key, text).value);
+
+    const updated = await settings.update(key, text);
+    if (!updated) return null;
+
+    await this.checkForChanges();
+    return this.getSetting(key);
+  }
+
+  // Compare the database with the last snapshot and emit 'changed' for every difference
+  async checkForChanges() {
+    if (!this.snapshot) return;
+
+    const current = new Map((await settings.list()).map(setting => [setting.key, setting.value]));
+    const previous = this.snapshot;
+    this.snapshot = current;
+
+    for (const [key, value] of current) {
+      if (previous.get(key) !== value) {
+        this.emit('changed', key, this.resolve(key, value).value);
+      }
+    }
+  }
+
+  /**
+   * Poll the settings table and emit 'changed' (key, effective value) when a
+   * value changes, including changes made by other processes
+   * @param {number} intervalSeconds - Polling interval
+   */
+  async watch(intervalSeconds = parseInt(process.env.SETTINGS_RELOAD_SECONDS) || 60) {
+    if (this.watchTimer) return;
+
+    this.snapshot = new Map((await settings.list()).map(setting => [setting.key, setting.value]));
+    this.watchTimer = setInterval(() => {
+      this.checkForChanges().catch(error => console.error(`Error reloading settings: ${error.message}`));
+    }, intervalSeconds * 1000);
+    this.watchTimer.unref();
+  }
+
+  // Stop polling
+  unwatch() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+    this.snapshot = null;
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,262 @@
+/**
+ * TransportService.js
+ *
+ * Plans how Giovanni gets from one city to the next: by bus, train, shared
+ * car, ferry or plane, in one or more segments. Sea crossings are found
+ * from the coordinates (LandMask); a journey across the sea takes the ferry
+ * between the nearest ports unless going around over land is quicker, and
+ * long journeys fly between the transport hubs of the two cities (the
+ * transportHubs of a generated city, or the largest town nearby), with a
+ * bus or train to and from the airports.
+ */
+
+const GazetteerService = require('./GazetteerService');
+const CountryRegistry = require('../utils/CountryRegistry');
+const GeoDistance = require('../utils/GeoDistance');
+const LandMask = require('../utils/LandMask');
+
+// Ways of travelling: average speed (km/h), fixed minutes (boarding, check-in),
+// price (base and per km, in euros where the cost of living is the European
+// average) and how much longer than the straight line the way is
+const modes = {
+  bus: { speedKmh: 50, fixedMinutes: 15, basePrice: 5, pricePerKm: 0.08, detour: 1.3 },
+  train: { speedKmh: 60, fixedMinutes: 20, basePrice: 10, pricePerKm: 0.1, detour: 1.3 },
+  'shared car': { speedKmh: 75, fixedMinutes: 20, basePrice: 0, pricePerKm: 0.06, detour: 1.25 },
+  ferry: { speedKmh: 30, fixedMinutes: 60, basePrice: 10, pricePerKm: 0.12, detour: 1.1 },
+  airplane: { speedKmh: 700, fixedMinutes: 120, basePrice: 50, pricePerKm: 0.1, detour: 1 }
+};
+
+// Roads around the sea are this much longer than the way over land cell by cell
+const overlandDetour = 1.2;
+
+// Longest sea crossing by ferry, and shortest flight (in km)
+const maxFerryKm = 600;
+const minFlightKm = 500;
+
+// Giovanni flies when travelling on the ground would take longer than this
+const maxGroundMinutes = 12 * 60;
+
+// Time to change between segments
+const transferMinutes = 30;
+
+// Legs shorter than this (town to its own port or airport) are not a segment of their own
+const minLegKm = 5;
+
+// Words around hub names ("Tivat Airport", "Split (ferry port)")
+const hubWords = /\b(international|airport|airfield|station|railway|train|bus|ferry|port|harbou?r|terminal|central|main)\b|\(.*?\)/gi;
+
+class TransportService {
+  constructor() {
+    this.modes = modes;
+  }
+
+  // Whether trains run in a country (country registry)
+  hasTrains(country) {
+    return CountryRegistry.hasTrains(country);
+  }
+
+  // Transport hub names of a city (transportHubs of a generated city, or the stored transport_hubs)
+  getHubNames(city) {
+    if (Array.isArray(city.transportHubs)) return city.transportHubs;
+    try {
+      const hubs = JSON.parse(city.transport_hubs || '[]');
+      return Array.isArray(hubs) ? hubs : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * One segment of a journey
+   * @param {string} type - Mode (bus, train, shared car, ferry or airplane)
+   * @param {Object} from - { name, country, lat, lng }
+   * @param {Object} to - { name, country, lat, lng }
+   * @param {number} km - Distance travelled (default the straight line with the detour of the mode)
+   * @returns {Object} { type, from, to, distanceKm, durationMinutes, price (euros) }
+   */
+  buildSegment(type, from, to, km = null) {
+    const mode = modes[type];
+    const distanceKm = km === null ? GeoDistance.straightLineKm(from, to) * mode.detour : km;
+    // Flights cost the same everywhere; other tickets follow the cost of living where they are bought
+    const costOfLiving = type === 'airplane' ? 100 : CountryRegistry.getCostOfLiving(from.country);
+    return {
+      type,
+      from,
+      to,
+      distanceKm: Math.round(distanceKm),
+      durationMinutes: Math.ceil(mode.fixedMinutes + distanceKm / mode.speedKmh * 60),
+      price: Math.round((mode.basePrice + distanceKm * mode.pricePerKm) * costOfLiving / 100)
+    };
+  }
+
+  // Way over land for a distance: bus nearby, train where trains run, otherwise a shared car or the bus
+  chooseLandMode(km, from, to) {
+    const trains = this.hasTrains(from.country) && this.hasTrains(to.country);
+    if (km < 100) return 'bus';
+    if (trains) return 'train';
+    if (km >= 150 && km <= 600) return 'shared car';
+    return 'bus';
+  }
+
+  // Segment over land (no segment for a few km)
+  landSegments(from, to, km = null) {
+    const distanceKm = km === null ? GeoDistance.routeKm(from, to) : km;
+    if (distanceKm < minLegKm) return [];
+    const type = this.chooseLandMode(distanceKm, from, to);
+    return [this.buildSegment(type, from, to, distanceKm)];
+  }
+
+  // Transport hubs of a city found in the gazetteer (within 150 km), largest first
+  async findHubs(city) {
+    const hubs = [];
+    for (const name of this.getHubNames(city)) {
+      const cleaned = String(name).replace(hubWords, ' ').replace(/\s+/g, ' ').trim();
+      if (!cleaned) continue;
+      const towns = await GazetteerService.lookup(cleaned);
+      const nearest = towns
+        .map(town => ({ ...town, distanceKm: GeoDistance.straightLineKm(city, town) }))
+        .filter(town => town.distanceKm <= 150)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+      if (nearest && !hubs.some(hub => hub.id === nearest.id)) hubs.push(nearest);
+    }
+    return hubs.sort((a, b) => b.population - a.population);
+  }
+
+  // Place named like a town (a gazetteer town, or the city itself)
+  toPlace(town) {
+    return { name: town.name, country: town.country, lat: town.lat, lng: town.lng };
+  }
+
+  // Airport of a city: its largest transport hub, or the largest town within 150 km
+  async findAirport(city) {
+    const hubs = await this.findHubs(city);
+    if (hubs.length > 0) return this.toPlace(hubs[0]);
+
+    const towns = await GazetteerService.findNear(city, { radiusKm: 150, minPopulation: 100000 });
+    const largest = towns.sort((a, b) => b.population - a.population)[0];
+    return largest ? this.toPlace(largest) : this.toPlace(city);
+  }
+
+  // Port where a sea crossing leaves or reaches the coast: a transport hub of the
+  // city near that point, or the nearest town there
+  async findPort(point, city) {
+    const hub = (await this.findHubs(city)).find(town => GeoDistance.straightLineKm(point, town) <= 30);
+    if (hub) return this.toPlace(hub);
+
+    if (GeoDistance.straightLineKm(point, city) <= 15) return this.toPlace(city);
+    const towns = await GazetteerService.findNear(point, { radiusKm: 40, minPopulation: 2000 });
+    if (towns.length > 0) return this.toPlace(towns[0]);
+    return { name: `the coast near ${city.name}`, country: city.country, lat: point.lat, lng: point.lng };
+  }
+
+  // Journey over land, or null when land does not connect the cities
+  planOverland(from, to, crossing) {
+    if (!crossing) return this.landSegments(from, to);
+    const km = LandMask.overlandKm(from, to);
+    return km === null ? null : this.landSegments(from, to, km * overlandDetour);
+  }
+
+  // Journey by ferry across the sea, with the ways to and from the ports
+  async planFerry(from, to, crossing) {
+    if (!crossing || crossing.seaKm > maxFerryKm) return null;
+    const departurePort = await this.findPort(crossing.start, from);
+    const arrivalPort = await this.findPort(crossing.end, to);
+    return [
+      ...this.landSegments(from, departurePort),
+      this.buildSegment('ferry', departurePort, arrivalPort),
+      ...this.landSegments(arrivalPort, to)
+    ];
+  }
+
+  // Journey by plane between the airports of the two cities
+  async planFlight(from, to) {
+    const departureAirport = await this.findAirport(from);
+    const arrivalAirport = await this.findAirport(to);
+    if (GeoDistance.straightLineKm(departureAirport, arrivalAirport) < minFlightKm) return null;
+    return [
+      ...this.landSegments(from, departureAirport),
+      this.buildSegment('airplane', departureAirport, arrivalAirport),
+      ...this.landSegments(arrivalAirport, to)
+    ];
+  }
+
+  // Total minutes of a journey, with the changes between segments
+  totalMinutes(segments) {
+    return segments.reduce((total, segment) => total + segment.durationMinutes, 0) + transferMinutes * Math.max(0, segments.length - 1);
+  }
+
+  /**
+   * Plan the journey between two cities
+   * The quickest of over land and by ferry is taken; Giovanni flies only when
+   * both would take longer than 12 hours, or no ground route exists.
+   * @param {Object} from - City left ({ name, country, lat, lng, transportHubs or transport_hubs })
+   * @param {Object} to - City arrived at
+   * @returns {Promise<Object[]>} Segments in order ({ type, from, to, distanceKm, durationMinutes, price })
+   */
+  async planJourney(from, to) {
+    const crossing = LandMask.findSeaCrossing(from, to);
+    const ground = [this.planOverland(from, to, crossing), await this.planFerry(from, to, crossing)]
+      .filter(segments => segments && segments.length > 0)
+      .sort((a, b) => this.totalMinutes(a) - this.totalMinutes(b));
+
+    if (ground.length === 0 || this.totalMinutes(ground[0]) > maxGroundMinutes) {
+      const flight = await this.planFlight(from, to);
+      if (flight) return flight;
+    }
+    if (ground.length > 0) return ground[0];
+
+    // Neither land, ferry nor a flight (e.g. two towns of a small island): the bus
+    return [this.buildSegment('bus', from, to)];
+  }
+
+  /**
+   * Give the segments of a journey their times
+   * @param {Object[]} segments - From planJourney()
+   * @param {Date} departure - Departure of the first segment
+   * @returns {Object} { segments (with departure and arrival), arrival, durationMinutes, distanceKm, price,
+   *   type: the mode of the longest segment }
+   */
+  schedule(segments, departure) {
+    let time = new Date(departure);
+    const scheduled = segments.map((segment, index) => {
+      if (index > 0) time = new Date(time.getTime() + transferMinutes * 60 * 1000);
+      const segmentDeparture = time;
+      time = new Date(time.getTime() + segment.durationMinutes * 60 * 1000);
+      return { ...segment, departure: segmentDeparture, arrival: time };
+    });
+
+    return {
+      segments: scheduled,
+      arrival: time,
+      durationMinutes: Math.round((time - new Date(departure)) / 60000),
+      distanceKm: segments.reduce((total, segment) => total + segment.distanceKm, 0),
+      price: segments.reduce((total, segment) => total + segment.price, 0),
+      type: segments.reduce((longest, segment) => segment.distanceKm > longest.distanceKm ? segment : longest).type
+    };
+  }
+
+  /**
+   * Rows of the transportation table for a scheduled journey
+   * @param {Object} journey - From schedule()
+   * @param {Object} ids - { from_location_id, to_location_id }
+   * @returns {Object[]} One row per segment (prices in euros)
+   */
+  toRows(journey, ids) {
+    return journey.segments.map((segment, index) => ({
+      from_location_id: ids.from_location_id,
+      to_location_id: ids.to_location_id,
+      segment: index + 1,
+      from_name: segment.from.name,
+      to_name: segment.to.name,
+      type: segment.type,
+      departure_time: segment.departure.toISOString(),
+      arrival_time: segment.arrival.toISOString(),
+      duration_minutes: segment.durationMinutes,
+      distance_km: segment.distanceKm,
+      price: segment.price,
+      currency: 'EUR'
+    }));
+  }
+}
+
+module.exports = new TransportService();
@@ -1,24 +1,18 @@
 const fs = require('fs');
 const path = require('path');
-const { open } = require('sqlite');
-const sqlite3 = require('sqlite3').verbose();
 const OpenAIService = require('./OpenAIService');
+const RouteConstraintService = require('./RouteConstraintService');
+const GazetteerService = require('./GazetteerService');
+const SeasonService = require('./SeasonService');
+const CountryRegistry = require('../utils/CountryRegistry');
+const { locations, places } = require('../db');
 require('dotenv').config();
 
 class TravelPlannerService {
   constructor() {
-    this.dbPath = process.env.DB_PATH;
     this.openAIService = require('./OpenAIService');
   }
 
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
-  }
-
   // Safely parse JSON with error handling
   safeJsonParse(jsonString) {
     try {
@@ -47,30 +41,25 @@ class TravelPlannerService {
 
   /**
    * Get a list of all cities that have already been visited
+   * @param {Object[]} extraCities - More { name, country } to include (e.g. planned cities)
    * @returns {Promise<Array>} Array of city names that have been visited
    */
-  async getVisitedCities() {
-    const db = await this.getDatabase();
+  async getVisitedCities(extraCities = []) {
     try {
-      const cities = await db.all(`
-        SELECT name, country FROM locations 
-        WHERE is_visited = 1 OR is_current = 1
-      `);
-      
-      await db.close();
+      const cities = [...await locations.listVisited(), ...extraCities];
       return cities.map(city => ({ 
         name: city.name.toLowerCase(), 
         country: city.country.toLowerCase() 
       }));
     } catch (error) {
       console.error(`Error getting visited cities: ${error.message}`);
-      await db.close();
       return [];
     }
   }
 
   // Generate a list of suitable cities in the specified country
-  async generatePotentialCities(country, count = 5) {
+  // (stay: planned stay from SeasonService.getStayWindow, to suggest towns that are in season)
+  async generatePotentialCities(country, count = 5, stay = null) {
     const prompt = `
 Provide a list of ${count} small hidden-gem towns in ${country} that meet these criteria:
 - NOT the capital city
@@ -78,10 +67,15 @@ Provide a list of ${count} small hidden-gem towns in ${country} that meet these
 - Has a historic old town with pre-1930s architecture
 - Not a major tourist destination
 - Similar to towns like Sopron (Hungary) or Viterbo (Italy)
-
+${stay ? `- Good to visit from ${SeasonService.describeWindow(stay)}, when Giovanni will stay there. ${SeasonService.describeSeasonHint(stay)}
+` : ''}
 Format each city as a JSON object with these properties:
 - name: Town name in English
+- localName: Town name in the local language (Latin script)
 - description: 2-3 sentence description
+- profile: What the town is best known for: "coastal", "mountain", "spa", "wine", "festival" or "historic"
+- festival: Name of its best-known festival, if profile is "festival"
+- festivalMonths: Months of that festival as numbers (1-12), if profile is "festival"
 - population: Approximate number
 - coordinates: {latitude: number, longitude: number}
 - advantages: List of 2-3 benefits for travelers
@@ -109,99 +103,186 @@ Provide your full answer as a valid JSON array of these objects.
     }
   }
 
-  // Select the next city for travel
-  async selectNextCity(currentCountry) {
-    // Determine the next country (can use OpenAI to select)
-    const nextCountry = await this.determineNextCountry(currentCountry);
+  /**
+   * Select the next city for travel
+   * Candidates (generated, then more generated, then the backup list) are
+   * checked against the route constraints; the best accepted one is chosen.
+   * @param {string|null} currentCountry - Country Giovanni travels on from (null to start the journey)
+   * @param {Object} options - { from: city the leg starts in ({ name, country, lat, lng }),
+   *                            avoid: [{ name, country }] cities planned before this one,
+   *                            stay: planned stay in the next city (SeasonService.getStayWindow) }
+   * @returns {Promise<Object>} City (name, country, lat, lng, timezone, ..., season_profile, season_note)
+   */
+  async selectNextCity(currentCountry, options = {}) {
+    // Rules for the next leg (distance, direction, country revisits and quotas, excluded countries, season)
+    const context = await RouteConstraintService.buildContext({ from: options.from, planned: options.avoid, stay: options.stay });
+
+    // Determine the next country (can use OpenAI to select), by the name of the country registry
+    const nextCountry = CountryRegistry.getName(await this.determineNextCountry(currentCountry, context));
     console.log(`Selected next country: ${nextCountry}`);
     
-    // Generate list of cities in the selected country
-    let potentialCities = await this.generatePotentialCities(nextCountry);
+    // Generate list of cities in the selected country, check that they exist (gazetteer) and check them against the rules
+    const evaluations = RouteConstraintService.rank(
+      await GazetteerService.validateCities((await this.generatePotentialCities(nextCountry, 5, context.stay)).map(city => this.formatCity(city, nextCountry))),
+      context
+    );
     
-    // Get previously visited cities to avoid duplicates
-    const visitedCities = await this.getVisitedCities();
-    console.log(`Found ${visitedCities.length} previously visited cities to avoid`);
+    if (!evaluations.some(evaluation => evaluation.accepted)) {
+      console.log("No potential city meets the route constraints, generating new ones");
+      const moreCities = await this.generatePotentialCities(nextCountry, 8, context.stay);
+      evaluations.push(...RouteConstraintService.rank(
+        await GazetteerService.validateCities(moreCities.map(city => this.formatCity(city, nextCountry))),
+        context
+      ));
+    }
     
-    // Filter out cities that have already been visited
-    if (potentialCities.length > 0 && visitedCities.length > 0) {
-      const filteredCities = potentialCities.filter(city => {
-        const cityName = city.name.toLowerCase();
-        const cityCountry = (city.country || nextCountry).toLowerCase();
-        return !visitedCities.some(visited => 
-          visited.name === cityName && visited.country === cityCountry
-        );
-      });
-      
-      console.log(`Filtered from ${potentialCities.length} to ${filteredCities.length} cities to avoid duplicates`);
-      
-      // If we still have cities after filtering, use those
-      if (filteredCities.length > 0) {
-        potentialCities = filteredCities;
-      } else {
-        console.log("All potential cities have been visited before, generating new ones");
-        // Try generating more cities with a different prompt
-        const moreCities = await this.generatePotentialCities(nextCountry, 8);
-        if (moreCities && moreCities.length > 0) {
-          // Filter these new cities too
-          const newFilteredCities = moreCities.filter(city => {
-            const cityName = city.name.toLowerCase();
-            const cityCountry = (city.country || nextCountry).toLowerCase();
-            return !visitedCities.some(visited => 
-              visited.name === cityName && visited.country === cityCountry
-            );
-          });
-          
-          if (newFilteredCities.length > 0) {
-            potentialCities = newFilteredCities;
-            console.log(`Generated ${newFilteredCities.length} new unvisited cities`);
-          }
-        }
-      }
+    if (!evaluations.some(evaluation => evaluation.accepted)) {
+      console.log("Checking the backup cities against the route constraints");
+      evaluations.push(...RouteConstraintService.rank(this.listBackupCities(), context));
     }
     
-    // If the list is empty, use a backup option
-    if (!potentialCities || potentialCities.length === 0) {
-      console.log("Using backup city due to empty potential cities list");
-      return this.getBackupCity(nextCountry);
+    const best = evaluations.find(evaluation => evaluation.accepted);
+    if (best) {
+      console.log(`Selected city: ${best.city.name}, ${best.city.country} (score ${best.score}; ${best.season.note})`);
+      return this.withSeason(best.city, context.stay);
     }
     
-    // Select a random city from the list
-    const selectedCity = potentialCities[Math.floor(Math.random() * potentialCities.length)];
-    console.log(`Selected city: ${selectedCity.name}`);
+    // No city meets every rule: break as few as possible, but never repeat a city
+    const fallback = evaluations
+      .filter(evaluation => !evaluation.repeat)
+      .sort((a, b) => (a.reasons.length - b.reasons.length) || (b.score - a.score))[0];
+    if (fallback) {
+      console.warn(`No city meets the route constraints; selected ${fallback.city.name}, ${fallback.city.country} (${fallback.reasons.join('; ')})`);
+      return this.withSeason(fallback.city, context.stay);
+    }
     
+    console.log("Using backup city since every candidate was visited before");
+    return this.withSeason(await this.getBackupCity(nextCountry, options.avoid), context.stay);
+  }
+
+  // Add the seasonal profile of a chosen city and why the season suits it (or not), for the travel post
+  withSeason(city, stay) {
+    const season = SeasonService.assess(city, stay);
+    return { ...city, season_profile: season.profile, season_note: season.note };
+  }
+
+  // Format a generated city for saving
+  formatCity(city, country) {
     // Safety check for coordinates
-    if (!selectedCity.coordinates) {
-      selectedCity.coordinates = { latitude: 0, longitude: 0 };
-    }
+    const coordinates = city.coordinates || { latitude: 0, longitude: 0 };
     
-    // Format data for saving
     return {
-      name: selectedCity.name || 'Unknown Town',
-      country: nextCountry,
-      region: selectedCity.region || '',
-      lat: selectedCity.coordinates.latitude || 0,
-      lng: selectedCity.coordinates.longitude || 0,
-      population: selectedCity.population || 0,
-      description: selectedCity.description || '',
-      timezone: this.getTimezoneForCountry(nextCountry),
-      currency: this.getCurrencyForCountry(nextCountry),
-      language: this.getLanguageForCountry(nextCountry),
-      transportHubs: selectedCity.transportHubs || []
+      name: city.name || 'Unknown Town',
+      localName: city.localName || '',
+      country: country,
+      region: city.region || '',
+      lat: coordinates.latitude || 0,
+      lng: coordinates.longitude || 0,
+      population: city.population || 0,
+      description: city.description || '',
+      profile: SeasonService.normalizeProfile(city.profile),
+      festival: city.festival || '',
+      festivalMonths: Array.isArray(city.festivalMonths) ? city.festivalMonths : [],
+      ...this.getCountryDetails(country),
+      transportHubs: city.transportHubs || []
+    };
+  }
+
+  // Every backup city of the country registry in the format of selectNextCity
+  listBackupCities() {
+    return CountryRegistry.listBackupCities().map(city => this.formatBackupCity(city, city.country));
+  }
+
+  // A backup city of the country registry in the format of selectNextCity
+  formatBackupCity(city, country) {
+    return {
+      name: city.name,
+      country: country,
+      region: "",
+      lat: city.lat,
+      lng: city.lng,
+      ...this.getCountryDetails(country),
+      profile: city.profile || 'historic',
+      festival: city.festival || '',
+      festivalMonths: city.festivalMonths || []
+    };
+  }
+
+  /**
+   * Look up a city chosen by hand (e.g. `giovanni move --to "Kotor, Montenegro"`)
+   * @param {string} cityName - City name
+   * @param {string} countryName - Country name, alias or ISO code
+   * @returns {Promise<Object>} City in the same format as selectNextCity
+   * @throws {Error} code CITY_NOT_FOUND when OpenAI or the gazetteer does not know the town
+   */
+  async resolveCity(cityName, countryName) {
+    // By the name of the country registry ("Czechia" is the Czech Republic)
+    const country = CountryRegistry.getName(countryName);
+    const prompt = `
+Give the location of the town ${cityName} in ${country}.
+
+Respond with a single JSON object with these properties:
+- name: Town name in English
+- localName: Town name in the local language (Latin script)
+- region: Region or province
+- coordinates: {latitude: number, longitude: number}
+- description: 1-2 sentence description
+
+If no such town exists in ${country}, respond with {"error": "not found"}.
+`;
+
+    const response = await this.openAIService.generateText(prompt, {
+      temperature: 0.2,
+      maxTokens: 300
+    });
+
+    const city = this.safeJsonParse(response);
+    const coordinates = city && city.coordinates;
+    if (!coordinates || city.error ||
+        typeof coordinates.latitude !== 'number' || typeof coordinates.longitude !== 'number') {
+      throw Object.assign(new Error(`Could not find ${cityName}, ${country}`), { code: 'CITY_NOT_FOUND' });
+    }
+
+    const resolved = {
+      name: city.name || cityName,
+      localName: city.localName || cityName,
+      country: country,
+      region: city.region || '',
+      lat: coordinates.latitude,
+      lng: coordinates.longitude,
+      description: city.description || '',
+      ...this.getCountryDetails(country),
+      transportHubs: []
     };
+
+    // Check the town and its coordinates against the gazetteer
+    const result = await GazetteerService.validateCity(resolved);
+    if (result.status === 'rejected') {
+      throw Object.assign(new Error(`Could not find ${cityName}, ${country}: ${result.notes.join('; ')}`), { code: 'CITY_NOT_FOUND' });
+    }
+    if (result.status === 'corrected') {
+      console.log(`🌍 ${cityName}, ${country}: corrected by the gazetteer - ${result.notes.join('; ')}`);
+    }
+    return result.city;
   }
 
-  // Determine the next country for the journey
-  async determineNextCountry(currentCountry) {
+  /**
+   * Determine the next country for the journey
+   * @param {string|null} currentCountry - Country Giovanni is in
+   * @param {Object} context - Route constraints (RouteConstraintService.buildContext), to steer the choice
+   * @returns {Promise<string>} Country name
+   */
+  async determineNextCountry(currentCountry, context = null) {
     if (!currentCountry) return 'Serbia'; // Start with Serbia
     
-    const priorityCountries = [
-      'Serbia', 'Croatia', 'Italy', 'Montenegro', 'Bulgaria', 
-      'Hungary', 'Greece', 'Romania', 'North Macedonia', 'Czech Republic'
-    ];
+    // Countries the route favours (country registry)
+    const priorityCountries = CountryRegistry.listRoute('priority');
+    const secondaryCountries = CountryRegistry.listRoute('secondary');
     
-    const secondaryCountries = [
-      'Austria', 'Slovenia', 'Albania', 'Poland', 'Slovakia'
-    ];
+    // Countries the route constraints rule out, the preferred direction and the season of the stay
+    const blockedCountries = context ? RouteConstraintService.describeBlockedCountries(context) : [];
+    const direction = context && context.rules.direction;
+    const season = context ? `Giovanni will stay there from ${SeasonService.describeWindow(context.stay)}. ${SeasonService.describeSeasonHint(context.stay)} Prefer a country with towns that are in season then.\n` : '';
     
     const prompt = `
 Giovanni is currently in ${currentCountry}. Given the geographical location and transportation options, 
@@ -209,7 +290,7 @@ which neighboring or nearby country would be the logical next destination for hi
 
 Priority countries: ${priorityCountries.join(', ')}
 Secondary countries: ${secondaryCountries.join(', ')}
-
+${blockedCountries.length > 0 ? `Do not choose: ${blockedCountries.map(blocked => `${blocked.country} (${blocked.reason})`).join(', ')}\n` : ''}${direction ? `Giovanni is heading ${direction}; prefer a country in that direction.\n` : ''}${season}
 The answer should contain only the country name in English.
 `;
 
@@ -224,7 +305,11 @@ The answer should contain only the country name in English.
     } catch (error) {
       console.error(`Error determining next country: ${error.message}`);
       // Select a random country from the priority list
-      const availableCountries = priorityCountries.filter(c => c !== currentCountry);
+      let availableCountries = priorityCountries.filter(c => c !== currentCountry &&
+        !blockedCountries.some(blocked => blocked.country.toLowerCase() === c.toLowerCase()));
+      if (availableCountries.length === 0) {
+        availableCountries = priorityCountries.filter(c => c !== currentCountry);
+      }
       return availableCountries[Math.floor(Math.random() * availableCountries.length)];
     }
   }
@@ -346,109 +431,96 @@ Provide your full answer as a valid JSON array of these objects. Do not include
     return false;
   }
 
-  // Select available places to visit on the specified date
-  async selectPlacesToVisit(locationId, date) {
-    const db = await this.getDatabase();
+  // Select available places to visit on the specified date (in the town of a day trip from the city,
+  // if given: { id, name } from DayTripService). Places found now are stored, except in a dry run
+  // (a preview: options.dryRun)
+  async selectPlacesToVisit(locationId, date, dayTrip = null, options = {}) {
     try {
       // Get information about the current city
-      const location = await db.get('SELECT * FROM locations WHERE id = ?', [locationId]);
+      const location = await locations.getById(locationId);
       if (!location) {
         throw new Error(`Location with ID ${locationId} not found`);
       }
+      const dayTripId = dayTrip ? dayTrip.id : null;
+      const placeName = dayTrip ? dayTrip.name : location.name;
+      // The trip of a dry run is not stored, so it has no places yet
+      const unstoredTrip = dayTrip && !dayTrip.id;
+
+      // Store a place of the city or the trip (a dry run only returns it)
+      const addPlace = async place => {
+        const row = { ...place, location_id: locationId, day_trip_id: dayTripId };
+        return { id: options.dryRun ? null : await places.insert(row), ...row };
+      };
       
       // Get all attractions that haven't been visited
-      const attractions = await db.all(`
-        SELECT poi.* FROM points_of_interest poi
-        LEFT JOIN visits v ON poi.id = v.poi_id
-        WHERE poi.location_id = ? AND poi.type = 'attraction'
-        AND (v.id IS NULL OR v.included_in_post = 0)
-      `, [locationId]);
+      const attractions = unstoredTrip ? [] : await places.listUnvisited(locationId, 'attraction', dayTripId);
       
       // Get all restaurants that haven't been visited
-      const restaurants = await db.all(`
-        SELECT poi.* FROM points_of_interest poi
-        LEFT JOIN visits v ON poi.id = v.poi_id
-        WHERE poi.location_id = ? AND poi.type = 'restaurant'
-        AND (v.id IS NULL OR v.included_in_post = 0)
-      `, [locationId]);
+      const restaurants = unstoredTrip ? [] : await places.listUnvisited(locationId, 'restaurant', dayTripId);
       
       // If the list is empty, generate a new one
       if (!attractions || attractions.length === 0) {
-        console.log(`Generating new attractions for ${location.name}...`);
-        const newAttractions = await this.generateAttractions(location.name, location.country);
+        console.log(`Generating new attractions for ${placeName}...`);
+        const newAttractions = await this.generateAttractions(placeName, location.country);
         
         // Safety check
         if (newAttractions && newAttractions.length > 0) {
           // Save new attractions to the database
+          const added = [];
           for (const attraction of newAttractions) {
             try {
-              await db.run(`
-                INSERT INTO points_of_interest (
-                  location_id, name, type, description, highlights, opening_hours, website
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)
-              `, [
-                locationId,
-                attraction.name || `Attraction in ${location.name}`,
-                'attraction',
-                attraction.description || 'A local attraction',
-                JSON.stringify(attraction.interestingFacts || []),
-                JSON.stringify({
+              added.push(await addPlace({
+                name: attraction.name || `Attraction in ${placeName}`,
+                type: 'attraction',
+                description: attraction.description || 'A local attraction',
+                highlights: JSON.stringify(attraction.interestingFacts || []),
+                opening_hours: JSON.stringify({
                   weekday: attraction.weekdayHours || '9:00-17:00',
                   weekend: attraction.weekendHours || '10:00-16:00'
                 }),
-                attraction.website || null
-              ]);
+                website: attraction.website || null
+              }));
             } catch (error) {
               console.error(`Error saving attraction: ${error.message}`);
             }
           }
           
-          // Get updated list
+          // Get updated list (a dry run has only the new ones)
           attractions.length = 0; // Clear the array
-          (await db.all(`
-            SELECT * FROM points_of_interest 
-            WHERE location_id = ? AND type = 'attraction'
-          `, [locationId])).forEach(a => attractions.push(a));
+          (options.dryRun ? added : await places.listByType(locationId, 'attraction', dayTripId)).forEach(a => attractions.push(a));
         }
       }
       
       // If the list is empty, generate a new one
       if (!restaurants || restaurants.length === 0) {
-        console.log(`Generating new restaurants for ${location.name}...`);
-        const newRestaurants = await this.generateRestaurants(location.name, location.country);
+        console.log(`Generating new restaurants for ${placeName}...`);
+        const newRestaurants = await this.generateRestaurants(placeName, location.country);
         
         // Safety check
         if (newRestaurants && newRestaurants.length > 0) {
           // Save new restaurants to the database
+          const added = [];
           for (const restaurant of newRestaurants) {
             try {
-              await db.run(`
-                INSERT INTO points_of_interest (
-                  location_id, name, type, description, highlights, opening_hours, website
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)
-              `, [
-                locationId,
-                restaurant.name || `Restaurant in ${location.name}`,
-                'restaurant',
-                restaurant.description || 'A local restaurant',
-                JSON.stringify(restaurant.specialties || []),
-                JSON.stringify({
+              added.push(await addPlace({
+                name: restaurant.name || `Restaurant in ${placeName}`,
+                type: 'restaurant',
+                description: restaurant.description || 'A local restaurant',
+                highlights: JSON.stringify(restaurant.specialties || []),
+                opening_hours: JSON.stringify({
                   weekday: restaurant.weekdayHours || '12:00-22:00',
                   weekend: restaurant.weekendHours || '12:00-23:00'
                 }),
-                restaurant.website || null
-              ]);
+                website: restaurant.website || null
+              }));
             } catch (error) {
               console.error(`Error saving restaurant: ${error.message}`);
             }
           }
           
-          // Get updated list
+          // Get updated list (a dry run has only the new ones)
           restaurants.length = 0; // Clear the array
-          (await db.all(`
-            SELECT * FROM points_of_interest 
-            WHERE location_id = ? AND type = 'restaurant'
-          `, [locationId])).forEach(r => restaurants.push(r));
+          (options.dryRun ? added : await places.listByType(locationId, 'restaurant', dayTripId)).forEach(r => restaurants.push(r));
         }
       }
       
@@ -456,9 +528,9 @@ Provide your full answer as a valid JSON array of these objects. Do not include
       if (!attractions || attractions.length === 0) {
         console.log("Creating default attractions...");
         const defaultAttraction = {
-          name: `Historic Center of ${location.name}`,
+          name: `Historic Center of ${placeName}`,
           type: 'attraction',
-          description: `The beautiful historic center of ${location.name} with its charming streets and buildings.`,
+          description: `The beautiful historic center of ${placeName} with its charming streets and buildings.`,
           highlights: JSON.stringify(['Architectural beauty', 'Local atmosphere']),
           opening_hours: JSON.stringify({
             weekday: '00:00-23:59',  // Always open
@@ -467,33 +539,15 @@ Provide your full answer as a valid JSON array of these objects. Do not include
           website: null
         };
         
-        const result = await db.run(`
-          INSERT INTO points_of_interest (
-            location_id, name, type, description, highlights, opening_hours, website
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-          locationId,
-          defaultAttraction.name,
-          defaultAttraction.type,
-          defaultAttraction.description,
-          defaultAttraction.highlights,
-          defaultAttraction.opening_hours,
-          defaultAttraction.website
-        ]);
-        
-        attractions.push({
-          id: result.lastID,
-          ...defaultAttraction,
-          location_id: locationId
-        });
+        attractions.push(await addPlace(defaultAttraction));
       }
       
       if (!restaurants || restaurants.length === 0) {
         console.log("Creating default restaurants...");
         const defaultRestaurant = {
-          name: `Local Restaurant in ${location.name}`,
+          name: `Local Restaurant in ${placeName}`,
           type: 'restaurant',
-          description: `A cozy restaurant serving authentic local cuisine in ${location.name}.`,
+          description: `A cozy restaurant serving authentic local cuisine in ${placeName}.`,
           highlights: JSON.stringify(['Traditional dishes', 'Local ingredients']),
           opening_hours: JSON.stringify({
             weekday: '12:00-22:00',
@@ -502,25 +556,7 @@ Provide your full answer as a valid JSON array of these objects. Do not include
           website: null
         };
         
-        const result = await db.run(`
-          INSERT INTO points_of_interest (
-            location_id, name, type, description, highlights, opening_hours, website
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-          locationId,
-          defaultRestaurant.name,
-          defaultRestaurant.type,
-          defaultRestaurant.description,
-          defaultRestaurant.highlights,
-          defaultRestaurant.opening_hours,
-          defaultRestaurant.website
-        ]);
-        
-        restaurants.push({
-          id: result.lastID,
-          ...defaultRestaurant,
-          location_id: locationId
-        });
+        restaurants.push(await addPlace(defaultRestaurant));
       }
       
       // Filter by opening hours (check if the place was open "yesterday")
@@ -583,230 +619,59 @@ Provide your full answer as a valid JSON array of these objects. Do not include
     } catch (error) {
       console.error(`Error selecting places to visit: ${error.message}`);
       return { attraction: null, restaurant: null };
-    } finally {
-      await db.close();
     }
   }
 
-  // Helper methods
-  getTimezoneForCountry(country) {
-    const timezones = {
-      'Serbia': 'Europe/Belgrade',
-      'Croatia': 'Europe/Zagreb',
-      'Italy': 'Europe/Rome',
-      'Montenegro': 'Europe/Podgorica',
-      'Bulgaria': 'Europe/Sofia',
-      'Hungary': 'Europe/Budapest',
-      'Greece': 'Europe/Athens',
-      'Romania': 'Europe/Bucharest',
-      'North Macedonia': 'Europe/Skopje',
-      'Czech Republic': 'Europe/Prague',
-      'Austria': 'Europe/Vienna',
-      'Slovenia': 'Europe/Ljubljana',
-      'Albania': 'Europe/Tirane',
-      'Poland': 'Europe/Warsaw',
-      'Slovakia': 'Europe/Bratislava'
-    };
-    return timezones[country] || 'Europe/Belgrade';
-  }
-  
-  getCurrencyForCountry(country) {
-    const currencies = {
-      'Serbia': 'RSD',
-      'Croatia': 'EUR',
-      'Italy': 'EUR',
-      'Montenegro': 'EUR',
-      'Bulgaria': 'BGN',
-      'Hungary': 'HUF',
-      'Greece': 'EUR',
-      'Romania': 'RON',
-      'North Macedonia': 'MKD',
-      'Czech Republic': 'CZK',
-      'Austria': 'EUR',
-      'Slovenia': 'EUR',
-      'Albania': 'ALL',
-      'Poland': 'PLN',
-      'Slovakia': 'EUR'
-    };
-    return currencies[country] || 'EUR';
-  }
-  
-  getLanguageForCountry(country) {
-    const languages = {
-      'Serbia': 'Serbian',
-      'Croatia': 'Croatian',
-      'Italy': 'Italian',
-      'Montenegro': 'Montenegrin',
-      'Bulgaria': 'Bulgarian',
-      'Hungary': 'Hungarian',
-      'Greece': 'Greek',
-      'Romania': 'Romanian',
-      'North Macedonia': 'Macedonian',
-      'Czech Republic': 'Czech',
-      'Austria': 'German',
-      'Slovenia': 'Slovenian',
-      'Albania': 'Albanian',
-      'Poland': 'Polish',
-      'Slovakia': 'Slovak'
+  // Timezone, currency and main language of a country (country registry)
+  getCountryDetails(country) {
+    return {
+      timezone: CountryRegistry.getTimezone(country),
+      currency: CountryRegistry.getCurrency(country),
+      language: CountryRegistry.getLanguage(country)
     };
-    return languages[country] || 'English';
   }
   
   // Backup city if generation fails
-  async getBackupCity(country) {
-    // First get all visited cities to avoid duplicates
-    const visitedCities = await this.getVisitedCities();
-    
-    const backupCities = {
-      "Serbia": [
-        { name: "Novi Sad", lat: 45.2671, lng: 19.8335 },
-        { name: "Subotica", lat: 46.1000, lng: 19.6667 },
-        { name: "Niš", lat: 43.3200, lng: 21.9000 },
-        { name: "Kragujevac", lat: 44.0167, lng: 20.9167 }
-      ],
-      "Croatia": [
-        { name: "Rovinj", lat: 45.0811, lng: 13.6387 },
-        { name: "Split", lat: 43.5081, lng: 16.4402 },
-        { name: "Zadar", lat: 44.1197, lng: 15.2422 },
-        { name: "Dubrovnik", lat: 42.6507, lng: 18.0944 }
-      ],
-      "Italy": [
-        { name: "Orvieto", lat: 42.7173, lng: 12.1057 },
-        { name: "Lucca", lat: 43.8429, lng: 10.5027 },
-        { name: "Matera", lat: 40.6667, lng: 16.6000 },
-        { name: "Siena", lat: 43.3186, lng: 11.3306 }
-      ],
-      "Montenegro": [
-        { name: "Kotor", lat: 42.4246, lng: 18.7712 },
-        { name: "Budva", lat: 42.2911, lng: 18.8400 },
-        { name: "Herceg Novi", lat: 42.4531, lng: 18.5375 },
-        { name: "Cetinje", lat: 42.3944, lng: 18.9147 }
-      ],
-      "Bulgaria": [
-        { name: "Plovdiv", lat: 42.1421, lng: 24.7499 },
-        { name: "Veliko Tarnovo", lat: 43.0822, lng: 25.6325 },
-        { name: "Sozopol", lat: 42.4178, lng: 27.6953 },
-        { name: "Nessebar", lat: 42.6609, lng: 27.7192 }
-      ],
-      "Hungary": [
-        { name: "Sopron", lat: 47.6817, lng: 16.5845 },
-        { name: "Eger", lat: 47.9025, lng: 20.3772 },
-        { name: "Pécs", lat: 46.0727, lng: 18.2324 },
-        { name: "Szeged", lat: 46.2530, lng: 20.1414 }
-      ],
-      "Greece": [
-        { name: "Nafplio", lat: 37.5675, lng: 22.8016 },
-        { name: "Ioannina", lat: 39.6650, lng: 20.8536 },
-        { name: "Corfu Town", lat: 39.6243, lng: 19.9217 },
-        { name: "Chania", lat: 35.5138, lng: 24.0180 }
-      ],
-      "Romania": [
-        { name: "Sibiu", lat: 45.7983, lng: 24.1255 },
-        { name: "Brașov", lat: 45.6427, lng: 25.5887 },
-        { name: "Sighișoara", lat: 46.2197, lng: 24.7922 },
-        { name: "Cluj-Napoca", lat: 46.7712, lng: 23.6236 }
-      ],
-      "North Macedonia": [
-        { name: "Ohrid", lat: 41.1231, lng: 20.8016 },
-        { name: "Bitola", lat: 41.0297, lng: 21.3292 },
-        { name: "Prilep", lat: 41.3450, lng: 21.5500 },
-        { name: "Kruševo", lat: 41.3689, lng: 21.2489 }
-      ],
-      "Czech Republic": [
-        { name: "Český Krumlov", lat: 48.8127, lng: 14.3175 },
-        { name: "Karlovy Vary", lat: 50.2333, lng: 12.8833 },
-        { name: "Telč", lat: 49.1822, lng: 15.4536 },
-        { name: "Kutná Hora", lat: 49.9481, lng: 15.2681 }
-      ],
-      "Austria": [
-        { name: "Hallstatt", lat: 47.5622, lng: 13.6493 },
-        { name: "Innsbruck", lat: 47.2692, lng: 11.4041 },
-        { name: "Salzburg", lat: 47.8095, lng: 13.0550 },
-        { name: "Graz", lat: 47.0707, lng: 15.4395 }
-      ],
-      "Slovenia": [
-        { name: "Piran", lat: 45.5275, lng: 13.5647 },
-        { name: "Ptuj", lat: 46.4200, lng: 15.8700 },
-        { name: "Škofja Loka", lat: 46.1644, lng: 14.3047 },
-        { name: "Maribor", lat: 46.5547, lng: 15.6467 }
-      ],
-      "Albania": [
-        { name: "Gjirokastër", lat: 40.0758, lng: 20.1404 },
-        { name: "Berat", lat: 40.7058, lng: 19.9522 },
-        { name: "Korçë", lat: 40.6186, lng: 20.7808 },
-        { name: "Shkodër", lat: 42.0686, lng: 19.5031 }
-      ],
-      "Poland": [
-        { name: "Zamość", lat: 50.7192, lng: 23.2525 },
-        { name: "Wrocław", lat: 51.1079, lng: 17.0385 },
-        { name: "Toruń", lat: 53.0100, lng: 18.6167 },
-        { name: "Gdańsk", lat: 54.3520, lng: 18.6466 }
-      ],
-      "Slovakia": [
-        { name: "Banská Štiavnica", lat: 48.4598, lng: 18.8997 },
-        { name: "Levoča", lat: 49.0217, lng: 20.5850 },
-        { name: "Košice", lat: 48.7164, lng: 21.2611 },
-        { name: "Bardejov", lat: 49.2944, lng: 21.2736 }
-      ]
-    };
+  async getBackupCity(countryName, avoid = []) {
+    const country = CountryRegistry.getName(countryName);
     
-    // Get backup cities for the country
-    const citiesForCountry = backupCities[country] || backupCities["Serbia"];
+    // First get all visited (and planned) cities to avoid duplicates
+    const visitedCities = await this.getVisitedCities(avoid);
+    const isUnvisited = (city, cityCountry) => !visitedCities.some(visited =>
+      visited.name === city.name.toLowerCase() && visited.country === cityCountry.toLowerCase()
+    );
     
-    // Filter out cities that have been visited
-    const availableCities = citiesForCountry.filter(city => {
-      const cityName = city.name.toLowerCase();
-      const cityCountry = country.toLowerCase();
-      return !visitedCities.some(visited => 
-        visited.name === cityName && visited.country === cityCountry
-      );
-    });
+    // Get backup cities for the country, and filter out cities that have been visited
+    const citiesForCountry = CountryRegistry.getBackupCities(country);
+    const availableCities = citiesForCountry.filter(city => isUnvisited(city, country));
     
-    // If all cities in this country have been visited, try another country
+    // If all cities in this country have been visited (or it has none), try another country
     if (availableCities.length === 0) {
       // Find countries with available cities
-      for (const [countryName, cities] of Object.entries(backupCities)) {
-        if (countryName === country) continue; // Skip current country
+      for (const other of CountryRegistry.list()) {
+        if (other.name === country) continue; // Skip current country
         
-        const availableInCountry = cities.filter(city => {
-          const cityName = city.name.toLowerCase();
-          const cityCountry = countryName.toLowerCase();
-          return !visitedCities.some(visited => 
-            visited.name === cityName && visited.country === cityCountry
-          );
-        });
+        const availableInCountry = other.backupCities.filter(city => isUnvisited(city, other.name));
         
         if (availableInCountry.length > 0) {
-          console.log(`No unvisited cities in ${country}, using backup from ${countryName}`);
+          console.log(`No unvisited cities in ${country}, using backup from ${other.name}`);
           const city = availableInCountry[Math.floor(Math.random() * availableInCountry.length)];
-          
-          return {
-            name: city.name,
-            country: countryName, // Note we're changing the country
-            region: "",
-            lat: city.lat,
-            lng: city.lng,
-            timezone: this.getTimezoneForCountry(countryName),
-            currency: this.getCurrencyForCountry(countryName),
-            language: this.getLanguageForCountry(countryName)
-          };
+          return this.formatBackupCity(city, other.name); // Note we're changing the country
         }
       }
       
       // If we're here, all backup cities have been visited
-      // Just pick any city from the original country with a modified name
-      const city = citiesForCountry[0];
-      console.log(`All backup cities have been visited. Using modified name for ${city.name}`);
+      // Just pick any city from the original country (or the first one) with a modified name
+      const fallback = citiesForCountry.length > 0
+        ? { ...citiesForCountry[0], country }
+        : CountryRegistry.listBackupCities()[0];
+      console.log(`All backup cities have been visited. Using modified name for ${fallback.name}`);
       
       return {
-        name: `${city.name} Outskirts`,
-        country: country,
-        region: "",
-        lat: city.lat + (Math.random() * 0.05 - 0.025),
-        lng: city.lng + (Math.random() * 0.05 - 0.025),
-        timezone: this.getTimezoneForCountry(country),
-        currency: this.getCurrencyForCountry(country),
-        language: this.getLanguageForCountry(country)
+        ...this.formatBackupCity(fallback, fallback.country),
+        name: `${fallback.name} Outskirts`,
+        lat: fallback.lat + (Math.random() * 0.05 - 0.025),
+        lng: fallback.lng + (Math.random() * 0.05 - 0.025)
       };
     }
     
@@ -814,16 +679,7 @@ Provide your full answer as a valid JSON array of these objects. Do not include
     const city = availableCities[Math.floor(Math.random() * availableCities.length)];
     console.log(`Selected backup city: ${city.name}, ${country}`);
     
-    return {
-      name: city.name,
-      country: country,
-      region: "",
-      lat: city.lat,
-      lng: city.lng,
-      timezone: this.getTimezoneForCountry(country),
-      currency: this.getCurrencyForCountry(country),
-      language: this.getLanguageForCountry(country)
-    };
+    return this.formatBackupCity(city, country);
   }
 }
 
@@ -6,7 +6,7 @@
  */
 
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const ApiCacheService = require('./ApiCacheService');
 require('dotenv').config();
 
 class TripAdvisorService {
@@ -14,8 +14,8 @@ class TripAdvisorService {
     this.apiKey = process.env.API_KEY_TRIPADVISOR;
     this.baseURL = 'https://api.content.tripadvisor.com/api/v1';
     
-    // Cache to store TripAdvisor data (longer cache since this data changes less frequently)
-    this.cache = new NodeCache({ stdTTL: 60 * 60 * 24 * 7 }); // 7 days cache
+    // Responses are cached in the database (api_cache) under this name
+    this.cacheApi = 'tripadvisor';
     
     // Rate limiting - TripAdvisor allows up to 50 calls per second
     this.lastRequestTime = 0;
@@ -94,8 +94,8 @@ class TripAdvisorService {
     const cacheKey = `search_${name}_${city}_${country}_${type}`.toLowerCase().replace(/\s+/g, '_');
     
     // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached) {
+    const cached = await ApiCacheService.get(this.cacheApi, cacheKey);
+    if (cached !== undefined) {
       console.log(`Using cached TripAdvisor search for ${name} in ${city}`);
       return cached;
     }
@@ -133,25 +133,24 @@ class TripAdvisorService {
           
           if (detailedData) {
             console.log(`Found TripAdvisor match for ${name}: ${detailedData.name} (Rating: ${detailedData.rating})`);
-            this.cache.set(cacheKey, detailedData);
+            await ApiCacheService.set(this.cacheApi, cacheKey, detailedData);
             return detailedData;
           } else {
             // Fallback to basic data if details fail
             const normalizedData = this.normalizeLocationData(bestMatch);
             console.log(`Found TripAdvisor match for ${name}: ${normalizedData.name} (No details available)`);
-            this.cache.set(cacheKey, normalizedData);
+            await ApiCacheService.set(this.cacheApi, cacheKey, normalizedData);
             return normalizedData;
           }
         }
       }
 
       console.log(`No TripAdvisor results found for ${name} in ${city}`);
-      this.cache.set(cacheKey, null);
+      await ApiCacheService.set(this.cacheApi, cacheKey, null);
       return null;
 
     } catch (error) {
       console.error(`Error searching TripAdvisor: ${error.message}`);
-      this.cache.set(cacheKey, null);
       return null;
     }
   }
@@ -178,7 +177,7 @@ class TripAdvisorService {
     const cacheKey = `details_${locationId}`;
     
     // Check cache first
-    const cached = this.cache.get(cacheKey);
+    const cached = await ApiCacheService.get(this.cacheApi, cacheKey);
     if (cached) {
       console.log(`Using cached TripAdvisor details for location ${locationId}`);
       return cached;
@@ -207,7 +206,7 @@ class TripAdvisorService {
       if (details) {
         const normalizedDetails = this.normalizeLocationData(details);
         console.log(`Retrieved TripAdvisor details for ${normalizedDetails.name}`);
-        this.cache.set(cacheKey, normalizedDetails);
+        await ApiCacheService.set(this.cacheApi, cacheKey, normalizedDetails);
         return normalizedDetails;
       }
 
@@ -331,7 +330,7 @@ class TripAdvisorService {
     const cacheKey = `top_attractions_${cityName}_${country}_${limit}`.toLowerCase().replace(/\s+/g, '_');
     
     // Check cache first
-    const cached = this.cache.get(cacheKey);
+    const cached = await ApiCacheService.get(this.cacheApi, cacheKey);
     if (cached) {
       console.log(`Using cached top attractions for ${cityName}`);
       return cached;
@@ -361,7 +360,7 @@ class TripAdvisorService {
       
       if (results.length === 0) {
         console.log(`No attractions found for ${cityName}`);
-        this.cache.set(cacheKey, []);
+        await ApiCacheService.set(this.cacheApi, cacheKey, []);
         return [];
       }
 
@@ -399,12 +398,11 @@ class TripAdvisorService {
 
       console.log(`Found ${topAttractions.length} top-rated attractions for ${cityName}`);
       
-      this.cache.set(cacheKey, topAttractions);
+      await ApiCacheService.set(this.cacheApi, cacheKey, topAttractions);
       return topAttractions;
 
     } catch (error) {
       console.error(`Error getting top attractions: ${error.message}`);
-      this.cache.set(cacheKey, []);
       return [];
     }
   }
@@ -429,15 +427,14 @@ class TripAdvisorService {
       monthlyUsage: this.monthlyUsage,
       monthlyLimit: this.monthlyLimit,
       remainingCalls: this.monthlyLimit - this.monthlyUsage,
-      resetDate: this.usageResetDate.toDateString(),
-      cacheSize: this.cache.keys().length
+      resetDate: this.usageResetDate.toDateString()
     };
   }
 
   // Clear cache (useful for testing)
-  clearCache() {
-    this.cache.flushAll();
-    console.log('TripAdvisor cache cleared');
+  async clearCache() {
+    const deleted = await ApiCacheService.purge({ api: this.cacheApi });
+    console.log(`TripAdvisor cache cleared (${deleted} entries)`);
   }
 }
 
@@ -2,8 +2,8 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { open } = require('sqlite');
-const sqlite3 = require('sqlite3').verbose();
+const NotificationService = require('./NotificationService');
+const { usedImages } = require('../db');
 require('dotenv').config();
 
 class UnsplashService {
@@ -11,7 +11,6 @@ class UnsplashService {
     this.apiKey = process.env.API_KEY_UNSPLASH;
     this.baseURL = 'https://api.unsplash.com';
     this.imagePath = process.env.IMAGE_STORAGE_PATH || path.join(__dirname, '..', '..', 'temp', 'images');
-    this.dbPath = process.env.DB_PATH;
     
     // Create image directory if it doesn't exist
     if (!fs.existsSync(this.imagePath)) {
@@ -25,20 +24,15 @@ class UnsplashService {
     // Current season for seasonal queries
     this.currentSeason = this.getCurrentSeason();
     
+    // Only the view of asDryRun() leaves used images unmarked
+    this.dryRun = false;
+    
     // Dummy property for backward compatibility
     this.usedQueries = { 
       clear: () => console.log('Dummy usedQueries.clear() called') 
     };
   }
 
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
-  }
-
   // Get current season based on date
   getCurrentSeason() {
     const now = new Date();
@@ -102,39 +96,37 @@ class UnsplashService {
     return foodOptions[Math.floor(Math.random() * foodOptions.length)];
   }
 
+  // The service for a dry run: it picks images like a real run but does not mark them as used
+  asDryRun() {
+    return Object.assign(Object.create(this), { dryRun: true });
+  }
+
   // Check if image ID has been used before
   async isImageUsed(imageId) {
     if (!imageId) return false;
     
-    const db = await this.getDatabase();
+    const used = await this.findUsedImageIds([imageId]);
+    return used.has(imageId);
+  }
+
+  // Find which of the image IDs have been used before (one query for a whole page of results)
+  async findUsedImageIds(imageIds) {
     try {
-      const result = await db.get(
-        'SELECT id FROM used_images WHERE unsplash_id = ?',
-        [imageId]
-      );
-      return !!result;
+      return await usedImages.findUsedUnsplashIds(imageIds.filter(Boolean));
     } catch (error) {
-      console.error(`Error checking if image is used: ${error.message}`);
-      return false;
-    } finally {
-      await db.close();
+      console.error(`Error checking if images are used: ${error.message}`);
+      return new Set();
     }
   }
 
-  // Mark image as used in database
+  // Mark image as used in database (not in a dry run)
   async markImageAsUsed(imageId, queryType, url) {
-    if (!imageId) return;
+    if (!imageId || this.dryRun) return;
     
-    const db = await this.getDatabase();
     try {
-      await db.run(
-        'INSERT OR IGNORE INTO used_images (unsplash_id, query_type, url, created_at) VALUES (?, ?, ?, ?)',
-        [imageId, queryType, url, new Date().toISOString()]
-      );
+      await usedImages.markUnsplashUsed(imageId, queryType, url);
     } catch (error) {
       console.error(`Error marking image as used: ${error.message}`);
-    } finally {
-      await db.close();
     }
   }
 
@@ -164,14 +156,8 @@ class UnsplashService {
       
       if (response.data && response.data.results && response.data.results.length > 0) {
         // Filter out already used images
-        const unusedImages = [];
-        
-        for (const image of response.data.results) {
-          const isUsed = await this.isImageUsed(image.id);
-          if (!isUsed) {
-            unusedImages.push(image);
-          }
-        }
+        const usedIds = await this.findUsedImageIds(response.data.results.map(image => image.id));
+        const unusedImages = response.data.results.filter(image => !usedIds.has(image.id));
         
         if (unusedImages.length > 0) {
           // Select a random image from unused results
@@ -207,6 +193,7 @@ class UnsplashService {
       return null;
     } catch (error) {
       console.error(`Error searching Unsplash: ${error.message}`);
+      this.notifyIfQuotaExhausted(error, queryType);
       return null;
     }
   }
@@ -241,10 +228,23 @@ class UnsplashService {
       };
     } catch (error) {
       console.error(`Error downloading image: ${error.message}`);
+      this.notifyIfQuotaExhausted(error, 'download');
       return null;
     }
   }
 
+  // Unsplash answers 403 "Rate Limit Exceeded" (or 429) once the hourly quota is used up
+  notifyIfQuotaExhausted(error, queryType) {
+    if (!error.response || ![403, 429].includes(error.response.status)) return;
+    
+    NotificationService.notify('quota_exhausted', {
+      service: 'Unsplash',
+      status: error.response.status,
+      error: typeof error.response.data === 'string' ? error.response.data : error.message,
+      imageType: queryType
+    }, { dedupeKey: 'unsplash' });
+  }
+
   // Check rate limit
   async checkRateLimit() {
     const now = Date.now();
@@ -416,7 +416,8 @@ class UnsplashService {
       path: placeholderPath,
       width: 1,
       height: 1,
-      credit: `Placeholder ${type} image`
+      credit: `Placeholder ${type} image`,
+      placeholder: true
     };
   }
 
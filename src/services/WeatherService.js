@@ -1,21 +1,11 @@
 const axios = require('axios');
-const { open } = require('sqlite');
-const sqlite3 = require('sqlite3').verbose();
+const { weather } = require('../db');
 require('dotenv').config();
 
 class WeatherService {
   constructor() {
     this.apiKey = process.env.API_KEY_OPENWEATHER;
     this.baseURL = 'https://api.openweathermap.org/data/2.5';
-    this.dbPath = process.env.DB_PATH;
-  }
-
-  // Get database connection
-  async getDatabase() {
-    return open({
-      filename: this.dbPath,
-      driver: sqlite3.Database
-    });
   }
 
   // Helper method to vary weather descriptions slightly
@@ -111,51 +101,26 @@ class WeatherService {
 
   // Store today's weather for tomorrow's use
   async storeTodaysWeather(city, country, weatherData) {
-    const db = await this.getDatabase();
     try {
       const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
       
       // Store weather data for this location and date
-      await db.run(`
-        INSERT OR REPLACE INTO daily_weather (
-          city, country, date, temperature, feels_like, description, 
-          icon, humidity, wind_speed, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        city,
-        country,
-        today,
-        weatherData.temperature,
-        weatherData.feelsLike,
-        weatherData.description,
-        weatherData.icon,
-        weatherData.humidity,
-        weatherData.windSpeed,
-        new Date().toISOString()
-      ]);
+      await weather.save(city, country, today, weatherData);
       
       console.log(`Stored today's weather for ${city}, ${country}: ${weatherData.description} ${weatherData.temperature}°C`);
       
       // Clean up old weather data (keep only last 7 days)
       const weekAgo = new Date();
       weekAgo.setDate(weekAgo.getDate() - 7);
-      const weekAgoStr = weekAgo.toISOString().split('T')[0];
-      
-      await db.run(`
-        DELETE FROM daily_weather 
-        WHERE date < ?
-      `, [weekAgoStr]);
+      await weather.deleteBefore(weekAgo.toISOString().split('T')[0]);
       
     } catch (error) {
       console.error(`Error storing weather data: ${error.message}`);
-    } finally {
-      await db.close();
     }
   }
 
   // Get yesterday's weather from local storage
   async getYesterdayWeatherByCity(city, country) {
-    const db = await this.getDatabase();
     try {
       const yesterday = new Date();
       yesterday.setDate(yesterday.getDate() - 1);
@@ -164,10 +129,7 @@ class WeatherService {
       console.log(`Looking for yesterday's weather (${yesterdayStr}) for ${city}, ${country}`);
       
       // Try to get yesterday's weather from local storage
-      const storedWeather = await db.get(`
-        SELECT * FROM daily_weather 
-        WHERE city = ? AND country = ? AND date = ?
-      `, [city, country, yesterdayStr]);
+      const storedWeather = await weather.get(city, country, yesterdayStr);
       
       if (storedWeather) {
         console.log(`Found stored weather for ${city}: ${storedWeather.description} ${storedWeather.temperature}°C`);
@@ -227,8 +189,6 @@ class WeatherService {
         country: country,
         city: city
       };
-    } finally {
-      await db.close();
     }
   }
 }
@@ -6,13 +6,13 @@
  */
 
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const ApiCacheService = require('./ApiCacheService');
 require('dotenv').config();
 
 class WebsiteFinderService {
   constructor() {
-    // Cache to store website URLs to reduce API calls
-    this.cache = new NodeCache({ stdTTL: 60 * 60 * 24 * 30 }); // 30 days cache
+    // Responses are cached in the database (api_cache) under this name
+    this.cacheApi = 'website_finder';
     this.apiKey = process.env.API_KEY_GOOGLE;
     
     // Rate limiting
@@ -33,7 +33,7 @@ class WebsiteFinderService {
       const cacheKey = `website_${name}_${location}`.replace(/\s+/g, '_').toLowerCase();
       
       // Check cache first
-      const cachedResult = this.cache.get(cacheKey);
+      const cachedResult = await ApiCacheService.get(this.cacheApi, cacheKey);
       if (cachedResult) {
         console.log(`Using cached place info for ${name}: ${JSON.stringify(cachedResult)}`);
         return cachedResult;
@@ -78,7 +78,7 @@ class WebsiteFinderService {
           name: name
         };
         
-        this.cache.set(cacheKey, result);
+        await ApiCacheService.set(this.cacheApi, cacheKey, result);
         return result;
       }
       
@@ -101,7 +101,7 @@ class WebsiteFinderService {
           isPermanentlyClosed: true
         };
         
-        this.cache.set(cacheKey, result);
+        await ApiCacheService.set(this.cacheApi, cacheKey, result);
         return result;
       }
       
@@ -142,7 +142,7 @@ class WebsiteFinderService {
       };
       
       // Store in cache
-      this.cache.set(cacheKey, result);
+      await ApiCacheService.set(this.cacheApi, cacheKey, result);
       
       if (placeDetails.website) {
         console.log(`Found website for ${name}: ${placeDetails.website}`);
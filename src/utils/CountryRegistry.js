@@ -0,0 +1,148 @@
+/**
+ * CountryRegistry.js
+ *
+ * What the journey knows about each country of Europe, read from
+ * database/countries/europe.json: ISO code, timezone, currency, languages,
+ * cuisine, plug types, Schengen membership, driving side, cost of living,
+ * whether trains run, whether the route favours it and the backup cities.
+ * Adding a country (or a backup city) is a change to that file only.
+ *
+ * Countries are found by name, alias ("Czechia", "UK") or ISO code, in any
+ * case. A country missing from the file gets the defaults of the file, with a
+ * warning the first time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} Country
+ * @property {string} name - Name the journey uses
+ * @property {string[]} aliases - Other names
+ * @property {string} code - ISO 3166 code (XK for Kosovo)
+ * @property {string} timezone - IANA timezone
+ * @property {string} currency - ISO 4217 code
+ * @property {string[]} languages - Main language first
+ * @property {string} cuisine - Adjective of the local food ("Hungarian")
+ * @property {string[]} plugs - Plug types (C, F, G, ...)
+ * @property {boolean} schengen - Inside the Schengen area (no passport checks at its inner borders)
+ * @property {string} drivingSide - 'right' or 'left'
+ * @property {number} costOfLiving - 100 is the European average
+ * @property {boolean} trains - Whether passenger trains worth taking run
+ * @property {string|null} route - 'priority' or 'secondary' when the route favours the country
+ * @property {Object[]} backupCities - { name, profile, festival, festivalMonths, lat, lng } (SeasonService profiles)
+ */
+
+class CountryRegistry {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../database/countries/europe.json');
+    this.data = null;
+    this.warned = new Set();
+  }
+
+  // Countries of the file, loaded on first use
+  load() {
+    if (!this.data) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const countries = data.countries.map(country => ({
+        aliases: [],
+        route: null,
+        backupCities: [],
+        ...data.defaults,
+        ...country
+      }));
+      const byKey = new Map();
+      for (const country of countries) {
+        for (const key of [country.name, country.code, ...country.aliases]) byKey.set(key.toLowerCase(), country);
+      }
+      this.data = { defaults: data.defaults, countries, byKey };
+    }
+    return this.data;
+  }
+
+  /**
+   * Find a country
+   * @param {string} country - Name, alias or ISO code
+   * @returns {Country|null}
+   */
+  find(country) {
+    return this.load().byKey.get(String(country || '').trim().toLowerCase()) || null;
+  }
+
+  /**
+   * A country, or the defaults under its name when the registry does not know it
+   * @param {string} country - Name, alias or ISO code
+   * @returns {Country}
+   */
+  get(country) {
+    const found = this.find(country);
+    if (found) return found;
+
+    const name = String(country || '').trim();
+    if (name && !this.warned.has(name.toLowerCase())) {
+      console.warn(`${name} is not in the country registry (database/countries/europe.json); using the defaults`);
+      this.warned.add(name.toLowerCase());
+    }
+    return { name, aliases: [], code: null, route: null, backupCities: [], ...this.load().defaults };
+  }
+
+  // Every country, in the order of the file
+  list() {
+    return this.load().countries;
+  }
+
+  // Countries the route favours ('priority' or 'secondary'), by name
+  listRoute(tier) {
+    return this.list().filter(country => country.route === tier).map(country => country.name);
+  }
+
+  // Every backup city with its country ({ ..., country })
+  listBackupCities() {
+    return this.list().flatMap(country => country.backupCities.map(city => ({ ...city, country: country.name })));
+  }
+
+  // Name the journey uses for a country (the name itself when unknown)
+  getName(country) {
+    const found = this.find(country);
+    return found ? found.name : country;
+  }
+
+  // ISO 3166 code of a country (null when unknown)
+  getCode(country) {
+    const found = this.find(country);
+    return found ? found.code : null;
+  }
+
+  getTimezone(country) {
+    return this.get(country).timezone;
+  }
+
+  getCurrency(country) {
+    return this.get(country).currency;
+  }
+
+  // Main language of a country
+  getLanguage(country) {
+    return this.get(country).languages[0];
+  }
+
+  getCuisine(country) {
+    return this.get(country).cuisine;
+  }
+
+  getCostOfLiving(country) {
+    return this.get(country).costOfLiving;
+  }
+
+  hasTrains(country) {
+    return this.get(country).trains;
+  }
+
+  // Backup cities of a country (none when unknown)
+  getBackupCities(country) {
+    const found = this.find(country);
+    return found ? found.backupCities : [];
+  }
+}
+
+module.exports = new CountryRegistry();
@@ -0,0 +1,132 @@
+/**
+ * GazetteerFile.js
+ *
+ * Reads city files into the gazetteer tables (gazetteer_cities and
+ * gazetteer_names). Two formats are understood, plain or gzipped:
+ * - the bundled database/gazetteer/cities_europe.tsv.gz (header line, 8 columns)
+ * - GeoNames dumps such as cities5000.txt (19 columns, no header), which add
+ *   the alternate names (e.g. English names of towns)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Places that are not towns (sections, historical, abandoned, destroyed, ...)
+const skippedFeatureCodes = ['PPLX', 'PPLH', 'PPLQ', 'PPLW', 'PPLCH'];
+
+// Letters that do not decompose into a base letter and an accent
+const foldedLetters = { ł: 'l', đ: 'd', ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ı: 'i', ħ: 'h', þ: 'th', ð: 'd' };
+
+// Rows per INSERT statement
+const batchSize = 100;
+
+class GazetteerFile {
+  constructor() {
+    this.bundledPath = path.join(__dirname, '../../database/gazetteer/cities_europe.tsv.gz');
+  }
+
+  /**
+   * Key a name is looked up by: lowercase, without accents and punctuation
+   * ("Sighișoara" and "Sighisoara" both become "sighisoara")
+   * @param {string} name - Town name
+   * @returns {string} Name key
+   */
+  nameKey(name) {
+    return String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[łđøæœßıħþð]/g, letter => foldedLetters[letter])
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Read a city file
+   * @param {string} filePath - File path (.gz is decompressed)
+   * @returns {Promise<Object[]>} Cities { id, name, names, lat, lng, feature_code, country_code, admin1_code, population }
+   */
+  async read(filePath) {
+    let data = await fs.promises.readFile(filePath);
+    if (filePath.endsWith('.gz')) data = zlib.gunzipSync(data);
+
+    const cities = [];
+    for (const line of data.toString('utf8').split('\n')) {
+      if (!line.trim() || line.startsWith('#') || line.startsWith('geonameid\t')) continue;
+      const city = this.parseLine(line.split('\t'));
+      if (city) cities.push(city);
+    }
+    return cities;
+  }
+
+  // One line of either format (null for lines that are not towns)
+  parseLine(columns) {
+    let city;
+    if (columns.length >= 19) {
+      // GeoNames dump: geonameid, name, asciiname, alternatenames, latitude, longitude,
+      // feature class, feature code, country code, cc2, admin1 code, ..., population (14)
+      if (columns[6] !== 'P') return null;
+      city = {
+        id: parseInt(columns[0]),
+        name: columns[1],
+        names: [columns[1], columns[2], ...columns[3].split(',')],
+        lat: parseFloat(columns[4]),
+        lng: parseFloat(columns[5]),
+        feature_code: columns[7],
+        country_code: columns[8],
+        admin1_code: columns[10],
+        population: parseInt(columns[14]) || 0
+      };
+    } else if (columns.length === 8) {
+      // Bundled file: geonameid, name, latitude, longitude, feature_code, country_code, admin1_code, population
+      city = {
+        id: parseInt(columns[0]),
+        name: columns[1],
+        names: [columns[1]],
+        lat: parseFloat(columns[2]),
+        lng: parseFloat(columns[3]),
+        feature_code: columns[4],
+        country_code: columns[5],
+        admin1_code: columns[6],
+        population: parseInt(columns[7]) || 0
+      };
+    } else {
+      return null;
+    }
+
+    if (!city.id || isNaN(city.lat) || isNaN(city.lng) || skippedFeatureCodes.includes(city.feature_code)) return null;
+    return city;
+  }
+
+  /**
+   * Replace the contents of the gazetteer tables
+   * @param {Object} db - Database handle with run(sql, params) (a migration's db or src/db Database)
+   * @param {Object[]} cities - Cities from read()
+   */
+  async insertCities(db, cities) {
+    await db.run('DELETE FROM gazetteer_names');
+    await db.run('DELETE FROM gazetteer_cities');
+
+    for (let i = 0; i < cities.length; i += batchSize) {
+      const batch = cities.slice(i, i + batchSize);
+      await db.run(
+        `INSERT OR REPLACE INTO gazetteer_cities (id, name, lat, lng, feature_code, country_code, admin1_code, population)
+         VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        batch.flatMap(city => [city.id, city.name, city.lat, city.lng, city.feature_code, city.country_code, city.admin1_code, city.population])
+      );
+
+      const names = batch.flatMap(city => [...new Set(city.names.map(name => this.nameKey(name)).filter(key => key))]
+        .map(key => [key, city.id]));
+      for (let j = 0; j < names.length; j += batchSize) {
+        const namesBatch = names.slice(j, j + batchSize);
+        await db.run(
+          `INSERT OR IGNORE INTO gazetteer_names (name_key, city_id) VALUES ${namesBatch.map(() => '(?, ?)').join(', ')}`,
+          namesBatch.flat()
+        );
+      }
+    }
+  }
+}
+
+module.exports = new GazetteerFile();
@@ -0,0 +1,42 @@
+/**
+ * GeoDistance.js
+ *
+ * Distances between points on the map ({ lat, lng } in degrees)
+ */
+
+class GeoDistance {
+  constructor() {
+    this.earthRadiusKm = 6371;
+
+    // Roads and rails are longer than the straight line
+    this.routeFactor = 1.3;
+  }
+
+  // Straight-line distance in km (Haversine formula)
+  straightLineKm(from, to) {
+    const dLat = (to.lat - from.lat) * Math.PI / 180;
+    const dLon = (to.lng - from.lng) * Math.PI / 180;
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return this.earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Initial compass bearing from one point to another in degrees (0 north, 90 east)
+  bearing(from, to) {
+    const lat1 = from.lat * Math.PI / 180;
+    const lat2 = to.lat * Math.PI / 180;
+    const dLon = (to.lng - from.lng) * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  // Estimated travel distance in km (straight line plus detours)
+  routeKm(from, to) {
+    return this.straightLineKm(from, to) * this.routeFactor;
+  }
+}
+
+module.exports = new GeoDistance();
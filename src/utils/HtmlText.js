@@ -0,0 +1,57 @@
+/**
+ * HtmlText.js
+ *
+ * Converts the Gutenberg markup of a post into plain text (used by the
+ * full-text search index)
+ */
+
+class HtmlText {
+  constructor() {
+    // Entities that appear in generated posts
+    this.entities = {
+      amp: '&',
+      lt: '<',
+      gt: '>',
+      quot: '"',
+      apos: '\'',
+      nbsp: ' ',
+      ndash: '–',
+      mdash: '—',
+      hellip: '…',
+      rsquo: '’',
+      lsquo: '‘',
+      rdquo: '”',
+      ldquo: '“'
+    };
+  }
+
+  // Decode named and numeric HTML entities
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+        return isNaN(code) ? match : String.fromCodePoint(code);
+      }
+      const decoded = this.entities[entity.toLowerCase()];
+      return decoded !== undefined ? decoded : match;
+    });
+  }
+
+  /**
+   * Strip block comments, scripts, styles and tags from markup
+   * @param {string} html - Post content (Gutenberg markup)
+   * @returns {string} Text with collapsed whitespace
+   */
+  toPlainText(html) {
+    if (!html) return '';
+
+    const text = String(html)
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ');
+
+    return this.decodeEntities(text).replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new HtmlText();
@@ -0,0 +1,262 @@
+/**
+ * LandMask.js
+ *
+ * Land and sea of Europe on a 0.1° grid (database/gazetteer/europe_land.txt.gz,
+ * from Natural Earth), to tell whether a journey crosses the sea and how far
+ * it is over land. Land cells that touch north, south, east or west form a
+ * landmass: towns on different landmasses (Crete and the mainland, Corsica
+ * and Sardinia) cannot be reached over land.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const GeoDistance = require('./GeoDistance');
+
+// Distance between the points checked along a journey
+const sampleKm = 2;
+
+// Shorter stretches of water (rivers, bays, straits with bridges) are not a sea crossing
+const minSeaKm = 8;
+
+// How many cells a coastal town may be from the nearest land cell
+const maxSnapCells = 3;
+
+// Neighbouring cells (row and column offsets); the first four join landmasses
+const neighbours = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+// Smallest-first queue of cells for the overland search
+class CellQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  push(cell, priority) {
+    const items = this.items;
+    items.push({ cell, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
+
+class LandMask {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../database/gazetteer/europe_land.txt.gz');
+    this.grid = null;
+  }
+
+  // Read the grid and number the landmasses (on first use)
+  load() {
+    if (this.grid) return this.grid;
+
+    const lines = zlib.gunzipSync(fs.readFileSync(this.filePath)).toString('utf8')
+      .split('\n')
+      .filter(line => line && !line.startsWith('#'));
+    const fields = lines[0].split(' ');
+    const header = {};
+    for (let i = 0; i < fields.length; i += 2) header[fields[i]] = parseFloat(fields[i + 1]);
+    const { north, west, step, rows, cols } = header;
+
+    const land = new Uint8Array(rows * cols);
+    for (let row = 0; row < rows; row++) {
+      const line = lines[row + 1] || '';
+      for (let col = 0; col < cols; col++) land[row * cols + col] = line[col] === '1' ? 1 : 0;
+    }
+
+    // Number the landmasses (0 is sea)
+    const landmass = new Int32Array(rows * cols);
+    let count = 0;
+    for (let start = 0; start < land.length; start++) {
+      if (!land[start] || landmass[start]) continue;
+      landmass[start] = ++count;
+      const stack = [start];
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const row = Math.floor(cell / cols);
+        const col = cell % cols;
+        for (const [dRow, dCol] of neighbours.slice(0, 4)) {
+          const r = row + dRow;
+          const c = col + dCol;
+          if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+          const next = r * cols + c;
+          if (land[next] && !landmass[next]) {
+            landmass[next] = count;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    this.grid = { north, west, step, rows, cols, land, landmass };
+    return this.grid;
+  }
+
+  // Cell of a point (-1 outside the grid)
+  cellOf(point) {
+    const { north, west, step, rows, cols } = this.load();
+    const row = Math.floor((north - point.lat) / step);
+    const col = Math.floor((point.lng - west) / step);
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return -1;
+    return row * cols + col;
+  }
+
+  // Centre of a cell
+  pointOf(cell) {
+    const { north, west, step, cols } = this.load();
+    return {
+      lat: north - (Math.floor(cell / cols) + 0.5) * step,
+      lng: west + (cell % cols + 0.5) * step
+    };
+  }
+
+  // Whether a point is on land (points outside the grid count as land)
+  isLand(point) {
+    const cell = this.cellOf(point);
+    return cell === -1 || this.load().land[cell] === 1;
+  }
+
+  // Nearest land cell of a point, for towns on the coast (-1 when there is none nearby)
+  snap(point) {
+    const { rows, cols, land } = this.load();
+    const cell = this.cellOf(point);
+    if (cell === -1) return -1;
+    if (land[cell]) return cell;
+
+    const row = Math.floor(cell / cols);
+    const col = cell % cols;
+    let best = -1;
+    let bestKm = Infinity;
+    for (let r = row - maxSnapCells; r <= row + maxSnapCells; r++) {
+      for (let c = col - maxSnapCells; c <= col + maxSnapCells; c++) {
+        if (r < 0 || r >= rows || c < 0 || c >= cols || !land[r * cols + c]) continue;
+        const km = GeoDistance.straightLineKm(point, this.pointOf(r * cols + c));
+        if (km < bestKm) {
+          best = r * cols + c;
+          bestKm = km;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Find the stretches of sea on the straight line between two towns
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {Object|null} { seaKm: total, start: where the first stretch leaves the coast,
+   *   end: where the last one reaches it, stretches: [{ start, end, km }] }, or null over land
+   */
+  findSeaCrossing(from, to) {
+    const totalKm = GeoDistance.straightLineKm(from, to);
+    const steps = Math.max(1, Math.ceil(totalKm / sampleKm));
+    const stretches = [];
+    let coast = null;
+    let previous = from;
+
+    for (let i = 1; i < steps; i++) {
+      const point = {
+        lat: from.lat + (to.lat - from.lat) * i / steps,
+        lng: from.lng + (to.lng - from.lng) * i / steps
+      };
+      const onLand = this.isLand(point);
+      if (!onLand && !coast) coast = previous;
+      if (onLand && coast) {
+        const km = GeoDistance.straightLineKm(coast, point);
+        if (km >= minSeaKm) stretches.push({ start: coast, end: point, km });
+        coast = null;
+      }
+      previous = point;
+    }
+    if (coast) {
+      const km = GeoDistance.straightLineKm(coast, to);
+      if (km >= minSeaKm) stretches.push({ start: coast, end: to, km });
+    }
+
+    if (stretches.length === 0) return null;
+    return {
+      seaKm: stretches.reduce((total, stretch) => total + stretch.km, 0),
+      start: stretches[0].start,
+      end: stretches[stretches.length - 1].end,
+      stretches
+    };
+  }
+
+  /**
+   * Shortest distance between two towns over land (as the crow flies from cell to cell)
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number|null} Distance in km, null when no land connects them
+   */
+  overlandKm(from, to) {
+    const { rows, cols, land, landmass } = this.load();
+    const start = this.snap(from);
+    const goal = this.snap(to);
+    if (start === -1 || goal === -1 || landmass[start] !== landmass[goal]) return null;
+
+    const goalPoint = this.pointOf(goal);
+    const distances = new Float64Array(rows * cols).fill(Infinity);
+    const queue = new CellQueue();
+    distances[start] = 0;
+    queue.push(start, GeoDistance.straightLineKm(this.pointOf(start), goalPoint));
+
+    while (queue.size > 0) {
+      const { cell, priority } = queue.pop();
+      if (cell === goal) break;
+
+      const point = this.pointOf(cell);
+      if (priority - GeoDistance.straightLineKm(point, goalPoint) > distances[cell] + 1e-9) continue;
+
+      const row = Math.floor(cell / cols);
+      const col = cell % cols;
+      for (const [dRow, dCol] of neighbours) {
+        const r = row + dRow;
+        const c = col + dCol;
+        if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+        const next = r * cols + c;
+        if (!land[next]) continue;
+
+        const nextPoint = this.pointOf(next);
+        const distance = distances[cell] + GeoDistance.straightLineKm(point, nextPoint);
+        if (distance < distances[next]) {
+          distances[next] = distance;
+          queue.push(next, distance + GeoDistance.straightLineKm(nextPoint, goalPoint));
+        }
+      }
+    }
+
+    return distances[goal] === Infinity ? null
+      : distances[goal] + GeoDistance.straightLineKm(from, this.pointOf(start)) + GeoDistance.straightLineKm(goalPoint, to);
+  }
+}
+
+module.exports = new LandMask();
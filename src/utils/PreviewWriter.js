@@ -0,0 +1,145 @@
+/**
+ * PreviewWriter.js
+ *
+ * Writes generated posts to a local folder instead of publishing them,
+ * so the Gutenberg markup and images can be reviewed before going live
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PreviewWriter {
+  constructor() {
+    this.outputDir = process.env.PREVIEW_PATH || path.join(__dirname, '..', '..', 'temp', 'preview');
+  }
+
+  // Build a filesystem-friendly name
+  slugify(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'post';
+  }
+
+  // Escape text for use in HTML
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Copy an image into the preview folder and return its relative path
+  copyImage(imagePath, imagesDir) {
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      console.warn(`Preview image not found: ${imagePath}`);
+      return null;
+    }
+
+    const filename = path.basename(imagePath);
+    fs.copyFileSync(imagePath, path.join(imagesDir, filename));
+    return `images/${filename}`;
+  }
+
+  // Render Gutenberg markup as a standalone HTML page
+  renderHtml(postData, content, featuredImage) {
+    const body = content
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(postData.title)}</title>
+<style>
+  body { max-width: 760px; margin: 40px auto; padding: 0 20px; font-family: Georgia, serif; line-height: 1.6; color: #222; }
+  img { max-width: 100%; height: auto; }
+  figure { margin: 24px 0; text-align: center; }
+  .excerpt { color: #666; font-style: italic; }
+  .preview-banner { background: #fff4d6; border: 1px solid #e6c86e; padding: 8px 12px; font-family: sans-serif; font-size: 14px; }
+</style>
+</head>
+<body>
+<p class="preview-banner">Preview only - this post was not published. Tags: ${this.escapeHtml((postData.tags || []).join(', '))}</p>
+<h1>${this.escapeHtml(postData.title)}</h1>
+<p class="excerpt">${this.escapeHtml(postData.excerpt || '')}</p>
+${featuredImage ? `<figure><img src="${featuredImage}" alt="${this.escapeHtml(postData.featuredImageAlt || postData.imageAlt || postData.title)}" /></figure>\n` : ''}${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write a post preview to disk
+   * Images are mapped to placeholders the same way WordPressService.createTravelPost does it
+   * @param {Object} postData - WordPress payload (title, content, excerpt, featuredImagePath, images, tags)
+   * @param {Object} options - { name: folder name hint, outputDir: override base folder, meta: extra info }
+   * @returns {Object} Paths of the written files
+   */
+  writePreview(postData, options = {}) {
+    const baseDir = options.outputDir || this.outputDir;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const previewDir = path.join(baseDir, `${stamp}_${this.slugify(options.name || postData.title)}`);
+    const imagesDir = path.join(previewDir, 'images');
+    fs.mkdirSync(imagesDir, { recursive: true });
+
+    // Copy images and replace placeholders with local paths
+    const featuredImage = this.copyImage(postData.featuredImagePath, imagesDir);
+    const images = (postData.images || []).map(image => ({
+      ...image,
+      previewPath: this.copyImage(image.path, imagesDir)
+    }));
+
+    let renderedContent = postData.content;
+    images.forEach((image, index) => {
+      if (image.previewPath) {
+        renderedContent = renderedContent.replace(`IMAGE_PLACEHOLDER_${index + 1}`, image.previewPath);
+      }
+    });
+    if (featuredImage && renderedContent.includes('IMAGE_PLACEHOLDER')) {
+      renderedContent = renderedContent.replace('IMAGE_PLACEHOLDER', featuredImage);
+    }
+
+    // Gutenberg markup exactly as it would be sent to WordPress
+    const markupPath = path.join(previewDir, 'post.gutenberg.html');
+    fs.writeFileSync(markupPath, postData.content);
+
+    const htmlPath = path.join(previewDir, 'post.html');
+    fs.writeFileSync(htmlPath, this.renderHtml(postData, renderedContent, featuredImage));
+
+    const metaPath = path.join(previewDir, 'post.json');
+    fs.writeFileSync(metaPath, JSON.stringify({
+      title: postData.title,
+      excerpt: postData.excerpt,
+      status: postData.status,
+      categories: postData.categories,
+      tags: postData.tags,
+      featuredImage: featuredImage,
+      images: images.map(image => ({
+        file: image.previewPath,
+        title: image.title,
+        caption: image.caption,
+        alt: image.alt
+      })),
+      generatedAt: new Date().toISOString(),
+      ...(options.meta || {})
+    }, null, 2));
+
+    console.log(`👀 Preview written to: ${previewDir}`);
+
+    return {
+      dir: previewDir,
+      markupPath,
+      htmlPath,
+      metaPath
+    };
+  }
+}
+
+module.exports = new PreviewWriter();
@@ -0,0 +1,85 @@
+/**
+ * RatesFile.js
+ *
+ * Reads exchange rate files into the exchange_rates table (units of a
+ * currency per euro, by date). Two formats are understood, plain or gzipped:
+ * - the bundled database/rates/eur_rates.csv (date,currency,rate: one rate per line)
+ * - the reference rates of the European Central Bank, eurofxref-hist.csv or
+ *   eurofxref.csv (Date,USD,JPY,...: one date per line, N/A where there is no rate)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Rows per INSERT statement
+const batchSize = 100;
+
+class RatesFile {
+  constructor() {
+    this.bundledPath = path.join(__dirname, '../../database/rates/eur_rates.csv');
+  }
+
+  /**
+   * Read a rates file
+   * @param {string} filePath - File path (.gz is decompressed)
+   * @returns {Promise<Object[]>} Rates { currency, date (YYYY-MM-DD), rate (units per euro) }
+   */
+  async read(filePath) {
+    let data = await fs.promises.readFile(filePath);
+    if (filePath.endsWith('.gz')) data = zlib.gunzipSync(data);
+
+    const lines = data.toString('utf8').split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim());
+    if (header.join(',').toLowerCase() === 'date,currency,rate') {
+      return lines.slice(1).map(line => this.parseRate(...line.split(','))).filter(Boolean);
+    }
+    if (header[0].toLowerCase() !== 'date') return [];
+
+    // One column per currency (ECB)
+    return lines.slice(1).flatMap(line => {
+      const columns = line.split(',');
+      return header.slice(1).map((currency, index) => this.parseRate(columns[0], currency, columns[index + 1]));
+    }).filter(Boolean);
+  }
+
+  // One rate (null for missing rates and unknown dates)
+  parseRate(date, currency, rate) {
+    const code = String(currency || '').trim().toUpperCase();
+    const value = parseFloat(rate);
+    const day = this.parseDate(date);
+    if (!/^[A-Z]{3}$/.test(code) || !(value > 0) || !day) return null;
+    return { currency: code, date: day, rate: value };
+  }
+
+  // YYYY-MM-DD of "2025-01-02" or "2 January 2025" (eurofxref.csv)
+  parseDate(date) {
+    const text = String(date || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    const parsed = new Date(`${text} UTC`);
+    return isNaN(parsed) ? null : parsed.toISOString().split('T')[0];
+  }
+
+  /**
+   * Add rates to the exchange_rates table (rates of the same currency and date are replaced)
+   * @param {Object} db - Database handle with run(sql, params) (a migration's db or src/db Database)
+   * @param {Object[]} rates - Rates from read()
+   * @param {string} source - Where the rates come from (file name)
+   */
+  async insertRates(db, rates, source) {
+    for (let i = 0; i < rates.length; i += batchSize) {
+      const batch = rates.slice(i, i + batchSize);
+      await db.run(
+        `INSERT OR REPLACE INTO exchange_rates (currency, rate_date, rate, source)
+         VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}`,
+        batch.flatMap(rate => [rate.currency, rate.date, rate.rate, source])
+      );
+    }
+  }
+}
+
+module.exports = new RatesFile();
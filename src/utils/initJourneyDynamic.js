@@ -6,79 +6,80 @@
  */
 
 require('dotenv').config();
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
-const path = require('path');
 const TravelPlannerService = require('../services/TravelPlannerService');
+const SettingsService = require('../services/SettingsService');
+const ItineraryService = require('../services/ItineraryService');
+const SeasonService = require('../services/SeasonService');
+const { Database, locations } = require('../db');
 
+/**
+ * Create the first location of the journey
+ * @returns {Promise<boolean>} Whether the journey is initialized (true if it already was)
+ */
 async function initializeDynamicJourney() {
-  // Open database connection
-  const db = await open({
-    filename: process.env.DB_PATH || path.join(__dirname, '..', '..', 'database', 'giovanni.db'),
-    driver: sqlite3.Database
-  });
-  
   try {
     // Check if journey is already initialized
-    const existingLocations = await db.get('SELECT COUNT(*) as count FROM locations');
-    if (existingLocations.count > 0) {
+    if (await locations.count() > 0) {
       console.log('Journey appears to be already initialized. Locations found in the database.');
       console.log('If you want to reinitialize, clear the database first.');
-      return;
+      return true;
     }
     
     console.log('Initializing dynamic journey...');
     
-    // Select first city (Serbia as starting country)
-    const firstCity = await TravelPlannerService.selectNextCity(null);
+    // Set start date and duration
+    const startDate = new Date();
+    const plannedDuration = await SettingsService.get('planned_stay_max_days'); // Longest stay in the first city
+    
+    // Select first city (Serbia as starting country), in season for the first stay
+    const firstCity = await TravelPlannerService.selectNextCity(null, { stay: SeasonService.getStayWindow(startDate, plannedDuration) });
     
     console.log(`Selected first destination: ${firstCity.name}, ${firstCity.country}`);
     
-    // Set start date and duration
-    const startDate = new Date();
-    const plannedDuration = 14; // 2 weeks in first city
     const departureDate = new Date(startDate);
     departureDate.setDate(departureDate.getDate() + plannedDuration);
     
     // Save city to database
-    await db.run(`
-      INSERT INTO locations (
-        name, country, region, lat, lng, timezone, currency, language,
-        is_current, planned_arrival, planned_departure, planned_duration, current_day,
-        order_in_journey
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      firstCity.name,
-      firstCity.country,
-      firstCity.region || '',
-      firstCity.lat,
-      firstCity.lng,
-      firstCity.timezone,
-      firstCity.currency,
-      firstCity.language,
-      1, // is_current = true
-      startDate.toISOString().split('T')[0],
-      departureDate.toISOString().split('T')[0],
-      plannedDuration,
-      1, // current_day = 1
-      1  // order_in_journey = 1
-    ]);
+    await locations.insert({
+      ...firstCity,
+      is_current: true,
+      planned_arrival: startDate.toISOString().split('T')[0],
+      planned_departure: departureDate.toISOString().split('T')[0],
+      planned_duration: plannedDuration,
+      current_day: 1,
+      order_in_journey: 1
+    });
+    
+    // Plan the cities after the first one (the next move plans them otherwise)
+    try {
+      const stops = await ItineraryService.plan();
+      console.log(`Planned ${stops.length} cities ahead`);
+    } catch (error) {
+      console.warn(`Could not plan the itinerary ahead: ${error.message}`);
+    }
     
     console.log('Dynamic journey initialization completed successfully!');
     console.log(`Giovanni's journey begins in ${firstCity.name}, ${firstCity.country}`);
-    
+    return true;
   } catch (error) {
     console.error('Error initializing dynamic journey:', error.message);
-  } finally {
-    await db.close();
+    return false;
   }
 }
 
-// Run initialization
-initializeDynamicJourney()
-  .then(() => {
-    console.log('Dynamic journey initialization script finished.');
-  })
-  .catch(error => {
-    console.error('Unhandled error:', error);
-  });
+// Export the function for use in other modules
+module.exports = { initializeDynamicJourney };
+
+// Run initialization only if this file is executed directly
+if (require.main === module) {
+  initializeDynamicJourney()
+    .then(success => {
+      console.log('Dynamic journey initialization script finished.');
+      process.exitCode = success ? 0 : 1;
+    })
+    .catch(error => {
+      console.error('Unhandled error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => Database.close());
+}
@@ -0,0 +1,37 @@
+/**
+ * logger.js
+ *
+ * Shared winston logger for the service and the CLI: console output plus
+ * logs/error.log and logs/combined.log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const logsDir = path.join(__dirname, '..', '..', 'logs');
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} ${level}: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: path.join(logsDir, 'error.log'),
+      level: 'error'
+    }),
+    new winston.transports.File({
+      filename: path.join(logsDir, 'combined.log')
+    })
+  ]
+});
+
+module.exports = logger;
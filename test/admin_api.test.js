@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+process.env.ADMIN_API_HOST = '';
+const AdminApiService = require('../src/services/AdminApiService');
+
+const token = 'test-token';
+let baseUrl;
+const started = [];
+
+// Send a request to the API with the token
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  await migrate();
+  AdminApiService.token = token;
+  AdminApiService.port = 0;
+  const server = await quietly(() => AdminApiService.start({
+    getActiveTask: () => null,
+    generatePost: () => {
+      started.push('daily');
+      return Promise.resolve(true);
+    }
+  }));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await AdminApiService.stop();
+  await cleanup(dir);
+});
+
+test('listens on this machine only unless ADMIN_API_HOST is set', () => {
+  assert.equal(AdminApiService.host, '127.0.0.1');
+  assert.equal(AdminApiService.server.address().address, '127.0.0.1');
+});
+
+test('requests without the token are refused', async () => {
+  const response = await fetch(`${baseUrl}/api/settings`);
+  assert.equal(response.status, 401);
+});
+
+test('a body that is not a JSON object is a bad request', async () => {
+  for (const body of ['null', '[]', '"daily"', '42', '{broken']) {
+    const response = await request('POST', '/api/posts', body);
+    assert.equal(response.status, 400, body);
+  }
+  for (const body of ['null', '[1]']) {
+    const response = await request('PUT', '/api/settings/itinerary_length', body);
+    assert.equal(response.status, 400, body);
+  }
+  assert.deepEqual(started, []);
+});
+
+test('a malformed setting key is a bad request', async () => {
+  assert.equal((await request('GET', '/api/settings/%E0')).status, 400);
+  assert.equal((await request('PUT', '/api/settings/%E0', '{"value": 4}')).status, 400);
+});
+
+test('settings are read and changed by their key', async () => {
+  const updated = await quietly(() => request('PUT', '/api/settings/itinerary_length', '{"value": 4}'));
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.value, '4');
+
+  assert.equal((await request('GET', '/api/settings/itinerary_length')).body.value, '4');
+  assert.equal((await request('GET', '/api/settings/no_such_setting')).status, 404);
+  assert.equal((await request('PUT', '/api/settings/itinerary_length', '{"value": "many"}')).status, 400);
+
+  const inverted = await request('PUT', '/api/settings/planned_stay_min_days', '{"value": 20}');
+  assert.equal(inverted.status, 400);
+  assert.match(inverted.body.error, /must not be greater than planned_stay_max_days/);
+});
+
+test('a post is started with an empty body', async () => {
+  const response = await request('POST', '/api/posts');
+  assert.equal(response.status, 202);
+  assert.deepEqual(started, ['daily']);
+});
@@ -0,0 +1,78 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const ApiCacheService = require('../src/services/ApiCacheService');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Counters and entries of one API
+async function statsOf(api) {
+  return (await ApiCacheService.getStats()).find(stats => stats.api === api);
+}
+
+before(migrate);
+after(() => cleanup(dir));
+// The clock starts on 1 May 2025 and only moves when a test moves it
+beforeEach(async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2025-05-01T10:00:00Z') });
+  await ApiCacheService.purge({ resetStats: true });
+});
+afterEach(() => mock.timers.reset());
+
+test('a stored response is a hit, an unknown request a miss', async () => {
+  await ApiCacheService.set('tripadvisor', { city: 'Kotor', type: 'restaurants' }, [{ name: 'Galion' }]);
+  // A cached "nothing found"
+  await ApiCacheService.set('tripadvisor', 'Perast', null);
+
+  assert.deepEqual(await ApiCacheService.get('tripadvisor', { city: 'Kotor', type: 'restaurants' }), [{ name: 'Galion' }]);
+  assert.equal(await ApiCacheService.get('tripadvisor', 'Perast'), null);
+  assert.equal(await ApiCacheService.get('tripadvisor', 'Budva'), undefined);
+  // Every API has its own entries
+  assert.equal(await ApiCacheService.get('website_finder', 'Perast'), undefined);
+});
+
+test('a response is a miss once the TTL of its API has passed', async () => {
+  await ApiCacheService.set('tripadvisor', 'Kotor', ['Galion']);
+  await ApiCacheService.set('city_specialty', 'Kotor', 'cats');
+
+  // tripadvisor keeps responses for 7 days, city_specialty for 30
+  mock.timers.tick(7 * dayMs + 1000);
+  assert.equal(await ApiCacheService.get('tripadvisor', 'Kotor'), undefined);
+  assert.equal(await ApiCacheService.get('city_specialty', 'Kotor'), 'cats');
+  assert.equal((await statsOf('tripadvisor')).expired, 1);
+});
+
+test('the counters add up the hits and misses of each API', async () => {
+  await ApiCacheService.set('website_finder', 'Galion', 'https://galion.test');
+  await ApiCacheService.get('website_finder', 'Galion');
+  await ApiCacheService.get('website_finder', 'Galion');
+  await ApiCacheService.get('website_finder', 'Konoba');
+
+  assert.deepEqual(await statsOf('website_finder'), {
+    api: 'website_finder', ttlDays: 30, entries: 1, expired: 0, hits: 2, misses: 1, hitRate: 2 / 3
+  });
+  // APIs without lookups have no hit rate
+  assert.equal((await statsOf('accommodation_finder')).hitRate, null);
+});
+
+test('purge deletes the entries of one API, or only the expired ones', async () => {
+  await ApiCacheService.set('tripadvisor', 'Kotor', ['Galion']);
+  await ApiCacheService.set('tripadvisor', 'Budva', ['Jadran'], 1);
+  await ApiCacheService.set('website_finder', 'Galion', 'https://galion.test');
+  await ApiCacheService.get('tripadvisor', 'Kotor');
+  mock.timers.tick(2 * dayMs);
+
+  assert.equal(await ApiCacheService.purge({ expiredOnly: true }), 1);
+  assert.deepEqual(await ApiCacheService.get('tripadvisor', 'Kotor'), ['Galion']);
+
+  assert.equal(await ApiCacheService.purge({ api: 'tripadvisor' }), 1);
+  assert.equal(await ApiCacheService.get('tripadvisor', 'Kotor'), undefined);
+  assert.equal(await ApiCacheService.get('website_finder', 'Galion'), 'https://galion.test');
+  // The counters stay unless they are reset
+  assert.equal((await statsOf('tripadvisor')).hits, 2);
+  await ApiCacheService.purge({ api: 'tripadvisor', resetStats: true });
+  assert.equal((await statsOf('tripadvisor')).hits, 0);
+  assert.equal((await statsOf('website_finder')).hits, 1);
+});
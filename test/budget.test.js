@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const BudgetService = require('../src/services/BudgetService');
+const TransportService = require('../src/services/TransportService');
+const { Database, locations, transportation } = require('../src/db');
+
+// A day of a post in a city, recorded in the ledger
+let postId = 0;
+async function recordDay(location, day, date) {
+  postId++;
+  await BudgetService.recordDay(postId, await BudgetService.estimateDay(location, { ...day, date }), date);
+}
+
+// Amounts of the ledger, in the order they were recorded
+async function ledger() {
+  const rows = await Database.all('SELECT category, description, amount, currency, amount_eur FROM expenses ORDER BY id');
+  return rows.map(row => ({ ...row }));
+}
+
+// A day in Novi Sad (cost of living 55, dinars), the train to Zurich and a day there (150, francs),
+// at the bundled rates of 2 January 2025
+let noviSad;
+let zurich;
+before(async () => {
+  await migrate();
+  const noviSadId = await locations.insert({ name: 'Novi Sad', country: 'Serbia', lat: 45.2671, lng: 19.8335, currency: 'RSD', order_in_journey: 1 });
+  const zurichId = await locations.insert({ name: 'Zurich', country: 'Switzerland', lat: 47.3769, lng: 8.5417, currency: 'CHF', order_in_journey: 2 });
+  noviSad = await locations.getById(noviSadId);
+  zurich = await locations.getById(zurichId);
+
+  await recordDay(noviSad, {
+    restaurant: { id: 11, name: 'Ribarska', price_level: 2 },
+    attraction: { id: 12, name: 'Petrovaradin Fortress' }
+  }, '2025-03-09');
+
+  const journey = TransportService.schedule([TransportService.buildSegment('train', noviSad, zurich, 1100)], new Date('2025-03-10T07:00:00Z'));
+  // A round fare of 120 euros
+  const rows = TransportService.toRows(journey, { from_location_id: noviSad.id, to_location_id: zurich.id })
+    .map(row => ({ ...row, price: 120 }));
+  for (const row of rows) {
+    row.id = await transportation.insert(row);
+  }
+  await BudgetService.recordJourney(rows, noviSad);
+
+  await recordDay(zurich, {
+    restaurant: { id: 21, name: 'Zeughauskeller', price_level: 2 },
+    attraction: { id: 22, name: 'Lindenhof park' }
+  }, '2025-03-11');
+});
+after(() => cleanup(dir));
+
+test('expenses are recorded in the local currency and in euros, priced by the cost of living', async () => {
+  assert.deepEqual(await ledger(), [
+    { category: 'accommodation', description: 'Night in Novi Sad', amount: 4508, currency: 'RSD', amount_eur: 38.5 },
+    { category: 'meal', description: 'Meal at Ribarska', amount: 1417, currency: 'RSD', amount_eur: 12.1 },
+    { category: 'entrance', description: 'Entrance to Petrovaradin Fortress', amount: 644, currency: 'RSD', amount_eur: 5.5 },
+    // The ticket is paid in the currency of the city left
+    { category: 'transport', description: 'train from Novi Sad to Zurich', amount: 14050, currency: 'RSD', amount_eur: 120 },
+    // The park is free
+    { category: 'accommodation', description: 'Night in Zurich', amount: 98.65, currency: 'CHF', amount_eur: 105 },
+    { category: 'meal', description: 'Meal at Zeughauskeller', amount: 31, currency: 'CHF', amount_eur: 33 }
+  ]);
+});
+
+test('the running totals add up the ledger, by category and by country', async () => {
+  assert.deepEqual(await BudgetService.getTotals(), {
+    totalEur: 314.1,
+    nights: 2,
+    days: 3,
+    perDayEur: 104.7,
+    firstDay: '2025-03-09',
+    lastDay: '2025-03-11',
+    byCategory: { transport: 120, accommodation: 143.5, meal: 45.1, entrance: 5.5 }
+  });
+  assert.deepEqual(await BudgetService.getTotalsByCountry(), [
+    { country: 'Serbia', currency: 'RSD', total: 20619, totalEur: 176.1, nights: 1 },
+    { country: 'Switzerland', currency: 'CHF', total: 129.65, totalEur: 138, nights: 1 }
+  ]);
+  assert.equal((await BudgetService.getTotals({ locationId: zurich.id })).totalEur, 138);
+});
@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const CatchUpService = require('../src/services/CatchUpService');
+const PostGeneratorService = require('../src/services/PostGeneratorService');
+const { Database, locations, places } = require('../src/db');
+
+const daily = '0 8 * * *';
+
+// A post published at a moment (ISO string or SQLite timestamp)
+let slug = 0;
+async function addPost(publishedAt) {
+  slug++;
+  await Database.run(`
+    INSERT INTO posts (title, slug, content, type, published_at)
+    VALUES ('Day', ?, 'Text', 'daily', ?)
+  `, [`day-${slug}`, publishedAt]);
+}
+
+before(migrate);
+after(() => cleanup(dir));
+beforeEach(() => Database.run('DELETE FROM posts'));
+
+test('nothing is missed before the first post', async () => {
+  const { missedDates } = await CatchUpService.findMissedRuns(daily, 'Europe/Belgrade', new Date('2025-03-31T12:00:00Z'));
+  assert.deepEqual(missedDates, []);
+});
+
+test('missed days keep the local hour of the schedule across a daylight saving change', async () => {
+  // 08:00 in Belgrade; clocks go forward on 30 March 2025
+  await addPost('2025-03-27T07:00:00.000Z');
+
+  const { missedDates } = await CatchUpService.findMissedRuns(daily, 'Europe/Belgrade', new Date('2025-03-31T12:00:00Z'));
+  assert.deepEqual(missedDates.map(date => date.toISOString()), [
+    '2025-03-28T07:00:00.000Z',
+    '2025-03-29T07:00:00.000Z',
+    '2025-03-30T06:00:00.000Z',
+    '2025-03-31T06:00:00.000Z'
+  ]);
+});
+
+test('a run that is not due yet is not missed', async () => {
+  await addPost('2025-03-27T07:00:00.000Z');
+
+  const { missedDates } = await CatchUpService.findMissedRuns(daily, 'Europe/Belgrade', new Date('2025-03-28T06:59:00Z'));
+  assert.deepEqual(missedDates, []);
+});
+
+test('the cap keeps the most recent missed days', async () => {
+  await addPost('2025-03-27T07:00:00.000Z');
+  const now = new Date('2025-03-31T12:00:00Z');
+
+  const next = await CatchUpService.getNextMissedRun(daily, 'Europe/Belgrade', 3, now);
+  assert.deepEqual(next, { publishDate: new Date('2025-03-29T07:00:00.000Z'), missedCount: 4, skippedCount: 1 });
+
+  assert.equal((await CatchUpService.getNextMissedRun(daily, 'Europe/Belgrade', 10, now)).skippedCount, 0);
+  assert.equal(await CatchUpService.getNextMissedRun(daily, 'Europe/Belgrade', 0, now), null);
+});
+
+test('after a move west the schedule does not post twice on the same local day', async () => {
+  // 08:00 in Athens, then the schedule follows Giovanni to Lisbon, where it is still 06:00
+  await addPost('2025-06-01T05:00:00.000Z');
+  const now = new Date('2025-06-01T12:00:00Z');
+
+  const { missedDates } = await CatchUpService.findMissedRuns(daily, 'Europe/Lisbon', now);
+  assert.deepEqual(missedDates, []);
+  assert.equal(await CatchUpService.hasPostOnLocalDay(new Date('2025-06-01T07:00:00Z'), daily, 'Europe/Lisbon'), true);
+  assert.equal(await CatchUpService.hasPostOnLocalDay(new Date('2025-06-02T07:00:00Z'), daily, 'Europe/Lisbon'), false);
+});
+
+test('SQLite timestamps are read as UTC', async () => {
+  await addPost('2025-03-27 07:00:00');
+  assert.deepEqual(await CatchUpService.getLastPublishedAt(), new Date('2025-03-27T07:00:00Z'));
+  assert.equal(CatchUpService.parseTimestamp('not a date'), null);
+});
+
+test('a backdated post marks its places visited on its own day', async () => {
+  const locationId = await locations.insert({
+    name: 'Novi Sad', country: 'Serbia', lat: 45.2671, lng: 19.8335, timezone: 'Europe/Belgrade',
+    currency: 'RSD', language: 'Serbian', is_current: true, planned_arrival: '2025-03-20',
+    planned_duration: 12, current_day: 4, order_in_journey: 1
+  });
+  const restaurantId = await places.insert({ location_id: locationId, name: 'Ribarska', type: 'restaurant' });
+  const attractionId = await places.insert({ location_id: locationId, name: 'Petrovaradin Fortress', type: 'attraction' });
+
+  const postData = {
+    location: await locations.getById(locationId),
+    restaurant: { id: restaurantId },
+    attraction: { id: attractionId },
+    weather: { temperature: 14, description: 'clear sky' },
+    images: { location: { path: 'a.jpg' }, food: {}, attraction: {} },
+    budget: { items: [], todayEur: 0 },
+    publishDate: '2025-03-28T07:00:00.000Z'
+  };
+  await quietly(() => PostGeneratorService.savePostInfoToDatabase(
+    postData,
+    { title: 'Day 4', content: 'Text', excerpt: '' },
+    { post: { id: 9001, slug: 'day-4' }, uploadedImages: [] }
+  ));
+
+  const visits = await Database.all('SELECT poi_id, visit_date FROM visits ORDER BY poi_id');
+  assert.deepEqual(visits.map(visit => ({ ...visit })), [
+    { poi_id: restaurantId, visit_date: '2025-03-28' },
+    { poi_id: attractionId, visit_date: '2025-03-28' }
+  ]);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const cli = require('../src/cli');
+const exitCodes = require('../src/cli/exitCodes');
+const PostRunLedgerService = require('../src/services/PostRunLedgerService');
+
+// Run the CLI and collect what it prints
+async function runCli(...argv) {
+  const output = [];
+  const { log, error } = console;
+  console.log = message => output.push(String(message));
+  console.error = message => output.push(String(message));
+  try {
+    const exitCode = await cli.run(argv, { cwd: dir });
+    return { exitCode, output: output.join('\n') };
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+before(migrate);
+after(() => cleanup(dir));
+
+test('post runs and previews are commands of the CLI', async () => {
+  const names = cli.commands.map(command => command.name);
+  assert.ok(names.includes('runs'));
+  assert.ok(names.includes('preview'));
+
+  const { exitCode, output } = await runCli('--help');
+  assert.equal(exitCode, exitCodes.SUCCESS);
+  assert.match(output, /runs\s+List, inspect, resume or abandon daily post runs/);
+});
+
+test('runs list, show and abandon work on the run ledger', async () => {
+  const run = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', { id: 1, name: 'Novi Sad', current_day: 3 }));
+  await PostRunLedgerService.saveCheckpoint(run.id, 'prepare', { restaurant: 'Ribarska' });
+  await PostRunLedgerService.markFailed(run.id, 'sections', 'OpenAI timeout');
+
+  const list = await runCli('runs', 'list', '--json');
+  assert.equal(list.exitCode, exitCodes.SUCCESS);
+  assert.deepEqual(JSON.parse(list.output).map(row => [row.id, row.status, row.completed_stages]), [[run.id, 'failed', 1]]);
+
+  const show = await runCli('runs', 'show', String(run.id));
+  assert.equal(show.exitCode, exitCodes.SUCCESS);
+  assert.match(show.output, /Error at "sections": OpenAI timeout/);
+  assert.match(show.output, /prepare: {"restaurant":"Ribarska"}/);
+
+  assert.equal((await runCli('runs', 'abandon', String(run.id))).exitCode, exitCodes.SUCCESS);
+  assert.equal((await runCli('runs', 'abandon', String(run.id))).exitCode, exitCodes.FAILURE);
+  assert.equal((await PostRunLedgerService.getRun(run.id)).status, 'abandoned');
+});
+
+test('invalid arguments of runs and preview are usage errors', async () => {
+  for (const argv of [
+    ['runs'],
+    ['runs', 'restart'],
+    ['runs', 'show'],
+    ['runs', 'show', 'x'],
+    ['runs', 'list', 'extra'],
+    ['runs', 'list', '--limit', '0'],
+    ['preview', 'weekly'],
+    ['preview', 'daily', 'extra']
+  ]) {
+    assert.equal((await runCli(...argv)).exitCode, exitCodes.USAGE, argv.join(' '));
+  }
+});
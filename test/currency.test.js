@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const CurrencyService = require('../src/services/CurrencyService');
+const CountryRegistry = require('../src/utils/CountryRegistry');
+const RatesFile = require('../src/utils/RatesFile');
+
+// Write a rates file to the test folder
+function writeRates(file, text) {
+  const filePath = path.join(dir, file);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+// The migrations load the bundled rates of 2 January 2025
+before(migrate);
+after(() => cleanup(dir));
+
+test('the bundled rates are those of the currencies in the country registry', async () => {
+  const registryCurrencies = [...new Set(CountryRegistry.list().map(country => country.currency))]
+    .filter(currency => currency !== 'EUR')
+    .sort();
+  const bundledCurrencies = (await RatesFile.read(RatesFile.bundledPath)).map(rate => rate.currency).sort();
+  assert.deepEqual(bundledCurrencies, registryCurrencies);
+});
+
+test('an amount is converted at the rate of its day, or the latest before it', async () => {
+  await CurrencyService.importFile(writeRates('rsd.csv', 'date,currency,rate\n2025-03-03,RSD,117.0\n2025-04-01,RSD,117.2\n'));
+
+  assert.equal(await CurrencyService.getRate('RSD', '2025-03-02'), 117.08);
+  assert.equal(await CurrencyService.getRate('RSD', '2025-03-03'), 117.0);
+  assert.equal(await CurrencyService.getRate('rsd', new Date('2025-03-31T22:00:00Z')), 117.0);
+  assert.equal(await CurrencyService.getRate('RSD', '2026-10-19'), 117.2);
+  // Days before all the rates take the earliest one
+  assert.equal(await CurrencyService.getRate('RSD', '2024-06-01'), 117.08);
+
+  assert.equal(await CurrencyService.toEur(1404, 'RSD', '2025-03-10'), 12);
+  assert.equal(await CurrencyService.fromEur(12, 'RSD', '2025-04-02'), 1406);
+  assert.equal(await CurrencyService.convert(1000, 'HUF', 'RSD', '2025-04-02'), 284);
+  assert.equal(await CurrencyService.fromEur(12, 'CHF', '2025-04-02'), 11.27);
+});
+
+test('the reference rates of the ECB are imported by date, skipping missing rates', async () => {
+  const count = await CurrencyService.importFile(writeRates('eurofxref-hist.csv', [
+    'Date,USD,HUF,RON,ISK,',
+    '2025-05-02,1.1301,404.35,4.9773,N/A,',
+    '2025-05-05,1.1324,405.1,5.0,143.9,'
+  ].join('\n')));
+  assert.equal(count, 7);
+
+  assert.equal(await CurrencyService.getRate('HUF', '2025-05-04'), 404.35);
+  assert.equal(await CurrencyService.getRate('ISK', '2025-05-04'), 144.9);
+  assert.equal(await CurrencyService.getRate('ISK', '2025-05-05'), 143.9);
+  assert.equal(await CurrencyService.describe(4051, 'HUF', '2025-05-05'), '4051 HUF (about €10)');
+});
+
+test('amounts of an unknown currency are refused, or described without euros', async () => {
+  await assert.rejects(CurrencyService.getRate('XYZ', '2025-05-05'), { code: 'UNKNOWN_CURRENCY' });
+  assert.equal(await CurrencyService.describe(40, 'XYZ', '2025-05-05'), '40 XYZ');
+  assert.equal(await CurrencyService.describe(8.5, 'EUR'), '€8.50');
+  await assert.rejects(CurrencyService.importFile(writeRates('empty.csv', 'date,currency,rate\n')), { code: 'INVALID_RATES' });
+});
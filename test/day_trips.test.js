@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const DayTripService = require('../src/services/DayTripService');
+const PostGeneratorService = require('../src/services/PostGeneratorService');
+const TravelPlannerService = require('../src/services/TravelPlannerService');
+const WeatherService = require('../src/services/WeatherService');
+const AccommodationFinderService = require('../src/services/AccommodationFinderService');
+const SettingsService = require('../src/services/SettingsService');
+const { Database, locations, posts, transportation, dayTrips } = require('../src/db');
+
+// Answers of the APIs a post is prepared with
+WeatherService.getWeatherByCity = async () => ({ temperature: 21, description: 'sunny' });
+WeatherService.getYesterdayWeatherByCity = async () => ({ temperature: 19, description: 'cloudy' });
+AccommodationFinderService.findAccommodation = async name => ({ name: `Rooms ${name}`, pricePerNight: 50, currency: 'EUR' });
+TravelPlannerService.generateAttractions = async town => [{ name: `Old Fort of ${town}`, weekdayHours: '9:00-17:00' }];
+TravelPlannerService.generateRestaurants = async town => [{ name: `Konoba ${town}`, weekdayHours: '12:00-22:00' }];
+
+// Rows of the tables a post stores what it finds in
+async function storedRows() {
+  const counts = {};
+  for (const table of ['day_trips', 'points_of_interest', 'accommodations', 'transportation', 'expenses']) {
+    counts[table] = (await Database.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+  }
+  return counts;
+}
+
+let split;
+before(async () => {
+  await migrate();
+  const bari = await locations.insert({ name: 'Bari', country: 'Italy', lat: 41.1171, lng: 16.8719, order_in_journey: 1 });
+  const splitId = await locations.insert({
+    name: 'Split', country: 'Croatia', lat: 43.5081, lng: 16.4402, order_in_journey: 2,
+    timezone: 'Europe/Zagreb', currency: 'EUR', planned_duration: 10
+  });
+  await Database.run('UPDATE locations SET is_visited = 1 WHERE id = ?', [bari]);
+  await Database.run('UPDATE locations SET is_current = 1, current_day = 4 WHERE id = ?', [splitId]);
+  // The journey to Split
+  await transportation.insert({
+    from_location_id: bari, to_location_id: splitId, type: 'ferry', distance_km: 300, price: 60, currency: 'EUR',
+    departure_time: '2025-05-01T18:00:00.000Z', arrival_time: '2025-05-02T06:00:00.000Z'
+  });
+  split = await locations.getById(splitId);
+});
+after(() => cleanup(dir));
+beforeEach(() => SettingsService.setSetting('day_trip_chance', '100'));
+
+test('no day trip on the day of arrival, on the last day or with a chance of 0', async () => {
+  assert.equal(await DayTripService.isDayTripDay(split), true);
+  assert.equal(await DayTripService.isDayTripDay({ ...split, current_day: 1 }), false);
+  assert.equal(await DayTripService.isDayTripDay({ ...split, current_day: 10 }), false);
+
+  await SettingsService.setSetting('day_trip_chance', '0');
+  assert.equal(await DayTripService.isDayTripDay(split), false);
+});
+
+test('the town is a nearby town of the country, and the way there and back starts and ends in the city', async () => {
+  const trip = await quietly(() => DayTripService.plan(split, '2025-05-06', { dryRun: true }));
+
+  assert.equal(trip.id, null);
+  assert.equal(trip.country, 'Croatia');
+  assert.ok(trip.distanceKm >= 10 && trip.distanceKm <= 60, `${trip.name}: ${trip.distanceKm} km`);
+  assert.notEqual(trip.name, 'Split');
+
+  assert.ok(trip.rows.length >= 2);
+  assert.ok(trip.rows.every(row => row.from_location_id === split.id && row.to_location_id === split.id));
+  assert.deepEqual(trip.rows.map(row => row.segment), trip.rows.map((row, index) => index + 1));
+  // 9:00 in Split (UTC+2 in May)
+  assert.equal(trip.rows[0].departure_time, '2025-05-06T07:00:00.000Z');
+  assert.equal(trip.rows[0].from_name, 'Split');
+  assert.equal(trip.rows[trip.rows.length - 1].to_name, 'Split');
+  assert.equal(trip.priceEur, trip.rows.reduce((total, row) => total + row.price, 0));
+  assert.equal((await storedRows()).day_trips, 0);
+});
+
+test('a planned trip is kept until it is made, and its legs stay out of the journey', async () => {
+  const trip = await quietly(() => DayTripService.plan(split, '2025-05-06'));
+  assert.ok(trip.id);
+  const again = await quietly(() => DayTripService.plan(split, '2025-05-06'));
+  assert.equal(again.id, trip.id);
+
+  await quietly(() => DayTripService.record(trip, split, '2025-05-06'));
+  const made = await dayTrips.getLatestMade(split.id);
+  assert.equal(made.id, trip.id);
+  assert.equal(made.day_number, 4);
+  // The day after a trip is spent in the city
+  assert.equal(await DayTripService.isDayTripDay({ ...split, current_day: 5 }), false);
+
+  const legs = await Database.all('SELECT * FROM transportation WHERE day_trip_id = ?', [trip.id]);
+  assert.equal(legs.length, trip.rows.length);
+  const tickets = await Database.all("SELECT * FROM expenses WHERE category = 'transport' AND transportation_id IN (SELECT id FROM transportation WHERE day_trip_id = ?)", [trip.id]);
+  assert.equal(tickets.length, legs.length);
+
+  assert.equal(await transportation.getTotalDistance(new Date('2025-06-01')), 300);
+  assert.equal((await posts.getCounts()).total_distance_km, 300);
+  assert.equal((await transportation.getBetween(split.id, split.id)), null);
+});
+
+test('a preview prepares a day trip, its places and the accommodation without storing them', async () => {
+  const before = await storedRows();
+  const postData = await quietly(() => PostGeneratorService.prepareBaseData(split, new Date('2025-05-08T06:00:00Z'), { dryRun: true }));
+
+  assert.ok(postData.dayTrip);
+  assert.equal(postData.dayTrip.id, null);
+  assert.equal(postData.restaurant.name, `Konoba ${postData.dayTrip.name}`);
+  assert.equal(postData.attraction.name, `Old Fort of ${postData.dayTrip.name}`);
+  assert.equal(postData.restaurant.id, null);
+
+  const accommodation = await quietly(() => PostGeneratorService.getAccommodation(split.id, { dryRun: true }));
+  assert.equal(accommodation.name, 'Rooms Split');
+  assert.equal(accommodation.id, null);
+
+  assert.deepEqual(await storedRows(), before);
+});
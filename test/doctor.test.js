@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const DoctorService = require('../src/services/DoctorService');
+const TransportService = require('../src/services/TransportService');
+const { Database, locations, transportation } = require('../src/db');
+
+// Insert a row and return its ID
+async function insert(table, values) {
+  const columns = Object.keys(values);
+  const result = await Database.run(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => values[column])
+  );
+  return result.lastID;
+}
+
+// Issues found by each check
+function issuesByCheck(report) {
+  return Object.fromEntries(report.results.map(result => [result.name, result.issues.length]));
+}
+
+// Whether journeys are planned while a transaction holds the database
+const planJourney = TransportService.planJourney.bind(TransportService);
+let plannedInTransaction = null;
+TransportService.planJourney = (from, to) => {
+  plannedInTransaction = !!Database.transactionContext.getStore();
+  return planJourney(from, to);
+};
+
+// Belgrade, Novi Sad and Subotica, with no journey from Novi Sad to Subotica
+let noviSad;
+let subotica;
+before(async () => {
+  await migrate();
+  const belgrade = await locations.insert({ name: 'Belgrade', country: 'Serbia', lat: 44.8125, lng: 20.4612, order_in_journey: 1 });
+  noviSad = await locations.insert({ name: 'Novi Sad', country: 'Serbia', lat: 45.2671, lng: 19.8335, currency: 'RSD', order_in_journey: 2 });
+  subotica = await locations.insert({
+    name: 'Subotica', country: 'Serbia', lat: 46.1005, lng: 19.6651, order_in_journey: 3, planned_arrival: '2025-05-20'
+  });
+  await Database.run('UPDATE locations SET is_visited = 1 WHERE id IN (?, ?)', [belgrade, noviSad]);
+  await Database.run('UPDATE locations SET is_current = 1 WHERE id = ?', [subotica]);
+  await transportation.insert({
+    from_location_id: belgrade, to_location_id: noviSad, type: 'bus', distance_km: 90, price: 8, currency: 'EUR',
+    departure_time: '2025-05-08T07:00:00.000Z', arrival_time: '2025-05-08T08:30:00.000Z'
+  });
+
+  // A visit of a deleted place, an image of a deleted post, and the travel post of the bus to Novi Sad
+  await insert('visits', { poi_id: 404, visit_date: '2025-05-09' });
+  await insert('post_images', { post_id: 404, image_local_path: __filename });
+  await insert('posts', { title: 'To Novi Sad', slug: 'to-novi-sad', content: 'Text', type: 'travel', published_at: '2025-05-08 12:00:00' });
+});
+after(() => cleanup(dir));
+
+test('the fix repairs every inconsistency, and a second run finds nothing', async () => {
+  const report = await DoctorService.run({ fix: true, backup: false });
+  assert.deepEqual(issuesByCheck(report), {
+    current_location: 0,
+    missing_transportation: 1,
+    orphan_visits: 1,
+    orphan_post_images: 1,
+    posts_without_location: 1,
+    missing_image_files: 0
+  });
+  assert.equal(report.busy, false);
+  assert.equal(report.remaining, 0);
+
+  const again = await DoctorService.run({ fix: true, backup: false });
+  assert.equal(again.issues, 0);
+});
+
+test('the missing journey is planned outside the transaction and booked with its tickets', async () => {
+  assert.equal(plannedInTransaction, false);
+
+  const journey = await transportation.getBetween(noviSad, subotica);
+  assert.equal(journey.type, 'train');
+  assert.equal(journey.departure_time.slice(0, 10), '2025-05-20');
+  const tickets = await Database.all(`
+    SELECT e.* FROM expenses e JOIN transportation t ON t.id = e.transportation_id
+    WHERE t.from_location_id = ? AND t.to_location_id = ?
+  `, [noviSad, subotica]);
+  assert.equal(tickets.length, journey.segments.length);
+  assert.ok(tickets.every(ticket => ticket.location_id === noviSad && ticket.currency === 'RSD'));
+});
+
+test('the travel post takes the destination of the journey it was published after', async () => {
+  assert.equal((await Database.get("SELECT location_id FROM posts WHERE slug = 'to-novi-sad'")).location_id, noviSad);
+  assert.equal((await Database.get('SELECT COUNT(*) AS count FROM visits')).count, 0);
+  assert.equal((await Database.get('SELECT COUNT(*) AS count FROM post_images')).count, 0);
+});
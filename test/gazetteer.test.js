@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const GazetteerService = require('../src/services/GazetteerService');
+
+// The migrations load the bundled gazetteer
+let kotor;
+before(async () => {
+  await migrate();
+  [kotor] = await GazetteerService.lookup('Kotor', 'Montenegro');
+});
+after(() => cleanup(dir));
+
+test('a city that matches the gazetteer passes unchanged', async () => {
+  const city = { name: 'Kotor', country: 'Montenegro', lat: kotor.lat + 0.01, lng: kotor.lng, population: kotor.population };
+
+  assert.deepEqual(await GazetteerService.validateCity(city, { rejectCapitals: true }), { status: 'valid', city, notes: [] });
+  assert.deepEqual(await quietly(() => GazetteerService.validateCities([city])), [city]);
+});
+
+test('wrong coordinates are replaced with the gazetteer ones', async () => {
+  // Somewhere near Sarajevo
+  const city = { name: 'Kotor', country: 'Montenegro', lat: 43.85, lng: 18.41, population: kotor.population };
+
+  const result = await GazetteerService.validateCity(city);
+  assert.equal(result.status, 'corrected');
+  assert.match(result.notes[0], /^coordinates off by \d+ km$/);
+  assert.deepEqual(await quietly(() => GazetteerService.validateCities([city])), [{ ...city, lat: kotor.lat, lng: kotor.lng }]);
+});
+
+test('a town the gazetteer does not know in the country is rejected', async () => {
+  const atlantis = { name: 'Atlantis', country: 'Greece', lat: 36.4, lng: 25.4 };
+  const city = { name: 'Kotor', country: 'Montenegro', lat: kotor.lat, lng: kotor.lng, population: kotor.population };
+
+  const result = await GazetteerService.validateCity(atlantis);
+  assert.equal(result.status, 'rejected');
+  // A town spelled almost the same far away is another town
+  assert.deepEqual(result.notes, ['no town Atlantis in Greece (Atalánti is 328 km away)']);
+  assert.deepEqual(await quietly(() => GazetteerService.validateCities([atlantis, city])), [city]);
+});
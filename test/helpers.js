@@ -0,0 +1,68 @@
+/**
+ * helpers.js
+ *
+ * Setup shared by the test suites. Every suite runs against its own database
+ * in a temporary folder and without API keys, WordPress or notifier settings,
+ * so `npm test` never touches database/giovanni.db, calls a paid API or
+ * publishes anything.
+ *
+ *   const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+ *   const dir = useTemporaryDatabase();   // before requiring any service
+ *   const { locations } = require('../src/db');
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings of the .env file that reach the outside world
+const outsideSettings = [
+  'API_KEY_OPENAI', 'API_KEY_GOOGLE', 'API_KEY_UNSPLASH', 'API_KEY_FREEPIK',
+  'API_KEY_OPENWEATHER', 'API_KEY_TRIPADVISOR',
+  'WP_URL', 'WP_USERNAME', 'WP_APPLICATION_PASSWORD',
+  'NOTIFY_WEBHOOK_URL', 'SMTP_HOST', 'ADMIN_API_TOKEN'
+];
+
+/**
+ * Point the database and backups at a new temporary folder
+ * Call it before requiring any service: they read DB_PATH when loaded.
+ * @returns {string} The temporary folder
+ */
+function useTemporaryDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'giovanni-test-'));
+  process.env.DB_PATH = path.join(dir, 'giovanni.db');
+  process.env.BACKUP_DIR = path.join(dir, 'backups');
+  // Empty values are kept by dotenv, so the .env file cannot fill them in
+  for (const key of outsideSettings) process.env[key] = '';
+  return dir;
+}
+
+// Create the schema of the temporary database with the migrations
+async function migrate() {
+  const MigrationService = require('../src/services/MigrationService');
+  await quietly(() => MigrationService.migrate({ backup: false }));
+}
+
+// Run a function without its console.log output
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Close the shared connection and remove the temporary folder
+async function cleanup(dir) {
+  await require('../src/db').Database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  useTemporaryDatabase,
+  migrate,
+  quietly,
+  cleanup
+};
@@ -0,0 +1,78 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const ItineraryService = require('../src/services/ItineraryService');
+const TravelPlannerService = require('../src/services/TravelPlannerService');
+const { moveToNextLocation } = require('../move_to_next_location');
+const { Database, locations, itinerary } = require('../src/db');
+
+// Towns OpenAI is asked about
+let openAiLookups = [];
+TravelPlannerService.resolveCity = async (name, country) => {
+  openAiLookups.push(`${name}, ${country}`);
+  throw Object.assign(new Error(`Could not find ${name}, ${country}`), { code: 'CITY_NOT_FOUND' });
+};
+// Planning ahead after a move needs OpenAI
+TravelPlannerService.selectNextCity = async () => {
+  throw new Error('OpenAI is not available in tests');
+};
+
+// The gazetteer of the migrations knows the towns
+before(async () => {
+  await migrate();
+  await Database.run(`
+    INSERT INTO locations (name, country, lat, lng, order_in_journey, is_current, current_day, planned_duration)
+    VALUES ('Dubrovnik', 'Croatia', 42.6507, 18.0944, 1, 1, 2, 10)
+  `);
+});
+after(() => cleanup(dir));
+beforeEach(async () => {
+  openAiLookups = [];
+  await itinerary.clear();
+});
+
+test('a pinned city is found in the gazetteer without asking OpenAI', async () => {
+  const stop = await ItineraryService.pin({ name: 'kotor', country: 'ME' }, { days: 9 });
+
+  assert.deepEqual(openAiLookups, []);
+  assert.equal(stop.name, 'Kotor');
+  assert.equal(stop.country, 'Montenegro');
+  assert.equal(stop.currency, 'EUR');
+  assert.equal(stop.timezone, 'Europe/Podgorica');
+  assert.ok(Math.abs(stop.lat - 42.42) < 0.1 && Math.abs(stop.lng - 18.77) < 0.1, `${stop.lat}, ${stop.lng}`);
+  assert.equal(stop.pinned, 1);
+  assert.equal(stop.planned_duration, 9);
+  assert.equal(stop.order_in_journey, 2);
+
+  await assert.rejects(ItineraryService.pin({ name: 'Kotor', country: 'Montenegro' }), { code: 'ALREADY_PINNED' });
+  await assert.rejects(ItineraryService.pin({ name: 'Dubrovnik', country: 'Croatia' }), { code: 'ALREADY_VISITED' });
+});
+
+test('of several towns with the name, the largest is pinned', async () => {
+  // Essen in the Ruhr, not the village of Lower Saxony
+  const stop = await ItineraryService.pin({ name: 'Essen', country: 'Germany' }, { days: 5 });
+  assert.ok(Math.abs(stop.lat - 51.46) < 0.1 && Math.abs(stop.lng - 7.01) < 0.1, `${stop.lat}, ${stop.lng}`);
+  assert.deepEqual(openAiLookups, []);
+});
+
+test('OpenAI is asked only about towns the gazetteer does not have', async () => {
+  await assert.rejects(ItineraryService.pin({ name: 'Atlantis', country: 'Greece' }, { days: 5 }), { code: 'CITY_NOT_FOUND' });
+  assert.deepEqual(openAiLookups, ['Atlantis, Greece']);
+  assert.deepEqual(await itinerary.list(), []);
+});
+
+test('move --to looks the city up like pin, and takes its pinned stop off the itinerary', async () => {
+  await ItineraryService.pin({ name: 'Kotor', country: 'Montenegro' }, { days: 9 });
+  await ItineraryService.pin({ name: 'Bar', country: 'Montenegro' }, { days: 6 });
+
+  assert.equal(await quietly(() => moveToNextLocation({ destination: { name: 'Kotor', country: 'ME' } })), true);
+  assert.deepEqual(openAiLookups, []);
+
+  const current = await locations.getCurrent();
+  assert.equal(current.name, 'Kotor');
+  // The stay pinned for the city
+  assert.equal(current.planned_duration, 9);
+  assert.deepEqual((await itinerary.list()).map(stop => stop.name), ['Bar']);
+});
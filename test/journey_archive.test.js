@@ -0,0 +1,179 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const JourneyArchiveService = require('../src/services/JourneyArchiveService');
+const MigrationService = require('../src/services/MigrationService');
+const { Database } = require('../src/db');
+
+const archivePath = path.join(dir, 'journey.tar.gz');
+const imagePath = path.join(dir, 'source-images', 'kotor.jpg');
+JourneyArchiveService.imageStoragePath = path.join(dir, 'imported-images');
+
+// Insert a row and return its ID
+async function insert(table, values) {
+  const columns = Object.keys(values);
+  const result = await Database.run(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => values[column])
+  );
+  return result.lastID;
+}
+
+// Switch to a new, migrated database file
+async function useDatabaseFile(name) {
+  await Database.close();
+  const dbPath = path.join(dir, name);
+  Database.dbPath = dbPath;
+  MigrationService.dbPath = dbPath;
+  await migrate();
+}
+
+// Some columns of every row of a table, in ID order
+async function rows(table, columns) {
+  return (await Database.all(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY id`)).map(row => ({ ...row }));
+}
+
+// Rewrite an archive: change its manifest and drop some of its table files
+async function rewriteArchive(source, target, change, droppedTables = []) {
+  const workDir = fs.mkdtempSync(path.join(dir, 'rewrite-'));
+  await tar.x({ file: source, cwd: workDir });
+  const manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+  change(manifest);
+  fs.writeFileSync(path.join(workDir, 'manifest.json'), JSON.stringify(manifest));
+  droppedTables.forEach(table => fs.rmSync(path.join(workDir, 'tables', `${table}.json`)));
+  await tar.c({ gzip: true, file: target, cwd: workDir }, fs.readdirSync(workDir));
+}
+
+// A journey whose IDs do not start at 1, so the import has to remap them
+before(async () => {
+  await useDatabaseFile('source.db');
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, 'jpeg bytes');
+
+  await insert('locations', { name: 'Removed', country: 'Nowhere', lat: 0, lng: 0, order_in_journey: 99 });
+  await Database.run("DELETE FROM locations WHERE name = 'Removed'");
+
+  const bari = await insert('locations', { name: 'Bari', country: 'Italy', lat: 41.12, lng: 16.87, order_in_journey: 1, current_day: 12 });
+  const kotor = await insert('locations', {
+    name: 'Kotor', country: 'Montenegro', lat: 42.42, lng: 18.77, order_in_journey: 2, is_current: 1, current_day: 3
+  });
+  await insert('accommodations', { location_id: kotor, name: 'Old Town Rooms', price_per_night: 48, currency: 'EUR', check_in_date: '2025-05-10' });
+  await insert('itinerary', { order_in_journey: 3, name: 'Budva', country: 'Montenegro', lat: 42.29, lng: 18.84, planned_duration: 4, pinned: 1 });
+  await insert('itinerary', { order_in_journey: 4, name: 'Shkodër', country: 'Albania', lat: 42.07, lng: 19.51, planned_duration: 11 });
+  const trip = await insert('day_trips', { location_id: kotor, name: 'Perast', country: 'Montenegro', lat: 42.49, lng: 18.7, distance_km: 12 });
+  const fortress = await insert('points_of_interest', { location_id: kotor, name: 'San Giovanni Fortress', type: 'attraction' });
+  const konoba = await insert('points_of_interest', { location_id: kotor, day_trip_id: trip, name: 'Konoba Školji', type: 'restaurant' });
+  await insert('visits', { poi_id: fortress, visit_date: '2025-05-11' });
+  const post = await insert('posts', {
+    location_id: kotor, title: 'Kotor', slug: 'kotor', content: 'Text', type: 'daily', featured_image_local_path: imagePath
+  });
+  await insert('post_images', { post_id: post, image_local_path: imagePath });
+  const ferry = await insert('transportation', { from_location_id: bari, to_location_id: kotor, type: 'ferry', price: 60 });
+  await insert('expenses', { location_id: bari, transportation_id: ferry, category: 'transport', spent_on: '2025-05-09', amount: 60, currency: 'EUR', amount_eur: 60 });
+  await insert('expenses', { location_id: kotor, post_id: post, place_id: konoba, category: 'meal', spent_on: '2025-05-11', amount: 22, currency: 'EUR', amount_eur: 22 });
+  // A place of a location that is gone
+  await insert('points_of_interest', { location_id: 500, name: 'Lost Square', type: 'attraction' });
+
+  await JourneyArchiveService.exportJourney(archivePath);
+  await useDatabaseFile('target.db');
+  // IDs in the target database differ from the source ones
+  await Database.run("INSERT INTO sqlite_sequence (name, seq) VALUES ('locations', 40), ('points_of_interest', 70), ('posts', 90)");
+});
+after(() => cleanup(dir));
+
+test('the archive lists every journey table and the image files', async () => {
+  const workDir = fs.mkdtempSync(path.join(dir, 'extract-'));
+  await tar.x({ file: archivePath, cwd: workDir });
+  const manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+
+  assert.equal(manifest.formatVersion, JourneyArchiveService.formatVersion);
+  assert.deepEqual(Object.keys(manifest.tables), JourneyArchiveService.tables.map(table => table.name));
+  assert.equal(manifest.tables.accommodations.rows, 1);
+  assert.equal(manifest.tables.itinerary.rows, 2);
+  assert.deepEqual(manifest.images.map(image => [image.file, image.originalPath]), [['kotor.jpg', imagePath]]);
+});
+
+test('an import into an empty database remaps every reference', async () => {
+  const result = await JourneyArchiveService.importJourney(archivePath);
+  assert.deepEqual(result.warnings, ['points_of_interest #3 references missing locations #500; location_id is imported as NULL']);
+  assert.equal(result.images, 1);
+
+  const locationIds = Object.fromEntries((await Database.all('SELECT id, name FROM locations')).map(row => [row.name, row.id]));
+  const placeIds = Object.fromEntries((await Database.all('SELECT id, name FROM points_of_interest')).map(row => [row.name, row.id]));
+  const [post] = await rows('posts', ['id', 'location_id', 'featured_image_local_path']);
+  const [trip] = await rows('day_trips', ['id', 'location_id']);
+  const [ferry] = await rows('transportation', ['id', 'from_location_id', 'to_location_id']);
+
+  assert.ok(locationIds.Kotor > 40);
+  assert.deepEqual(await rows('accommodations', ['location_id', 'name', 'check_in_date']), [
+    { location_id: locationIds.Kotor, name: 'Old Town Rooms', check_in_date: '2025-05-10' }
+  ]);
+  assert.deepEqual(await rows('itinerary', ['order_in_journey', 'name', 'planned_duration', 'pinned']), [
+    { order_in_journey: 3, name: 'Budva', planned_duration: 4, pinned: 1 },
+    { order_in_journey: 4, name: 'Shkodër', planned_duration: 11, pinned: 0 }
+  ]);
+  assert.equal(trip.location_id, locationIds.Kotor);
+  assert.deepEqual(await rows('points_of_interest', ['name', 'location_id', 'day_trip_id']), [
+    { name: 'San Giovanni Fortress', location_id: locationIds.Kotor, day_trip_id: null },
+    { name: 'Konoba Školji', location_id: locationIds.Kotor, day_trip_id: trip.id },
+    { name: 'Lost Square', location_id: null, day_trip_id: null }
+  ]);
+  assert.deepEqual(await rows('visits', ['poi_id']), [{ poi_id: placeIds['San Giovanni Fortress'] }]);
+  assert.equal(post.location_id, locationIds.Kotor);
+  assert.deepEqual([ferry.from_location_id, ferry.to_location_id], [locationIds.Bari, locationIds.Kotor]);
+  assert.deepEqual(await rows('expenses', ['location_id', 'post_id', 'transportation_id', 'place_id']), [
+    { location_id: locationIds.Bari, post_id: null, transportation_id: ferry.id, place_id: null },
+    { location_id: locationIds.Kotor, post_id: post.id, transportation_id: null, place_id: placeIds['Konoba Školji'] }
+  ]);
+
+  // The images are copied and the paths rewritten
+  const copiedPath = path.join(JourneyArchiveService.imageStoragePath, 'kotor.jpg');
+  assert.equal(post.featured_image_local_path, copiedPath);
+  assert.deepEqual(await rows('post_images', ['post_id', 'image_local_path']), [{ post_id: post.id, image_local_path: copiedPath }]);
+  assert.equal(fs.readFileSync(copiedPath, 'utf8'), 'jpeg bytes');
+});
+
+test('a database that already has a journey is refused', async () => {
+  await assert.rejects(JourneyArchiveService.importJourney(archivePath, { dryRun: true }), {
+    code: 'INVALID_ARCHIVE',
+    message: /already has a journey/
+  });
+});
+
+test('an archive of format version 1 imports without accommodations and itinerary', async () => {
+  const oldArchive = path.join(dir, 'journey-v1.tar.gz');
+  await rewriteArchive(archivePath, oldArchive, manifest => {
+    manifest.formatVersion = 1;
+    delete manifest.tables.accommodations;
+    delete manifest.tables.itinerary;
+  }, ['accommodations', 'itinerary']);
+  await useDatabaseFile('target-v1.db');
+
+  const result = await JourneyArchiveService.importJourney(oldArchive);
+  assert.equal(result.imported.accommodations, 0);
+  assert.equal(result.imported.itinerary, 0);
+  assert.equal(result.imported.locations, 2);
+});
+
+test('an archive with a changed image or row count is refused', async () => {
+  await useDatabaseFile('target-broken.db');
+
+  const wrongCount = path.join(dir, 'journey-count.tar.gz');
+  await rewriteArchive(archivePath, wrongCount, manifest => { manifest.tables.posts.rows = 2; });
+  await assert.rejects(JourneyArchiveService.importJourney(wrongCount), /tables\/posts.json has 1 rows, the manifest lists 2/);
+
+  const wrongImage = path.join(dir, 'journey-image.tar.gz');
+  await rewriteArchive(archivePath, wrongImage, manifest => { manifest.images[0].sha256 = '0'.repeat(64); });
+  await assert.rejects(JourneyArchiveService.importJourney(wrongImage), /images\/kotor.jpg does not match its checksum/);
+
+  const newer = path.join(dir, 'journey-newer.tar.gz');
+  await rewriteArchive(archivePath, newer, manifest => { manifest.formatVersion = JourneyArchiveService.formatVersion + 1; });
+  await assert.rejects(JourneyArchiveService.importJourney(newer), /is newer than this version supports/);
+
+  assert.equal((await Database.get('SELECT COUNT(*) AS count FROM locations')).count, 0);
+});
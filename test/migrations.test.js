@@ -0,0 +1,152 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTemporaryDatabase, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const MigrationService = require('../src/services/MigrationService');
+const BackupService = require('../src/services/BackupService');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const bundledMigrationsDir = MigrationService.migrationsDir;
+const backupDir = path.join(dir, 'backups');
+
+// Point the services at a new database file
+let databaseCount = 0;
+function useDatabase() {
+  databaseCount++;
+  const dbPath = path.join(dir, `schema-${databaseCount}.db`);
+  MigrationService.dbPath = dbPath;
+  BackupService.dbPath = dbPath;
+  return dbPath;
+}
+
+// Write a migration file of the test migrations folder
+let migrationsDir;
+function writeMigration(file, statements) {
+  // A file written again is required again
+  delete require.cache[path.join(migrationsDir, file)];
+  fs.writeFileSync(path.join(migrationsDir, file), `
+    module.exports = {
+      description: ${JSON.stringify(file)},
+      async up(db) {
+        await db.exec(${JSON.stringify(statements)});
+      }
+    };
+  `);
+}
+
+// Query a database file directly
+async function query(dbPath, sql) {
+  const db = await open({ filename: dbPath, driver: sqlite3.Database });
+  try {
+    return await db.all(sql);
+  } finally {
+    await db.close();
+  }
+}
+
+// Every test has its own migrations folder
+beforeEach(() => {
+  migrationsDir = fs.mkdtempSync(path.join(dir, 'migrations-'));
+  MigrationService.migrationsDir = migrationsDir;
+});
+after(() => cleanup(dir));
+
+test('the bundled migrations build a new database once', async () => {
+  MigrationService.migrationsDir = bundledMigrationsDir;
+  const dbPath = useDatabase();
+
+  const first = await quietly(() => MigrationService.migrate({ backupDir }));
+  assert.equal(first.applied.length, MigrationService.listMigrations().length);
+  assert.equal(first.backupPath, null);
+
+  const status = await MigrationService.assertUpToDate();
+  assert.equal(status.currentVersion, status.latestVersion);
+  assert.deepEqual(status.unknown, []);
+
+  assert.deepEqual(await quietly(() => MigrationService.migrate({ backupDir })), { applied: [], backupPath: null });
+  const tables = (await query(dbPath, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+  for (const table of ['locations', 'posts', 'post_runs', 'itinerary', 'expenses', 'day_trips']) {
+    assert.ok(tables.includes(table), table);
+  }
+});
+
+test('pending migrations are reported and refuse the app', async () => {
+  useDatabase();
+  writeMigration('001_places.js', 'CREATE TABLE places (name TEXT)');
+  await quietly(() => MigrationService.migrate({ backupDir }));
+  writeMigration('002_days.js', 'ALTER TABLE places ADD COLUMN days INTEGER');
+
+  const status = await MigrationService.getStatus();
+  assert.equal(status.currentVersion, 1);
+  assert.equal(status.latestVersion, 2);
+  assert.deepEqual(status.pending.map(migration => migration.file), ['002_days.js']);
+  await assert.rejects(MigrationService.assertUpToDate(), /out of date \(version 1, latest 2\); pending migrations: 002_days.js/);
+});
+
+test('a failing migration is rolled back after a backup, and later ones wait', async () => {
+  const dbPath = useDatabase();
+  writeMigration('001_places.js', "CREATE TABLE places (name TEXT); INSERT INTO places VALUES ('Kotor')");
+  await quietly(() => MigrationService.migrate({ backupDir }));
+
+  writeMigration('002_broken.js', 'ALTER TABLE places ADD COLUMN days INTEGER; ALTER TABLE nowhere ADD COLUMN x');
+  writeMigration('003_later.js', 'CREATE TABLE later (id INTEGER)');
+
+  let failure;
+  await quietly(() => MigrationService.migrate({ backupDir }).catch(error => { failure = error; }));
+  assert.match(failure.message, /^Migration 002_broken.js failed: .*no such table: nowhere/);
+  assert.match(path.basename(failure.backupPath), /^giovanni-schema-v1-.*\.db$/);
+
+  // Nothing of the failed migration stays, and the backup holds the data from before it
+  const columns = (await query(dbPath, 'PRAGMA table_info(places)')).map(column => column.name);
+  assert.deepEqual(columns, ['name']);
+  assert.deepEqual((await MigrationService.getStatus()).pending.map(migration => migration.version), [2, 3]);
+  assert.deepEqual(await query(failure.backupPath, 'SELECT name FROM places'), [{ name: 'Kotor' }]);
+
+  writeMigration('002_broken.js', 'ALTER TABLE places ADD COLUMN days INTEGER');
+  const retry = await quietly(() => MigrationService.migrate({ backupDir }));
+  assert.deepEqual(retry.applied.map(migration => migration.version), [2, 3]);
+});
+
+test('the backup can be skipped', async () => {
+  useDatabase();
+  writeMigration('001_places.js', 'CREATE TABLE places (name TEXT)');
+  await quietly(() => MigrationService.migrate({ backupDir }));
+  writeMigration('002_days.js', 'ALTER TABLE places ADD COLUMN days INTEGER');
+
+  const result = await quietly(() => MigrationService.migrate({ backup: false, backupDir }));
+  assert.equal(result.applied.length, 1);
+  assert.equal(result.backupPath, null);
+});
+
+test('two files with the same version are refused', () => {
+  writeMigration('001_places.js', 'CREATE TABLE places (name TEXT)');
+  writeMigration('001_towns.js', 'CREATE TABLE towns (name TEXT)');
+  assert.throws(() => MigrationService.listMigrations(), /Duplicate migration version 1/);
+});
+
+test('daily backups are snapshots, and the oldest ones beyond the limit are pruned', async () => {
+  const dbPath = useDatabase();
+  writeMigration('001_places.js', "CREATE TABLE places (name TEXT); INSERT INTO places VALUES ('Ohrid')");
+  await quietly(() => MigrationService.migrate({ backupDir }));
+
+  const rotationDir = path.join(dir, 'rotation');
+  const backup = await BackupService.createBackup(rotationDir);
+  assert.equal(path.basename(backup.path), `giovanni-${BackupService.getDateStamp()}.db`);
+  assert.deepEqual(await query(backup.path, 'SELECT name FROM places'), [{ name: 'Ohrid' }]);
+
+  // A second backup the same day replaces the first one
+  await BackupService.createBackup(rotationDir);
+  for (const day of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+    fs.writeFileSync(path.join(rotationDir, `giovanni-${day}.db`), '');
+  }
+  fs.writeFileSync(path.join(rotationDir, 'notes.txt'), '');
+
+  const deleted = BackupService.pruneBackups(rotationDir, 2).map(file => path.basename(file));
+  assert.deepEqual(deleted, ['giovanni-2024-01-02.db', 'giovanni-2024-01-01.db']);
+  assert.deepEqual(fs.readdirSync(rotationDir).sort(), ['giovanni-2024-01-03.db', path.basename(backup.path), 'notes.txt'].sort());
+  assert.ok(fs.existsSync(dbPath));
+});
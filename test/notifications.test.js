@@ -0,0 +1,84 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const NotificationService = require('../src/services/NotificationService');
+
+// A channel that keeps what it was sent
+function recordingChannel(name, events = null) {
+  const channel = {
+    name,
+    sent: [],
+    accepts: event => !events || events.includes(event),
+    send: async notification => { channel.sent.push(notification); }
+  };
+  return channel;
+}
+
+// A channel whose service is down
+const brokenChannel = {
+  name: 'broken webhook',
+  accepts: () => true,
+  send: async () => { throw new Error('connect ECONNREFUSED'); }
+};
+
+// Notify without the error lines of the broken channels
+async function notify(...args) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await NotificationService.notify(...args);
+  } finally {
+    console.error = error;
+  }
+}
+
+before(migrate);
+after(() => cleanup(dir));
+// No channel is configured without NOTIFY_WEBHOOK_URL and SMTP_HOST
+beforeEach(() => {
+  NotificationService.channels = [];
+  NotificationService.lastSent.clear();
+});
+
+test('a throwing channel does not stop the others, and notify resolves', async () => {
+  const email = recordingChannel('email');
+  NotificationService.addChannel(brokenChannel);
+  NotificationService.addChannel(email);
+
+  assert.equal(await notify('post_failed', { location: 'Kotor', day: 3, stage: 'images' }), 1);
+  assert.equal(email.sent.length, 1);
+  assert.equal(email.sent[0].title, 'Post failed at stage "images" (Kotor, day 3)');
+  assert.equal(email.sent[0].severity, 'error');
+
+  // Even a channel that throws while choosing its events
+  NotificationService.addChannel({ name: 'misconfigured', accepts: () => { throw new Error('bad events'); } });
+  assert.equal(await notify('post_failed', {}), 0);
+});
+
+test('only the channels that accept an event receive it', async () => {
+  const webhook = recordingChannel('webhook', ['post_published']);
+  NotificationService.addChannel(webhook);
+
+  assert.equal(await notify('quota_exhausted', { service: 'Unsplash' }), 0);
+  assert.equal(await notify('post_published', { location: 'Kotor', day: 4 }), 1);
+  assert.deepEqual(webhook.sent.map(notification => notification.event), ['post_published']);
+});
+
+test('a repeated event is suppressed during the cooldown', async () => {
+  const webhook = recordingChannel('webhook');
+  NotificationService.addChannel(webhook);
+  const quota = ['quota_exhausted', { service: 'Unsplash' }, { dedupeKey: 'unsplash' }];
+
+  assert.equal(await notify(...quota), 1);
+  assert.equal(await notify(...quota), 0);
+  // Other keys, and events without a key, are not suppressed
+  assert.equal(await notify('quota_exhausted', { service: 'Freepik' }, { dedupeKey: 'freepik' }), 1);
+  assert.equal(await notify('quota_exhausted', { service: 'Unsplash' }), 1);
+
+  // After the cooldown it is sent again
+  NotificationService.lastSent.set('quota_exhausted:unsplash', Date.now() - NotificationService.cooldownMs - 1);
+  assert.equal(await notify(...quota), 1);
+  assert.equal(webhook.sent.length, 4);
+});
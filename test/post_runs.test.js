@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const PostRunLedgerService = require('../src/services/PostRunLedgerService');
+const { Database } = require('../src/db');
+
+const noviSad = { id: 1, name: 'Novi Sad', current_day: 3 };
+
+before(migrate);
+after(() => cleanup(dir));
+
+test('a failed run is resumed with the checkpoints of its completed stages', async () => {
+  const run = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', noviSad));
+  assert.equal(run.attempts, 1);
+  assert.deepEqual(run.checkpoints, {});
+
+  await PostRunLedgerService.saveCheckpoint(run.id, 'schedule', { publishDate: null });
+  await PostRunLedgerService.saveCheckpoint(run.id, 'prepare', { restaurant: { id: 7, name: 'Ribarska' } });
+  await PostRunLedgerService.markFailed(run.id, 'sections', 'OpenAI timeout');
+
+  const resumed = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', noviSad));
+  assert.equal(resumed.id, run.id);
+  assert.equal(resumed.attempts, 2);
+  assert.equal(resumed.last_stage, 'prepare');
+  assert.deepEqual(resumed.checkpoints, {
+    schedule: { publishDate: null },
+    prepare: { restaurant: { id: 7, name: 'Ribarska' } }
+  });
+
+  const row = await Database.get('SELECT status, error_stage, error_message FROM post_runs WHERE id = ?', [run.id]);
+  assert.deepEqual({ ...row }, { status: 'running', error_stage: null, error_message: null });
+});
+
+test('a checkpoint saved again replaces the earlier one', async () => {
+  const run = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', noviSad));
+  await PostRunLedgerService.saveCheckpoint(run.id, 'image:food', { path: 'a.jpg' });
+  await PostRunLedgerService.saveCheckpoint(run.id, 'image:food', { path: 'b.jpg' });
+
+  const { checkpoints } = await PostRunLedgerService.getRun(run.id);
+  assert.deepEqual(checkpoints['image:food'], { path: 'b.jpg' });
+});
+
+test('a discarded or unreadable checkpoint is not reused', async () => {
+  const run = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', noviSad));
+  await PostRunLedgerService.discardCheckpoint(run.id, 'image:food');
+  await Database.run("UPDATE post_run_checkpoints SET data = '{broken' WHERE run_id = ? AND stage = 'prepare'", [run.id]);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  let checkpoints;
+  try {
+    ({ checkpoints } = await PostRunLedgerService.getRun(run.id));
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(Object.keys(checkpoints), ['schedule']);
+});
+
+test('a run of an earlier day is abandoned instead of resumed', async () => {
+  const earlier = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', noviSad));
+
+  const nextDay = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', { ...noviSad, current_day: 4 }));
+  assert.notEqual(nextDay.id, earlier.id);
+  assert.deepEqual(nextDay.checkpoints, {});
+
+  const row = await Database.get('SELECT status FROM post_runs WHERE id = ?', [earlier.id]);
+  assert.equal(row.status, 'abandoned');
+});
+
+test('a completed run is never resumed', async () => {
+  const day = { ...noviSad, current_day: 5 };
+  const run = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', day));
+  await PostRunLedgerService.markCompleted(run.id, 42);
+
+  const next = await quietly(() => PostRunLedgerService.resumeOrStartRun('daily', day));
+  assert.notEqual(next.id, run.id);
+  assert.equal(await PostRunLedgerService.abandonRun(run.id), false);
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('cron');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const PostScheduleService = require('../src/services/PostScheduleService');
+const CatchUpService = require('../src/services/CatchUpService');
+const SettingsService = require('../src/services/SettingsService');
+const { Database, locations } = require('../src/db');
+
+// Ticks that published a post
+let generated = 0;
+
+// Giovanni moves to a city of another timezone
+let locationId;
+async function moveTo(timezone) {
+  await Database.run('UPDATE locations SET timezone = ? WHERE id = ?', [timezone, locationId]);
+  await PostScheduleService.reschedule();
+}
+
+// A post published at a moment (ISO string)
+async function addPost(publishedAt) {
+  await Database.run(`
+    INSERT INTO posts (title, slug, content, type, published_at)
+    VALUES ('Day', ?, 'Text', 'daily', ?)
+  `, [`day-${publishedAt}`, publishedAt]);
+}
+
+before(async () => {
+  await migrate();
+  locationId = await locations.insert({
+    name: 'Lisbon', country: 'Portugal', lat: 38.7223, lng: -9.1393, timezone: 'Europe/Lisbon',
+    is_current: true, current_day: 2, order_in_journey: 1
+  });
+});
+after(() => {
+  PostScheduleService.stop();
+  return cleanup(dir);
+});
+
+test('the job is rebuilt when the timezone or the daily post time changes', async () => {
+  await PostScheduleService.start({ generatePost: async () => { generated++; } });
+  const lisbonJob = PostScheduleService.job;
+  assert.equal(PostScheduleService.timezone, 'Europe/Lisbon');
+  assert.equal(PostScheduleService.cronTime, '0 8 * * *');
+  assert.equal(PostScheduleService.changed, false);
+
+  // Nothing changed
+  await PostScheduleService.reschedule();
+  assert.equal(PostScheduleService.job, lisbonJob);
+
+  await moveTo('Europe/Athens');
+  assert.notEqual(PostScheduleService.job, lisbonJob);
+  assert.equal(lisbonJob.running, false);
+  assert.equal(PostScheduleService.changed, true);
+  assert.equal(PostScheduleService.job.nextDate().zoneName, 'Europe/Athens');
+
+  const athensJob = PostScheduleService.job;
+  await SettingsService.setSetting('daily_post_time', '30 7 * * *');
+  await PostScheduleService.reschedule();
+  assert.notEqual(PostScheduleService.job, athensJob);
+  const next = PostScheduleService.job.nextDate();
+  assert.deepEqual([next.hour, next.minute, next.zoneName], [7, 30, 'Europe/Athens']);
+});
+
+test('the first tick after a change is skipped when its local day already has a post', async () => {
+  generated = 0;
+  // 00:30 on 2 June in Lisbon, still 1 June in UTC
+  await addPost('2025-06-01T23:30:00.000Z');
+
+  await moveTo('Europe/Lisbon');
+  assert.equal(await PostScheduleService.runScheduledPost(new Date('2025-06-02T06:30:00Z')), false);
+  assert.equal(generated, 0);
+  assert.equal(PostScheduleService.changed, false);
+
+  // The next tick posts
+  assert.equal(await PostScheduleService.runScheduledPost(new Date('2025-06-03T06:30:00Z')), true);
+  assert.equal(generated, 1);
+
+  // 07:30 on 3 June in Athens has no post yet
+  await moveTo('Europe/Athens');
+  assert.equal(await PostScheduleService.runScheduledPost(new Date('2025-06-03T04:30:00Z')), true);
+  assert.equal(generated, 2);
+});
+
+test('only a daily schedule skips a second post on the same local day', async () => {
+  assert.equal(CatchUpService.isDailySchedule(new cron.CronTime('30 7 * * *', 'Europe/Lisbon'), 'Europe/Lisbon'), true);
+  assert.equal(CatchUpService.isDailySchedule(new cron.CronTime('0 */6 * * *', 'Europe/Lisbon'), 'Europe/Lisbon'), false);
+
+  assert.equal(await CatchUpService.hasPostOnLocalDay(new Date('2025-06-02T06:30:00Z'), '30 7 * * *', 'Europe/Lisbon'), true);
+  assert.equal(await CatchUpService.hasPostOnLocalDay(new Date('2025-06-02T06:30:00Z'), '30 7 * * *', 'UTC'), false);
+  assert.equal(await CatchUpService.hasPostOnLocalDay(new Date('2025-06-02T06:30:00Z'), '0 */6 * * *', 'Europe/Lisbon'), false);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const PostSearchService = require('../src/services/PostSearchService');
+const { Database, posts } = require('../src/db');
+
+// Titles of the posts found by a search
+async function titles(text, options) {
+  return (await PostSearchService.search(text, options)).map(result => result.title);
+}
+
+// Number of entries in the search index
+async function indexSize() {
+  return (await Database.get('SELECT COUNT(*) AS count FROM posts_fts')).count;
+}
+
+before(async () => {
+  await migrate();
+  await posts.insert({
+    wp_post_id: 11, title: 'Day 3 in Sarajevo', slug: 'sarajevo', type: 'daily',
+    content: '<!-- wp:paragraph --><p>Ćevapi at <strong>Željo</strong> near Baščaršija.</p><!-- /wp:paragraph -->'
+  });
+});
+after(() => cleanup(dir));
+
+test('posts saved by the app are indexed as plain text, ignoring diacritics', async () => {
+  assert.equal(await indexSize(), 1);
+  assert.deepEqual(await titles('cevapi zeljo'), ['Day 3 in Sarajevo']);
+  assert.deepEqual(await titles('bascar*'), ['Day 3 in Sarajevo']);
+  // Markup and block comments are not searchable
+  assert.deepEqual(await titles('strong'), []);
+  assert.deepEqual(await titles('paragraph'), []);
+});
+
+test('posts added or edited outside the app are indexed before the next search', async () => {
+  await Database.run(`
+    INSERT INTO posts (wp_post_id, title, slug, content, type)
+    VALUES (12, 'From Mostar to Split', 'mostar-split', '<p>The bus along the Neretva.</p>', 'travel')
+  `);
+  assert.equal(await indexSize(), 1);
+  assert.deepEqual(await titles('neretva'), ['From Mostar to Split']);
+  assert.equal(await indexSize(), 2);
+
+  // An edit drops the index entry, and the next search indexes the new text
+  await Database.run("UPDATE posts SET content = '<p>The train along the Neretva.</p>' WHERE slug = 'mostar-split'");
+  assert.equal(await indexSize(), 1);
+  assert.deepEqual(await titles('train'), ['From Mostar to Split']);
+  assert.deepEqual(await titles('bus'), []);
+
+  assert.deepEqual(await titles('neretva', { type: 'daily' }), []);
+});
+
+test('deleted posts leave the index, and a rebuild indexes every post again', async () => {
+  await Database.run("DELETE FROM posts WHERE slug = 'mostar-split'");
+  assert.deepEqual(await titles('neretva'), []);
+
+  assert.equal(await PostSearchService.reindex(), 1);
+  assert.equal(await indexSize(), 1);
+});
+
+test('a search needs at least one word', async () => {
+  assert.equal(PostSearchService.buildMatchQuery('burek* "sir"'), '"burek"* "sir"');
+  await assert.rejects(PostSearchService.search(' * " '), { code: 'INVALID_QUERY' });
+});
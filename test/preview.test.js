@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const imageDir = path.join(dir, 'images');
+process.env.IMAGE_STORAGE_PATH = imageDir;
+process.env.IMAGE_PROVIDER = 'unsplash';
+const JourneyService = require('../src/services/JourneyService');
+const OpenAIService = require('../src/services/OpenAIService');
+const TravelPlannerService = require('../src/services/TravelPlannerService');
+const WeatherService = require('../src/services/WeatherService');
+const AccommodationFinderService = require('../src/services/AccommodationFinderService');
+const { Database, locations, transportation } = require('../src/db');
+
+// Answers of the APIs a post is prepared with
+WeatherService.getWeatherByCity = async () => ({ temperature: 21, description: 'sunny' });
+WeatherService.getYesterdayWeatherByCity = async () => ({ temperature: 19, description: 'cloudy' });
+AccommodationFinderService.findAccommodation = async name => ({ name: `Rooms ${name}`, pricePerNight: 50, currency: 'EUR' });
+TravelPlannerService.generateAttractions = async town => [{ name: `Old Fort of ${town}`, weekdayHours: '9:00-17:00' }];
+TravelPlannerService.generateRestaurants = async town => [{ name: `Konoba ${town}`, weekdayHours: '12:00-22:00' }];
+OpenAIService.generateBlogPostSections = async () => ({
+  introduction: 'A new city.', accommodation: 'A room.', food: 'Fish.', attraction: 'A fort.', closing: 'Tomorrow.'
+});
+
+// Unsplash: a page of photos, the download link of one, and its bytes
+let imageId = 0;
+axios.get = async url => {
+  if (url.endsWith('/search/photos')) {
+    imageId += 1;
+    return { data: { results: [{
+      id: `photo-${imageId}`, width: 800, height: 600, description: 'Split', user: { name: 'Ana' },
+      urls: { regular: `https://images.test/${imageId}`, thumb: `https://images.test/${imageId}/thumb` },
+      links: { download_location: `https://api.test/download/${imageId}` }
+    }] } };
+  }
+  if (url.startsWith('https://api.test/download/')) {
+    return { data: { url: url.replace('https://api.test/download/', 'https://images.test/') } };
+  }
+  return { data: Buffer.from('jpeg bytes') };
+};
+
+// Rows of every table of the database
+async function rowCounts() {
+  const tables = await Database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+  const counts = {};
+  for (const { name } of tables) {
+    counts[name] = (await Database.get(`SELECT COUNT(*) AS count FROM "${name}"`)).count;
+  }
+  return counts;
+}
+
+// Giovanni has just arrived in Split, so the post needs an accommodation
+before(async () => {
+  await migrate();
+  const bari = await locations.insert({ name: 'Bari', country: 'Italy', lat: 41.1171, lng: 16.8719, order_in_journey: 1 });
+  const split = await locations.insert({
+    name: 'Split', country: 'Croatia', lat: 43.5081, lng: 16.4402, order_in_journey: 2,
+    timezone: 'Europe/Zagreb', currency: 'EUR', planned_duration: 10
+  });
+  await Database.run('UPDATE locations SET is_visited = 1 WHERE id = ?', [bari]);
+  await Database.run('UPDATE locations SET is_current = 1, current_day = 1 WHERE id = ?', [split]);
+  await transportation.insert({
+    from_location_id: bari, to_location_id: split, type: 'ferry', distance_km: 300, price: 60, currency: 'EUR',
+    departure_time: '2025-05-01T18:00:00.000Z', arrival_time: '2025-05-02T06:00:00.000Z'
+  });
+});
+after(() => cleanup(dir));
+
+test('a preview of the daily post changes no table of the database', async () => {
+  const before = await rowCounts();
+  const outputDir = path.join(dir, 'preview');
+
+  assert.equal(await quietly(() => JourneyService.previewPost('daily', { outputDir })), true);
+
+  assert.deepEqual(await rowCounts(), before);
+  // The images were loaded from Unsplash, not replaced by placeholders
+  assert.equal(imageId, 4);
+  const [previewDir] = fs.readdirSync(outputDir);
+  assert.equal(fs.readdirSync(path.join(outputDir, previewDir, 'images')).length, 4);
+});
+
+test('preview images are named without the IDs the dry run has not stored', () => {
+  const files = fs.readdirSync(imageDir);
+  assert.equal(files.length, 4);
+  assert.ok(files.every(file => /^preview_(location|accommodation|food|attraction)_\d+\.jpg$/.test(file)), files.join(', '));
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const RouteConstraintService = require('../src/services/RouteConstraintService');
+const SeasonService = require('../src/services/SeasonService');
+const SettingsService = require('../src/services/SettingsService');
+const { Database, locations, transportation } = require('../src/db');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const mostar = { name: 'Mostar', country: 'Bosnia and Herzegovina', lat: 43.3438, lng: 17.8078 };
+const cities = {
+  sarajevo: { name: 'Sarajevo', country: 'Bosnia and Herzegovina', lat: 43.8563, lng: 18.4131 },
+  banjaLuka: { name: 'Banja Luka', country: 'Bosnia and Herzegovina', lat: 44.7722, lng: 17.191 },
+  dubrovnik: { name: 'Dubrovnik', country: 'Croatia', lat: 42.6507, lng: 18.0944 },
+  podgorica: { name: 'Podgorica', country: 'Montenegro', lat: 42.4304, lng: 19.2594 },
+  budva: { name: 'Budva', country: 'Montenegro', lat: 42.2864, lng: 18.84, profile: 'coastal' },
+  berlin: { name: 'Berlin', country: 'Germany', lat: 52.52, lng: 13.405 }
+};
+
+// Evaluate a candidate from Mostar (stay: SeasonService.getStayWindow)
+async function evaluate(city, stay) {
+  const context = await RouteConstraintService.buildContext({ from: mostar, stay });
+  return RouteConstraintService.evaluate(city, context);
+}
+
+// Zagreb and Split in Croatia, left 30 days ago for Mostar, the current city
+before(async () => {
+  await migrate();
+  const zagreb = await locations.insert({ name: 'Zagreb', country: 'Croatia', lat: 45.815, lng: 15.9819, order_in_journey: 1 });
+  const split = await locations.insert({ name: 'Split', country: 'Croatia', lat: 43.5081, lng: 16.4402, order_in_journey: 2 });
+  const current = await locations.insert({ ...mostar, order_in_journey: 3 });
+  await Database.run('UPDATE locations SET is_visited = 1 WHERE id != ?', [current]);
+  await Database.run('UPDATE locations SET is_current = 1 WHERE id = ?', [current]);
+  await transportation.insert({
+    from_location_id: zagreb, to_location_id: split, type: 'train', distance_km: 410, price: 30, currency: 'EUR',
+    departure_time: new Date(Date.now() - 45 * dayMs).toISOString()
+  });
+  await transportation.insert({
+    from_location_id: split, to_location_id: current, type: 'bus', distance_km: 160, price: 15, currency: 'EUR',
+    departure_time: new Date(Date.now() - 30 * dayMs).toISOString()
+  });
+});
+after(() => cleanup(dir));
+beforeEach(async () => {
+  for (const key of ['route_max_leg_km', 'route_country_revisit_days', 'route_max_cities_per_country', 'route_direction', 'route_excluded_countries']) {
+    await SettingsService.setSetting(key, '');
+  }
+});
+
+test('a leg longer than route_max_leg_km is rejected', async () => {
+  const sarajevo = await evaluate(cities.sarajevo);
+  assert.equal(sarajevo.accepted, true);
+  assert.deepEqual(sarajevo.reasons, []);
+
+  const berlin = await evaluate(cities.berlin);
+  assert.equal(berlin.accepted, false);
+  assert.deepEqual(berlin.reasons, [`${berlin.distanceKm} km leg is longer than 600 km`]);
+});
+
+test('a country left fewer than route_country_revisit_days ago is rejected', async () => {
+  const dubrovnik = await evaluate(cities.dubrovnik);
+  assert.equal(dubrovnik.accepted, false);
+  assert.deepEqual(dubrovnik.reasons, ['left Croatia 30 days ago (revisit after 90 days)']);
+
+  await SettingsService.setSetting('route_country_revisit_days', '30');
+  assert.equal((await evaluate(cities.dubrovnik)).accepted, true);
+});
+
+test('a country with route_max_cities_per_country cities is rejected', async () => {
+  await SettingsService.setSetting('route_country_revisit_days', '0');
+  await SettingsService.setSetting('route_max_cities_per_country', '2');
+
+  const dubrovnik = await evaluate(cities.dubrovnik);
+  assert.equal(dubrovnik.accepted, false);
+  assert.deepEqual(dubrovnik.reasons, ['Croatia already has 2 cities (quota 2)']);
+  // Mostar is the only city in Bosnia and Herzegovina so far
+  assert.equal((await evaluate(cities.sarajevo)).accepted, true);
+});
+
+test('a city in the route_direction ranks first', async () => {
+  await SettingsService.setSetting('route_direction', 'north');
+  const context = await RouteConstraintService.buildContext({ from: mostar });
+  const ranked = await quietly(() => RouteConstraintService.rank([cities.podgorica, cities.banjaLuka], context));
+
+  assert.deepEqual(ranked.map(evaluation => [evaluation.city.name, evaluation.accepted]), [['Banja Luka', true], ['Podgorica', true]]);
+  assert.ok(ranked[0].score > ranked[1].score, `${ranked[0].score} > ${ranked[1].score}`);
+
+  await SettingsService.setSetting('route_direction', 'southeast');
+  const southeast = await RouteConstraintService.buildContext({ from: mostar });
+  const reranked = await quietly(() => RouteConstraintService.rank([cities.banjaLuka, cities.podgorica], southeast));
+  assert.deepEqual(reranked.map(evaluation => evaluation.city.name), ['Podgorica', 'Banja Luka']);
+});
+
+test('a city in route_excluded_countries is rejected', async () => {
+  await SettingsService.setSetting('route_excluded_countries', 'Kosovo, Montenegro');
+
+  const podgorica = await evaluate(cities.podgorica);
+  assert.equal(podgorica.accepted, false);
+  assert.deepEqual(podgorica.reasons, ['Montenegro is excluded']);
+  assert.equal((await evaluate(cities.sarajevo)).accepted, true);
+});
+
+test('a city off season during the stay is rejected', async () => {
+  const january = await evaluate(cities.budva, SeasonService.getStayWindow('2026-01-10', 10));
+  assert.equal(january.accepted, false);
+  assert.deepEqual(january.reasons, ['coastal town off season in January']);
+
+  const july = await evaluate(cities.budva, SeasonService.getStayWindow('2026-07-10', 10));
+  assert.equal(july.accepted, true);
+  assert.equal(july.season.status, 'in season');
+});
@@ -0,0 +1,98 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, quietly, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const RunLockService = require('../src/services/RunLockService');
+const { Database } = require('../src/db');
+
+// A lock left by another process, with its last heartbeat some seconds ago
+async function addForeignLock(secondsAgo) {
+  await Database.run(`
+    INSERT INTO run_locks (name, owner, holder, pid, hostname, acquired_at, heartbeat_at)
+    VALUES ('generation', 'other-owner', 'daily post', 4242, 'other-host', datetime('now', ?), datetime('now', ?))
+  `, [`-${secondsAgo} seconds`, `-${secondsAgo} seconds`]);
+}
+
+before(migrate);
+after(() => cleanup(dir));
+afterEach(() => Database.run('DELETE FROM run_locks'));
+
+test('the lock is held during the run and released after it', async () => {
+  const result = await RunLockService.runLocked('daily post', async () => {
+    const lock = await RunLockService.getActiveLock();
+    assert.equal(lock.holder, 'daily post');
+    assert.equal(lock.pid, process.pid);
+    return 'published';
+  });
+
+  assert.equal(result, 'published');
+  assert.equal(await RunLockService.getLock(), null);
+});
+
+test('the lock is released when the run fails', async () => {
+  await assert.rejects(RunLockService.runLocked('daily post', async () => {
+    throw new Error('OpenAI timeout');
+  }), /OpenAI timeout/);
+
+  assert.equal(await RunLockService.getLock(), null);
+});
+
+test('a second run is skipped while the first one holds the lock', async () => {
+  let finish;
+  const first = RunLockService.runLocked('daily post', () => new Promise(resolve => { finish = resolve; }));
+  while (!finish) await new Promise(resolve => setImmediate(resolve));
+
+  let ran = false;
+  const second = await quietly(() => RunLockService.runLocked('move', async () => { ran = true; }));
+  assert.equal(second, false);
+  assert.equal(ran, false);
+
+  finish(true);
+  assert.equal(await first, true);
+});
+
+test('nested runs join the lock of the run they are part of', async () => {
+  const result = await RunLockService.runLocked('move', async () => {
+    const { owner } = await RunLockService.getLock();
+    const inner = await RunLockService.runLocked('travel post', async () => (await RunLockService.getLock()).owner);
+    assert.equal(inner, owner);
+
+    // The nested run does not release the lock of the outer one
+    assert.equal((await RunLockService.getLock()).owner, owner);
+    return true;
+  });
+
+  assert.equal(result, true);
+  assert.equal(await RunLockService.getLock(), null);
+});
+
+test('a live lock of another process is respected', async () => {
+  await addForeignLock(10);
+
+  const result = await quietly(() => RunLockService.runLocked('daily post', async () => true));
+  assert.equal(result, false);
+  assert.equal((await RunLockService.getLock()).owner, 'other-owner');
+});
+
+test('a stale lock is taken over, and its old owner can no longer refresh or release it', async () => {
+  await addForeignLock(RunLockService.staleAfterSeconds + 60);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  let lock;
+  try {
+    lock = await RunLockService.acquire('daily post');
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(lock.acquired, true);
+  assert.match(warnings[0], /Taking over stale run lock of "daily post" \(pid 4242 on other-host/);
+
+  assert.equal(await RunLockService.heartbeat('other-owner'), false);
+  await RunLockService.release('other-owner');
+  assert.equal((await RunLockService.getLock()).owner, lock.owner);
+  assert.equal(await RunLockService.heartbeat(lock.owner), true);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SeasonService = require('../src/services/SeasonService');
+
+const budva = { name: 'Budva', profile: 'coastal' };
+
+// A stay of ten days from the 10th of a month of 2026
+function stayIn(month) {
+  return SeasonService.getStayWindow(`2026-${month}-10`, 10);
+}
+
+test('a coastal town in July is in season', () => {
+  assert.deepEqual(SeasonService.assess(budva, stayIn('07')), {
+    profile: 'coastal',
+    label: 'coastal town',
+    rating: 1,
+    status: 'in season',
+    note: 'Budva is a coastal town, in season in July: the sea is warm enough to swim, and the ferries and beach restaurants are open'
+  });
+});
+
+test('a coastal town in January is off season', () => {
+  const season = SeasonService.assess(budva, stayIn('01'));
+  assert.equal(season.status, 'off season');
+  assert.equal(season.rating, 0.1);
+  assert.equal(season.note, 'Budva is a coastal town, off season in January: most beach restaurants and hotels are closed and the ferries run rarely');
+
+  // A mountain town is in season then
+  assert.equal(SeasonService.assess({ name: 'Žabljak', profile: 'ski resort' }, stayIn('01')).status, 'in season');
+});
+
+test('a city without a profile is rated as a historic town in every month', () => {
+  for (const month of ['01', '04', '07', '10']) {
+    const season = SeasonService.assess({ name: 'Novi Sad' }, stayIn(month));
+    assert.equal(season.profile, 'historic');
+    assert.equal(season.status, 'in season');
+    assert.match(season.note, /: the old town can be enjoyed in any season$/);
+  }
+});
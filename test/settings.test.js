@@ -0,0 +1,59 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+process.env.MAX_CATCHUP_DAYS = '5';
+const SettingsService = require('../src/services/SettingsService');
+const { Database } = require('../src/db');
+
+before(migrate);
+after(() => cleanup(dir));
+beforeEach(() => Database.run("UPDATE settings SET value = '' WHERE key IN ('planned_stay_min_days', 'planned_stay_max_days', 'max_catchup_days')"));
+
+test('a setting is read from the database, then the environment, then its default', async () => {
+  assert.equal(await SettingsService.get('itinerary_length'), 3);
+  assert.equal(await SettingsService.get('max_catchup_days'), 5);
+
+  await SettingsService.setSetting('max_catchup_days', '1');
+  assert.equal(await SettingsService.get('max_catchup_days'), 1);
+
+  await SettingsService.setSetting('max_catchup_days', '');
+  assert.equal(await SettingsService.get('max_catchup_days'), 5);
+});
+
+test('values are typed and checked against their definition', async () => {
+  assert.equal(SettingsService.parseValue('daily_post_time', '7:30'), '30 7 * * *');
+  assert.deepEqual(SettingsService.parseValue('route_excluded_countries', 'Kosovo, , Moldova'), ['Kosovo', 'Moldova']);
+
+  for (const [key, value] of [['itinerary_length', '11'], ['itinerary_length', '2.5'], ['daily_post_time', '25:00'], ['route_direction', 'up']]) {
+    await assert.rejects(SettingsService.setSetting(key, value), { code: 'INVALID_SETTING' }, `${key}=${value}`);
+  }
+  assert.equal(await SettingsService.setSetting('no_such_setting', 'x'), null);
+});
+
+test('the planned stay cannot be set with its minimum above its maximum', async () => {
+  await assert.rejects(SettingsService.setSetting('planned_stay_min_days', '15'), {
+    code: 'INVALID_SETTING',
+    message: 'planned_stay_min_days (15) must not be greater than planned_stay_max_days (14)'
+  });
+
+  await SettingsService.setSetting('planned_stay_min_days', '12');
+  await assert.rejects(SettingsService.setSetting('planned_stay_max_days', '11'), {
+    code: 'INVALID_SETTING',
+    message: 'planned_stay_max_days (11) must not be less than planned_stay_min_days (12)'
+  });
+
+  // Equal ends are a fixed stay
+  await SettingsService.setSetting('planned_stay_max_days', '12');
+  assert.equal(await SettingsService.get('planned_stay_max_days'), 12);
+});
+
+test('clearing one end of the planned stay must keep the range the right way round', async () => {
+  await SettingsService.setSetting('planned_stay_max_days', '30');
+  await SettingsService.setSetting('planned_stay_min_days', '20');
+
+  // The default maximum (14) would be below the minimum
+  await assert.rejects(SettingsService.setSetting('planned_stay_max_days', ''), { code: 'INVALID_SETTING' });
+  assert.equal(await SettingsService.get('planned_stay_max_days'), 30);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, migrate, cleanup } = require('./helpers');
+
+const dir = useTemporaryDatabase();
+const TransportService = require('../src/services/TransportService');
+
+const cities = {
+  noviSad: { name: 'Novi Sad', country: 'Serbia', lat: 45.2671, lng: 19.8335 },
+  belgrade: { name: 'Belgrade', country: 'Serbia', lat: 44.8125, lng: 20.4612 },
+  split: { name: 'Split', country: 'Croatia', lat: 43.5081, lng: 16.4402 },
+  sarajevo: { name: 'Sarajevo', country: 'Bosnia and Herzegovina', lat: 43.8563, lng: 18.4131 },
+  tirana: { name: 'Tirana', country: 'Albania', lat: 41.3275, lng: 19.8187 },
+  skopje: { name: 'Skopje', country: 'North Macedonia', lat: 41.9981, lng: 21.4254 },
+  bari: { name: 'Bari', country: 'Italy', lat: 41.1171, lng: 16.8719 },
+  dubrovnik: { name: 'Dubrovnik', country: 'Croatia', lat: 42.6507, lng: 18.0944 },
+  lisbon: { name: 'Lisbon', country: 'Portugal', lat: 38.7223, lng: -9.1393, transportHubs: ['Lisbon Airport'] },
+  helsinki: { name: 'Helsinki', country: 'Finland', lat: 60.1699, lng: 24.9384, transport_hubs: '["Helsinki-Vantaa Airport"]' }
+};
+
+// Modes and places of the segments of a journey
+async function plan(from, to) {
+  const segments = await TransportService.planJourney(cities[from], cities[to]);
+  return segments.map(segment => [segment.type, segment.from.name, segment.to.name]);
+}
+
+// The gazetteer of the migrations finds the ports and airports
+before(migrate);
+after(() => cleanup(dir));
+
+test('journeys over land take the bus nearby, the train where trains run, otherwise a shared car', async () => {
+  assert.deepEqual(await plan('noviSad', 'belgrade'), [['bus', 'Novi Sad', 'Belgrade']]);
+  assert.deepEqual(await plan('split', 'sarajevo'), [['train', 'Split', 'Sarajevo']]);
+  // No trains run in Albania
+  assert.deepEqual(await plan('tirana', 'skopje'), [['shared car', 'Tirana', 'Skopje']]);
+
+  assert.equal(TransportService.chooseLandMode(700, cities.tirana, cities.skopje), 'bus');
+  assert.deepEqual(TransportService.landSegments(cities.split, { ...cities.split, name: 'Split port' }, 3), []);
+});
+
+test('a journey across the sea takes the ferry when it is quicker than going around', async () => {
+  const segments = await TransportService.planJourney(cities.bari, cities.dubrovnik);
+  assert.deepEqual(segments.map(segment => segment.type), ['ferry']);
+  assert.ok(segments[0].distanceKm > 150 && segments[0].distanceKm < 300, `${segments[0].distanceKm} km`);
+});
+
+test('Giovanni flies between the airports only when the ground takes longer than 12 hours', async () => {
+  const segments = await TransportService.planJourney(cities.lisbon, cities.helsinki);
+  const flight = segments.find(segment => segment.type === 'airplane');
+  assert.ok(flight);
+  assert.ok(flight.distanceKm > 3000);
+  // Flights cost the same everywhere; a bus ticket follows the cost of living
+  assert.equal(TransportService.buildSegment('airplane', cities.tirana, cities.lisbon, 1000).price,
+    TransportService.buildSegment('airplane', cities.helsinki, cities.lisbon, 1000).price);
+  assert.ok(TransportService.buildSegment('bus', cities.tirana, cities.skopje, 200).price
+    < TransportService.buildSegment('bus', cities.helsinki, cities.skopje, 200).price);
+});
+
+test('scheduled segments follow each other with a change between them, and become transportation rows', () => {
+  const segments = [
+    TransportService.buildSegment('bus', cities.bari, { ...cities.bari, name: 'Bari port' }, 10),
+    TransportService.buildSegment('ferry', { ...cities.bari, name: 'Bari port' }, cities.dubrovnik, 220)
+  ];
+  const departure = new Date('2025-05-09T08:00:00Z');
+  const journey = TransportService.schedule(segments, departure);
+
+  assert.equal(journey.type, 'ferry');
+  assert.equal(journey.distanceKm, 230);
+  assert.equal(journey.price, segments[0].price + segments[1].price);
+  assert.equal(journey.segments[1].departure - journey.segments[0].arrival, 30 * 60 * 1000);
+  assert.equal(journey.durationMinutes, segments[0].durationMinutes + 30 + segments[1].durationMinutes);
+
+  const rows = TransportService.toRows(journey, { from_location_id: 1, to_location_id: 2 });
+  assert.deepEqual(rows.map(row => [row.segment, row.type, row.from_name, row.to_name]), [
+    [1, 'bus', 'Bari', 'Bari port'],
+    [2, 'ferry', 'Bari port', 'Dubrovnik']
+  ]);
+  assert.equal(rows[0].departure_time, '2025-05-09T08:00:00.000Z');
+  assert.equal(rows[1].arrival_time, journey.arrival.toISOString());
+});
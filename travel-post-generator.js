@@ -7,84 +7,137 @@
 
 const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
 const OpenAIService = require('./src/services/OpenAIService');
 const WordPressService = require('./src/services/WordPressService');
 const ImageService = require('./src/services/ImageService');
+const PreviewWriter = require('./src/utils/PreviewWriter');
+const RunLockService = require('./src/services/RunLockService');
+const NotificationService = require('./src/services/NotificationService');
+const BudgetService = require('./src/services/BudgetService');
+const CurrencyService = require('./src/services/CurrencyService');
+const CountryRegistry = require('./src/utils/CountryRegistry');
+const { Database, locations, posts, transportation } = require('./src/db');
 require('dotenv').config();
 
-async function createTravelPost() {
-  console.log('Starting travel post generation...');
+/**
+ * Create a travel post about the latest journey between two cities
+ * @param {Object} options - { preview: write to a local folder instead of publishing, outputDir, publishDate: backdate the post }
+ * @returns {Promise<boolean>} Whether the post was published (or previewed)
+ */
+async function createTravelPost(options = {}) {
+  // Previews change nothing, so they do not need the run lock
+  if (options.preview) {
+    return generateTravelPost(options);
+  }
+  return RunLockService.runLocked('travel post', () => generateTravelPost(options));
+}
 
-  // Connect to the database
-  const db = await open({
-    filename: process.env.DB_PATH || path.join(__dirname, 'database', 'giovanni.db'),
-    driver: sqlite3.Database
-  });
+// Generate the travel post and publish or preview it
+async function generateTravelPost(options) {
+  const preview = !!options.preview;
+  console.log(`Starting travel post ${preview ? 'preview' : 'generation'}...`);
+
+  // Context for notifications, filled in as the post is built
+  const notification = { postType: 'travel' };
+  let stage = 'load_journey';
 
   try {
     // Get the current location
-    const currentLocation = await db.get('SELECT * FROM locations WHERE is_current = 1');
+    const currentLocation = await locations.getCurrent();
     if (!currentLocation) {
       throw new Error('No current location found');
     }
 
     // Get the previous location (with highest order_in_journey less than current)
-    const previousLocation = await db.get(`
-      SELECT * FROM locations 
-      WHERE order_in_journey < ? 
-      ORDER BY order_in_journey DESC LIMIT 1
-    `, [currentLocation.order_in_journey]);
+    const previousLocation = await locations.getPrevious(currentLocation.order_in_journey);
 
     if (!previousLocation) {
       console.log('No previous location found. This must be the first location.');
       return false;
     }
 
+    notification.location = `${currentLocation.name}, ${currentLocation.country}`;
+    notification.from = `${previousLocation.name}, ${previousLocation.country}`;
+    notification.day = currentLocation.current_day;
+
     // Get transportation details
-    const transportInfo = await db.get(`
-      SELECT * FROM transportation
-      WHERE from_location_id = ? AND to_location_id = ?
-    `, [previousLocation.id, currentLocation.id]);
+    const transportInfo = await transportation.getBetween(previousLocation.id, currentLocation.id);
 
     if (!transportInfo) {
       console.log('No transportation information found.');
+      if (!preview) {
+        await NotificationService.notify('post_failed', { ...notification, stage, error: 'No transportation information found' });
+      }
       return false;
     }
 
+    notification.transport = transportInfo.type;
+
     console.log(`Found journey from ${previousLocation.name} to ${currentLocation.name} by ${transportInfo.type}`);
 
-    // Initialize WordPress service
-    await WordPressService.initialize();
+    // Initialize WordPress service (never contacted in preview mode)
+    if (!preview) {
+      await WordPressService.initialize();
+    }
 
-    // Initialize unified image service
-    const imageService = new ImageService();
+    // Initialize unified image service (a preview leaves the used images unmarked)
+    const imageService = new ImageService({ dryRun: preview });
     
     // Get a suitable image for transportation
     const imageQuery = getTransportImageQuery(transportInfo.type, previousLocation.country, currentLocation.country);
     const imageFileName = `journey_${previousLocation.name}_${currentLocation.name}_${Date.now()}.jpg`;
     
+    stage = 'image';
     console.log(`Getting journey image with query: "${imageQuery}"`);
     const imageInfo = await imageService.searchImage(imageQuery, 'transport');
     const imagePath = imageInfo ? 
       (await imageService.downloadImage(imageInfo, imageFileName)).path :
       imageService.createPlaceholderImage(imageFileName, 'transport').path;
 
+    if (!imageInfo && !preview) {
+      await NotificationService.notify('placeholder_image_used', { ...notification, imageType: 'transport' });
+    }
+
     // Format transportation info for the prompt
     const departureDate = new Date(transportInfo.departure_time);
     const arrivalDate = new Date(transportInfo.arrival_time);
     const durationHours = Math.floor(transportInfo.duration_minutes / 60);
     const durationMinutes = transportInfo.duration_minutes % 60;
+    const segments = transportInfo.segments.length > 1 ? transportInfo.segments : [];
+    const transportTypes = [...new Set(transportInfo.segments.map(segment => segment.type))];
+    const borderNotes = getBorderNotes(previousLocation.country, currentLocation.country);
+    
+    // Money spent on the journey so far (budget ledger, the tickets included)
+    const budget = await BudgetService.getTotals();
+
+    // The tickets in the currency they were paid in (the city left) and the total in the new
+    // one, at the exchange rates of the day of departure: "2808 RSD (about €24)"
+    const ticketCurrency = await BudgetService.getCurrency(previousLocation);
+    const localCurrency = await BudgetService.getCurrency(currentLocation);
+    const ticketPrice = transportInfo.price === null ? null : await CurrencyService.describe(
+      await CurrencyService.convert(transportInfo.price, transportInfo.currency || 'EUR', ticketCurrency, departureDate),
+      ticketCurrency,
+      departureDate
+    );
+    const totalSpent = await CurrencyService.describe(
+      await CurrencyService.fromEur(budget.totalEur, localCurrency, departureDate),
+      localCurrency,
+      departureDate
+    );
 
     // Generate travel post content with OpenAI
     const prompt = `
 Write a travel blog post about my journey from ${previousLocation.name}, ${previousLocation.country} to ${currentLocation.name}, ${currentLocation.country}.
-My journey was by ${transportInfo.type} and took ${durationHours} hours and ${durationMinutes} minutes.
+My journey was by ${transportTypes.join(' and ')} and took ${durationHours} hours and ${durationMinutes} minutes.
 The distance was approximately ${transportInfo.distance_km} kilometers.
 I departed at ${departureDate.toLocaleTimeString()} and arrived at ${arrivalDate.toLocaleTimeString()}.
-The cost was ${transportInfo.price} ${transportInfo.currency}.
-
+${ticketPrice ? `The tickets cost ${ticketPrice}.
+` : ''}So far the whole trip has cost me ${totalSpent}.
+${segments.length > 0 ? `The journey had ${segments.length} segments, changing in between:
+${segments.map((segment, index) => `${index + 1}. By ${segment.type} from ${segment.from_name || previousLocation.name} to ${segment.to_name || currentLocation.name} (${segment.distance_km} km, departing ${new Date(segment.departure_time).toLocaleTimeString()}, arriving ${new Date(segment.arrival_time).toLocaleTimeString()})`).join('\n')}
+` : ''}${borderNotes.length > 0 ? `Crossing into ${currentLocation.country}:
+${borderNotes.map(note => `- ${note}`).join('\n')}
+` : ''}
 Write in first person as Giovanni, a travel blogger exploring Eastern and Southern Europe.
 Focus on the journey experience, things I saw along the way, and my anticipation of arriving in a new city.
 Make it personal and descriptive, with sensory details.
@@ -93,13 +146,15 @@ Include these elements:
 - Begin with a phrase like "From [city A] to [city B]..." describing the journey's start
 - Describe scenery and landscapes I passed through
 - A small observation or interaction during the trip (with staff or fellow travelers)
-- Mention how I felt leaving the previous city
-- End with my arrival and first impressions of the new city with a phrase like "And finally, I arrived in [city B]..."
-- Include a paragraph about why I chose ${currentLocation.name} as my next destination
+${segments.length > 0 ? '- Narrate each segment and the changes between them (waiting at the port, the station or the airport)\n' : ''}- Mention how I felt leaving the previous city
+- A sentence about the money: what the tickets cost and how my travel budget is holding up
+${borderNotes.length > 0 ? '- One practical note about crossing the border (from the notes above)\n' : ''}- End with my arrival and first impressions of the new city with a phrase like "And finally, I arrived in [city B]..."
+- Include a paragraph about why I chose ${currentLocation.name} as my next destination${currentLocation.season_note ? `, including the season: ${currentLocation.season_note}` : ''}
 
 Keep the total length between 400-500 words and use a warm, personal tone.
 `;
 
+    stage = 'content';
     console.log('Generating travel post content...');
     const content = await OpenAIService.generateText(prompt, {
       temperature: 0.7,
@@ -144,7 +199,7 @@ Keep the total length between 400-500 words and use a warm, personal tone.
 <hr class="wp-block-separator is-style-wide"/>
 <!-- /wp:separator -->
 <!-- wp:paragraph -->
-<p><a href="/?tag=${encodeURIComponent(previousLocation.country)}" rel="tag">${previousLocation.country}</a>, <a href="/?tag=${encodeURIComponent(currentLocation.country)}" rel="tag">${currentLocation.country}</a>, <a href="/?tag=${encodeURIComponent(previousLocation.name)}" rel="tag">${previousLocation.name}</a>, <a href="/?tag=${encodeURIComponent(currentLocation.name)}" rel="tag">${currentLocation.name}</a>, <a href="/?tag=${encodeURIComponent(transportInfo.type)}" rel="tag">${transportInfo.type}</a></p>
+<p><a href="/?tag=${encodeURIComponent(previousLocation.country)}" rel="tag">${previousLocation.country}</a>, <a href="/?tag=${encodeURIComponent(currentLocation.country)}" rel="tag">${currentLocation.country}</a>, <a href="/?tag=${encodeURIComponent(previousLocation.name)}" rel="tag">${previousLocation.name}</a>, <a href="/?tag=${encodeURIComponent(currentLocation.name)}" rel="tag">${currentLocation.name}</a>, ${transportTypes.map(type => `<a href="/?tag=${encodeURIComponent(type)}" rel="tag">${type}</a>`).join(', ')}</p>
 <!-- /wp:paragraph -->
 `;
 
@@ -154,6 +209,7 @@ Keep the total length between 400-500 words and use a warm, personal tone.
       content: postContent,
       excerpt: excerpt,
       status: 'publish',
+      publishDate: options.publishDate || null,
       featuredImagePath: imagePath,
       featuredImageCaption: `Journey from ${previousLocation.name} to ${currentLocation.name} by ${transportInfo.type}`,
       featuredImageAlt: `Traveling from ${previousLocation.name} to ${currentLocation.name}`,
@@ -163,12 +219,27 @@ Keep the total length between 400-500 words and use a warm, personal tone.
         currentLocation.country,
         previousLocation.name,
         currentLocation.name,
-        transportInfo.type,
+        ...transportTypes,
         'journey'
       ],
       images: []
     };
 
+    if (preview) {
+      PreviewWriter.writePreview(postData, {
+        name: `journey-${previousLocation.name}-${currentLocation.name}`,
+        outputDir: options.outputDir,
+        meta: {
+          type: 'travel',
+          from: `${previousLocation.name}, ${previousLocation.country}`,
+          to: `${currentLocation.name}, ${currentLocation.country}`,
+          transport: transportInfo.type
+        }
+      });
+      return true;
+    }
+
+    stage = 'publish';
     console.log('Publishing travel post...');
     const result = await WordPressService.createTravelPost(postData);
     
@@ -176,38 +247,66 @@ Keep the total length between 400-500 words and use a warm, personal tone.
       console.log(`Travel post published successfully: ${result.post.link}`);
       
       // Save post to database
-      await db.run(`
-        INSERT INTO posts (
-          wp_post_id, title, slug, content, excerpt, type, published_at, featured_image_local_path, 
-          featured_image_wp_id, image_credits
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        result.post.id,
+      stage = 'save';
+      await posts.insert({
+        wp_post_id: result.post.id,
+        location_id: currentLocation.id,
         title,
-        result.post.slug,
-        postContent,
+        slug: result.post.slug,
+        content: postContent,
         excerpt,
-        'travel',
-        new Date().toISOString(),
-        imagePath,
-        result.featuredImage ? result.featuredImage.id : null,
-        JSON.stringify({ transport: imageInfo ? imageInfo.credit : 'Generated image' })
-      ]);
+        type: 'travel',
+        published_at: options.publishDate ? new Date(options.publishDate).toISOString() : new Date().toISOString(),
+        featured_image_local_path: imagePath,
+        featured_image_wp_id: result.featuredImage ? result.featuredImage.id : null,
+        image_credits: JSON.stringify({ transport: imageInfo ? imageInfo.credit : 'Generated image' }),
+        total_spent_eur: budget.totalEur
+      });
+      
+      await NotificationService.notify('post_published', {
+        ...notification,
+        postTitle: title,
+        postUrl: result.post.link,
+        wpPostId: result.post.id,
+        publishDate: postData.publishDate
+      });
       
       return true;
     } else {
       console.log('Failed to publish travel post');
+      await NotificationService.notify('post_failed', { ...notification, stage, error: 'WordPress did not return the created post' });
       return false;
     }
 
   } catch (error) {
     console.error(`Error generating travel post: ${error.message}`);
+    if (!preview) {
+      await NotificationService.notify('post_failed', { ...notification, stage, error: error.message });
+    }
     return false;
-  } finally {
-    await db.close();
   }
 }
 
+/**
+ * What changes when crossing into another country (country registry): the
+ * border check, the money, the plugs, the side of the road and the language
+ * @returns {string[]} Notes for the prompt (none within a country)
+ */
+function getBorderNotes(fromCountry, toCountry) {
+  const from = CountryRegistry.get(fromCountry);
+  const to = CountryRegistry.get(toCountry);
+  if (from.name.toLowerCase() === to.name.toLowerCase()) return [];
+
+  const notes = [from.schengen && to.schengen
+    ? 'No passport check at the border (both countries are in the Schengen area)'
+    : `Passport check at the border (${to.schengen ? fromCountry : toCountry} is outside the Schengen area)`];
+  if (from.currency !== to.currency) notes.push(`The money changes from ${from.currency} to ${to.currency}`);
+  if (!to.plugs.some(plug => from.plugs.includes(plug))) notes.push(`The sockets are type ${to.plugs.join('/')}, so my chargers need an adapter`);
+  if (from.drivingSide !== to.drivingSide) notes.push(`They drive on the ${to.drivingSide} here`);
+  if (from.languages[0] !== to.languages[0]) notes.push(`People speak ${to.languages.join(', ')}`);
+  return notes;
+}
+
 /**
  * Generate an appropriate image query for the transport type
  */
@@ -219,6 +318,10 @@ function getTransportImageQuery(transportType, fromCountry, toCountry) {
       return `train journey ${fromCountry} ${toCountry} travel scenery`;
     case 'bus':
       return `bus journey road travel ${toCountry} landscape`;
+    case 'ferry':
+      return `ferry sea crossing ${toCountry} coast`;
+    case 'shared car':
+      return `car road trip ${toCountry} countryside`;
     default:
       return `journey travel road Europe ${fromCountry} ${toCountry}`;
   }
@@ -230,10 +333,13 @@ module.exports = { createTravelPost };
 // Run the function only if this file is executed directly
 if (require.main === module) {
   createTravelPost()
-    .then(() => {
+    .then(success => {
       console.log('Travel post generation completed.');
+      process.exitCode = success ? 0 : 1;
     })
     .catch(error => {
       console.error('Unhandled error:', error);
-    });
+      process.exitCode = 1;
+    })
+    .finally(() => Database.close());
 }
@@ -23,114 +23,130 @@ function truncatePrompt(prompt, maxLength = 100) {
   return prompt.substring(0, maxLength) + '...';
 }
 
+// Print the most recent prompts
+function showRecentPrompts(limit = 20, service = null) {
+  console.log(`📋 Recent ${limit} prompts${service ? ` (${service} only)` : ''}:\n`);
+  const recentPrompts = PromptLogger.getRecentPrompts(limit, service);
+  
+  if (recentPrompts.length === 0) {
+    console.log('No prompts found in logs.');
+    return true;
+  }
+  
+  recentPrompts.forEach((prompt, index) => {
+    console.log(`${index + 1}. [${formatTimestamp(prompt.timestamp)}] ${prompt.service}`);
+    console.log(`   Type: ${prompt.type} | Location: ${prompt.location} | Day: ${prompt.day}`);
+    
+    if (prompt.service === 'OpenAI') {
+      console.log(`   Model: ${prompt.model} | Section: ${prompt.section}`);
+    } else if (prompt.service === 'Freepik') {
+      console.log(`   Engine: ${prompt.engine} | Image: ${prompt.imageType} | Size: ${prompt.size}`);
+    }
+    
+    console.log(`   Prompt: "${truncatePrompt(prompt.prompt)}"`);
+    console.log(`   Length: ${prompt.promptLength} chars\n`);
+  });
+  return true;
+}
+
+// Print prompt statistics for the last days
+function showPromptStats(days = 7) {
+  console.log(`📊 Prompt Statistics (Last ${days} days):\n`);
+  
+  const stats = PromptLogger.getPromptStats(days);
+  if (!stats) {
+    console.log('Error calculating statistics.');
+    return false;
+  }
+  
+  console.log(`Total Prompts: ${stats.totalPrompts}`);
+  console.log(`OpenAI Prompts: ${stats.openAIPrompts}`);
+  console.log(`Freepik Prompts: ${stats.freepikPrompts}`);
+  console.log(`Average Prompt Length: ${stats.averagePromptLength} characters\n`);
+  
+  console.log('📈 Prompt Types:');
+  Object.entries(stats.promptTypes)
+    .sort(([,a], [,b]) => b - a)
+    .forEach(([type, count]) => {
+      console.log(`   ${type}: ${count}`);
+    });
+  
+  console.log('\n🌍 Locations:');
+  Object.entries(stats.locations)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 10) // Top 10 locations
+    .forEach(([location, count]) => {
+      console.log(`   ${location}: ${count}`);
+    });
+  
+  console.log(`\n📅 Time Range: ${formatTimestamp(stats.timeRange.from)} to ${formatTimestamp(stats.timeRange.to)}`);
+  return true;
+}
+
+// Print the prompts whose text or location contains the search term
+function searchPrompts(searchTerm, limit = 20) {
+  if (!searchTerm) {
+    console.log('Please provide a search term.');
+    return false;
+  }
+  
+  console.log(`🔍 Searching for prompts containing: "${searchTerm}"\n`);
+  const allPrompts = PromptLogger.getRecentPrompts(1000);
+  const matchingPrompts = allPrompts.filter(prompt => 
+    prompt.prompt.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    prompt.location.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+  
+  if (matchingPrompts.length === 0) {
+    console.log('No matching prompts found.');
+    return true;
+  }
+  
+  matchingPrompts.slice(0, limit).forEach((prompt, index) => {
+    console.log(`${index + 1}. [${formatTimestamp(prompt.timestamp)}] ${prompt.service} - ${prompt.type}`);
+    console.log(`   Location: ${prompt.location} | Day: ${prompt.day}`);
+    console.log(`   Prompt: "${truncatePrompt(prompt.prompt, 150)}"`);
+    console.log('');
+  });
+  
+  console.log(`Found ${matchingPrompts.length} matching prompts (showing first ${Math.min(limit, matchingPrompts.length)})`);
+  return true;
+}
+
+// Remove log entries older than the given number of days
+function cleanPromptLogs(daysToKeep = 30) {
+  console.log(`🧹 Cleaning old prompt logs (keeping last ${daysToKeep} days)...\n`);
+  
+  const cleanResult = PromptLogger.cleanOldLogs(daysToKeep);
+  if (cleanResult) {
+    console.log(`✅ Cleanup completed: removed ${cleanResult.removed} entries, kept ${cleanResult.kept} entries`);
+    return true;
+  }
+  
+  console.log('❌ Error during cleanup');
+  return false;
+}
+
 async function viewPromptLogs() {
   console.log('📝 Giovanni Travel Blog - Prompt Logs Viewer\n');
   
   // Get command line arguments
   const args = process.argv.slice(2);
   const command = args[0] || 'recent';
-  const limit = parseInt(args[1]) || 20;
-  const service = args[2] || null;
   
   try {
     switch (command) {
       case 'recent':
-        console.log(`📋 Recent ${limit} prompts${service ? ` (${service} only)` : ''}:\n`);
-        const recentPrompts = PromptLogger.getRecentPrompts(limit, service);
-        
-        if (recentPrompts.length === 0) {
-          console.log('No prompts found in logs.');
-          return;
-        }
-        
-        recentPrompts.forEach((prompt, index) => {
-          console.log(`${index + 1}. [${formatTimestamp(prompt.timestamp)}] ${prompt.service}`);
-          console.log(`   Type: ${prompt.type} | Location: ${prompt.location} | Day: ${prompt.day}`);
-          
-          if (prompt.service === 'OpenAI') {
-            console.log(`   Model: ${prompt.model} | Section: ${prompt.section}`);
-          } else if (prompt.service === 'Freepik') {
-            console.log(`   Engine: ${prompt.engine} | Image: ${prompt.imageType} | Size: ${prompt.size}`);
-          }
-          
-          console.log(`   Prompt: "${truncatePrompt(prompt.prompt)}"`);
-          console.log(`   Length: ${prompt.promptLength} chars\n`);
-        });
-        break;
+        return showRecentPrompts(parseInt(args[1]) || 20, args[2] || null);
         
       case 'stats':
-        const days = parseInt(args[1]) || 7;
-        console.log(`📊 Prompt Statistics (Last ${days} days):\n`);
-        
-        const stats = PromptLogger.getPromptStats(days);
-        if (!stats) {
-          console.log('Error calculating statistics.');
-          return;
-        }
-        
-        console.log(`Total Prompts: ${stats.totalPrompts}`);
-        console.log(`OpenAI Prompts: ${stats.openAIPrompts}`);
-        console.log(`Freepik Prompts: ${stats.freepikPrompts}`);
-        console.log(`Average Prompt Length: ${stats.averagePromptLength} characters\n`);
-        
-        console.log('📈 Prompt Types:');
-        Object.entries(stats.promptTypes)
-          .sort(([,a], [,b]) => b - a)
-          .forEach(([type, count]) => {
-            console.log(`   ${type}: ${count}`);
-          });
-        
-        console.log('\n🌍 Locations:');
-        Object.entries(stats.locations)
-          .sort(([,a], [,b]) => b - a)
-          .slice(0, 10) // Top 10 locations
-          .forEach(([location, count]) => {
-            console.log(`   ${location}: ${count}`);
-          });
-        
-        console.log(`\n📅 Time Range: ${formatTimestamp(stats.timeRange.from)} to ${formatTimestamp(stats.timeRange.to)}`);
-        break;
+        return showPromptStats(parseInt(args[1]) || 7);
         
       case 'search':
-        const searchTerm = args[1];
-        if (!searchTerm) {
-          console.log('Please provide a search term.');
-          return;
-        }
-        
-        console.log(`🔍 Searching for prompts containing: "${searchTerm}"\n`);
-        const allPrompts = PromptLogger.getRecentPrompts(1000);
-        const matchingPrompts = allPrompts.filter(prompt => 
-          prompt.prompt.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          prompt.location.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        
-        if (matchingPrompts.length === 0) {
-          console.log('No matching prompts found.');
-          return;
-        }
-        
-        matchingPrompts.slice(0, limit).forEach((prompt, index) => {
-          console.log(`${index + 1}. [${formatTimestamp(prompt.timestamp)}] ${prompt.service} - ${prompt.type}`);
-          console.log(`   Location: ${prompt.location} | Day: ${prompt.day}`);
-          console.log(`   Prompt: "${truncatePrompt(prompt.prompt, 150)}"`);
-          console.log('');
-        });
-        
-        console.log(`Found ${matchingPrompts.length} matching prompts (showing first ${Math.min(limit, matchingPrompts.length)})`);
-        break;
+        return searchPrompts(args[1], parseInt(args[2]) || 20);
         
       case 'clean':
-        const daysToKeep = parseInt(args[1]) || 30;
-        console.log(`🧹 Cleaning old prompt logs (keeping last ${daysToKeep} days)...\n`);
-        
-        const cleanResult = PromptLogger.cleanOldLogs(daysToKeep);
-        if (cleanResult) {
-          console.log(`✅ Cleanup completed: removed ${cleanResult.removed} entries, kept ${cleanResult.kept} entries`);
-        } else {
-          console.log('❌ Error during cleanup');
-        }
-        break;
+        return cleanPromptLogs(parseInt(args[1]) || 30);
         
       case 'help':
       default:
@@ -146,13 +162,23 @@ async function viewPromptLogs() {
         console.log('  node view_prompt_logs.js stats 14                - Statistics for last 14 days');
         console.log('  node view_prompt_logs.js search "Belgrade"        - Search for Belgrade prompts');
         console.log('  node view_prompt_logs.js clean 7                 - Keep only last 7 days');
-        break;
+        console.log('');
+        console.log('The same commands are available as: giovanni logs <command> --help');
+        return command === 'help';
     }
     
   } catch (error) {
     console.error(`Error: ${error.message}`);
+    return false;
   }
 }
 
-// Run the script
-viewPromptLogs(); 
\ No newline at end of file
+// Export the functions for use in other modules
+module.exports = { showRecentPrompts, showPromptStats, searchPrompts, cleanPromptLogs };
+
+// Run the script only if this file is executed directly
+if (require.main === module) {
+  viewPromptLogs().then(success => {
+    process.exitCode = success ? 0 : 1;
+  });
+}